@@ -39,6 +39,7 @@ define( function( require ) {
     //----------------------------------------------------------------------------------------
     // Graph colors
     ORIGIN_DOT_COLOR: 'rgb( 25, 253, 56 )',
+    AXES_ROTATION_HANDLE_COLOR: 'rgb( 255, 160, 0 )',
     GRAPH_MAJOR_LINE_COLOR: 'rgb( 220, 220, 220 )',
     GRAPH_MINOR_LINE_COLOR: 'rgb( 230, 230, 230 )',
     TICKS_COLOR: BLACK,
@@ -49,6 +50,24 @@ define( function( require ) {
     GRAPH_CONTROL_PANEL_LINE_COLOR: BLACK,
     GRID_ICON_COLOR: 'rgb( 80, 80, 80 )',
     ANGLE_ICON_COLOR: BLACK,
+    UNDO_REDO_BUTTON_BASE_COLOR: 'white',
+
+    //----------------------------------------------------------------------------------------
+    // Vector Entry Dialog
+    VECTOR_ENTRY_COLORS: {
+      fieldFill: WHITE,
+      fieldStroke: 'rgb( 150, 150, 150 )',
+      selectedFieldStroke: '#419ac9',
+      error: 'rgb( 204, 0, 0 )'
+    },
+
+    //----------------------------------------------------------------------------------------
+    // Vector Table
+    VECTOR_TABLE_COLORS: {
+      headerStroke: 'rgb( 150, 150, 150 )',
+      highlightedRowFill: 'rgb( 255, 240, 150 )'
+    },
+    VECTOR_HIGHLIGHT_COLOR: 'rgba( 255, 220, 0, 0.6 )',
 
 
     //----------------------------------------------------------------------------------------
@@ -65,8 +84,39 @@ define( function( require ) {
       component: 'rgb( 245, 120, 120 )',
       labelBackground: 'rgb( 245, 120, 120 )'
     },
+
+    /**
+     * Generates the colors of a vector group from its hue, for groups that don't have their own colors (see
+     * VectorGroup). Like the colors above, the sum is darker than the vectors and the components are lighter.
+     * @public
+     * @param {number} hue - in degrees
+     * @returns {{fill: string, sum: string, component: string, labelBackground: string}}
+     */
+    createVectorGroupColors( hue ) {
+      assert && assert( typeof hue === 'number' && isFinite( hue ), `invalid hue: ${hue}` );
+
+      return {
+        fill: `hsl( ${hue}, 90%, 45% )`,
+        sum: `hsl( ${hue}, 95%, 35% )`,
+        component: `hsl( ${hue}, 85%, 75% )`,
+        labelBackground: `hsl( ${hue}, 85%, 75% )`
+      };
+    },
+    DIFFERENCE_COLORS: {
+      fill: 'rgb( 142, 68, 173 )',
+      labelBackground: 'rgb( 210, 180, 222 )'
+    },
+    CROSS_PRODUCT_COLORS: {
+      fill: 'rgba( 241, 196, 15, 0.35 )',
+      stroke: 'rgb( 196, 150, 0 )'
+    },
+    PROJECTION_COLORS: {
+      parallel: 'rgb( 39, 174, 96 )',
+      perpendicular: 'rgb( 230, 126, 34 )'
+    },
     POLAR_ICON_VECTOR_COLOR: 'rgb( 188, 3, 255 )',
     CARTESIAN_ICON_COLOR: BLACK,
+    FREE_ICON_VECTOR_COLOR: 'rgb( 0, 150, 136 )',
     VECTOR_ICON_STROKE_COLOR: BLACK
 
   };
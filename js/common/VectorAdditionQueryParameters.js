@@ -0,0 +1,35 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Query parameters for the vector-addition sim.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  const VectorAdditionQueryParameters = QueryStringMachine.getAll( {
+
+    // The resolution (in model units) that the tails and components of vectors snap to when the coordinate snap mode
+    // is CoordinateSnapModes.FREE, e.g. snapResolution=0.5
+    snapResolution: {
+      type: 'number',
+      defaultValue: 0.1,
+      isValidValue: value => ( value > 0 && value <= 1 )
+    },
+
+    // The number of groups of vectors on the Lab screen, each with its own colors, sum and slot in the vector creator
+    // panel, e.g. labGroups=4 to compare 4 sets of forces. The panels of the Lab screen are laid out for at most 4
+    // groups. See LabModel.createVectorGroups for the colors of the groups.
+    labGroups: {
+      type: 'number',
+      defaultValue: 2,
+      isValidValue: value => ( Number.isInteger( value ) && value >= 2 && value <= 4 )
+    }
+  } );
+
+  return vectorAddition.register( 'VectorAdditionQueryParameters', VectorAdditionQueryParameters );
+} );
@@ -16,6 +16,7 @@ define( require => {
 
   // modules
   const DerivedProperty = require( 'AXON/DerivedProperty' );
+  const Tandem = require( 'TANDEM/Tandem' );
   const Vector2 = require( 'DOT/Vector2' );
   const Vector2Property = require( 'DOT/Vector2Property' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
@@ -28,9 +29,15 @@ define( require => {
      * @param {number} xComponent - horizontal component of the vector
      * @param {number} yComponent - vertical component of the vector
      * @param {string} label
-     * @param {VectorTypes} vectorType - the type of vector
+     * @param {VectorGroup} vectorType - the type of vector
+     * @param {Object} [options]
      */
-    constructor( tailPosition, xComponent, yComponent, vectorType ) {
+    constructor( tailPosition, xComponent, yComponent, vectorType, options ) {
+
+      options = _.extend( {
+        tandem: Tandem.optional, // {Tandem} - instruments the tail and attributes properties
+        isAttributesVectorReadOnly: false // {boolean} - can the attributes vector only be set by the sim (PhET-iO)
+      }, options );
 
       // Type check arguments
       assert && assert( tailPosition instanceof Vector2, `invalid tailPosition: ${tailPosition}` );
@@ -40,14 +47,21 @@ define( require => {
 
       //----------------------------------------------------------------------------------------
 
-      // @public (read-only) {VectorTypes}
+      // @public (read-only) {VectorGroup}
       this.vectorType = vectorType;
 
       // @public (read-only) {Vector2Property} - The tail position of the vector on the graph.
-      this.tailPositionProperty = new Vector2Property( tailPosition );
+      this.tailPositionProperty = new Vector2Property( tailPosition, {
+        tandem: options.tandem.createTandem( 'tailPositionProperty' ),
+        phetioDocumentation: 'The position of the tail of the vector, in model coordinates'
+      } );
 
       // @public (read-only) {Vector2Property} - (x and y, or in other words the actual vector <x, y>)
-      this.attributesVectorProperty = new Vector2Property( new Vector2( xComponent, yComponent ) );
+      this.attributesVectorProperty = new Vector2Property( new Vector2( xComponent, yComponent ), {
+        tandem: options.tandem.createTandem( 'attributesVectorProperty' ),
+        phetioReadOnly: options.isAttributesVectorReadOnly,
+        phetioDocumentation: 'The x and y components of the vector'
+      } );
 
       // @public (read-only) {DerivedProperty.<Vector2>} - the tip position of the vector
       this.tipPositionProperty = new DerivedProperty( [ this.tailPositionProperty, this.attributesVectorProperty ],
@@ -102,7 +116,7 @@ define( require => {
      */
     set yComponent( component ) {
       assert && assert( typeof component === 'number', `invalid component: ${component}` );
-      this.attributesVectorProperty.value.y = component;
+      this.attributesVectorProperty.value = new Vector2( this.xComponent, component );
     }
 
     //----------------------------------------------------------------------------------------
@@ -121,7 +135,7 @@ define( require => {
      */
     set xComponent( component ) {
       assert && assert( typeof component === 'number', `invalid component: ${component}` );
-      this.attributesVectorProperty.value.x = component;
+      this.attributesVectorProperty.value = new Vector2( component, this.yComponent );
     }
 
     //----------------------------------------------------------------------------------------
@@ -0,0 +1,68 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * BaseVectorModel tests
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BaseVectorModel = require( 'VECTOR_ADDITION/common/model/BaseVectorModel' );
+  const Util = require( 'DOT/Util' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  QUnit.module( 'BaseVectorModel' );
+
+  QUnit.test( 'tail setters', assert => {
+    const vector = new BaseVectorModel( new Vector2( 1, 2 ), 3, 4, VectorTypes.ONE );
+
+    vector.tail = new Vector2( -1, 5 );
+    assert.ok( vector.tail.equals( new Vector2( -1, 5 ) ), 'tail' );
+    assert.ok( vector.tip.equals( new Vector2( 2, 9 ) ), 'tip follows the tail' );
+    assert.ok( vector.components.equals( new Vector2( 3, 4 ) ), 'tail doesn\'t change the components' );
+
+    vector.tailX = 7;
+    assert.ok( vector.tail.equals( new Vector2( 7, 5 ) ), 'tailX keeps tailY' );
+
+    vector.tailY = -3;
+    assert.ok( vector.tail.equals( new Vector2( 7, -3 ) ), 'tailY keeps tailX' );
+    assert.equal( vector.tipX, 10, 'tipX' );
+    assert.equal( vector.tipY, 1, 'tipY' );
+  } );
+
+  QUnit.test( 'magnitude setter and multiplyScalar', assert => {
+    const vector = new BaseVectorModel( new Vector2( 1, 2 ), 3, 4, VectorTypes.ONE );
+    const angle = vector.angle;
+
+    vector.magnitude = 10;
+    assert.ok( Util.equalsEpsilon( vector.magnitude, 10, 1E-10 ), 'magnitude' );
+    assert.ok( Util.equalsEpsilon( vector.angle, angle, 1E-10 ), 'magnitude keeps the angle' );
+    assert.ok( vector.components.equalsEpsilon( new Vector2( 6, 8 ), 1E-10 ), 'components' );
+    assert.ok( vector.tail.equals( new Vector2( 1, 2 ) ), 'magnitude keeps the tail' );
+
+    vector.multiplyScalar( -0.5 );
+    assert.ok( vector.components.equalsEpsilon( new Vector2( -3, -4 ), 1E-10 ), 'multiplyScalar' );
+    assert.ok( vector.tip.equalsEpsilon( new Vector2( -2, -2 ), 1E-10 ), 'tip follows multiplyScalar' );
+  } );
+
+  QUnit.test( 'component setters', assert => {
+    const vector = new BaseVectorModel( new Vector2( 1, 2 ), 3, 4, VectorTypes.ONE );
+
+    let notifications = 0;
+    vector.attributesVectorProperty.lazyLink( () => { notifications++; } );
+
+    vector.xComponent = 5;
+    assert.ok( vector.components.equals( new Vector2( 5, 4 ) ), 'xComponent keeps yComponent' );
+    assert.equal( notifications, 1, 'xComponent notifies the listeners' );
+    assert.ok( vector.tip.equals( new Vector2( 6, 6 ) ), 'tip follows xComponent' );
+
+    vector.yComponent = -6;
+    assert.ok( vector.components.equals( new Vector2( 5, -6 ) ), 'yComponent keeps xComponent' );
+    assert.equal( notifications, 2, 'yComponent notifies the listeners' );
+    assert.ok( vector.tip.equals( new Vector2( 6, -4 ) ), 'tip follows yComponent' );
+    assert.ok( vector.tail.equals( new Vector2( 1, 2 ) ), 'the component setters keep the tail' );
+  } );
+} );
\ No newline at end of file
@@ -13,11 +13,12 @@ define( require => {
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
 
   /**
-   * Vectors can be snapped in 2 ways:
+   * Vectors can be snapped in 3 ways:
    * 'CARTESIAN' - the tail and the tip on the grid and components are integers
    * 'POLAR' - the angle is a multiple of 5 and the magnitude must be an integer
+   * 'FREE' - the tail and the components are (nearly) continuous, rounded to the snapResolution query parameter
    */
-  const CoordinateSnapModes = new Enumeration( [ 'CARTESIAN', 'POLAR' ] );
+  const CoordinateSnapModes = new Enumeration( [ 'CARTESIAN', 'POLAR', 'FREE' ] );
 
   return vectorAddition.register( 'CoordinateSnapModes', CoordinateSnapModes );
 } );
@@ -6,6 +6,14 @@
  * A Graph can be described by a width and a height (Dimension2) and the coordinate of the upperLeftLocation corner of
  * the graph. With this information, the bounds can be determined.
  *
+ * The graph can be zoomed in and out about its origin (see zoomLevelProperty). The graph keeps its size in the view,
+ * so zooming changes the model bounds of the graph and the scale of the modelViewTransform.
+ *
+ * The axes of a two dimensional graph can be rotated about the origin (see axesAngleProperty), for example to
+ * decompose forces along an inclined plane. Model coordinates don't rotate: the vectors keep their position on the
+ * graph, and their components are measured along the rotated axes. Vectors snap to the rotated grid when they are next
+ * moved.
+ *
  * @author Brandon Li
  */
 
@@ -13,13 +21,20 @@ define( require => {
   'use strict';
 
   // modules
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
   const Bounds2 = require( 'DOT/Bounds2' );
   const DerivedProperty = require( 'AXON/DerivedProperty' );
   const Dimension2 = require( 'DOT/Dimension2' );
   const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
+  const NumberProperty = require( 'AXON/NumberProperty' );
+  const Property = require( 'AXON/Property' );
+  const Range = require( 'DOT/Range' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Util = require( 'DOT/Util' );
   const Vector2 = require( 'DOT/Vector2' );
   const Vector2Property = require( 'DOT/Vector2Property' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorEntryErrors = require( 'VECTOR_ADDITION/common/model/VectorEntryErrors' );
   const VectorOrientations = require( 'VECTOR_ADDITION/common/model/VectorOrientations' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
 
@@ -29,6 +44,12 @@ define( require => {
   const MODEL_TO_VIEW_SCALE_FACTOR = VectorAdditionConstants.MODEL_TO_VIEW_SCALE_FACTOR;
   const GRAPH_UPPER_LEFT_LOCATION = VectorAdditionConstants.GRAPH_UPPER_LEFT_LOCATION;
 
+  // The graph is scaled by a factor of 2 per zoom level, from 1/4 to 4 times its initial scale
+  const ZOOM_LEVEL_RANGE = new Range( -2, 2 );
+
+  // The axes can be rotated a quarter turn either way, in steps of AXES_ANGLE_INTERVAL (degrees)
+  const AXES_ANGLE_RANGE = new Range( -Math.PI / 2, Math.PI / 2 );
+  const AXES_ANGLE_INTERVAL = 5;
 
   class Graph {
     /**
@@ -47,35 +68,61 @@ define( require => {
         `invalid upperLeftPosition: ${upperLeftPosition}` );
 
       options = _.extend( {
-        orientation: VectorOrientations.TWO_DIMENSIONAL // {VectorOrientations} - the orientation of the graph
+        orientation: VectorOrientations.TWO_DIMENSIONAL, // {VectorOrientations} - the orientation of the graph
+        tandem: Tandem.optional
       }, options );
 
 
-      // @public {VectorProperty} - the position (model coordinates) of the top left corner of graph
-      this.upperLeftPositionProperty = new Vector2Property( upperLeftPosition );
-
-      // When the GraphNode changes the upperLeftPosition (when origin is dragged) the graph bounds changes
-      // Graphs last for the life time of the sim, so no need to unlink the because the origin is is always movable
-      this.upperLeftPositionProperty.link( ( upperLeftPosition ) => {
+      // @public {VectorProperty} - the position (model coordinates) of the top left corner of graph when the graph
+      // isn't zoomed. It doesn't change when the graph is zoomed, since zooming keeps the origin in place.
+      this.upperLeftPositionProperty = new Vector2Property( upperLeftPosition, {
+        tandem: options.tandem.createTandem( 'upperLeftPositionProperty' ),
+        phetioDocumentation: 'The position of the upper left corner of the graph, in model coordinates, when the ' +
+                             'graph isn\'t zoomed. Moving it moves the origin.'
+      } );
 
-        // @public {Bounds2} - the model bounds for the graph
-        this.graphModelBounds = new Bounds2(
-          upperLeftPosition.x,
-          upperLeftPosition.y - graphDimension.height,
-          upperLeftPosition.x + graphDimension.width,
-          upperLeftPosition.y );
+      // @public {NumberProperty} - the zoom level of the graph. Positive levels zoom in and negative levels zoom out.
+      this.zoomLevelProperty = new NumberProperty( 0, {
+        numberType: 'Integer',
+        range: ZOOM_LEVEL_RANGE,
+        tandem: options.tandem.createTandem( 'zoomLevelProperty' ),
+        phetioDocumentation: 'The zoom level of the graph. Each level zooms by a factor of 2 about the origin.'
+      } );
 
+      // @public {NumberProperty} - the angle (radians) of the x-axis, measured counterclockwise from the horizontal.
+      // The y-axis is always a quarter turn counterclockwise from the x-axis. Only two dimensional graphs are rotated.
+      this.axesAngleProperty = new NumberProperty( 0, {
+        range: AXES_ANGLE_RANGE,
+        units: 'radians',
+        tandem: options.tandem.createTandem( 'axesAngleProperty' ),
+        phetioDocumentation: 'The angle of the x-axis, measured counterclockwise from the horizontal. The components ' +
+                             'of the vectors are measured along the rotated axes.'
       } );
 
+      // When the GraphNode changes the upperLeftPosition (when origin is dragged) or the graph is zoomed, the graph
+      // bounds changes. Graphs last for the life time of the sim, so no need to dispose.
+      Property.multilink( [ this.upperLeftPositionProperty, this.zoomLevelProperty ],
+        ( upperLeftPosition, zoomLevel ) => {
+
+          const zoomFactor = getZoomFactor( zoomLevel );
+
+          // @public {Bounds2} - the model bounds for the graph
+          this.graphModelBounds = new Bounds2(
+            upperLeftPosition.x / zoomFactor,
+            ( upperLeftPosition.y - graphDimension.height ) / zoomFactor,
+            ( upperLeftPosition.x + graphDimension.width ) / zoomFactor,
+            upperLeftPosition.y / zoomFactor );
+        } );
 
       // @public {Property.<ModelViewTransform2>} - the coordinate transform between model (graph coordinates) and view
-      // coordinates. It is calculated from the upperLeftPosition of both the view and the model.
+      // coordinates. It is calculated from the upperLeftPosition of both the view and the model, and the zoom level.
       // Graphs last for the life time of the sim, so no need to dispose
-      this.modelViewTransformProperty = new DerivedProperty( [ this.upperLeftPositionProperty ],
-        upperLeftPosition => ModelViewTransform2.createSinglePointScaleInvertedYMapping(
-          upperLeftPosition,
+      this.modelViewTransformProperty = new DerivedProperty(
+        [ this.upperLeftPositionProperty, this.zoomLevelProperty ],
+        ( upperLeftPosition, zoomLevel ) => ModelViewTransform2.createSinglePointScaleInvertedYMapping(
+          upperLeftPosition.dividedScalar( getZoomFactor( zoomLevel ) ),
           GRAPH_UPPER_LEFT_LOCATION,
-          MODEL_TO_VIEW_SCALE_FACTOR
+          MODEL_TO_VIEW_SCALE_FACTOR * getZoomFactor( zoomLevel )
         ), {
           valueType: ModelViewTransform2
         } );
@@ -83,6 +130,9 @@ define( require => {
       // @public (read-only) {VectorOrientations}
       this.orientation = options.orientation;
 
+      // @public {BooleanProperty} - indicates if the origin is being dragged
+      this.isOriginActiveProperty = new BooleanProperty( false );
+
     }
 
     /**
@@ -91,8 +141,99 @@ define( require => {
      */
     reset() {
       this.upperLeftPositionProperty.reset();
+      this.zoomLevelProperty.reset();
+      this.axesAngleProperty.reset();
+    }
+
+    /**
+     * Gets the factor that the graph is scaled by, compared to when the graph isn't zoomed
+     * @public
+     * @returns {number}
+     */
+    get zoomFactor() {
+      return getZoomFactor( this.zoomLevelProperty.value );
+    }
+
+    /**
+     * Gets the spacing (model units) of the minor grid lines. The spacing is 1 unless the graph is zoomed out, in which
+     * case the lines are as far apart in the view as when the graph isn't zoomed.
+     * @public
+     * @returns {number}
+     */
+    get gridSpacing() {
+      return Math.max( 1, 1 / this.zoomFactor );
+    }
+
+    /**
+     * Zoom the graph in or out by a number of zoom levels, within the range of zoomLevelProperty
+     * @public
+     * @param {number} levels - positive to zoom in, negative to zoom out
+     */
+    zoom( levels ) {
+      this.zoomLevelProperty.value = ZOOM_LEVEL_RANGE.constrainValue( this.zoomLevelProperty.value + levels );
+    }
+
+    /**
+     * Move the origin of the graph, for example when it is dragged
+     * @public
+     * @param {Vector2} displacement - in model coordinates
+     */
+    moveOrigin( displacement ) {
+      this.upperLeftPositionProperty.value = this.upperLeftPositionProperty.value.minus(
+        displacement.timesScalar( this.zoomFactor ) );
+    }
+
+    /**
+     * Rotate the axes to an angle, for example when the rotation handle is dragged. The angle is rounded to a multiple
+     * of AXES_ANGLE_INTERVAL and constrained to the range of axesAngleProperty.
+     * @public
+     * @param {number} angle - in radians, measured counterclockwise from the horizontal
+     */
+    rotateAxes( angle ) {
+      assert && assert( this.orientation === VectorOrientations.TWO_DIMENSIONAL,
+        'only the axes of two dimensional graphs can be rotated' );
+
+      const roundedAngle = AXES_ANGLE_INTERVAL * Util.roundSymmetric( Util.toDegrees( angle ) / AXES_ANGLE_INTERVAL );
+      this.axesAngleProperty.value = AXES_ANGLE_RANGE.constrainValue( Util.toRadians( roundedAngle ) );
+    }
+
+    /**
+     * Checks if a vector that is entered with the keypad can be added to the graph. The vector must match the
+     * orientation of the graph, and both its tail and its tip must be on the graph.
+     * @public
+     * @param {Vector2} tailPosition - in model coordinates
+     * @param {Vector2} components - in model coordinates
+     * @returns {VectorEntryErrors|null} - null if the vector can be added
+     */
+    getVectorEntryError( tailPosition, components ) {
+      assert && assert( tailPosition instanceof Vector2, `invalid tailPosition: ${tailPosition}` );
+      assert && assert( components instanceof Vector2, `invalid components: ${components}` );
+
+      if ( this.orientation === VectorOrientations.HORIZONTAL && components.y !== 0 ) {
+        return VectorEntryErrors.NOT_HORIZONTAL;
+      }
+      else if ( this.orientation === VectorOrientations.VERTICAL && components.x !== 0 ) {
+        return VectorEntryErrors.NOT_VERTICAL;
+      }
+      else if ( !this.graphModelBounds.containsPoint( tailPosition ) ||
+                !this.graphModelBounds.containsPoint( tailPosition.plus( components ) ) ) {
+        return VectorEntryErrors.OFF_GRAPH;
+      }
+      return null;
     }
   }
 
+  /**
+   * Gets the factor that the graph is scaled by at a zoom level
+   * @param {number} zoomLevel
+   * @returns {number}
+   */
+  function getZoomFactor( zoomLevel ) {
+    return Math.pow( 2, zoomLevel );
+  }
+
+  // @public (read-only) {number} - interval spacing (degrees) of the angle of the axes
+  Graph.AXES_ANGLE_INTERVAL = AXES_ANGLE_INTERVAL;
+
   return vectorAddition.register( 'Graph', Graph );
 } );
\ No newline at end of file
@@ -0,0 +1,137 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Graph tests
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Bounds2 = require( 'DOT/Bounds2' );
+  const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
+  const Dimension2 = require( 'DOT/Dimension2' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const Graph = require( 'VECTOR_ADDITION/common/model/Graph' );
+  const Util = require( 'DOT/Util' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const VectorEntryErrors = require( 'VECTOR_ADDITION/common/model/VectorEntryErrors' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorOrientations = require( 'VECTOR_ADDITION/common/model/VectorOrientations' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  QUnit.module( 'Graph' );
+
+  QUnit.test( 'bounds after the origin moves', assert => {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+    assert.ok( graph.graphModelBounds.equals( new Bounds2( -5, -5, 55, 35 ) ), 'initial bounds' );
+
+    graph.upperLeftPositionProperty.value = new Vector2( -10, 20 );
+    assert.ok( graph.graphModelBounds.equals( new Bounds2( -10, -20, 50, 20 ) ), 'bounds after moving the origin' );
+
+    const modelViewTransform = graph.modelViewTransformProperty.value;
+    assert.ok( modelViewTransform.modelToViewPosition( new Vector2( -10, 20 ) )
+      .equals( VectorAdditionConstants.GRAPH_UPPER_LEFT_LOCATION ), 'the upper left corner doesn\'t move in the view' );
+    assert.equal( modelViewTransform.modelToViewDeltaX( 60 ), 60 * VectorAdditionConstants.MODEL_TO_VIEW_SCALE_FACTOR,
+      'scale' );
+
+    graph.reset();
+    assert.ok( graph.graphModelBounds.equals( new Bounds2( -5, -5, 55, 35 ) ), 'bounds after reset' );
+  } );
+
+  QUnit.test( 'vectors stay in place in the view when the origin moves', assert => {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+    const vector = new VectorModel( new Vector2( 1, 2 ), 3, 4,
+      graph.modelViewTransformProperty,
+      graph.axesAngleProperty,
+      new EnumerationProperty( ComponentStyles, ComponentStyles.INVISIBLE ),
+      new EnumerationProperty( CoordinateSnapModes, CoordinateSnapModes.CARTESIAN ),
+      VectorTypes.ONE );
+    const tailViewPosition = graph.modelViewTransformProperty.value.modelToViewPosition( vector.tail );
+
+    graph.upperLeftPositionProperty.value = new Vector2( -10, 20 );
+    assert.ok( vector.tail.equalsEpsilon( new Vector2( -4, -13 ), 1E-10 ), 'tail moves with the origin' );
+    assert.ok( vector.components.equals( new Vector2( 3, 4 ) ), 'components don\'t change' );
+    assert.ok( graph.modelViewTransformProperty.value.modelToViewPosition( vector.tail )
+      .equalsEpsilon( tailViewPosition, 1E-10 ), 'tail view position' );
+  } );
+
+  QUnit.test( 'zooming about the origin', assert => {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+    const vector = new VectorModel( new Vector2( 1, 2 ), 3, 4,
+      graph.modelViewTransformProperty,
+      graph.axesAngleProperty,
+      new EnumerationProperty( ComponentStyles, ComponentStyles.INVISIBLE ),
+      new EnumerationProperty( CoordinateSnapModes, CoordinateSnapModes.CARTESIAN ),
+      VectorTypes.ONE );
+    const originViewPosition = graph.modelViewTransformProperty.value.modelToViewPosition( Vector2.ZERO );
+
+    graph.zoom( 1 );
+    assert.equal( graph.zoomFactor, 2, 'zoom factor' );
+    assert.ok( graph.graphModelBounds.equals( new Bounds2( -2.5, -2.5, 27.5, 17.5 ) ), 'bounds after zooming in' );
+    assert.ok( graph.modelViewTransformProperty.value.modelToViewPosition( Vector2.ZERO ).equals( originViewPosition ),
+      'the origin doesn\'t move in the view' );
+    assert.ok( vector.tail.equals( new Vector2( 1, 2 ) ), 'the vector keeps its position on the graph' );
+    assert.equal( graph.gridSpacing, 1, 'grid spacing when zoomed in' );
+
+    graph.zoom( -3 );
+    assert.equal( graph.zoomFactor, 0.25, 'zoom is constrained to the range' );
+    assert.ok( graph.graphModelBounds.equals( new Bounds2( -20, -20, 220, 140 ) ), 'bounds after zooming out' );
+    assert.equal( graph.gridSpacing, 4, 'grid spacing when zoomed out' );
+
+    graph.moveOrigin( new Vector2( 4, -8 ) );
+    assert.ok( graph.upperLeftPositionProperty.value.equals( new Vector2( -6, 37 ) ),
+      'moving the origin in model coordinates of the zoomed graph' );
+    assert.ok( vector.tail.equalsEpsilon( new Vector2( -3, 10 ), 1E-10 ), 'tail moves with the origin' );
+
+    graph.reset();
+    assert.equal( graph.zoomFactor, 1, 'zoom factor after reset' );
+    assert.ok( graph.graphModelBounds.equals( new Bounds2( -5, -5, 55, 35 ) ), 'bounds after reset' );
+  } );
+
+  QUnit.test( 'rotating the axes', assert => {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+
+    graph.rotateAxes( Util.toRadians( 31 ) );
+    assert.ok( Util.equalsEpsilon( graph.axesAngleProperty.value, Util.toRadians( 30 ), 1E-10 ),
+      'the angle is a multiple of the interval' );
+
+    graph.rotateAxes( -Math.PI );
+    assert.equal( graph.axesAngleProperty.value, -Math.PI / 2, 'the angle is constrained to the range' );
+
+    graph.reset();
+    assert.equal( graph.axesAngleProperty.value, 0, 'angle after reset' );
+  } );
+
+  QUnit.test( 'validating entered vectors', assert => {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+    assert.equal( graph.getVectorEntryError( new Vector2( 1, 2 ), new Vector2( 3, -4 ) ), null, 'on the graph' );
+    assert.equal( graph.getVectorEntryError( new Vector2( -5, -5 ), new Vector2( 60, 40 ) ), null,
+      'the edges are on the graph' );
+    assert.equal( graph.getVectorEntryError( new Vector2( -6, 0 ), new Vector2( 3, 4 ) ), VectorEntryErrors.OFF_GRAPH,
+      'the tail is off the graph' );
+    assert.equal( graph.getVectorEntryError( new Vector2( 50, 0 ), new Vector2( 10, 0 ) ), VectorEntryErrors.OFF_GRAPH,
+      'the tip is off the graph' );
+
+    graph.zoom( 1 );
+    assert.equal( graph.getVectorEntryError( new Vector2( 20, 0 ), new Vector2( 10, 0 ) ), VectorEntryErrors.OFF_GRAPH,
+      'the bounds of the zoomed graph' );
+
+    const horizontalGraph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ), {
+      orientation: VectorOrientations.HORIZONTAL
+    } );
+    assert.equal( horizontalGraph.getVectorEntryError( new Vector2( 1, 2 ), new Vector2( -1, 0 ) ), null,
+      'a horizontal vector' );
+    assert.equal( horizontalGraph.getVectorEntryError( new Vector2( 1, 2 ), new Vector2( 3, 4 ) ),
+      VectorEntryErrors.NOT_HORIZONTAL, 'vectors on a horizontal graph must be horizontal' );
+
+    const verticalGraph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ), {
+      orientation: VectorOrientations.VERTICAL
+    } );
+    assert.equal( verticalGraph.getVectorEntryError( new Vector2( 1, 2 ), new Vector2( 3, 0 ) ),
+      VectorEntryErrors.NOT_VERTICAL, 'vectors on a vertical graph must be vertical' );
+  } );
+} );
@@ -0,0 +1,23 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Possible styles of the grid of the graph.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  /**
+   * The grid can be drawn in 2 ways:
+   * 'CARTESIAN' - horizontal and vertical lines
+   * 'POLAR' - circles around the origin at integer radii and radial lines from the origin (see GraphNode)
+   */
+  const GridStyles = new Enumeration( [ 'CARTESIAN', 'POLAR' ] );
+
+  return vectorAddition.register( 'GridStyles', GridStyles );
+} );
@@ -0,0 +1,25 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Possible modes of the InspectVectorPanel.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  /**
+   * The selected vectors (see VectorSelection) can be inspected in 4 ways:
+   * 'ONE_VECTOR' - the magnitude, angle and components of the most recently selected vector
+   * 'DOT_PRODUCT' - the dot product, the angle between and the scalar projection of the two selected vectors
+   * 'CROSS_PRODUCT' - the z-component of the cross product of the two selected vectors, and the parallelogram they span
+   * 'PROJECTION' - the components of the most recently selected vector that are parallel and perpendicular to the other
+   */
+  const InspectModes = new Enumeration( [ 'ONE_VECTOR', 'DOT_PRODUCT', 'CROSS_PRODUCT', 'PROJECTION' ] );
+
+  return vectorAddition.register( 'InspectModes', InspectModes );
+} );
@@ -0,0 +1,38 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Model for the component of a vector that is parallel to a direction (see VectorProjection).
+ *
+ * @author Brandon Li
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const Vector2 = require( 'DOT/Vector2' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorComponent = require( 'VECTOR_ADDITION/common/model/VectorComponent' );
+
+
+  class ParallelVectorComponent extends VectorComponent {
+    /**
+     * Update the tail, and attributes vector (which will update the tip and magnitude)
+     * @override
+     * @param {VectorModel} parentVector - a vectorComponent is a component of a parentVector
+     * @param {Vector2|null} direction - the unit vector to project onto, null if there is no direction
+     */
+    updateComponent( parentVector, direction ) {
+
+      // shared tail position, so the components and the parent form a parallelogram
+      this.tail = parentVector.tail;
+
+      // the parent has no component along a missing direction
+      this.attributesVectorProperty.value = direction ?
+                                            direction.timesScalar( parentVector.components.dot( direction ) ) :
+                                            Vector2.ZERO;
+    }
+  }
+
+  return vectorAddition.register( 'ParallelVectorComponent', ParallelVectorComponent );
+} );
@@ -0,0 +1,39 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Model for the component of a vector that is perpendicular to a direction (see VectorProjection).
+ *
+ * @author Brandon Li
+ */
+
+define( require => {
+  'use strict';
+
+  // modules
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorComponent = require( 'VECTOR_ADDITION/common/model/VectorComponent' );
+
+
+  class PerpendicularVectorComponent extends VectorComponent {
+    /**
+     * Update the tail, and attributes vector (which will update the tip and magnitude)
+     * @override
+     * @param {VectorModel} parentVector - a vectorComponent is a component of a parentVector
+     * @param {Vector2|null} direction - the unit vector to project onto, null if there is no direction
+     */
+    updateComponent( parentVector, direction ) {
+
+      // shared tail position, so the components and the parent form a parallelogram
+      this.tail = parentVector.tail;
+
+      // the parallel component is subtracted, so the parent is the sum of the two components. Without a direction, the
+      // whole parent is perpendicular.
+      this.attributesVectorProperty.value = direction ?
+                                            parentVector.components.minus(
+                                              direction.timesScalar( parentVector.components.dot( direction ) ) ) :
+                                            parentVector.components;
+    }
+  }
+
+  return vectorAddition.register( 'PerpendicularVectorComponent', PerpendicularVectorComponent );
+} );
@@ -11,11 +11,16 @@ define( require => {
 
   // modules
   const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
   const Dimension2 = require( 'DOT/Dimension2' );
   const EnumerationProperty = require( 'AXON/EnumerationProperty' );
   const Graph = require( 'VECTOR_ADDITION/common/model/Graph' );
+  const SceneHistory = require( 'VECTOR_ADDITION/common/model/SceneHistory' );
+  const Tandem = require( 'TANDEM/Tandem' );
   const Vector2 = require( 'DOT/Vector2' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorDifference = require( 'VECTOR_ADDITION/common/model/VectorDifference' );
+  const VectorSelection = require( 'VECTOR_ADDITION/common/model/VectorSelection' );
 
   class Scene {
     /**
@@ -24,8 +29,10 @@ define( require => {
      * @param {Dimension2} graphDimension - the dimensions (width and height) of the graph
      * @param {Vector2} graphUpperLeftPosition - the model coordinates of the top left corner of the graph
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
+     * @param {Tandem} tandem
      */
-    constructor( graphDimension, graphUpperLeftPosition, componentStyleProperty ) {
+    constructor( graphDimension, graphUpperLeftPosition, componentStyleProperty, coordinateSnapModeProperty, tandem ) {
 
       // Type check
       assert && assert( graphDimension instanceof Dimension2,
@@ -35,23 +42,66 @@ define( require => {
       assert && assert( componentStyleProperty instanceof EnumerationProperty
       && ComponentStyles.includes( componentStyleProperty.value ),
         `invalid componentStyleProperty: ${componentStyleProperty}` );
+      assert && assert( coordinateSnapModeProperty instanceof EnumerationProperty
+      && CoordinateSnapModes.includes( coordinateSnapModeProperty.value ),
+        `invalid coordinateSnapModeProperty: ${coordinateSnapModeProperty}` );
+      assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
 
       //----------------------------------------------------------------------------------------
 
       // @public {graph} graph - the graph for this scene (each scene can only have one graph)
-      this.graph = new Graph( graphDimension, graphUpperLeftPosition );
+      this.graph = new Graph( graphDimension, graphUpperLeftPosition, {
+        tandem: tandem.createTandem( 'graph' )
+      } );
+
+      // @protected (read-only) {Tandem} - sub-classes instrument their vectorSets with this tandem
+      this.tandem = tandem;
 
       // @public (read-only) {array.<VectorSet>} vectorSets - array for the vector sets (each scene can have a
       // different number of vectorSets)
       this.vectorSets = [];
 
+      // @public (read-only) {Array.<VectorDifference>} - the differences of the vectors of the vectorSets, e.g. the
+      // difference of the sums of the Lab screen. They are listed after the vectorSets (see VectorTable and
+      // SceneExporter).
+      this.vectorDifferences = [];
+
+      // @public (read-only) {SceneHistory} - the undo/redo history of this scene
+      this.history = new SceneHistory( this );
+
+      // @public (read-only) {VectorSelection} - the vectors that are selected in this scene
+      this.vectorSelection = new VectorSelection();
+
 
       /*---------------------------------------------------------------------------*
-       * Sub Classes are Responsible for creating the vector sets
+       * Sub Classes are Responsible for creating the vector sets and adding them with addVectorSet
        *---------------------------------------------------------------------------*/
 
     }
 
+    /**
+     * @protected
+     * Add a vector set to this scene
+     * @param {VectorSet} vectorSet
+     */
+    addVectorSet( vectorSet ) {
+      this.vectorSets.push( vectorSet );
+      this.history.addVectorSet( vectorSet );
+      this.vectorSelection.addVectorSet( vectorSet );
+    }
+
+    /**
+     * @protected
+     * Add a vector difference to this scene
+     * @param {VectorDifference} vectorDifference
+     */
+    addVectorDifference( vectorDifference ) {
+      assert && assert( vectorDifference instanceof VectorDifference, `invalid vectorDifference: ${vectorDifference}` );
+
+      this.vectorDifferences.push( vectorDifference );
+      this.vectorSelection.addVector( vectorDifference );
+    }
+
     /**
      * @public
      * Reset the scene
@@ -60,6 +110,41 @@ define( require => {
       // reset the graph
       this.graph.reset();
       this.resetVectorSets();
+      this.history.reset();
+      this.vectorSelection.reset();
+    }
+
+    /**
+     * @public
+     * Serialize the scene to a plain object
+     * @returns {Object}
+     */
+    toJSON() {
+      return {
+        graphUpperLeftPosition: this.graph.upperLeftPositionProperty.value.toStateObject(),
+        zoomLevel: this.graph.zoomLevelProperty.value,
+        axesAngle: this.graph.axesAngleProperty.value,
+        vectorSets: this.vectorSets.map( vectorSet => vectorSet.toJSON() )
+      };
+    }
+
+    /**
+     * @public
+     * Restore the scene from an object created by toJSON
+     * @param {Object} stateObject
+     */
+    fromJSON( stateObject ) {
+      assert && assert( stateObject.vectorSets.length === this.vectorSets.length,
+        `mismatched number of vectorSets: ${stateObject.vectorSets.length}` );
+
+      // Restore the graph first, since moving the origin moves the vectors that are on the graph
+      this.graph.upperLeftPositionProperty.value = Vector2.fromStateObject( stateObject.graphUpperLeftPosition );
+      this.graph.zoomLevelProperty.value = stateObject.zoomLevel;
+      this.graph.axesAngleProperty.value = stateObject.axesAngle;
+
+      this.vectorSets.forEach( ( vectorSet, index ) => {
+        vectorSet.fromJSON( stateObject.vectorSets[ index ] );
+      } );
     }
 
     /**
@@ -0,0 +1,187 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Exports the vectors of a scene, e.g. to paste them into worksheets. Like the VectorTable, the vectors of each
+ * vectorSet are followed by its sum, the differences of the scene (e.g. the difference of the Lab screen) come after
+ * the vectorSets, and the angle, the components and the tail position are measured along the axes of the graph, which
+ * may be rotated (see Graph.axesAngleProperty). The values are rounded to the decimal places that the VectorTable
+ * shows.
+ *
+ * The vectors are exported as CSV, with a row per vector, or as LaTeX: a tabular of the vectors, and an equation with
+ * the numeric components for the sum of each vectorSet that has vectors (e.g. a⃗ + b⃗ = s⃗). The equations use the
+ * pmatrix environment of the amsmath package. Labels that several vectors of the scene have, e.g. the default labels of
+ * the Lab screen, get a subscript with the number of the vectorSet, and the number of the vector within the vectorSet
+ * if needed (e.g. v⃗₁,₂ is the second v⃗ of the first vectorSet, and s⃗₂ is the sum of the second vectorSet).
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Scene = require( 'VECTOR_ADDITION/common/model/Scene' );
+  const Util = require( 'DOT/Util' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  // constants
+  const CSV_HEADER = [ 'vectorSet', 'type', 'label', 'magnitude', 'angle', 'xComponent', 'yComponent', 'tailX',
+    'tailY' ];
+  const LATEX_HEADER = [ '', '$|\\vec{v}|$', '$\\theta$ ($^\\circ$)', '$v_x$', '$v_y$', 'tail' ];
+
+  const SceneExporter = {
+
+    /**
+     * Exports the vectors of a scene as CSV
+     * @public
+     * @param {Scene} scene
+     * @returns {string}
+     */
+    toCSV( scene ) {
+      assert && assert( scene instanceof Scene, `invalid scene: ${scene}` );
+
+      const lines = [ CSV_HEADER ].concat( getRows( scene ).map( row => {
+        const values = getValues( row.vector );
+        return [
+          row.vectorSet ? row.vectorSet.vectorType.name : '',
+          row.type,
+          row.vector.label,
+          values.magnitude,
+          values.angle,
+          values.xComponent,
+          values.yComponent,
+          values.tailX,
+          values.tailY
+        ];
+      } ) );
+
+      return lines.map( line => line.map( escapeCSV ).join( ',' ) ).join( '\n' ) + '\n';
+    },
+
+    /**
+     * Exports the vectors of a scene as LaTeX
+     * @public
+     * @param {Scene} scene
+     * @returns {string}
+     */
+    toLaTeX( scene ) {
+      assert && assert( scene instanceof Scene, `invalid scene: ${scene}` );
+
+      const rows = getRows( scene );
+      const labels = getLaTeXLabels( rows );
+      const getLaTeXLabel = vector => labels[ _.findIndex( rows, row => row.vector === vector ) ];
+
+      const tableLines = rows.map( ( row, index ) => {
+        const values = getValues( row.vector );
+        return [
+          `$${labels[ index ]}$`,
+          `$${values.magnitude}$`,
+          `$${values.angle}$`,
+          `$${values.xComponent}$`,
+          `$${values.yComponent}$`,
+          `$(${values.tailX}, ${values.tailY})$`
+        ].join( ' & ' ) + ' \\\\';
+      } );
+
+      const tabular = [
+        '\\begin{tabular}{lrrrrr}',
+        LATEX_HEADER.join( ' & ' ) + ' \\\\',
+        '\\hline'
+      ].concat( tableLines, [ '\\end{tabular}' ] ).join( '\n' );
+
+      // an equation for the sum of each vectorSet that has vectors
+      const equations = scene.vectorSets
+        .filter( vectorSet => vectorSet.vectorSum.summedVectors.length > 0 )
+        .map( vectorSet => {
+          const vectorSum = vectorSet.vectorSum;
+          const summedVectors = vectorSum.summedVectors;
+          return [
+            '\\begin{equation}',
+            `${summedVectors.map( getLaTeXLabel ).join( ' + ' )} = ${getLaTeXLabel( vectorSum )}, \\quad`,
+            `${summedVectors.map( getLaTeXComponents ).join( ' + ' )} = ${getLaTeXComponents( vectorSum )}`,
+            '\\end{equation}'
+          ].join( '\n' );
+        } );
+
+      return [ tabular ].concat( equations ).join( '\n\n' ) + '\n';
+    }
+  };
+
+  /**
+   * Gets the rows of the vectors of a scene: the vectors of each vectorSet followed by its sum, and then the
+   * differences, which aren't of a vectorSet
+   * @param {Scene} scene
+   * @returns {Array.<{vectorSet: VectorSet|null, vector: VectorModel, type: string}>} - type is 'vector', 'sum' or
+   *   'difference'
+   */
+  function getRows( scene ) {
+    return _.flatten( scene.vectorSets.map( vectorSet =>
+      vectorSet.vectors.getArray().map( vector => ( { vectorSet: vectorSet, vector: vector, type: 'vector' } ) )
+        .concat( [ { vectorSet: vectorSet, vector: vectorSet.vectorSum, type: 'sum' } ] ) ) )
+      .concat( scene.vectorDifferences.map( vector => ( { vectorSet: null, vector: vector, type: 'difference' } ) ) );
+  }
+
+  /**
+   * Gets the rounded values of a vector, measured along the axes of the graph. The magnitude and angle generally
+   * aren't multiples of the snap resolution, so they have one more decimal place.
+   * @param {VectorModel} vector
+   * @returns {{magnitude: string, angle: string, xComponent: string, yComponent: string, tailX: string, tailY: string}}
+   */
+  function getValues( vector ) {
+    const componentDecimalPlaces = Util.numberOfDecimalPlaces( vector.snapResolutionProperty.value );
+    const attributeDecimalPlaces = componentDecimalPlaces + 1;
+    const axesTail = vector.tail.rotated( -vector.axesAngleProperty.value );
+
+    return {
+      magnitude: Util.toFixed( vector.magnitudeProperty.value, attributeDecimalPlaces ),
+      angle: Util.toFixed( vector.angleDegreesProperty.value, attributeDecimalPlaces ),
+      xComponent: Util.toFixed( vector.xComponentProperty.value, componentDecimalPlaces ),
+      yComponent: Util.toFixed( vector.yComponentProperty.value, componentDecimalPlaces ),
+      tailX: Util.toFixed( axesTail.x, componentDecimalPlaces ),
+      tailY: Util.toFixed( axesTail.y, componentDecimalPlaces )
+    };
+  }
+
+  /**
+   * Gets the labels of the vectors of the rows. A label that several vectors have gets a subscript with the number of
+   * the vectorSet, and the number of the vector among the vectors of the vectorSet with the label if there are several.
+   * @param {Array.<{vectorSet: VectorSet|null, vector: VectorModel, type: string}>} rows - see getRows
+   * @returns {Array.<string>} - the label of the vector of each row, in LaTeX math mode
+   */
+  function getLaTeXLabels( rows ) {
+    const vectorSets = _.uniq( rows.map( row => row.vectorSet ) );
+
+    return rows.map( row => {
+      const label = row.vector.label;
+      const labelRows = rows.filter( otherRow => otherRow.vector.label === label );
+      if ( labelRows.length === 1 ) {
+        return `\\vec{${label}}`;
+      }
+
+      const vectorSetRows = labelRows.filter( otherRow => otherRow.vectorSet === row.vectorSet );
+      const vectorSetNumber = vectorSets.indexOf( row.vectorSet ) + 1;
+      const subscript = vectorSetRows.length === 1 ? `${vectorSetNumber}` :
+                        `${vectorSetNumber},${vectorSetRows.indexOf( row ) + 1}`;
+      return `\\vec{${label}}_{${subscript}}`;
+    } );
+  }
+
+  /**
+   * @param {VectorModel} vector
+   * @returns {string} - the components of the vector as a column vector, in LaTeX math mode
+   */
+  function getLaTeXComponents( vector ) {
+    const values = getValues( vector );
+    return `\\begin{pmatrix} ${values.xComponent} \\\\ ${values.yComponent} \\end{pmatrix}`;
+  }
+
+  /**
+   * Quotes a CSV value if it contains a comma, a quote or a line break, and escapes its quotes
+   * @param {string} value
+   * @returns {string}
+   */
+  function escapeCSV( value ) {
+    return /[",\n]/.test( value ) ? `"${value.replace( /"/g, '""' )}"` : value;
+  }
+
+  return vectorAddition.register( 'SceneExporter', SceneExporter );
+} );
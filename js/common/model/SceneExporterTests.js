@@ -0,0 +1,69 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * SceneExporter tests. The vectors of an Explore2DScene are exported.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const SceneExporter = require( 'VECTOR_ADDITION/common/model/SceneExporter' );
+  const SceneTestUtils = require( 'VECTOR_ADDITION/common/model/SceneTestUtils' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  QUnit.module( 'SceneExporter' );
+
+  /**
+   * Creates a scene with the vectors a⃗ = (3, 4) and b⃗ = (-1, 2), both with their tail at (1, 1)
+   * @returns {Explore2DScene}
+   */
+  function createScene() {
+    const scene = SceneTestUtils.createExplore2DScene();
+    SceneTestUtils.addVector( scene.vectorSet, 3, 4, { label: 'a' } );
+    SceneTestUtils.addVector( scene.vectorSet, -1, 2, { label: 'b' } );
+    return scene;
+  }
+
+  QUnit.test( 'toCSV', assert => {
+    const lines = SceneExporter.toCSV( createScene() ).split( '\n' );
+
+    assert.equal( lines[ 0 ], 'vectorSet,type,label,magnitude,angle,xComponent,yComponent,tailX,tailY', 'header' );
+    assert.equal( lines[ 1 ], 'ONE,vector,a,5.0,53.1,3,4,1,1', 'the first vector' );
+    assert.equal( lines[ 2 ], 'ONE,vector,b,2.2,116.6,-1,2,1,1', 'the second vector' );
+    assert.equal( lines[ 3 ], 'ONE,sum,s,6.3,71.6,2,6,25,15', 'the sum follows the vectors of its vectorSet' );
+    assert.equal( lines.length, 5, 'the CSV ends with a line break' );
+  } );
+
+  QUnit.test( 'toLaTeX', assert => {
+    const scene = createScene();
+    const latex = SceneExporter.toLaTeX( scene );
+
+    assert.ok( latex.indexOf( '$\\vec{b}$ & $2.2$ & $116.6$ & $-1$ & $2$ & $(1, 1)$ \\\\' ) >= 0,
+      'a row of the table' );
+    assert.ok( latex.indexOf( '\\vec{a} + \\vec{b} = \\vec{s}' ) >= 0, 'the equation of the sum' );
+    assert.ok( latex.indexOf( '\\begin{pmatrix} 3 \\\\ 4 \\end{pmatrix} + ' +
+                              '\\begin{pmatrix} -1 \\\\ 2 \\end{pmatrix} = ' +
+                              '\\begin{pmatrix} 2 \\\\ 6 \\end{pmatrix}' ) >= 0, 'the components of the equation' );
+
+    scene.vectorSet.vectors.clear();
+    assert.equal( SceneExporter.toLaTeX( scene ).indexOf( '\\begin{equation}' ), -1, 'no equation without vectors' );
+  } );
+
+  QUnit.test( 'toLaTeX labels', assert => {
+    const scene = SceneTestUtils.createLabScene( [ VectorTypes.ONE, VectorTypes.TWO ] );
+    SceneTestUtils.addVector( scene.groupVectorSets[ 0 ], 3, 4 );
+    SceneTestUtils.addVector( scene.groupVectorSets[ 0 ], -1, 2 );
+    SceneTestUtils.addVector( scene.groupVectorSets[ 1 ], 1, 1 );
+    const latex = SceneExporter.toLaTeX( scene );
+
+    assert.ok( latex.indexOf( '\\vec{v}_{1,1} + \\vec{v}_{1,2} = \\vec{s}_{1}' ) >= 0,
+      'the vectors of a vectorSet with the same label are numbered' );
+    assert.ok( latex.indexOf( '\\vec{v}_{2} = \\vec{s}_{2}' ) >= 0, 'the labels have the number of the vectorSet' );
+    assert.ok( latex.indexOf( '$\\vec{d}$ & $5.1$ & $78.7$ & $1$ & $5$ & $(26, 16)$ \\\\' ) >= 0,
+      'the difference follows the sums' );
+    assert.equal( _.last( SceneExporter.toCSV( scene ).trim().split( '\n' ) ), ',difference,d,5.1,78.7,1,5,26,16',
+      'the difference is exported as CSV too' );
+  } );
+} );
@@ -0,0 +1,220 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Model for the undo/redo history of a Scene. Each scene has its own history.
+ *
+ * The history records the graph origin and the vectors of each vectorSet (see Scene.toJSON). An entry is recorded:
+ *  1. when a vector is added or removed (a vector that is added while being dragged is recorded when the drag ends)
+ *  2. when a vector is released after dragging its tail or tip, so that each drag is one entry
+ *  3. when the origin of the graph is released after dragging
+ *  4. once at the end of a batch (see batch), for example when the eraser clears the vectors
+ *
+ * Entries are only recorded if the scene changed. Other settings of the scene (such as the sum visibility) aren't part
+ * of the history.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  class SceneHistory {
+    /**
+     * @constructor
+     * @param {Scene} scene
+     */
+    constructor( scene ) {
+
+      // @private {Scene}
+      this.scene = scene;
+
+      // @private {Array.<Object>} - snapshots (see takeSnapshot) to restore when undoing and redoing
+      this.undoStack = [];
+      this.redoStack = [];
+
+      // @private {Object} - snapshot of the scene after the last recorded entry
+      this.currentSnapshot = this.takeSnapshot();
+
+      // @private {boolean} - indicates if changes to the scene shouldn't be recorded
+      this.isRecordingSuspended = false;
+
+      // @public (read-only) {BooleanProperty} - indicates if there is an entry to undo
+      this.canUndoProperty = new BooleanProperty( false );
+
+      // @public (read-only) {BooleanProperty} - indicates if there is an entry to redo
+      this.canRedoProperty = new BooleanProperty( false );
+
+      // Record when the origin is released. Graphs last for the lifetime of the sim, so no need to unlink.
+      scene.graph.isOriginActiveProperty.lazyLink( isOriginActive => {
+        if ( !isOriginActive ) {
+          this.record();
+        }
+      } );
+    }
+
+    /**
+     * Observe the vectors of a vectorSet. Called when the vectorSet is added to the scene.
+     * @public
+     * @param {VectorSet} vectorSet
+     */
+    addVectorSet( vectorSet ) {
+
+      // function to observe a vector in the vector set
+      const observeVector = addedVector => {
+
+        const vectorActiveListener = isActive => {
+          if ( !isActive ) {
+            this.record();
+          }
+        };
+        addedVector.isActiveProperty.lazyLink( vectorActiveListener );
+
+        const vectorRemovedListener = removedVector => {
+          if ( removedVector === addedVector ) {
+
+            // the vector may already be disposed, which removes its listeners
+            if ( removedVector.isActiveProperty.hasListener( vectorActiveListener ) ) {
+              removedVector.isActiveProperty.unlink( vectorActiveListener );
+            }
+            vectorSet.vectors.removeItemRemovedListener( vectorRemovedListener );
+            this.record();
+          }
+        };
+        vectorSet.vectors.addItemRemovedListener( vectorRemovedListener );
+
+        // vectors that are added while being dragged are recorded when the drag ends
+        if ( !addedVector.isActiveProperty.value ) {
+          this.record();
+        }
+      };
+
+      vectorSet.vectors.forEach( observeVector );
+
+      // VectorSets exist for the lifetime of the sim, so no need to remove the listener
+      vectorSet.vectors.addItemAddedListener( observeVector );
+
+      this.currentSnapshot = this.takeSnapshot();
+    }
+
+    /**
+     * Make changes to the scene that are recorded as one entry, for example clearing the vectors with the eraser.
+     * @public
+     * @param {function} callback - makes the changes
+     */
+    batch( callback ) {
+      this.suspendRecording( callback );
+      this.record();
+    }
+
+    /**
+     * Undo the last entry
+     * @public
+     */
+    undo() {
+      if ( this.undoStack.length ) {
+        this.redoStack.push( this.currentSnapshot );
+        this.restore( this.undoStack.pop() );
+      }
+    }
+
+    /**
+     * Redo the last undone entry
+     * @public
+     */
+    redo() {
+      if ( this.redoStack.length ) {
+        this.undoStack.push( this.currentSnapshot );
+        this.restore( this.redoStack.pop() );
+      }
+    }
+
+    /**
+     * Clear the history, keeping the scene as is
+     * @public
+     */
+    reset() {
+      this.undoStack = [];
+      this.redoStack = [];
+      this.currentSnapshot = this.takeSnapshot();
+      this.updateCanUndoRedo();
+    }
+
+    /**
+     * Record an entry if the scene changed since the last entry
+     * @private
+     */
+    record() {
+      if ( this.isRecordingSuspended ) {
+        return;
+      }
+
+      const snapshot = this.takeSnapshot();
+
+      if ( JSON.stringify( snapshot ) !== JSON.stringify( this.currentSnapshot ) ) {
+        this.undoStack.push( this.currentSnapshot );
+        this.redoStack = [];
+        this.currentSnapshot = snapshot;
+        this.updateCanUndoRedo();
+      }
+    }
+
+    /**
+     * Restore the scene to a snapshot
+     * @private
+     * @param {Object} snapshot
+     */
+    restore( snapshot ) {
+
+      // Keep the parts of the scene that aren't in the history as is
+      const stateObject = this.scene.toJSON();
+      stateObject.graphUpperLeftPosition = snapshot.graphUpperLeftPosition;
+      stateObject.vectorSets.forEach( ( vectorSetStateObject, index ) => {
+        vectorSetStateObject.vectors = snapshot.vectorSets[ index ];
+      } );
+
+      this.suspendRecording( () => {
+        this.scene.fromJSON( stateObject );
+      } );
+
+      this.currentSnapshot = snapshot;
+      this.updateCanUndoRedo();
+    }
+
+    /**
+     * Create a snapshot of the parts of the scene that are in the history
+     * @private
+     * @returns {Object}
+     */
+    takeSnapshot() {
+      return {
+        graphUpperLeftPosition: this.scene.graph.upperLeftPositionProperty.value.toStateObject(),
+        vectorSets: this.scene.vectorSets.map( vectorSet => vectorSet.toJSON().vectors )
+      };
+    }
+
+    /**
+     * Make changes to the scene without recording them
+     * @private
+     * @param {function} callback - makes the changes
+     */
+    suspendRecording( callback ) {
+      const wasRecordingSuspended = this.isRecordingSuspended;
+      this.isRecordingSuspended = true;
+      callback();
+      this.isRecordingSuspended = wasRecordingSuspended;
+    }
+
+    /**
+     * @private
+     */
+    updateCanUndoRedo() {
+      this.canUndoProperty.value = this.undoStack.length > 0;
+      this.canRedoProperty.value = this.redoStack.length > 0;
+    }
+  }
+
+  return vectorAddition.register( 'SceneHistory', SceneHistory );
+} );
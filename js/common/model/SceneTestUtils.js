@@ -0,0 +1,99 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Creates the scenes of the unit tests, and adds vectors to them the way the creator panel does. The scenes aren't
+ * instrumented, and their graphs have the same dimensions and origin.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
+  const Dimension2 = require( 'DOT/Dimension2' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const Explore2DScene = require( 'VECTOR_ADDITION/explore2D/model/Explore2DScene' );
+  const LabScene = require( 'VECTOR_ADDITION/lab/model/LabScene' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  // constants
+  const GRAPH_DIMENSION = new Dimension2( 60, 40 );
+  const GRAPH_UPPER_LEFT_POSITION = new Vector2( -5, 35 );
+
+  const SceneTestUtils = {
+
+    // @public {Vector2} - the position of the upper left corner of the graphs of the scenes
+    GRAPH_UPPER_LEFT_POSITION: GRAPH_UPPER_LEFT_POSITION,
+
+    /**
+     * Creates an Explore2DScene with vectors of group one
+     * @public
+     * @returns {Explore2DScene}
+     */
+    createExplore2DScene() {
+      return new Explore2DScene(
+        GRAPH_DIMENSION,
+        GRAPH_UPPER_LEFT_POSITION,
+        createComponentStyleProperty(),
+        createCoordinateSnapModeProperty(),
+        new BooleanProperty( false ),
+        VectorTypes.ONE,
+        Tandem.optional );
+    },
+
+    /**
+     * Creates a LabScene with a vectorSet for each group
+     * @public
+     * @param {Array.<VectorGroup>} vectorGroups
+     * @returns {LabScene}
+     */
+    createLabScene( vectorGroups ) {
+      return new LabScene(
+        GRAPH_DIMENSION,
+        GRAPH_UPPER_LEFT_POSITION,
+        createComponentStyleProperty(),
+        createCoordinateSnapModeProperty(),
+        vectorGroups,
+        vectorGroups.map( () => new BooleanProperty( false ) ),
+        Tandem.optional );
+    },
+
+    /**
+     * Adds a vector with its tail at (1, 1) the way the creator panel does, i.e. the vector is added while it is
+     * dragged and then released
+     * @public
+     * @param {VectorSet} vectorSet
+     * @param {number} xComponent
+     * @param {number} yComponent
+     * @param {Object} [options] - passed to VectorSet.addVector
+     * @returns {VectorModel}
+     */
+    addVector( vectorSet, xComponent, yComponent, options ) {
+      const vector = vectorSet.addVector( new Vector2( 1, 1 ), xComponent, yComponent, options );
+      vector.isActiveProperty.value = false;
+      return vector;
+    }
+  };
+
+  /**
+   * @returns {EnumerationProperty.<ComponentStyles>}
+   */
+  function createComponentStyleProperty() {
+    return new EnumerationProperty( ComponentStyles, ComponentStyles.INVISIBLE );
+  }
+
+  /**
+   * @returns {EnumerationProperty.<CoordinateSnapModes>}
+   */
+  function createCoordinateSnapModeProperty() {
+    return new EnumerationProperty( CoordinateSnapModes, CoordinateSnapModes.CARTESIAN );
+  }
+
+  return vectorAddition.register( 'SceneTestUtils', SceneTestUtils );
+} );
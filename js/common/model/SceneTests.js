@@ -0,0 +1,82 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Scene and VectorSet tests. Scene is abstract, so an Explore2DScene is tested.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const SceneTestUtils = require( 'VECTOR_ADDITION/common/model/SceneTestUtils' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  QUnit.module( 'Scene' );
+
+  QUnit.test( 'VectorSet reset', assert => {
+    const vectorSet = SceneTestUtils.createExplore2DScene().vectorSet;
+    vectorSet.sumVisibleProperty.value = true;
+    SceneTestUtils.addVector( vectorSet, 1, 2 );
+    SceneTestUtils.addVector( vectorSet, 3, 4 );
+
+    vectorSet.reset();
+    assert.equal( vectorSet.vectors.length, 0, 'vectors are removed' );
+    assert.ok( vectorSet.vectorSum.components.equals( Vector2.ZERO ), 'sum is zero' );
+    assert.ok( vectorSet.sumVisibleProperty.value, 'sum visibility is reset by the model, not the vectorSet' );
+  } );
+
+  QUnit.test( 'Scene reset', assert => {
+    const scene = SceneTestUtils.createExplore2DScene();
+    SceneTestUtils.addVector( scene.vectorSet, 1, 2 );
+    scene.graph.upperLeftPositionProperty.value = new Vector2( -10, 20 );
+    assert.ok( scene.history.canUndoProperty.value, 'adding a vector is recorded' );
+
+    scene.resetVectorSets();
+    assert.equal( scene.vectorSet.vectors.length, 0, 'resetVectorSets removes the vectors' );
+    assert.ok( scene.graph.upperLeftPositionProperty.value.equals( new Vector2( -10, 20 ) ),
+      'resetVectorSets keeps the origin' );
+
+    SceneTestUtils.addVector( scene.vectorSet, 3, 4 );
+    scene.reset();
+    assert.equal( scene.vectorSet.vectors.length, 0, 'reset removes the vectors' );
+    assert.ok( scene.vectorSet.vectorSum.components.equals( Vector2.ZERO ), 'sum is zero' );
+    assert.ok( scene.graph.upperLeftPositionProperty.value.equals( SceneTestUtils.GRAPH_UPPER_LEFT_POSITION ),
+      'origin is reset' );
+    assert.ok( !scene.history.canUndoProperty.value, 'history is cleared' );
+    assert.ok( !scene.history.canRedoProperty.value, 'history is cleared' );
+  } );
+
+  QUnit.test( 'toJSON and fromJSON', assert => {
+    const scene = SceneTestUtils.createExplore2DScene();
+    SceneTestUtils.addVector( scene.vectorSet, 1, 2 );
+    scene.graph.zoom( 1 );
+    scene.graph.axesAngleProperty.value = Math.PI / 6;
+    const stateObject = scene.toJSON();
+
+    const restoredScene = SceneTestUtils.createExplore2DScene();
+    restoredScene.fromJSON( stateObject );
+    assert.equal( restoredScene.graph.zoomLevelProperty.value, 1, 'the zoom level is restored' );
+    assert.equal( restoredScene.graph.axesAngleProperty.value, Math.PI / 6, 'the axes angle is restored' );
+    assert.equal( restoredScene.vectorSet.vectors.length, 1, 'the vectors are restored' );
+    assert.deepEqual( restoredScene.toJSON(), stateObject, 'the restored scene serializes the same' );
+  } );
+
+  QUnit.test( 'fromJSON keeps the tandems of the vectors', assert => {
+    const scene = SceneTestUtils.createExplore2DScene();
+    const firstVector = SceneTestUtils.addVector( scene.vectorSet, 1, 2 );
+    const secondVector = SceneTestUtils.addVector( scene.vectorSet, 3, 4 );
+    scene.vectorSet.returnVector( firstVector );
+
+    const stateObject = scene.toJSON();
+    scene.fromJSON( stateObject );
+    assert.equal( scene.vectorSet.vectors.get( 0 ).tandemName, secondVector.tandemName,
+      'the vector is re-created with its tandem' );
+
+    // restore a vector with the tandem that the next vector would get, after vector0 and vector1
+    stateObject.vectorSets[ 0 ].vectors[ 0 ].tandemName = 'vector2';
+    scene.fromJSON( stateObject );
+    assert.equal( SceneTestUtils.addVector( scene.vectorSet, 5, 6 ).tandemName, 'vector3',
+      'new vectors skip the tandems in use' );
+  } );
+} );
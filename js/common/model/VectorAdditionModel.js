@@ -21,48 +21,83 @@ define( require => {
   const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
   const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
   const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const GridStyles = require( 'VECTOR_ADDITION/common/model/GridStyles' );
   const Scene = require( 'VECTOR_ADDITION/common/model/Scene' );
+  const Tandem = require( 'TANDEM/Tandem' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorOrientations = require( 'VECTOR_ADDITION/common/model/VectorOrientations' );
 
   // constants
   const STARTING_COMPONENT_STYLE = ComponentStyles.INVISIBLE;
   const STARTING_COORDINATE_SNAP_MODE = CoordinateSnapModes.CARTESIAN;
+  const STARTING_GRID_STYLE = GridStyles.CARTESIAN;
   const STARTING_VECTOR_ORIENTATION = VectorOrientations.TWO_DIMENSIONAL;
 
   class VectorAdditionModel {
     /**
      * @constructor
      * @param {Tandem} tandem
+     * @param {Object} [options]
      */
-    constructor( tandem ) {
+    constructor( tandem, options ) {
+
+      options = _.extend( {
+        vectorOrientation: STARTING_VECTOR_ORIENTATION // {VectorOrientations} - the initial orientation of the vectors
+      }, options );
+
+      assert && assert( tandem instanceof Tandem, `invalid tandem: ${tandem}` );
+
+      // @protected (read-only) {Tandem} - sub-classes instrument their sum visibility properties and scenes with this
+      this.tandem = tandem;
 
       //----------------------------------------------------------------------------------------
       // Visibility Properties
       // @public {BooleanProperty}
-      this.valuesVisibleProperty = new BooleanProperty( false );
+      this.valuesVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'valuesVisibleProperty' )
+      } );
 
       // @public {BooleanProperty}
-      this.gridVisibleProperty = new BooleanProperty( true );
+      this.gridVisibleProperty = new BooleanProperty( true, {
+        tandem: tandem.createTandem( 'gridVisibleProperty' )
+      } );
+
+      // @public {BooleanProperty} - controls the visibility of the numeric labels of the major ticks of the axes
+      this.tickLabelsVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'tickLabelsVisibleProperty' )
+      } );
 
       // @public {BooleanProperty} - controls the visibility of the angle
-      this.angleVisibleProperty = new BooleanProperty( false );
+      this.angleVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'angleVisibleProperty' )
+      } );
 
       // The Sum Visibility Property is created in sub-classes since there is an unknown amount of sum visibility
-      // properties. Example: the Lab screen has two sum visibility properties
-      this.createSumVisibilityProperties();
+      // properties. Example: the Lab screen has a sum visibility property for each group of vectors
+      this.createSumVisibilityProperties( options );
 
 
       //----------------------------------------------------------------------------------------
       // Enumeration Properties
       // @public {EnumerationProperty<ComponentStyles>} - controls the visibility of the component styles
-      this.componentStyleProperty = new EnumerationProperty( ComponentStyles, STARTING_COMPONENT_STYLE );
+      this.componentStyleProperty = new EnumerationProperty( ComponentStyles, STARTING_COMPONENT_STYLE, {
+        tandem: tandem.createTandem( 'componentStyleProperty' )
+      } );
 
       // @public {EnumerationProperty<CoordinateSnapModes>} - controls the snapping mode for the vectors
-      this.coordinateSnapModeProperty = new EnumerationProperty( CoordinateSnapModes, STARTING_COORDINATE_SNAP_MODE );
+      this.coordinateSnapModeProperty = new EnumerationProperty( CoordinateSnapModes, STARTING_COORDINATE_SNAP_MODE, {
+        tandem: tandem.createTandem( 'coordinateSnapModeProperty' )
+      } );
+
+      // @public {EnumerationProperty.<GridStyles>} - controls how the grid of the graph is drawn
+      this.gridStyleProperty = new EnumerationProperty( GridStyles, STARTING_GRID_STYLE, {
+        tandem: tandem.createTandem( 'gridStyleProperty' )
+      } );
 
       // @public {EnumerationProperty.<VectorOrientations>} - controls the orientation of the vectors
-      this.vectorOrientationProperty = new EnumerationProperty( VectorOrientations, STARTING_VECTOR_ORIENTATION );
+      this.vectorOrientationProperty = new EnumerationProperty( VectorOrientations, options.vectorOrientation, {
+        tandem: tandem.createTandem( 'vectorOrientationProperty' )
+      } );
 
 
       //----------------------------------------------------------------------------------------
@@ -73,7 +108,7 @@ define( require => {
 
       // Method to create scenes. Since there is an unknown amount of scenes, call an abstract method to create the
       // scenes. Example: Explore1D has a vertical and a horizontal scene.
-      this.createScenes();
+      this.createScenes( options );
 
       // Make sure that that the scenes were added correctly
       assert && assert( this.scenes.filter( scene => !( scene instanceof Scene ) ).length === 0,
@@ -90,6 +125,7 @@ define( require => {
       // Reset the visible properties
       this.valuesVisibleProperty.reset();
       this.gridVisibleProperty.reset();
+      this.tickLabelsVisibleProperty.reset();
       this.angleVisibleProperty.reset();
 
       // Call an abstract method to reset the sum visibility properties
@@ -98,6 +134,7 @@ define( require => {
       // Reset the enumeration properties
       this.componentStyleProperty.reset();
       this.coordinateSnapModeProperty.reset();
+      this.gridStyleProperty.reset();
       this.vectorOrientationProperty.reset();
 
       // Reset every scene
@@ -106,21 +143,74 @@ define( require => {
       } );
     }
 
+    /**
+     * @public
+     * Serialize the model to a plain object. The sum visibility is serialized by each VectorSet.
+     * @returns {Object}
+     */
+    toJSON() {
+      return {
+        valuesVisible: this.valuesVisibleProperty.value,
+        gridVisible: this.gridVisibleProperty.value,
+        tickLabelsVisible: this.tickLabelsVisibleProperty.value,
+        angleVisible: this.angleVisibleProperty.value,
+        componentStyle: ComponentStyles.KEYS[ ComponentStyles.VALUES.indexOf( this.componentStyleProperty.value ) ],
+        coordinateSnapMode:
+          CoordinateSnapModes.KEYS[ CoordinateSnapModes.VALUES.indexOf( this.coordinateSnapModeProperty.value ) ],
+        gridStyle: GridStyles.KEYS[ GridStyles.VALUES.indexOf( this.gridStyleProperty.value ) ],
+        scenes: this.scenes.map( scene => scene.toJSON() )
+      };
+    }
+
+    /**
+     * @public
+     * Restore the model from an object created by toJSON
+     * @param {Object} stateObject
+     */
+    fromJSON( stateObject ) {
+      assert && assert( ComponentStyles.KEYS.includes( stateObject.componentStyle ),
+        `invalid componentStyle: ${stateObject.componentStyle}` );
+      assert && assert( CoordinateSnapModes.KEYS.includes( stateObject.coordinateSnapMode ),
+        `invalid coordinateSnapMode: ${stateObject.coordinateSnapMode}` );
+      assert && assert( GridStyles.KEYS.includes( stateObject.gridStyle ),
+        `invalid gridStyle: ${stateObject.gridStyle}` );
+      assert && assert( stateObject.scenes.length === this.scenes.length,
+        `mismatched number of scenes: ${stateObject.scenes.length}` );
+
+      this.valuesVisibleProperty.value = stateObject.valuesVisible;
+      this.gridVisibleProperty.value = stateObject.gridVisible;
+      this.tickLabelsVisibleProperty.value = stateObject.tickLabelsVisible;
+      this.angleVisibleProperty.value = stateObject.angleVisible;
+      this.componentStyleProperty.value = ComponentStyles[ stateObject.componentStyle ];
+      this.gridStyleProperty.value = GridStyles[ stateObject.gridStyle ];
+
+      // Restore the snap mode before the scenes, since changing it snaps the vectors that are on the graph
+      this.coordinateSnapModeProperty.value = CoordinateSnapModes[ stateObject.coordinateSnapMode ];
+
+      this.scenes.forEach( ( scene, index ) => {
+        scene.fromJSON( stateObject.scenes[ index ] );
+      } );
+    }
+
     /**
      * @abstract
      * @private
      * Create the Sum Visibility properties. Since there is an unknown amount of sum visibility, use an abstract method to create them.
      * Sub-classes MUST implement this method
+     * @param {Object} options - the options of the model, which sub-classes may extend to configure the properties
      */
-    createSumVisibilityProperties() { throw new Error( 'createSumVisibilityProperties must be implemented by sub classes' ); }
+    createSumVisibilityProperties( options ) {
+      throw new Error( 'createSumVisibilityProperties must be implemented by sub classes' );
+    }
 
     /**
      * @abstract
      * @private
      * Create the scenes. Since there is an unknown amount of scenes, use an abstract method to create them.
      * Sub-classes MUST implement this method
+     * @param {Object} options - the options of the model, which sub-classes may extend to configure the scenes
      */
-    createScenes() { throw new Error( 'createScenes must be implemented by sub classes' ); }
+    createScenes( options ) { throw new Error( 'createScenes must be implemented by sub classes' ); }
 
     /**
      * @abstract
@@ -1,16 +1,20 @@
 // Copyright 2019, University of Colorado Boulder
 
 /**
- * Model for a Vector Component. There are 2 types of components: the X Component and the Y Component.
+ * Model for a Vector Component. There are 2 kinds of components: the X and Y Components, which are laid out based on
+ * the component style, and the parallel and perpendicular components of a projection (see VectorProjection), which are
+ * laid out based on the direction that the parent vector is projected onto.
  *
  * This is an abstract class, meaning that the it has methods that must sub-classes must implement.
- * Currently XVectorComponent and YVectorComponent extend this class.
+ * Currently XVectorComponent, YVectorComponent, ParallelVectorComponent and PerpendicularVectorComponent extend this
+ * class.
  *
  * This is designed to be a component of a parent vector.
  *
  * This vector component updates its tail/tip based on the:
- *  1. The component style enumeration property
+ *  1. The layout property (the component style or the projection direction)
  *  2. Parent vector's changing tail/tip
+ *  3. The angle of the axes of the graph
  * @author Brandon Li
  */
 
@@ -19,7 +23,6 @@ define( require => {
 
   // modules
   const BaseVectorModel = require( 'VECTOR_ADDITION/common/model/BaseVectorModel' );
-  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
   const Property = require( 'AXON/Property' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
 
@@ -28,13 +31,12 @@ define( require => {
     /**
      * @constructor
      * @param {VectorModel} parentVector - a vectorComponent is a component of a parentVector
-     * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty - property of the style of components
+     * @param {Property} layoutProperty - the component is laid out based on its value, see updateComponent
      */
-    constructor( parentVector, componentStyleProperty ) {
+    constructor( parentVector, layoutProperty ) {
 
       // Type check arguments
-      assert && assert( componentStyleProperty instanceof EnumerationProperty,
-        `invalid componentStyleProperty: ${componentStyleProperty}` );
+      assert && assert( layoutProperty instanceof Property, `invalid layoutProperty: ${layoutProperty}` );
 
       //----------------------------------------------------------------------------------------
 
@@ -42,18 +44,24 @@ define( require => {
 
       // @private observe changes of the parent to update component (abstract)
       this.updateLayoutMultilink = Property.multilink( [
-          componentStyleProperty,
+          layoutProperty,
           parentVector.attributesVectorProperty,
-          parentVector.tailPositionProperty
+          parentVector.tailPositionProperty,
+
+          // the x and y components are along the axes of the graph
+          parentVector.axesAngleProperty
           // No need to listen to the modelViewTransformProperty since the parentVector will update its position when 
           // modelViewTransformProperty changes
-        ], ( componentStyle ) => {
-          this.updateComponent( parentVector, componentStyle );
+        ], ( layout ) => {
+          this.updateComponent( parentVector, layout );
         }
       );
 
       // @public (read-only) reference to the parent vector
       this.parentVector = parentVector;
+
+      // @public (read-only) {DerivedProperty.<number>} - components are snapped with their parent vector
+      this.snapResolutionProperty = parentVector.snapResolutionProperty;
     }
 
     /**
@@ -69,11 +77,11 @@ define( require => {
     /**
      * Update the tail, and attributes vector (which will update the tip and magnitude)
      * @param {VectorModel} parentVector - a vectorComponent is a component of a parentVector
-     * @param {ComponentStyles} componentStyle
+     * @param {*} layout - the value of the layoutProperty, e.g. {ComponentStyles} for the x and y components
      * @abstract
      * @private
      */
-    updateComponent( parentVector, componentStyle ) {
+    updateComponent( parentVector, layout ) {
       throw new Error( 'Update Component must be implemented by sub-classes of VectorComponent' );
     }
   }
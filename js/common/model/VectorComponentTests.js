@@ -0,0 +1,111 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * XVectorComponent and YVectorComponent tests
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
+  const Dimension2 = require( 'DOT/Dimension2' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const Graph = require( 'VECTOR_ADDITION/common/model/Graph' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  // constants
+  // expected tails of the components of a vector with tail (1,2) and components <3,4>, for each component style
+  const EXPECTED_TAILS = [
+    { componentStyle: ComponentStyles.TRIANGLE, xTail: new Vector2( 1, 2 ), yTail: new Vector2( 4, 2 ) },
+    { componentStyle: ComponentStyles.PARALLELOGRAM, xTail: new Vector2( 1, 2 ), yTail: new Vector2( 1, 2 ) },
+    { componentStyle: ComponentStyles.ON_AXIS, xTail: new Vector2( 1, 0 ), yTail: new Vector2( 0, 2 ) }
+  ];
+
+  QUnit.module( 'VectorComponent' );
+
+  /**
+   * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
+   * @returns {VectorModel} - a vector with tail (1,2) and components <3,4>
+   */
+  function createVector( componentStyleProperty ) {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+    return new VectorModel( new Vector2( 1, 2 ), 3, 4,
+      graph.modelViewTransformProperty,
+      graph.axesAngleProperty,
+      componentStyleProperty,
+      new EnumerationProperty( CoordinateSnapModes, CoordinateSnapModes.CARTESIAN ),
+      VectorTypes.ONE );
+  }
+
+  QUnit.test( 'components match the parent for every component style', assert => {
+    ComponentStyles.VALUES.forEach( componentStyle => {
+      const vector = createVector( new EnumerationProperty( ComponentStyles, componentStyle ) );
+      assert.ok( vector.xVectorComponent.components.equals( new Vector2( 3, 0 ) ), `x components: ${componentStyle}` );
+      assert.ok( vector.yVectorComponent.components.equals( new Vector2( 0, 4 ) ), `y components: ${componentStyle}` );
+    } );
+  } );
+
+  QUnit.test( 'component placement', assert => {
+    EXPECTED_TAILS.forEach( expected => {
+      const componentStyle = expected.componentStyle;
+      const vector = createVector( new EnumerationProperty( ComponentStyles, componentStyle ) );
+
+      assert.ok( vector.xVectorComponent.tail.equals( expected.xTail ), `x tail: ${componentStyle}` );
+      assert.ok( vector.yVectorComponent.tail.equals( expected.yTail ), `y tail: ${componentStyle}` );
+      assert.ok( vector.xVectorComponent.tip.equals( expected.xTail.plusXY( 3, 0 ) ), `x tip: ${componentStyle}` );
+      assert.ok( vector.yVectorComponent.tip.equals( expected.yTail.plusXY( 0, 4 ) ), `y tip: ${componentStyle}` );
+    } );
+
+    // every visible component style is covered
+    assert.equal( EXPECTED_TAILS.length + 1, ComponentStyles.VALUES.length, 'all component styles are tested' );
+  } );
+
+  QUnit.test( 'invisible components keep their tails', assert => {
+    const componentStyleProperty = new EnumerationProperty( ComponentStyles, ComponentStyles.PARALLELOGRAM );
+    const vector = createVector( componentStyleProperty );
+
+    componentStyleProperty.value = ComponentStyles.INVISIBLE;
+    vector.tail = new Vector2( 5, 5 );
+    assert.ok( vector.xVectorComponent.tail.equals( new Vector2( 1, 2 ) ), 'x tail isn\'t updated' );
+    assert.ok( vector.yVectorComponent.tail.equals( new Vector2( 1, 2 ) ), 'y tail isn\'t updated' );
+
+    componentStyleProperty.value = ComponentStyles.TRIANGLE;
+    assert.ok( vector.xVectorComponent.tail.equals( new Vector2( 5, 5 ) ), 'x tail is updated' );
+    assert.ok( vector.yVectorComponent.tail.equals( new Vector2( 8, 5 ) ), 'y tail is updated' );
+  } );
+
+  QUnit.test( 'components follow the parent', assert => {
+    ComponentStyles.VALUES.forEach( componentStyle => {
+      const vector = createVector( new EnumerationProperty( ComponentStyles, componentStyle ) );
+      vector.attributesVectorProperty.value = new Vector2( -2, 6 );
+      assert.ok( vector.xVectorComponent.components.equals( new Vector2( -2, 0 ) ), `x components: ${componentStyle}` );
+      assert.ok( vector.yVectorComponent.components.equals( new Vector2( 0, 6 ) ), `y components: ${componentStyle}` );
+    } );
+
+    const vector = createVector( new EnumerationProperty( ComponentStyles, ComponentStyles.TRIANGLE ) );
+    vector.tail = new Vector2( -1, -1 );
+    assert.ok( vector.xVectorComponent.tail.equals( new Vector2( -1, -1 ) ), 'x tail follows the parent tail' );
+    assert.ok( vector.yVectorComponent.tail.equals( new Vector2( 2, -1 ) ), 'y tail follows the parent tail' );
+  } );
+
+  QUnit.test( 'components along rotated axes', assert => {
+    const componentStyleProperty = new EnumerationProperty( ComponentStyles, ComponentStyles.ON_AXIS );
+    const vector = createVector( componentStyleProperty );
+
+    // the x-axis points up and the y-axis points left
+    vector.axesAngleProperty.value = Math.PI / 2;
+    assert.ok( vector.xVectorComponent.components.equalsEpsilon( new Vector2( 0, 4 ), 1E-10 ), 'x components' );
+    assert.ok( vector.yVectorComponent.components.equalsEpsilon( new Vector2( 3, 0 ), 1E-10 ), 'y components' );
+    assert.ok( vector.xVectorComponent.tail.equalsEpsilon( new Vector2( 0, 2 ), 1E-10 ), 'x tail on the x-axis' );
+    assert.ok( vector.yVectorComponent.tail.equalsEpsilon( new Vector2( 1, 0 ), 1E-10 ), 'y tail on the y-axis' );
+
+    componentStyleProperty.value = ComponentStyles.TRIANGLE;
+    assert.ok( vector.yVectorComponent.tail.equalsEpsilon( new Vector2( 1, 6 ), 1E-10 ),
+      'y tail at the tip of the x component' );
+  } );
+} );
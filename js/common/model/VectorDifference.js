@@ -0,0 +1,78 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Model for the difference of two vectors, minuend - subtrahend.
+ *
+ * The difference is drawn tip-to-tip: it always points from the tip of the subtrahend to the tip of the minuend. When
+ * the two vectors share a tail, its components are the minuend's components minus the subtrahend's. The difference is
+ * recalculated whenever either tip moves.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Property = require( 'AXON/Property' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+
+  class VectorDifference extends VectorModel {
+    /**
+     * @constructor
+     * @param {VectorModel} minuend
+     * @param {VectorModel} subtrahend
+     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty
+     * @param {NumberProperty} axesAngleProperty
+     * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
+     * @param {Object} [options]
+     */
+    constructor(
+      minuend,
+      subtrahend,
+      modelViewTransformProperty,
+      axesAngleProperty,
+      componentStyleProperty,
+      coordinateSnapModeProperty,
+      options ) {
+
+      options = _.extend( {
+        label: 'd', // {string} - the label of the vector
+        isTipDraggable: false, // {boolean} - can the tip be dragged
+        isRemovable: false, // {boolean} - can the vector be returned to the creator panel
+        isAttributesVectorReadOnly: true // {boolean} - the difference is derived from the vectors
+      }, options );
+
+      // Type check arguments
+      assert && assert( minuend instanceof VectorModel, `invalid minuend: ${minuend}` );
+      assert && assert( subtrahend instanceof VectorModel, `invalid subtrahend: ${subtrahend}` );
+      // The rest are checked in super classes
+
+      //----------------------------------------------------------------------------------------
+
+      super( subtrahend.tip, 0, 0, modelViewTransformProperty, axesAngleProperty, componentStyleProperty,
+        coordinateSnapModeProperty, minuend.vectorType, options );
+
+      // The tail follows the tip of the subtrahend, which already stays in place when the origin moves. Keeping the
+      // view position of the tail here too would move it twice.
+      this.unlinkTailUpdate();
+
+      // The difference exists for the lifetime of the sim, so no need to dispose
+      Property.multilink(
+        [ minuend.tipPositionProperty, subtrahend.tipPositionProperty ],
+        ( minuendTip, subtrahendTip ) => {
+          this.tail = subtrahendTip;
+          this.attributesVectorProperty.value = minuendTip.minus( subtrahendTip );
+        } );
+    }
+
+    // No need to add a dispose for the new properties since the difference exists the entire sim
+    // @override
+    dispose() {
+      throw new Error( 'Vector Difference is never disposed' );
+    }
+  }
+
+  return vectorAddition.register( 'VectorDifference', VectorDifference );
+} );
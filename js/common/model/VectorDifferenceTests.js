@@ -0,0 +1,54 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * VectorDifference tests
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
+  const Dimension2 = require( 'DOT/Dimension2' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const Graph = require( 'VECTOR_ADDITION/common/model/Graph' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const VectorDifference = require( 'VECTOR_ADDITION/common/model/VectorDifference' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  QUnit.module( 'VectorDifference' );
+
+  QUnit.test( 'difference follows the vectors', assert => {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+    const componentStyleProperty = new EnumerationProperty( ComponentStyles, ComponentStyles.INVISIBLE );
+    const coordinateSnapModeProperty = new EnumerationProperty( CoordinateSnapModes, CoordinateSnapModes.CARTESIAN );
+    const createVector = ( tailPosition, xComponent, yComponent, vectorType ) => new VectorModel(
+      tailPosition, xComponent, yComponent,
+      graph.modelViewTransformProperty, graph.axesAngleProperty, componentStyleProperty, coordinateSnapModeProperty,
+      vectorType );
+
+    const vectorA = createVector( new Vector2( 1, 1 ), 5, 2, VectorTypes.ONE );
+    const vectorB = createVector( new Vector2( 1, 1 ), 2, 4, VectorTypes.TWO );
+    const difference = new VectorDifference( vectorA, vectorB,
+      graph.modelViewTransformProperty, graph.axesAngleProperty, componentStyleProperty, coordinateSnapModeProperty );
+
+    assert.ok( difference.components.equals( new Vector2( 3, -2 ) ), 'components are a - b' );
+    assert.ok( difference.tail.equals( vectorB.tip ), 'the tail is at the tip of b' );
+    assert.ok( difference.tip.equals( vectorA.tip ), 'tip-to-tip when the vectors share a tail' );
+
+    vectorA.negate();
+    assert.ok( difference.components.equals( new Vector2( -7, -6 ) ), 'components after negating a' );
+
+    vectorB.tail = new Vector2( 10, 5 );
+    assert.ok( difference.tail.equals( new Vector2( 12, 9 ) ), 'the tail follows the tip of b' );
+    assert.ok( difference.tip.equals( vectorA.tip ), 'tip-to-tip when the tails differ' );
+    assert.ok( difference.components.equals( new Vector2( -16, -10 ) ), 'components from tip b to tip a' );
+
+    graph.moveOrigin( new Vector2( 4, -8 ) );
+    assert.ok( difference.tail.equals( vectorB.tip ), 'the tail is at the tip of b after moving the origin' );
+    assert.ok( difference.tip.equals( vectorA.tip ), 'the tip is at the tip of a after moving the origin' );
+  } );
+} );
@@ -0,0 +1,24 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Possible reasons why a vector that is entered with the keypad can't be added to a graph (see
+ * Graph.getVectorEntryError).
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  /**
+   * 'OFF_GRAPH' - the tail or the tip of the vector is off the graph
+   * 'NOT_HORIZONTAL' - the vector has a y component, but the graph is horizontal
+   * 'NOT_VERTICAL' - the vector has an x component, but the graph is vertical
+   */
+  const VectorEntryErrors = new Enumeration( [ 'OFF_GRAPH', 'NOT_HORIZONTAL', 'NOT_VERTICAL' ] );
+
+  return vectorAddition.register( 'VectorEntryErrors', VectorEntryErrors );
+} );
@@ -0,0 +1,61 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * A group of vectors. Each VectorSet represents one group, and the vectors, components and sum of a group share the
+ * colors of the group.
+ *
+ * A group is created from a descriptor: its name, and either its colors or a hue that its colors are generated from
+ * (see VectorAdditionColors.createVectorGroupColors). The groups that are used in the sim are in VectorTypes.js.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+
+  // constants
+  const COLOR_KEYS = [ 'fill', 'sum', 'component', 'labelBackground' ];
+
+  class VectorGroup {
+    /**
+     * @constructor
+     * @param {Object} descriptor
+     */
+    constructor( descriptor ) {
+
+      descriptor = _.extend( {
+        name: null, // {string} - identifies the group when it is serialized, e.g. 'ONE'
+        hue: null, // {number|null} - the hue (in degrees) that the colors are generated from, if colors is null
+        colors: null // {Object|null} - the colors of the group, see VectorAdditionColors.VECTOR_GROUP_1_COLORS
+      }, descriptor );
+
+      // Type check arguments
+      assert && assert( typeof descriptor.name === 'string' && descriptor.name.length > 0,
+        `invalid descriptor.name: ${descriptor.name}` );
+      assert && assert( ( descriptor.hue === null ) !== ( descriptor.colors === null ),
+        'the descriptor must have either a hue or colors' );
+      assert && assert( descriptor.colors === null ||
+                        _.every( COLOR_KEYS, key => typeof descriptor.colors[ key ] === 'string' ),
+        `invalid descriptor.colors: ${descriptor.colors}` );
+
+      //----------------------------------------------------------------------------------------
+
+      // @public (read-only) {string}
+      this.name = descriptor.name;
+
+      // @public (read-only) {{fill: string, sum: string, component: string, labelBackground: string}}
+      this.colors = descriptor.colors || VectorAdditionColors.createVectorGroupColors( descriptor.hue );
+    }
+
+    /**
+     * @public
+     * @returns {string}
+     */
+    toString() { return `VectorGroup ${this.name}`; }
+  }
+
+  return vectorAddition.register( 'VectorGroup', VectorGroup );
+} );
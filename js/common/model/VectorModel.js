@@ -8,6 +8,10 @@
  *
  * This vector also instantiates the XVectorComponent and YVectorComponent models.
  *
+ * The components and the angle that are shown in the inspect panel, and the snapping, are measured along the axes of
+ * the graph, which may be rotated (see Graph.axesAngleProperty). attributesVectorProperty is always in model
+ * coordinates.
+ *
  * @author Martin Veillette
  */
 define( require => {
@@ -16,10 +20,16 @@ define( require => {
   // modules
   const BaseVectorModel = require( 'VECTOR_ADDITION/common/model/BaseVectorModel' );
   const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
   const DerivedProperty = require( 'AXON/DerivedProperty' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
   const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
+  const NumberProperty = require( 'AXON/NumberProperty' );
+  const Tandem = require( 'TANDEM/Tandem' );
   const Util = require( 'DOT/Util' );
+  const Vector2 = require( 'DOT/Vector2' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionQueryParameters = require( 'VECTOR_ADDITION/common/VectorAdditionQueryParameters' );
   const XVectorComponent = require( 'VECTOR_ADDITION/common/model/XVectorComponent' );
   const YVectorComponent = require( 'VECTOR_ADDITION/common/model/YVectorComponent' );
 
@@ -35,8 +45,10 @@ define( require => {
      * @param {number} xComponent horizontal component of the vector
      * @param {number} yComponent vertical component of the vector
      * @param {Property.<ModelViewTransform2>} modelViewTransformProperty
+     * @param {NumberProperty} axesAngleProperty - the angle of the axes of the graph (see Graph.axesAngleProperty)
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
-     * @param {VectorTypes} vectorType - see VectorTypes.js for documentation
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
+     * @param {VectorGroup} vectorType - see VectorTypes.js for documentation
      * @param {Object} [options]
      */
     constructor(
@@ -44,13 +56,18 @@ define( require => {
       xComponent,
       yComponent,
       modelViewTransformProperty,
+      axesAngleProperty,
       componentStyleProperty,
+      coordinateSnapModeProperty,
       vectorType,
       options ) {
 
       options = _.extend( {
         label: 'v',// {string} - the label of the vector
-        isTipDraggable: true // {boolean} - can the tip be dragged
+        isTipDraggable: true, // {boolean} - can the tip be dragged
+        isRemovable: true, // {boolean} - can the vector be returned to the creator panel
+        tandem: Tandem.optional, // {Tandem} - see BaseVectorModel
+        isAttributesVectorReadOnly: false // {boolean} - see BaseVectorModel
       }, options );
 
       //----------------------------------------------------------------------------------------
@@ -59,20 +76,46 @@ define( require => {
       assert && assert( modelViewTransformProperty instanceof DerivedProperty
       && modelViewTransformProperty.value instanceof ModelViewTransform2,
         `invalid modelViewTransformProperty: ${modelViewTransformProperty}` );
+      assert && assert( axesAngleProperty instanceof NumberProperty,
+        `invalid axesAngleProperty: ${axesAngleProperty}` );
+      assert && assert( coordinateSnapModeProperty instanceof EnumerationProperty
+      && CoordinateSnapModes.includes( coordinateSnapModeProperty.value ),
+        `invalid coordinateSnapModeProperty: ${coordinateSnapModeProperty}` );
       assert && assert( typeof options.isTipDraggable === 'boolean',
         `invalid isTipDraggable: ${options.isTipDraggable}` );
+      assert && assert( typeof options.isRemovable === 'boolean', `invalid isRemovable: ${options.isRemovable}` );
       assert && assert( typeof options.label === 'string', `invalid options.label: ${options.label}` );
 
       //----------------------------------------------------------------------------------------
 
-      super( tailPosition, xComponent, yComponent, vectorType );
+      super( tailPosition, xComponent, yComponent, vectorType, {
+        tandem: options.tandem,
+        isAttributesVectorReadOnly: options.isAttributesVectorReadOnly
+      } );
 
       // @public (read-only) {boolean}
       this.isTipDraggable = options.isTipDraggable;
 
+      // @public (read-only) {boolean}
+      this.isRemovable = options.isRemovable;
+
       // @public (read-only)
       this.label = options.label;
 
+      // @public (read-only) {string} - the name of the tandem, so that the vector can be re-created with the same
+      // tandem (see VectorSet.fromJSON)
+      this.tandemName = options.tandem.name;
+
+      // @public (read-only) {NumberProperty} - the angle (radians) of the axes that the components are measured along
+      this.axesAngleProperty = axesAngleProperty;
+
+      // @public (read-only) {EnumerationProperty.<CoordinateSnapModes>} - the mode used to snap the components
+      this.coordinateSnapModeProperty = coordinateSnapModeProperty;
+
+      // @public (read-only) {DerivedProperty.<number>} - the resolution (in model units) of the tail and the components
+      // for the current coordinate snap mode
+      this.snapResolutionProperty = new DerivedProperty( [ coordinateSnapModeProperty ], getSnapResolution );
+
       // @public {BooleanProperty} - indicates if the vector is active. An active vector is a vector that is being
       // dragged by the body or the tip.
       this.isActiveProperty = new BooleanProperty( false );
@@ -85,26 +128,33 @@ define( require => {
         attributesVector => ( this.magnitude )
       );
 
+      // @public (read-only) {DerivedProperty.<Vector2>} - the components measured along the axes of the graph
+      this.axesComponentsProperty = new DerivedProperty( [ this.attributesVectorProperty, axesAngleProperty ],
+        ( attributesVector, axesAngle ) => toAxes( attributesVector, axesAngle ) );
+
       // @public (read-only) {DerivedProperty.<number>} - the angle (in degrees) of the vector
       // The angle is measured clockwise from the positive x-axis with angle in (-180,180]
-      this.angleDegreesProperty = new DerivedProperty( [ this.attributesVectorProperty ],
-        attributesVector => ( Util.toDegrees( this.angle ) )
+      this.angleDegreesProperty = new DerivedProperty( [ this.axesComponentsProperty ],
+        axesComponents => ( Util.toDegrees( axesComponents.angle ) )
       );
 
-      // @public (read-only) {DerivedProperty.<number>} - the xComponent property
-      this.xComponentProperty = new DerivedProperty( [ this.attributesVectorProperty ],
-        attributesVector => ( this.xComponent ) );
+      // @public (read-only) {DerivedProperty.<number>} - the xComponent property, along the x-axis of the graph
+      this.xComponentProperty = new DerivedProperty( [ this.axesComponentsProperty ],
+        axesComponents => ( axesComponents.x ) );
 
-      // @public (read-only) {DerivedProperty.<number>} - the yComponent property
-      this.yComponentProperty = new DerivedProperty( [ this.attributesVectorProperty ],
-        attributesVector => ( this.yComponent ) );
+      // @public (read-only) {DerivedProperty.<number>} - the yComponent property, along the y-axis of the graph
+      this.yComponentProperty = new DerivedProperty( [ this.axesComponentsProperty ],
+        axesComponents => ( axesComponents.y ) );
 
       //----------------------------------------------------------------------------------------
 
-      // update the position of the tail of the vector
+      // update the position of the tail of the vector. When the origin moves, the vector stays in place in the view.
+      // When the graph is zoomed (the scale changes), the vector keeps its position on the graph.
       const updateTailPosition = ( newModelViewTransform, oldModelViewTransform ) => {
-        const oldTailViewPosition = oldModelViewTransform.modelToViewPosition( this.tailPositionProperty.value );
-        this.tailPositionProperty.value = newModelViewTransform.viewToModelPosition( oldTailViewPosition );
+        if ( newModelViewTransform.modelToViewDeltaX( 1 ) === oldModelViewTransform.modelToViewDeltaX( 1 ) ) {
+          const oldTailViewPosition = oldModelViewTransform.modelToViewPosition( this.tailPositionProperty.value );
+          this.tailPositionProperty.value = newModelViewTransform.viewToModelPosition( oldTailViewPosition );
+        }
       };
       modelViewTransformProperty.lazyLink( updateTailPosition );
 
@@ -136,6 +186,8 @@ define( require => {
       this.angleDegreesProperty.dispose();
       this.xComponentProperty.dispose();
       this.yComponentProperty.dispose();
+      this.axesComponentsProperty.dispose();
+      this.snapResolutionProperty.dispose();
 
       this.unlinkTailUpdate();
 
@@ -145,12 +197,50 @@ define( require => {
       super.dispose();
     }
 
+    /**
+     * Serialize the vector to a plain object. The vector is re-created from this object in VectorSet.fromJSON.
+     * @public
+     * @returns {Object}
+     */
+    toJSON() {
+      return {
+        tail: this.tail.toStateObject(),
+        components: this.attributesVectorProperty.value.toStateObject(),
+        label: this.label,
+        vectorType: this.vectorType.name,
+        isTipDraggable: this.isTipDraggable,
+        isRemovable: this.isRemovable,
+        tandemName: this.tandemName
+      };
+    }
+
+    /**
+     * Restore the tail and the components from an object created by toJSON. The label, vectorType, isTipDraggable,
+     * isRemovable and tandemName are set when the vector is created, so they must already match.
+     * @public
+     * @param {Object} stateObject
+     */
+    fromJSON( stateObject ) {
+      assert && assert( stateObject.label === this.label, `mismatched label: ${stateObject.label}` );
+      assert && assert( stateObject.vectorType === this.vectorType.name,
+        `mismatched vectorType: ${stateObject.vectorType}` );
+      assert && assert( stateObject.isTipDraggable === this.isTipDraggable,
+        `mismatched isTipDraggable: ${stateObject.isTipDraggable}` );
+      assert && assert( stateObject.isRemovable === this.isRemovable,
+        `mismatched isRemovable: ${stateObject.isRemovable}` );
+      assert && assert( stateObject.tandemName === this.tandemName,
+        `mismatched tandemName: ${stateObject.tandemName}` );
+
+      this.tail = Vector2.fromStateObject( stateObject.tail );
+      this.attributesVectorProperty.value = Vector2.fromStateObject( stateObject.components );
+    }
+
     /**
      * round vector to have integer values in cartesian form
      * @public
      */
     roundCartesianForm() {
-      this.attributesVectorProperty.value = this.attributesVectorProperty.value.roundSymmetric();
+      this.attributesVectorProperty.value = roundCartesian( this.attributesVectorProperty.value );
     }
 
     /**
@@ -159,12 +249,157 @@ define( require => {
      * @public
      */
     roundPolarForm() {
-      const roundedMagnitude = Util.roundSymmetric( this.magnitudeProperty.value );
-      const roundedAngle = ANGLE_INTERVAL * Util.roundSymmetric( this.angleDegreesProperty.value / ANGLE_INTERVAL );
-      this.attributesVectorProperty.setPolar( roundedMagnitude, Util.toRadians( roundedAngle ) );
+      this.attributesVectorProperty.value = roundPolar( this.attributesVectorProperty.value );
     }
 
+    /**
+     * Negate the vector in place: the tail stays, and the vector points in the opposite direction. A snapped vector
+     * stays snapped in every coordinate snap mode. Only vectors with a draggable tip can be negated, since the
+     * components of the others are determined elsewhere.
+     * @public
+     */
+    negate() {
+      assert && assert( this.isTipDraggable, 'only vectors with a draggable tip can be negated' );
+      this.attributesVectorProperty.value = this.attributesVectorProperty.value.negated();
+    }
+
+    /**
+     * Round the tail and the vector based on the current coordinate snap mode. See CoordinateSnapModes.js for
+     * documentation. Vectors with a tip that isn't draggable have their components determined elsewhere, so only
+     * their tail is snapped.
+     * @public
+     */
+    snapToGrid() {
+      this.tail = this.getSnappedTailPosition( this.tail );
+
+      if ( this.isTipDraggable ) {
+        this.attributesVectorProperty.value = this.getSnappedComponents( this.attributesVectorProperty.value );
+      }
+    }
+
+    /**
+     * Get the rounded form of a tail position based on the current coordinate snap mode. The position is rounded
+     * along the axes of the graph, so that the tail is on the (possibly rotated) grid. Doesn't change the vector
+     * model.
+     * @public
+     * @param {Vector2} tailPosition
+     * @returns {Vector2} - a new rounded position
+     */
+    getSnappedTailPosition( tailPosition ) {
+      assert && assert( tailPosition instanceof Vector2, `invalid tailPosition: ${tailPosition}` );
+
+      const axesAngle = this.axesAngleProperty.value;
+      const axesTailPosition = toAxes( tailPosition, axesAngle );
+
+      switch( this.coordinateSnapModeProperty.value ) {
+        case CoordinateSnapModes.CARTESIAN:
+        case CoordinateSnapModes.POLAR: {
+          return fromAxes( roundCartesian( axesTailPosition ), axesAngle );
+        }
+        case CoordinateSnapModes.FREE: {
+          return fromAxes( roundToResolution( axesTailPosition,
+            getSnapResolution( this.coordinateSnapModeProperty.value ) ), axesAngle );
+        }
+        default: {
+          throw new Error( `coordinateSnapMode not handled: ${this.coordinateSnapModeProperty.value}` );
+        }
+      }
+    }
+
+    /**
+     * Get the rounded form of a components vector based on the current coordinate snap mode. The components are
+     * rounded along the axes of the graph, and the angle in POLAR mode is measured from the x-axis. Doesn't change the
+     * vector model.
+     * @public
+     * @param {Vector2} components
+     * @returns {Vector2} - a new rounded vector
+     */
+    getSnappedComponents( components ) {
+      assert && assert( components instanceof Vector2, `invalid components: ${components}` );
+
+      const axesAngle = this.axesAngleProperty.value;
+      const axesComponents = toAxes( components, axesAngle );
+
+      switch( this.coordinateSnapModeProperty.value ) {
+        case CoordinateSnapModes.CARTESIAN: {
+          return fromAxes( roundCartesian( axesComponents ), axesAngle );
+        }
+        case CoordinateSnapModes.POLAR: {
+          return fromAxes( roundPolar( axesComponents ), axesAngle );
+        }
+        case CoordinateSnapModes.FREE: {
+          return fromAxes( roundToResolution( axesComponents,
+            getSnapResolution( this.coordinateSnapModeProperty.value ) ), axesAngle );
+        }
+        default: {
+          throw new Error( `coordinateSnapMode not handled: ${this.coordinateSnapModeProperty.value}` );
+        }
+      }
+    }
   }
 
+  /**
+   * Express a vector in model coordinates along axes that are rotated by an angle
+   * @param {Vector2} vector
+   * @param {number} axesAngle - in radians
+   * @returns {Vector2} - a new vector
+   */
+  function toAxes( vector, axesAngle ) {
+    return axesAngle === 0 ? vector.copy() : vector.rotated( -axesAngle );
+  }
+
+  /**
+   * Express a vector along axes that are rotated by an angle in model coordinates. The inverse of toAxes.
+   * @param {Vector2} vector
+   * @param {number} axesAngle - in radians
+   * @returns {Vector2} - a new vector
+   */
+  function fromAxes( vector, axesAngle ) {
+    return axesAngle === 0 ? vector.copy() : vector.rotated( axesAngle );
+  }
+
+  /**
+   * Round a vector to have integer components
+   * @param {Vector2} vector
+   * @returns {Vector2} - a new rounded vector
+   */
+  function roundCartesian( vector ) {
+    return vector.roundedSymmetric();
+  }
+
+  /**
+   * Round a vector to have an integer magnitude and an angle (in degrees) that is a multiple of ANGLE_INTERVAL
+   * @param {Vector2} vector
+   * @returns {Vector2} - a new rounded vector
+   */
+  function roundPolar( vector ) {
+    const roundedMagnitude = Util.roundSymmetric( vector.magnitude );
+    const roundedAngle = ANGLE_INTERVAL * Util.roundSymmetric( Util.toDegrees( vector.angle ) / ANGLE_INTERVAL );
+    return Vector2.createPolar( roundedMagnitude, Util.toRadians( roundedAngle ) );
+  }
+
+  /**
+   * Round each coordinate of a vector to the nearest multiple of a resolution
+   * @param {Vector2} vector
+   * @param {number} resolution
+   * @returns {Vector2} - a new rounded vector
+   */
+  function roundToResolution( vector, resolution ) {
+    return new Vector2( Util.roundToInterval( vector.x, resolution ), Util.roundToInterval( vector.y, resolution ) );
+  }
+
+  /**
+   * Get the resolution (in model units) of the tail and the components for a coordinate snap mode. In POLAR mode
+   * this is the resolution of the magnitude.
+   * @param {CoordinateSnapModes} coordinateSnapMode
+   * @returns {number}
+   */
+  function getSnapResolution( coordinateSnapMode ) {
+    return coordinateSnapMode === CoordinateSnapModes.FREE ? VectorAdditionQueryParameters.snapResolution : 1;
+  }
+
+  // @public (read-only) {number} - interval spacing of vector angle (in degrees) when vector is in polar mode
+  VectorModel.ANGLE_INTERVAL = ANGLE_INTERVAL;
+
   return vectorAddition.register( 'VectorModel', VectorModel );
 } );
\ No newline at end of file
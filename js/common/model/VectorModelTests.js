@@ -0,0 +1,140 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * VectorModel tests
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
+  const Dimension2 = require( 'DOT/Dimension2' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const Graph = require( 'VECTOR_ADDITION/common/model/Graph' );
+  const Util = require( 'DOT/Util' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const VectorAdditionQueryParameters = require( 'VECTOR_ADDITION/common/VectorAdditionQueryParameters' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  QUnit.module( 'VectorModel' );
+
+  /**
+   * @param {Vector2} tailPosition
+   * @param {number} xComponent
+   * @param {number} yComponent
+   * @param {CoordinateSnapModes} coordinateSnapMode
+   * @param {Object} [options] - passed to the VectorModel
+   * @returns {VectorModel}
+   */
+  function createVector( tailPosition, xComponent, yComponent, coordinateSnapMode, options ) {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+    return new VectorModel( tailPosition, xComponent, yComponent,
+      graph.modelViewTransformProperty,
+      graph.axesAngleProperty,
+      new EnumerationProperty( ComponentStyles, ComponentStyles.INVISIBLE ),
+      new EnumerationProperty( CoordinateSnapModes, coordinateSnapMode ),
+      VectorTypes.ONE,
+      options );
+  }
+
+  QUnit.test( 'roundCartesianForm', assert => {
+    const vector = createVector( Vector2.ZERO, 1.4, -2.5, CoordinateSnapModes.CARTESIAN );
+    vector.roundCartesianForm();
+    assert.ok( vector.components.equals( new Vector2( 1, -3 ) ), 'components are rounded symmetrically' );
+  } );
+
+  QUnit.test( 'roundPolarForm', assert => {
+    const polar = Vector2.createPolar( 5.2, Util.toRadians( 32 ) );
+    const vector = createVector( Vector2.ZERO, polar.x, polar.y, CoordinateSnapModes.POLAR );
+    vector.roundPolarForm();
+    assert.ok( Util.equalsEpsilon( vector.magnitude, 5, 1E-10 ), 'magnitude is an integer' );
+    assert.ok( Util.equalsEpsilon( Util.toDegrees( vector.angle ), 30, 1E-10 ), 'angle is a multiple of 5 degrees' );
+  } );
+
+  QUnit.test( 'snapToGrid', assert => {
+    const cartesianVector = createVector( new Vector2( 1.6, 2.2 ), 3.5, 4.4, CoordinateSnapModes.CARTESIAN );
+    cartesianVector.snapToGrid();
+    assert.ok( cartesianVector.tail.equals( new Vector2( 2, 2 ) ), 'cartesian tail' );
+    assert.ok( cartesianVector.components.equals( new Vector2( 4, 4 ) ), 'cartesian components' );
+
+    const polarVector = createVector( new Vector2( 1.6, 2.2 ), 0, 5.3, CoordinateSnapModes.POLAR );
+    polarVector.snapToGrid();
+    assert.ok( polarVector.tail.equals( new Vector2( 2, 2 ) ), 'polar tail is rounded to integers' );
+    assert.ok( polarVector.components.equalsEpsilon( new Vector2( 0, 5 ), 1E-10 ), 'polar components' );
+
+    const resolution = VectorAdditionQueryParameters.snapResolution;
+    const freeVector = createVector( new Vector2( 1.234, 2.2 ), 3.456, -4.4, CoordinateSnapModes.FREE );
+    freeVector.snapToGrid();
+    assert.equal( freeVector.snapResolutionProperty.value, resolution, 'free snap resolution' );
+    const expectedTail = new Vector2(
+      Util.roundToInterval( 1.234, resolution ),
+      Util.roundToInterval( 2.2, resolution ) );
+    const expectedComponents = new Vector2(
+      Util.roundToInterval( 3.456, resolution ),
+      Util.roundToInterval( -4.4, resolution ) );
+    assert.ok( freeVector.tail.equalsEpsilon( expectedTail, 1E-10 ), 'free tail' );
+    assert.ok( freeVector.components.equalsEpsilon( expectedComponents, 1E-10 ), 'free components' );
+  } );
+
+  QUnit.test( 'snapToGrid with a tip that isn\'t draggable', assert => {
+    const vector = createVector( new Vector2( 1.6, 2.2 ), 3.5, 4.4, CoordinateSnapModes.CARTESIAN, {
+      isTipDraggable: false
+    } );
+    vector.snapToGrid();
+    assert.ok( vector.tail.equals( new Vector2( 2, 2 ) ), 'tail is snapped' );
+    assert.ok( vector.components.equals( new Vector2( 3.5, 4.4 ) ), 'components aren\'t snapped' );
+  } );
+
+  QUnit.test( 'negate', assert => {
+    const vector = createVector( new Vector2( 1, 2 ), 3, -4, CoordinateSnapModes.CARTESIAN );
+    vector.negate();
+    assert.ok( vector.tail.equals( new Vector2( 1, 2 ) ), 'the tail stays in place' );
+    assert.ok( vector.components.equals( new Vector2( -3, 4 ) ), 'the components are negated' );
+
+    const polar = Vector2.createPolar( 5, Util.toRadians( 35 ) );
+    const polarVector = createVector( Vector2.ZERO, polar.x, polar.y, CoordinateSnapModes.POLAR );
+    polarVector.negate();
+    assert.ok( Util.equalsEpsilon( Util.toDegrees( polarVector.angle ), -145, 1E-10 ),
+      'the angle is still a multiple of 5 degrees' );
+  } );
+
+  QUnit.test( 'snap mode changes', assert => {
+    const vector = createVector( Vector2.ZERO, 3, 4, CoordinateSnapModes.CARTESIAN );
+    assert.equal( vector.snapResolutionProperty.value, 1, 'cartesian snap resolution' );
+
+    vector.coordinateSnapModeProperty.value = CoordinateSnapModes.FREE;
+    assert.equal( vector.snapResolutionProperty.value, VectorAdditionQueryParameters.snapResolution,
+      'free snap resolution' );
+
+    vector.coordinateSnapModeProperty.value = CoordinateSnapModes.POLAR;
+    assert.equal( vector.snapResolutionProperty.value, 1, 'polar snap resolution' );
+  } );
+
+  QUnit.test( 'rotated axes', assert => {
+    const vector = createVector( Vector2.ZERO, 1.5, 1.4, CoordinateSnapModes.CARTESIAN );
+    vector.axesAngleProperty.value = Math.PI / 4;
+    assert.ok( Util.equalsEpsilon( vector.xComponentProperty.value, 2.9 / Math.SQRT2, 1E-10 ),
+      'x component along the rotated x-axis' );
+    assert.ok( Util.equalsEpsilon( vector.yComponentProperty.value, -0.1 / Math.SQRT2, 1E-10 ),
+      'y component along the rotated y-axis' );
+
+    vector.tail = new Vector2( 0.1, 1.3 );
+    vector.snapToGrid();
+    assert.ok( vector.components.equalsEpsilon( new Vector2( Math.SQRT2, Math.SQRT2 ), 1E-10 ),
+      'components are snapped along the rotated axes' );
+    assert.ok( vector.tail.equalsEpsilon( new Vector2( 0, Math.SQRT2 ), 1E-10 ),
+      'the tail is snapped to the rotated grid' );
+    assert.ok( Util.equalsEpsilon( vector.angleDegreesProperty.value, 0, 1E-10 ),
+      'the angle is measured from the rotated x-axis' );
+
+    vector.coordinateSnapModeProperty.value = CoordinateSnapModes.POLAR;
+    vector.attributesVectorProperty.value = vector.getSnappedComponents( new Vector2( 0, 2.2 ) );
+    assert.ok( Util.equalsEpsilon( vector.angleDegreesProperty.value, 45, 1E-10 ),
+      'polar angles are multiples of 5 degrees from the rotated x-axis' );
+    assert.ok( Util.equalsEpsilon( vector.magnitude, 2, 1E-10 ), 'polar magnitude' );
+  } );
+} );
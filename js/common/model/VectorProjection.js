@@ -0,0 +1,53 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Model for the projection of a vector onto a direction, for example the direction of another vector or of an inclined
+ * plane. The vector is decomposed into a component that is parallel to the direction and a component that is
+ * perpendicular to it. The components are the sides of a parallelogram that has the vector as its diagonal, so the
+ * vector is their sum.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ParallelVectorComponent = require( 'VECTOR_ADDITION/common/model/ParallelVectorComponent' );
+  const PerpendicularVectorComponent = require( 'VECTOR_ADDITION/common/model/PerpendicularVectorComponent' );
+  const Property = require( 'AXON/Property' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+
+  class VectorProjection {
+    /**
+     * @constructor
+     * @param {VectorModel} vector - the vector that is projected
+     * @param {Property.<Vector2|null>} directionProperty - the unit vector to project onto, null if there is none
+     */
+    constructor( vector, directionProperty ) {
+
+      assert && assert( vector instanceof VectorModel, `invalid vector: ${vector}` );
+      assert && assert( directionProperty instanceof Property, `invalid directionProperty: ${directionProperty}` );
+
+      // @public (read-only) {VectorModel}
+      this.vector = vector;
+
+      // @public (read-only) {ParallelVectorComponent} - the component along the direction
+      this.parallelComponent = new ParallelVectorComponent( vector, directionProperty );
+
+      // @public (read-only) {PerpendicularVectorComponent} - the component perpendicular to the direction
+      this.perpendicularComponent = new PerpendicularVectorComponent( vector, directionProperty );
+    }
+
+    /**
+     * Dispose the components. Called before the vector is disposed.
+     * @public
+     */
+    dispose() {
+      this.parallelComponent.dispose();
+      this.perpendicularComponent.dispose();
+    }
+  }
+
+  return vectorAddition.register( 'VectorProjection', VectorProjection );
+} );
@@ -0,0 +1,79 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * VectorProjection, ParallelVectorComponent and PerpendicularVectorComponent tests
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
+  const Dimension2 = require( 'DOT/Dimension2' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const Graph = require( 'VECTOR_ADDITION/common/model/Graph' );
+  const Property = require( 'AXON/Property' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorProjection = require( 'VECTOR_ADDITION/common/model/VectorProjection' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  // constants
+  const EPSILON = 1E-10;
+
+  QUnit.module( 'VectorProjection' );
+
+  /**
+   * @returns {VectorModel} - a vector with tail (1,2) and components <3,4>
+   */
+  function createVector() {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+    return new VectorModel( new Vector2( 1, 2 ), 3, 4,
+      graph.modelViewTransformProperty,
+      graph.axesAngleProperty,
+      new EnumerationProperty( ComponentStyles, ComponentStyles.INVISIBLE ),
+      new EnumerationProperty( CoordinateSnapModes, CoordinateSnapModes.CARTESIAN ),
+      VectorTypes.ONE );
+  }
+
+  QUnit.test( 'components are parallel and perpendicular to the direction', assert => {
+    const vector = createVector();
+    const directionProperty = new Property( new Vector2( 1, 0 ) );
+    const projection = new VectorProjection( vector, directionProperty );
+
+    assert.ok( projection.parallelComponent.components.equals( new Vector2( 3, 0 ) ), 'parallel onto the x axis' );
+    assert.ok( projection.perpendicularComponent.components.equals( new Vector2( 0, 4 ) ),
+      'perpendicular to the x axis' );
+    assert.ok( projection.parallelComponent.tail.equals( vector.tail ), 'the parallel component shares the tail' );
+    assert.ok( projection.perpendicularComponent.tail.equals( vector.tail ),
+      'the perpendicular component shares the tail' );
+
+    // an inclined plane at 45 degrees
+    directionProperty.value = new Vector2( 1, 1 ).normalized();
+    assert.ok( projection.parallelComponent.components.equalsEpsilon( new Vector2( 3.5, 3.5 ), EPSILON ),
+      'parallel onto the incline' );
+    assert.ok( projection.perpendicularComponent.components.equalsEpsilon( new Vector2( -0.5, 0.5 ), EPSILON ),
+      'perpendicular to the incline' );
+    assert.ok( projection.parallelComponent.components.plus( projection.perpendicularComponent.components )
+      .equalsEpsilon( vector.components, EPSILON ), 'the components add up to the vector' );
+
+    vector.attributesVectorProperty.value = new Vector2( -2, -2 );
+    vector.tail = new Vector2( 5, 5 );
+    assert.ok( projection.parallelComponent.components.equalsEpsilon( new Vector2( -2, -2 ), EPSILON ),
+      'the components follow the vector' );
+    assert.ok( projection.perpendicularComponent.components.equalsEpsilon( Vector2.ZERO, EPSILON ),
+      'a vector along the incline has no perpendicular component' );
+    assert.ok( projection.parallelComponent.tail.equals( new Vector2( 5, 5 ) ), 'the tails follow the vector' );
+
+    directionProperty.value = null;
+    assert.ok( projection.parallelComponent.components.equals( Vector2.ZERO ), 'no parallel component' );
+    assert.ok( projection.perpendicularComponent.components.equals( vector.components ),
+      'the whole vector is perpendicular without a direction' );
+
+    projection.dispose();
+    vector.tail = new Vector2( 0, 0 );
+    assert.ok( projection.parallelComponent.tail.equals( new Vector2( 5, 5 ) ), 'disposed components don\'t update' );
+  } );
+} );
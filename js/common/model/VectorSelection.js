@@ -0,0 +1,292 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Model for the vectors that are selected in a Scene. Each scene has its own selection.
+ *
+ * A vector is selected when it becomes active (i.e. when it is pressed, dragged or added). The selection remembers the
+ * two most recently selected vectors, so that two vectors can be related: their dot product, the angle between them,
+ * the scalar projection of the most recently selected vector onto the other one and their cross product. These are
+ * recalculated whenever either vector changes, and are null if they are undefined (e.g. fewer than 2 vectors are
+ * selected). The most recently selected vector is also decomposed into components that are parallel and perpendicular
+ * to the other one (see VectorProjection).
+ *
+ * A vector can also be highlighted on the graph, when its row is selected in the VectorTable. Highlighting a vector
+ * selects it.
+ *
+ * Vectors are deselected when they are removed from their vectorSet.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Emitter = require( 'AXON/Emitter' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const InspectModes = require( 'VECTOR_ADDITION/common/model/InspectModes' );
+  const Property = require( 'AXON/Property' );
+  const Util = require( 'DOT/Util' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorProjection = require( 'VECTOR_ADDITION/common/model/VectorProjection' );
+
+  class VectorSelection {
+    /**
+     * @constructor
+     */
+    constructor() {
+
+      // @public (read-only) {Property.<VectorModel|null>} - the most recently selected vector
+      this.vectorProperty = new Property( null, {
+        isValidValue: value => value === null || value instanceof VectorModel
+      } );
+
+      // @public (read-only) {Property.<VectorModel|null>} - the vector that was selected before vectorProperty
+      this.previousVectorProperty = new Property( null, {
+        isValidValue: value => value === null || value instanceof VectorModel
+      } );
+
+      // @public (read-only) {Property.<VectorModel|null>} - the vector that is highlighted on the graph, see highlight
+      this.highlightedVectorProperty = new Property( null, {
+        isValidValue: value => value === null || value instanceof VectorModel
+      } );
+
+      // @public {EnumerationProperty.<InspectModes>} - how the selected vectors are inspected
+      this.inspectModeProperty = new EnumerationProperty( InspectModes, InspectModes.ONE_VECTOR );
+
+      // @public (read-only) {Property.<number|null>} - the dot product of the two selected vectors
+      this.dotProductProperty = new Property( null );
+
+      // @public (read-only) {Property.<number|null>} - the angle between the two selected vectors in degrees, in the
+      // range [0, 180]. Null if either vector has no direction (i.e. its magnitude is 0).
+      this.angleBetweenProperty = new Property( null );
+
+      // @public (read-only) {Property.<number|null>} - the scalar projection of vectorProperty onto
+      // previousVectorProperty. Null if the previous vector has no direction.
+      this.scalarProjectionProperty = new Property( null );
+
+      // @public (read-only) {Property.<number|null>} - the z-component of the cross product of previousVectorProperty
+      // and vectorProperty. Its magnitude is the area of the parallelogram that the two vectors span, and it is
+      // positive (i.e. out of the page) if the vector is anticlockwise from the previous vector.
+      this.crossProductProperty = new Property( null );
+
+      // @public (read-only) {Property.<number|null>} - the magnitude of the component of vectorProperty that is
+      // perpendicular to previousVectorProperty. Null if the previous vector has no direction.
+      this.perpendicularMagnitudeProperty = new Property( null );
+
+      // @public (read-only) {Property.<Vector2|null>} - the unit vector in the direction of previousVectorProperty,
+      // which the projection is onto. Null if there is no previous vector or it has no direction.
+      this.projectionDirectionProperty = new Property( null );
+
+      // @public (read-only) {Property.<VectorProjection|null>} - the projection of vectorProperty onto
+      // projectionDirectionProperty. Null if no vector is selected.
+      this.projectionProperty = new Property( null );
+
+      // @public (read-only) {Emitter} - emits when the selected vectors change, and when either selected vector is
+      // moved or its components change. The values above are up to date when it emits.
+      this.changedEmitter = new Emitter();
+
+      // @private {function} - recalculates the values when either selected vector changes
+      this.vectorChangedListener = () => { this.updateValues(); };
+
+      // @private {Array.<VectorModel>} - the selected vectors that vectorChangedListener is linked to
+      this.observedVectors = [];
+
+      // Move the listener to the selected vectors. The selection lasts for the lifetime of the sim, so no need to
+      // unlink.
+      const selectedVectorListener = () => {
+
+        // the old vectors may already be disposed, which removes their listeners
+        this.observedVectors.forEach( observedVector => {
+          if ( observedVector.attributesVectorProperty.hasListener( this.vectorChangedListener ) ) {
+            observedVector.attributesVectorProperty.unlink( this.vectorChangedListener );
+          }
+          if ( observedVector.tailPositionProperty.hasListener( this.vectorChangedListener ) ) {
+            observedVector.tailPositionProperty.unlink( this.vectorChangedListener );
+          }
+        } );
+
+        this.observedVectors = _.uniq( [ this.vectorProperty.value, this.previousVectorProperty.value ] )
+          .filter( selectedVector => selectedVector !== null );
+        this.observedVectors.forEach( observedVector => {
+          observedVector.attributesVectorProperty.lazyLink( this.vectorChangedListener );
+          observedVector.tailPositionProperty.lazyLink( this.vectorChangedListener );
+        } );
+        this.updateValues();
+      };
+      this.vectorProperty.lazyLink( selectedVectorListener );
+      this.previousVectorProperty.lazyLink( selectedVectorListener );
+
+      // Project the selected vector. Its old projection is disposed before the vector may be disposed, since vectors
+      // are deselected when they are removed.
+      this.vectorProperty.lazyLink( selectedVector => {
+        const oldProjection = this.projectionProperty.value;
+        this.projectionProperty.value = selectedVector ?
+                                        new VectorProjection( selectedVector, this.projectionDirectionProperty ) :
+                                        null;
+        if ( oldProjection ) {
+          oldProjection.dispose();
+        }
+      } );
+    }
+
+    /**
+     * Observe the vectors of a vectorSet and its sum. Called when the vectorSet is added to the scene.
+     * @public
+     * @param {VectorSet} vectorSet
+     */
+    addVectorSet( vectorSet ) {
+
+      // The sum exists for the lifetime of the sim
+      this.addVector( vectorSet.vectorSum );
+
+      // function to observe a vector in the vector set
+      const observeVector = addedVector => {
+
+        const vectorActiveListener = isActive => {
+          if ( isActive ) {
+            this.select( addedVector );
+          }
+        };
+        addedVector.isActiveProperty.link( vectorActiveListener );
+
+        const vectorRemovedListener = removedVector => {
+          if ( removedVector === addedVector ) {
+
+            // the vector may already be disposed, which removes its listeners
+            if ( removedVector.isActiveProperty.hasListener( vectorActiveListener ) ) {
+              removedVector.isActiveProperty.unlink( vectorActiveListener );
+            }
+            vectorSet.vectors.removeItemRemovedListener( vectorRemovedListener );
+            this.deselect( removedVector );
+          }
+        };
+        vectorSet.vectors.addItemRemovedListener( vectorRemovedListener );
+      };
+
+      vectorSet.vectors.forEach( observeVector );
+
+      // VectorSets exist for the lifetime of the sim, so no need to remove the listener
+      vectorSet.vectors.addItemAddedListener( observeVector );
+    }
+
+    /**
+     * Select a vector that exists for the lifetime of the sim when it becomes active (e.g. a sum or the difference in
+     * the Lab screen), so no need to unlink.
+     * @public
+     * @param {VectorModel} vector
+     */
+    addVector( vector ) {
+      assert && assert( vector instanceof VectorModel, `invalid vector: ${vector}` );
+
+      vector.isActiveProperty.link( isActive => {
+        if ( isActive ) {
+          this.select( vector );
+        }
+      } );
+    }
+
+    /**
+     * Make a vector the most recently selected vector. The vector that was selected before it becomes the previous
+     * vector.
+     * @public
+     * @param {VectorModel} vector
+     */
+    select( vector ) {
+      assert && assert( vector instanceof VectorModel, `invalid vector: ${vector}` );
+
+      if ( vector !== this.vectorProperty.value ) {
+        this.previousVectorProperty.value = this.vectorProperty.value;
+        this.vectorProperty.value = vector;
+      }
+    }
+
+    /**
+     * Highlight a vector on the graph and select it. Highlighting null clears the highlight, and keeps the selection.
+     * @public
+     * @param {VectorModel|null} vector
+     */
+    highlight( vector ) {
+      assert && assert( vector === null || vector instanceof VectorModel, `invalid vector: ${vector}` );
+
+      this.highlightedVectorProperty.value = vector;
+      if ( vector ) {
+        this.select( vector );
+      }
+    }
+
+    /**
+     * Deselect a vector, if it is selected. If it is the most recently selected vector, the previous vector takes
+     * its place. A highlighted vector is no longer highlighted.
+     * @public
+     * @param {VectorModel} vector
+     */
+    deselect( vector ) {
+      if ( vector === this.highlightedVectorProperty.value ) {
+        this.highlightedVectorProperty.value = null;
+      }
+      if ( vector === this.previousVectorProperty.value ) {
+        this.previousVectorProperty.value = null;
+      }
+      else if ( vector === this.vectorProperty.value ) {
+        this.vectorProperty.value = this.previousVectorProperty.value;
+        this.previousVectorProperty.value = null;
+      }
+    }
+
+    /**
+     * Deselect all vectors
+     * @public
+     */
+    reset() {
+      this.highlightedVectorProperty.reset();
+      this.previousVectorProperty.reset();
+      this.vectorProperty.reset();
+      this.inspectModeProperty.reset();
+    }
+
+    /**
+     * Recalculate the values that relate the two selected vectors, and notify that they changed
+     * @private
+     */
+    updateValues() {
+      const vector = this.vectorProperty.value;
+      const previousVector = this.previousVectorProperty.value;
+
+      if ( !vector || !previousVector ) {
+        this.dotProductProperty.value = null;
+        this.angleBetweenProperty.value = null;
+        this.scalarProjectionProperty.value = null;
+        this.crossProductProperty.value = null;
+        this.perpendicularMagnitudeProperty.value = null;
+        this.projectionDirectionProperty.value = null;
+      }
+      else {
+        const components = vector.components;
+        const previousComponents = previousVector.components;
+        const dotProduct = components.dot( previousComponents );
+
+        this.dotProductProperty.value = dotProduct;
+
+        this.angleBetweenProperty.value = ( components.magnitude === 0 || previousComponents.magnitude === 0 ) ? null :
+                                          Util.toDegrees( components.angleBetween( previousComponents ) );
+
+        this.scalarProjectionProperty.value = previousComponents.magnitude === 0 ? null :
+                                              dotProduct / previousComponents.magnitude;
+
+        const crossProduct = previousComponents.x * components.y - previousComponents.y * components.x;
+        this.crossProductProperty.value = crossProduct;
+
+        this.perpendicularMagnitudeProperty.value = previousComponents.magnitude === 0 ? null :
+                                                    Math.abs( crossProduct ) / previousComponents.magnitude;
+
+        this.projectionDirectionProperty.value = previousComponents.magnitude === 0 ? null :
+                                                 previousComponents.normalized();
+      }
+
+      this.changedEmitter.emit();
+    }
+  }
+
+  return vectorAddition.register( 'VectorSelection', VectorSelection );
+} );
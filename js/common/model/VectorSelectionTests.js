@@ -0,0 +1,132 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * VectorSelection tests. The selection of an Explore2DScene is tested.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const InspectModes = require( 'VECTOR_ADDITION/common/model/InspectModes' );
+  const SceneTestUtils = require( 'VECTOR_ADDITION/common/model/SceneTestUtils' );
+  const Vector2 = require( 'DOT/Vector2' );
+
+  // constants
+  const EPSILON = 1E-10;
+
+  QUnit.module( 'VectorSelection' );
+
+  QUnit.test( 'selecting vectors', assert => {
+    const scene = SceneTestUtils.createExplore2DScene();
+    const vectorSelection = scene.vectorSelection;
+
+    const vectorA = SceneTestUtils.addVector( scene.vectorSet, 3, 0 );
+    assert.equal( vectorSelection.vectorProperty.value, vectorA, 'an added vector is selected' );
+    assert.equal( vectorSelection.previousVectorProperty.value, null, 'there is no previous vector' );
+    assert.equal( vectorSelection.dotProductProperty.value, null, 'no dot product with one vector' );
+
+    const vectorB = SceneTestUtils.addVector( scene.vectorSet, 2, 2 );
+    assert.equal( vectorSelection.vectorProperty.value, vectorB, 'the most recently added vector is selected' );
+    assert.equal( vectorSelection.previousVectorProperty.value, vectorA, 'the other vector is the previous vector' );
+
+    vectorA.isActiveProperty.value = true;
+    vectorA.isActiveProperty.value = false;
+    assert.equal( vectorSelection.vectorProperty.value, vectorA, 'pressing a vector selects it' );
+    assert.equal( vectorSelection.previousVectorProperty.value, vectorB, 'the vectors are swapped' );
+
+    scene.vectorSet.vectorSum.isActiveProperty.value = true;
+    scene.vectorSet.vectorSum.isActiveProperty.value = false;
+    assert.equal( vectorSelection.vectorProperty.value, scene.vectorSet.vectorSum, 'the sum can be selected' );
+    assert.equal( vectorSelection.previousVectorProperty.value, vectorA, 'vectorB is no longer selected' );
+
+    scene.vectorSet.vectors.remove( vectorA );
+    assert.equal( vectorSelection.vectorProperty.value, scene.vectorSet.vectorSum, 'the sum is still selected' );
+    assert.equal( vectorSelection.previousVectorProperty.value, null, 'a removed vector is deselected' );
+
+    vectorSelection.inspectModeProperty.value = InspectModes.CROSS_PRODUCT;
+    scene.reset();
+    assert.equal( vectorSelection.vectorProperty.value, null, 'reset deselects the sum' );
+    assert.equal( vectorSelection.inspectModeProperty.value, InspectModes.ONE_VECTOR, 'reset resets the mode' );
+  } );
+
+  QUnit.test( 'highlighting vectors', assert => {
+    const scene = SceneTestUtils.createExplore2DScene();
+    const vectorSelection = scene.vectorSelection;
+
+    const vectorA = SceneTestUtils.addVector( scene.vectorSet, 3, 0 );
+    const vectorB = SceneTestUtils.addVector( scene.vectorSet, 2, 2 );
+
+    vectorSelection.highlight( vectorA );
+    assert.equal( vectorSelection.highlightedVectorProperty.value, vectorA, 'a is highlighted' );
+    assert.equal( vectorSelection.vectorProperty.value, vectorA, 'highlighting a vector selects it' );
+
+    vectorSelection.highlight( null );
+    assert.equal( vectorSelection.highlightedVectorProperty.value, null, 'the highlight is cleared' );
+    assert.equal( vectorSelection.vectorProperty.value, vectorA, 'clearing the highlight keeps the selection' );
+
+    vectorSelection.highlight( scene.vectorSet.vectorSum );
+    assert.equal( vectorSelection.previousVectorProperty.value, vectorA, 'the sum can be highlighted' );
+
+    vectorSelection.highlight( vectorB );
+    scene.vectorSet.vectors.remove( vectorB );
+    assert.equal( vectorSelection.highlightedVectorProperty.value, null, 'a removed vector is no longer highlighted' );
+
+    vectorSelection.highlight( vectorA );
+    scene.reset();
+    assert.equal( vectorSelection.highlightedVectorProperty.value, null, 'reset clears the highlight' );
+  } );
+
+  QUnit.test( 'relating two vectors', assert => {
+    const scene = SceneTestUtils.createExplore2DScene();
+    const vectorSelection = scene.vectorSelection;
+
+    const vectorA = SceneTestUtils.addVector( scene.vectorSet, 4, 0 );
+    const vectorB = SceneTestUtils.addVector( scene.vectorSet, 3, 3 );
+
+    assert.equal( vectorSelection.dotProductProperty.value, 12, 'dot product' );
+    assert.ok( Math.abs( vectorSelection.angleBetweenProperty.value - 45 ) < EPSILON, 'angle between' );
+    assert.equal( vectorSelection.scalarProjectionProperty.value, 3, 'projection of b onto a' );
+    assert.equal( vectorSelection.crossProductProperty.value, 12, 'b is anticlockwise from a' );
+
+    let changedCount = 0;
+    vectorSelection.changedEmitter.addListener( () => { changedCount++; } );
+
+    vectorB.tail = new Vector2( 5, 5 );
+    assert.equal( changedCount, 1, 'moving a selected vector is notified' );
+
+    vectorB.attributesVectorProperty.value = new Vector2( -2, 0 );
+    assert.equal( vectorSelection.dotProductProperty.value, -8, 'dot product after changing b' );
+    assert.equal( vectorSelection.angleBetweenProperty.value, 180, 'opposite vectors' );
+    assert.equal( vectorSelection.scalarProjectionProperty.value, -2, 'projection of opposite vectors' );
+    assert.equal( vectorSelection.crossProductProperty.value, 0, 'parallel vectors span no area' );
+
+    vectorB.attributesVectorProperty.value = new Vector2( 1, -2 );
+    assert.equal( vectorSelection.crossProductProperty.value, -8, 'b is clockwise from a' );
+
+    vectorA.attributesVectorProperty.value = Vector2.ZERO;
+    assert.equal( vectorSelection.dotProductProperty.value, 0, 'dot product with a zero vector' );
+    assert.equal( vectorSelection.angleBetweenProperty.value, null, 'no angle with a zero vector' );
+    assert.equal( vectorSelection.scalarProjectionProperty.value, null, 'no projection onto a zero vector' );
+
+    vectorA.attributesVectorProperty.value = new Vector2( 0, 2 );
+    assert.equal( vectorSelection.perpendicularMagnitudeProperty.value, 1, 'perpendicular magnitude' );
+    assert.ok( vectorSelection.projectionDirectionProperty.value.equals( new Vector2( 0, 1 ) ),
+      'the projection is onto the direction of a' );
+    const projectionOfB = vectorSelection.projectionProperty.value;
+    assert.equal( projectionOfB.vector, vectorB, 'b is projected' );
+    assert.ok( projectionOfB.parallelComponent.components.equals( new Vector2( 0, -2 ) ), 'parallel component of b' );
+
+    scene.vectorSet.vectors.remove( vectorB );
+    assert.equal( vectorSelection.vectorProperty.value, vectorA, 'the previous vector takes the place of b' );
+    assert.equal( vectorSelection.projectionProperty.value.vector, vectorA, 'a is projected' );
+    assert.equal( vectorSelection.projectionDirectionProperty.value, null, 'there is no direction to project onto' );
+    assert.equal( vectorSelection.dotProductProperty.value, null, 'no dot product with one vector' );
+    assert.equal( vectorSelection.crossProductProperty.value, null, 'no cross product with one vector' );
+
+    changedCount = 0;
+    vectorB.tail = new Vector2( 1, 1 );
+    assert.equal( changedCount, 0, 'deselected vectors are no longer observed' );
+  } );
+} );
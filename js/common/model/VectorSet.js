@@ -13,27 +13,54 @@ define( require => {
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const Bounds2 = require( 'DOT/Bounds2' );
   const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
+  const Emitter = require( 'AXON/Emitter' );
   const EnumerationProperty = require( 'AXON/EnumerationProperty' );
   const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
   const ObservableArray = require( 'AXON/ObservableArray' );
+  const PhetioObject = require( 'TANDEM/PhetioObject' );
   const Property = require( 'AXON/Property' );
+  const Tandem = require( 'TANDEM/Tandem' );
+  const Vector2 = require( 'DOT/Vector2' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorSetIO = require( 'VECTOR_ADDITION/common/model/VectorSetIO' );
   const VectorSum = require( 'VECTOR_ADDITION/common/model/VectorSum' );
   const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
 
-  class VectorSet {
+  class VectorSet extends PhetioObject {
 
     /**
      * @constructor
      * @param {Property.<ModelViewTransform2>} modelViewTransformProperty - property of the view/model coordinate
      * transform of the graph
      * @param {Bounds2} graphModelBounds - the graph bounds (model coordinates)
+     * @param {NumberProperty} axesAngleProperty - the angle of the axes of the graph
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
      * @param {BooleanProperty} sumVisibleProperty
-     * @param {VectorTypes} vectorType
+     * @param {VectorGroup} vectorType
+     * @param {Object} [options]
      */
-    constructor( modelViewTransformProperty, graphModelBounds, componentStyleProperty, sumVisibleProperty, vectorType ) {
+    constructor(
+      modelViewTransformProperty,
+      graphModelBounds,
+      axesAngleProperty,
+      componentStyleProperty,
+      coordinateSnapModeProperty,
+      sumVisibleProperty,
+      vectorType,
+      options ) {
+
+      options = _.extend( {
+        sumOptions: null, // {Object|null} - options passed to the VectorSum
+
+        // phet-io
+        tandem: Tandem.optional,
+        phetioType: VectorSetIO,
+        phetioState: true,
+        phetioDocumentation: 'The vectors on the graph and their sum. Setting the state re-creates the vectors.'
+      }, options );
 
       // Type check arguments
       assert && assert( modelViewTransformProperty instanceof Property
@@ -43,29 +70,43 @@ define( require => {
       assert && assert( componentStyleProperty instanceof EnumerationProperty
       && ComponentStyles.includes( componentStyleProperty.value ),
         `invalid componentStyleProperty: ${componentStyleProperty}` );
+      assert && assert( coordinateSnapModeProperty instanceof EnumerationProperty
+      && CoordinateSnapModes.includes( coordinateSnapModeProperty.value ),
+        `invalid coordinateSnapModeProperty: ${coordinateSnapModeProperty}` );
       assert && assert( sumVisibleProperty instanceof BooleanProperty,
         `invalid sumVisibleProperty: ${sumVisibleProperty}` );
       assert && assert( VectorTypes.includes( vectorType ), `invalid vectorType: ${vectorType}` );
 
       //----------------------------------------------------------------------------------------
 
+      super( _.omit( options, 'sumOptions' ) );
+
       // @public {ObservableArray.<VectorModel>} - the vectors that appear on the graph (not including the sum vector)
       this.vectors = new ObservableArray();
 
+      // @private {GroupTandem} - the vectors are dynamic elements named vector0, vector1, etc. (see createVectorTandem)
+      this.vectorGroupTandem = options.tandem.createGroupTandem( 'vector' );
+
       // @public {VectorModel} the vector sum model
       this.vectorSum = new VectorSum(
         this.vectors,
         modelViewTransformProperty,
+        axesAngleProperty,
         componentStyleProperty,
+        coordinateSnapModeProperty,
         vectorType,
-        graphModelBounds );
+        graphModelBounds,
+        _.extend( { tandem: options.tandem.createTandem( 'vectorSum' ) }, options.sumOptions ) );
 
-      // @public {VectorTypes} vectorType - one vectorSet can only represent one vectorType
+      // @public {VectorGroup} vectorType - one vectorSet can only represent one vectorType
       this.vectorType = vectorType;
 
       // @public {BooleanProperty}
       this.sumVisibleProperty = sumVisibleProperty;
 
+      // @public (read-only) {Emitter} - emits with a vector before it is removed by returnVector
+      this.vectorReturnedEmitter = new Emitter();
+
 
       //----------------------------------------------------------------------------------------
       // Create references
@@ -73,10 +114,24 @@ define( require => {
       // @private {Property.<ModelViewTransform>}
       this.modelViewTransformProperty = modelViewTransformProperty;
 
+      // @private {NumberProperty}
+      this.axesAngleProperty = axesAngleProperty;
+
       // @private {Property.<ComponentStyles>}
       this.componentStyleProperty = componentStyleProperty;
 
+      // @private {Property.<CoordinateSnapModes>}
+      this.coordinateSnapModeProperty = coordinateSnapModeProperty;
 
+      //----------------------------------------------------------------------------------------
+
+      // Re-snap every vector (excluding the sum) when the coordinate snap mode changes.
+      // VectorSets exist for the lifetime of the sim, so no need to unlink.
+      coordinateSnapModeProperty.lazyLink( () => {
+        this.vectors.forEach( vector => {
+          vector.snapToGrid();
+        } );
+      } );
     }
 
     /**
@@ -85,20 +140,30 @@ define( require => {
      * @param {Vector2} tailPosition
      * @param {number} xComponent
      * @param {number} yComponent
-     * @param {Object} [options]
+     * @param {Object} [options] - passed to the VectorModel. The tandem defaults to the next tandem of the vectors.
      * @returns {VectorModel} the vector model added
      */
     addVector( tailPosition, xComponent, yComponent, options ) {
 
+      options = _.extend( {}, options );
+      if ( !options.tandem ) {
+        options.tandem = this.createVectorTandem();
+      }
+
       const newVector = new VectorModel(
         tailPosition,
         xComponent,
         yComponent,
         this.modelViewTransformProperty,
+        this.axesAngleProperty,
         this.componentStyleProperty,
+        this.coordinateSnapModeProperty,
         this.vectorType,
         options );
 
+      // Snap the new vector so that it is consistent with the current coordinate snap mode
+      newVector.snapToGrid();
+
       // Active the new vector
       newVector.isActiveProperty.value = true;
 
@@ -106,12 +171,85 @@ define( require => {
       return newVector;
     }
 
+    /**
+     * Create the tandem of a new vector. The vectors that are re-created by fromJSON keep their tandems, so the tandems
+     * that are in use are skipped.
+     * @private
+     * @returns {Tandem}
+     */
+    createVectorTandem() {
+      let tandem = this.vectorGroupTandem.createNextTandem();
+      while ( _.some( this.vectors.getArray(), vector => vector.tandemName === tandem.name ) ) {
+        tandem = this.vectorGroupTandem.createNextTandem();
+      }
+      return tandem;
+    }
+
+    /**
+     * @public
+     * Remove a vector that the user returned to the creator panel (e.g. by dragging it off the graph)
+     * @param {VectorModel} vector
+     */
+    returnVector( vector ) {
+      assert && assert( this.vectors.contains( vector ), `vector is not in the vectorSet: ${vector}` );
+      assert && assert( vector.isRemovable, 'vector is not removable' );
+
+      this.vectorReturnedEmitter.emit( vector );
+      this.vectors.remove( vector );
+    }
+
     /**
      * @public
      * Reset the vector set
      */
     reset() { this.vectors.clear(); }
 
+    /**
+     * Serialize the vector set to a plain object
+     * @public
+     * @returns {Object}
+     */
+    toJSON() {
+      return {
+        vectorType: this.vectorType.name,
+        sumVisible: this.sumVisibleProperty.value,
+        vectors: this.vectors.getArray().map( vector => vector.toJSON() )
+      };
+    }
+
+    /**
+     * Restore the vector set from an object created by toJSON. The current vectors are removed and the serialized
+     * vectors are re-created with their tandems, which notifies the item-added listeners of this.vectors. Keeping the
+     * tandems keeps the PhET-iO state of the tail and components Properties of the vectors valid.
+     * @public
+     * @param {Object} stateObject
+     */
+    fromJSON( stateObject ) {
+      assert && assert( stateObject.vectorType === this.vectorType.name,
+        `mismatched vectorType: ${stateObject.vectorType}` );
+
+      this.sumVisibleProperty.value = stateObject.sumVisible;
+
+      this.vectors.clear();
+
+      stateObject.vectors.forEach( vectorStateObject => {
+
+        const vector = this.addVector(
+          Vector2.fromStateObject( vectorStateObject.tail ),
+          vectorStateObject.components.x,
+          vectorStateObject.components.y, {
+            label: vectorStateObject.label,
+            isTipDraggable: vectorStateObject.isTipDraggable,
+            isRemovable: vectorStateObject.isRemovable,
+            tandem: this.tandem.createTandem( vectorStateObject.tandemName )
+          } );
+
+        // addVector snaps and activates the vector, so restore the exact values and deactivate it
+        vector.fromJSON( vectorStateObject );
+        vector.isActiveProperty.value = false;
+      } );
+    }
+
     /**
      * Convenience method: Applies a callback function to iterate through each vector
      * @param {function( <VectorModel>, <boolean> )} callback
@@ -0,0 +1,59 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * IO type for VectorSet. The state of a vectorSet is its serialization (see VectorSet.toJSON), so setting the state
+ * re-creates the vectors of the vectorSet, with the tandems that they had when the state was saved.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ObjectIO = require( 'TANDEM/types/ObjectIO' );
+  const phetioInherit = require( 'TANDEM/phetioInherit' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  /**
+   * @param {VectorSet} vectorSet
+   * @param {string} phetioID
+   * @constructor
+   */
+  function VectorSetIO( vectorSet, phetioID ) {
+    assert && assert( vectorSet instanceof phet.vectorAddition.VectorSet, `invalid vectorSet: ${vectorSet}` );
+    ObjectIO.call( this, vectorSet, phetioID );
+  }
+
+  phetioInherit( ObjectIO, 'VectorSetIO', VectorSetIO, {}, {
+    documentation: 'A set of vectors on a graph and their sum',
+
+    /**
+     * @param {VectorSet} vectorSet
+     * @returns {Object}
+     * @public
+     */
+    toStateObject( vectorSet ) {
+      return vectorSet.toJSON();
+    },
+
+    /**
+     * @param {Object} stateObject
+     * @returns {Object}
+     * @public
+     */
+    fromStateObject( stateObject ) {
+      return stateObject;
+    },
+
+    /**
+     * @param {VectorSet} vectorSet
+     * @param {Object} stateObject - see VectorSet.toJSON
+     * @public
+     */
+    setValue( vectorSet, stateObject ) {
+      vectorSet.fromJSON( stateObject );
+    }
+  } );
+
+  return vectorAddition.register( 'VectorSetIO', VectorSetIO );
+} );
@@ -3,6 +3,9 @@
 /**
  * Model for vectorial sum of all the vectors in an observable array
  *
+ * The sum is recalculated from the current vectors whenever a vector is added, removed or changed, so it doesn't
+ * accumulate floating point error. The sum can be limited to a subset of the vectors with options.includedVectors.
+ *
  * @author Martin Veillette
  */
 define( require => {
@@ -11,6 +14,7 @@ define( require => {
   // modules
   const Bounds2 = require( 'DOT/Bounds2' );
   const ObservableArray = require( 'AXON/ObservableArray' );
+  const Vector2 = require( 'DOT/Vector2' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
 
@@ -19,8 +23,10 @@ define( require => {
      * @constructor
      * @param {ObservableArray.<VectorModel>} vectors
      * @param {Property.<ModelViewTransform2>} modelViewTransformProperty
+     * @param {NumberProperty} axesAngleProperty
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
-     * @param {VectorTypes} vectorType
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
+     * @param {VectorGroup} vectorType
      * @param {Bounds2} graphModelBounds
      * @param {Object} [options]
      *
@@ -28,14 +34,21 @@ define( require => {
     constructor(
       vectors,
       modelViewTransformProperty,
+      axesAngleProperty,
       componentStyleProperty,
+      coordinateSnapModeProperty,
       vectorType,
       graphModelBounds,
       options ) {
 
       options = _.extend( {
         label: 's',// {string} - the label of the vector
-        isTipDraggable: false // {boolean} - can the tip be dragged
+        isTipDraggable: false, // {boolean} - can the tip be dragged
+        isRemovable: false, // {boolean} - can the vector be returned to the creator panel
+        isAttributesVectorReadOnly: true, // {boolean} - the sum is derived from the vectors
+
+        // {ObservableArray.<VectorModel>|null} - if provided, only the vectors that are also in this array are summed
+        includedVectors: null
       }, options );
 
 
@@ -46,6 +59,8 @@ define( require => {
       && vectors.filter( vector => !( vector instanceof VectorModel ) ).length === 0,
         `invalid vectors: ${vectors}` );
       assert && assert( graphModelBounds instanceof Bounds2, `invalid graphModelBounds ${graphModelBounds}` );
+      assert && assert( !options.includedVectors || options.includedVectors instanceof ObservableArray,
+        `invalid options.includedVectors: ${options.includedVectors}` );
       // The rest are checked in super classes
 
       //----------------------------------------------------------------------------------------
@@ -53,23 +68,22 @@ define( require => {
       // {Vector2} initial position of the tail of the vector sum
       const initialPosition = graphModelBounds.center;
 
-      super( initialPosition, 0, 0, modelViewTransformProperty, componentStyleProperty, vectorType, options );
-
+      super( initialPosition, 0, 0, modelViewTransformProperty, axesAngleProperty, componentStyleProperty,
+        coordinateSnapModeProperty, vectorType, options );
 
-      // Function to update the sum Vector when a vector is added or modified.
-      const updateSum = ( attributesVector, oldAttributesVector ) => {
+      // @private {ObservableArray.<VectorModel>}
+      this.vectors = vectors;
 
-        // add the current value of the new vector
-        this.attributesVectorProperty.value = this.attributesVectorProperty.value.plus( attributesVector );
+      // @private {ObservableArray.<VectorModel>|null}
+      this.includedVectors = options.includedVectors;
 
-        // remove the old value of the vector to get the change in the vector.
-        if ( oldAttributesVector ) {
-          this.attributesVectorProperty.value = this.attributesVectorProperty.value.minus( oldAttributesVector );
-        }
+      // Function to update the sum Vector when a vector is added, removed or modified.
+      const updateSum = () => {
+        this.updateSum();
       };
 
-
-      vectors.addItemAddedListener( ( addedVector ) => {
+      // function to observe a vector in the observable array
+      const observeVector = ( addedVector ) => {
 
         // calculate the sum when the vector is changed or added
         addedVector.attributesVectorProperty.link( updateSum );
@@ -77,19 +91,48 @@ define( require => {
         const removalListener = ( removedVector ) => {
           if ( removedVector === addedVector ) {
 
-            // recalculate the sum when the vector is removed
-            this.attributesVectorProperty.value =
-              this.attributesVectorProperty.value.minus( removedVector.attributesVectorProperty.value );
-
             // remove listener
             removedVector.attributesVectorProperty.unlink( updateSum );
 
             vectors.removeItemRemovedListener( removalListener );
+
+            // recalculate the sum without the removed vector
+            this.updateSum();
           }
         };
 
         vectors.addItemRemovedListener( removalListener );
-      } );
+      };
+
+      vectors.forEach( observeVector );
+      vectors.addItemAddedListener( observeVector );
+
+      // The sum exists for the lifetime of the sim, so no need to remove the listeners
+      if ( this.includedVectors ) {
+        this.includedVectors.addItemAddedListener( updateSum );
+        this.includedVectors.addItemRemovedListener( updateSum );
+      }
+
+      this.updateSum();
+    }
+
+    /**
+     * Gets the vectors that are summed: the vectors of the vectorSet, or only the included vectors
+     * @public
+     * @returns {Array.<VectorModel>}
+     */
+    get summedVectors() {
+      return this.vectors.getArray()
+        .filter( vector => !this.includedVectors || this.includedVectors.contains( vector ) );
+    }
+
+    /**
+     * Calculate the sum of the (included) vectors
+     * @private
+     */
+    updateSum() {
+      this.attributesVectorProperty.value = this.summedVectors
+        .reduce( ( sum, vector ) => sum.plus( vector.attributesVectorProperty.value ), new Vector2( 0, 0 ) );
     }
 
     // No need to add a dispose for the new properties since the sum exists the entire sim
@@ -0,0 +1,91 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * VectorSum tests
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
+  const Dimension2 = require( 'DOT/Dimension2' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const Graph = require( 'VECTOR_ADDITION/common/model/Graph' );
+  const ObservableArray = require( 'AXON/ObservableArray' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const VectorSet = require( 'VECTOR_ADDITION/common/model/VectorSet' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  QUnit.module( 'VectorSum' );
+
+  /**
+   * @param {Object} [sumOptions] - passed to the VectorSum
+   * @returns {VectorSet}
+   */
+  function createVectorSet( sumOptions ) {
+    const graph = new Graph( new Dimension2( 60, 40 ), new Vector2( -5, 35 ) );
+    return new VectorSet(
+      graph.modelViewTransformProperty,
+      graph.graphModelBounds,
+      graph.axesAngleProperty,
+      new EnumerationProperty( ComponentStyles, ComponentStyles.INVISIBLE ),
+      new EnumerationProperty( CoordinateSnapModes, CoordinateSnapModes.CARTESIAN ),
+      new BooleanProperty( true ),
+      VectorTypes.ONE,
+      { sumOptions: sumOptions } );
+  }
+
+  QUnit.test( 'sum after add, modify and remove', assert => {
+    const vectorSet = createVectorSet();
+    const vectorSum = vectorSet.vectorSum;
+    assert.ok( vectorSum.components.equals( Vector2.ZERO ), 'initial sum' );
+
+    const vectorA = vectorSet.addVector( new Vector2( 0, 0 ), 1, 2 );
+    const vectorB = vectorSet.addVector( new Vector2( 5, 5 ), 3, -1 );
+    assert.ok( vectorSum.components.equals( new Vector2( 4, 1 ) ), 'sum after add' );
+
+    vectorA.attributesVectorProperty.value = new Vector2( -2, 0 );
+    assert.ok( vectorSum.components.equals( new Vector2( 1, -1 ) ), 'sum after modify' );
+
+    vectorA.tail = new Vector2( 10, 10 );
+    assert.ok( vectorSum.components.equals( new Vector2( 1, -1 ) ), 'moving a vector doesn\'t change the sum' );
+
+    vectorSet.vectors.remove( vectorB );
+    assert.ok( vectorSum.components.equals( new Vector2( -2, 0 ) ), 'sum after remove' );
+
+    vectorB.attributesVectorProperty.value = new Vector2( 7, 7 );
+    assert.ok( vectorSum.components.equals( new Vector2( -2, 0 ) ), 'removed vectors aren\'t observed' );
+
+    vectorSet.vectors.clear();
+    assert.ok( vectorSum.components.equals( Vector2.ZERO ), 'sum after clear' );
+  } );
+
+  QUnit.test( 'sum of a subset of the vectors', assert => {
+    const includedVectors = new ObservableArray();
+    const vectorSet = createVectorSet( { includedVectors: includedVectors } );
+    const vectorSum = vectorSet.vectorSum;
+
+    const vectorA = vectorSet.addVector( new Vector2( 0, 0 ), 1, 2 );
+    const vectorB = vectorSet.addVector( new Vector2( 5, 5 ), 3, -1 );
+    assert.ok( vectorSum.components.equals( Vector2.ZERO ), 'no vectors are included' );
+
+    includedVectors.push( vectorA );
+    assert.ok( vectorSum.components.equals( new Vector2( 1, 2 ) ), 'sum after including a vector' );
+
+    includedVectors.push( vectorB );
+    assert.ok( vectorSum.components.equals( new Vector2( 4, 1 ) ), 'sum after including another vector' );
+
+    includedVectors.remove( vectorA );
+    assert.ok( vectorSum.components.equals( new Vector2( 3, -1 ) ), 'sum after excluding a vector' );
+
+    vectorA.attributesVectorProperty.value = new Vector2( 8, 8 );
+    assert.ok( vectorSum.components.equals( new Vector2( 3, -1 ) ), 'excluded vectors don\'t change the sum' );
+
+    vectorSet.vectors.remove( vectorB );
+    assert.ok( vectorSum.components.equals( Vector2.ZERO ), 'included vectors that are removed aren\'t summed' );
+  } );
+} );
@@ -1,7 +1,7 @@
 // Copyright 2019, University of Colorado Boulder
 
 /**
- * Possible types of vectors
+ * Possible types of vectors. Each type is a group of vectors with its own colors (see VectorGroup.js).
  *
  * @author Brandon Li
  */
@@ -9,15 +9,28 @@ define( require => {
   'use strict';
 
   // modules
-  const Enumeration = require( 'PHET_CORE/Enumeration' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorGroup = require( 'VECTOR_ADDITION/common/model/VectorGroup' );
 
   /**
-   * There are 2 types of vectors
-   * 'ONE' - currently used in all screen except for lab
-   * 'TWO' - only used in the lab screen as a second set of vectors
+   * 'ONE' - used in all screens
+   * 'TWO' - used in the lab screen as a second set of vectors
+   * More groups can be created with a VectorGroup, e.g. the other groups of the lab screen (see
+   * LabModel.createVectorGroups).
    */
-  const VectorTypes = new Enumeration( [ 'ONE', 'TWO' ] );
+  const VectorTypes = {
+    ONE: new VectorGroup( { name: 'ONE', colors: VectorAdditionColors.VECTOR_GROUP_1_COLORS } ),
+    TWO: new VectorGroup( { name: 'TWO', colors: VectorAdditionColors.VECTOR_GROUP_2_COLORS } ),
+
+    /**
+     * Is the value a type of vector? Any VectorGroup is, not only the groups above.
+     * @public
+     * @param {*} value
+     * @returns {boolean}
+     */
+    includes( value ) { return value instanceof VectorGroup; }
+  };
 
   return vectorAddition.register( 'VectorTypes', VectorTypes );
 } );
@@ -1,7 +1,8 @@
 // Copyright 2019, University of Colorado Boulder
 
 /**
- * Model for a X Vector Component.
+ * Model for a X Vector Component. The component is along the x-axis of the graph, which may be rotated (see
+ * Graph.axesAngleProperty).
  *
  * @author Brandon Li
  */
@@ -11,6 +12,7 @@ define( require => {
 
   // modules
   const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const Vector2 = require( 'DOT/Vector2' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorComponent = require( 'VECTOR_ADDITION/common/model/VectorComponent' );
 
@@ -24,9 +26,11 @@ define( require => {
      */
     updateComponent( parentVector, componentStyle ) {
 
-      // In all cases, the xComponent is always matching the parent and the yComponent is 0
-      this.xComponent = parentVector.xComponent;
-      this.yComponent = 0;
+      // the unit vector along the x-axis
+      const xDirection = Vector2.createPolar( 1, parentVector.axesAngleProperty.value );
+
+      // In all cases, the component is the projection of the parent onto the x-axis
+      this.attributesVectorProperty.value = xDirection.timesScalar( parentVector.components.dot( xDirection ) );
 
       // switch case to update the tail position of the component based on component style
       switch( componentStyle ) {
@@ -44,9 +48,8 @@ define( require => {
         }
         case ComponentStyles.ON_AXIS: {
 
-          // same tail x, however its y value is 0 since it is on the x-axis
-          this.tailX = parentVector.tailX;
-          this.tailY = 0;
+          // the tail of the parent projected onto the x-axis
+          this.tail = xDirection.timesScalar( parentVector.tail.dot( xDirection ) );
           break;
         }
         case ComponentStyles.INVISIBLE: {
@@ -1,7 +1,8 @@
 // Copyright 2019, University of Colorado Boulder
 
 /**
- * Model for a Y Vector Component.
+ * Model for a Y Vector Component. The component is along the y-axis of the graph, which may be rotated (see
+ * Graph.axesAngleProperty).
  *
  * @author Brandon Li
  */
@@ -11,6 +12,7 @@ define( require => {
 
   // modules
   const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const Vector2 = require( 'DOT/Vector2' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorComponent = require( 'VECTOR_ADDITION/common/model/VectorComponent' );
 
@@ -24,13 +26,18 @@ define( require => {
      */
     updateComponent( parentVector, componentStyle ) {
 
-      // In all cases, the yComponent is always matching the parent and the xComponent is 0
-      this.yComponent = parentVector.yComponent;
-      this.xComponent = 0;
+      // the unit vectors along the axes. The y-axis is a quarter turn counterclockwise from the x-axis.
+      const xDirection = Vector2.createPolar( 1, parentVector.axesAngleProperty.value );
+      const yDirection = new Vector2( -xDirection.y, xDirection.x );
+
+      // In all cases, the component is the projection of the parent onto the y-axis
+      this.attributesVectorProperty.value = yDirection.timesScalar( parentVector.components.dot( yDirection ) );
 
       switch( componentStyle ) {
         case ComponentStyles.TRIANGLE: {
-          this.setTailXY( parentVector.tipX, parentVector.tailY );
+
+          // starts at the tip of the x component
+          this.tail = parentVector.tail.plus( xDirection.timesScalar( parentVector.components.dot( xDirection ) ) );
           break;
         }
         case ComponentStyles.PARALLELOGRAM: {
@@ -41,9 +48,8 @@ define( require => {
         }
         case ComponentStyles.ON_AXIS: {
 
-          // same tail y, however its x value is 0 since it is on the y-axis
-          this.tailY = parentVector.tailY;
-          this.tailX = 0;
+          // the tail of the parent projected onto the y-axis
+          this.tail = yDirection.timesScalar( parentVector.tail.dot( yDirection ) );
           break;
         }
         case ComponentStyles.INVISIBLE: {
@@ -0,0 +1,118 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * View for the angle between the two selected vectors, shown when the InspectVectorPanel is in the dot product mode.
+ *
+ * The arc arrow goes from the previously selected vector to the most recently selected vector, around the tail of the
+ * previously selected vector. If the tails of the vectors aren't at the same position, a dashed line shows the
+ * direction of the most recently selected vector from that tail.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ArcArrowNode = require( 'VECTOR_ADDITION/common/view/ArcArrowNode' );
+  const InspectModes = require( 'VECTOR_ADDITION/common/model/InspectModes' );
+  const Line = require( 'SCENERY/nodes/Line' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Util = require( 'DOT/Util' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  // constants
+  const ARC_RADIUS = 35;
+  const ARC_ARROW_OPTIONS = {
+    arrowheadWidth: 8,
+    arrowheadHeight: 6
+  };
+  const LABEL_OFFSET = 15; // distance between the arc and the center of the label
+  const DIRECTION_LINE_OPTIONS = {
+    stroke: 'black',
+    lineDash: [ 4, 4 ]
+  };
+
+  // the maximum percentage that the arc radius can be when compared to the magnitude of the shorter vector
+  const MAXIMUM_RADIUS_SCALE = 0.59;
+
+  class AngleBetweenNode extends Node {
+
+    /**
+     * @param {VectorSelection} vectorSelection
+     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty
+     */
+    constructor( vectorSelection, modelViewTransformProperty ) {
+
+      super( { pickable: false } );
+
+      const arcArrow = new ArcArrowNode( 0, ARC_RADIUS, ARC_ARROW_OPTIONS );
+
+      const directionLine = new Line( 0, 0, 0, 0, DIRECTION_LINE_OPTIONS );
+
+      const labelText = new Text( '', {
+        font: new PhetFont( { size: 14, family: 'Times' } )
+      } );
+
+      this.setChildren( [ directionLine, arcArrow, labelText ] );
+
+      const update = () => {
+
+        const vector = vectorSelection.vectorProperty.value;
+        const previousVector = vectorSelection.previousVectorProperty.value;
+        const angleBetween = vectorSelection.angleBetweenProperty.value;
+
+        // the angle is undefined if either vector has no direction
+        this.visible = vectorSelection.inspectModeProperty.value === InspectModes.DOT_PRODUCT && angleBetween !== null;
+
+        if ( !this.visible ) {
+          return;
+        }
+
+        const modelViewTransform = modelViewTransformProperty.value;
+        // angleDegreesProperty is measured from the x-axis, which may be rotated, so use the angles in model
+        // coordinates
+        const previousVectorAngle = Util.toDegrees( previousVector.angle );
+
+        // the signed angle from the previous vector to the vector, in the range (-180, 180]
+        let angle = Util.toDegrees( vector.angle ) - previousVectorAngle;
+        if ( angle > 180 ) {
+          angle -= 360;
+        }
+        else if ( angle <= -180 ) {
+          angle += 360;
+        }
+
+        // shrink the arc so that it fits between short vectors
+        const viewMagnitude = modelViewTransform.modelToViewDeltaX(
+          Math.min( vector.magnitudeProperty.value, previousVector.magnitudeProperty.value ) );
+        const radius = Math.min( ARC_RADIUS, MAXIMUM_RADIUS_SCALE * viewMagnitude );
+
+        const viewTail = modelViewTransform.modelToViewPosition( previousVector.tail );
+
+        arcArrow.setAngle( angle );
+        arcArrow.setScaleMagnitude( radius / ARC_RADIUS );
+        arcArrow.rotation = -Util.toRadians( previousVectorAngle );
+        arcArrow.translation = viewTail;
+
+        directionLine.visible = !vector.tail.equals( previousVector.tail );
+        directionLine.setPoint1( viewTail );
+        directionLine.setPoint2( viewTail.plus( modelViewTransform.modelToViewDelta( vector.components ) ) );
+
+        // label the angle at the middle of the arc
+        labelText.setText( Util.toFixed( angleBetween, 1 ) + '\u00B0' );
+        labelText.center = viewTail.plus(
+          Vector2.createPolar( radius + LABEL_OFFSET, -Util.toRadians( previousVectorAngle + angle / 2 ) ) );
+      };
+
+      // The selection and the graph exist for the lifetime of the sim, so no need to unlink
+      vectorSelection.changedEmitter.addListener( update );
+      vectorSelection.inspectModeProperty.link( update );
+      modelViewTransformProperty.lazyLink( update );
+    }
+  }
+
+  return vectorAddition.register( 'AngleBetweenNode', AngleBetweenNode );
+} );
@@ -29,8 +29,9 @@ define( require => {
      * @param {Property.<ModelViewTransform2>} modelViewTransformProperty - property for the coordinate transform
      * between model coordinates and view coordinates
      * @param {Object} arrowOptions - options passed to the arrow node for specific / specialized styling
+     * @param {Object} [labelOptions] - options passed to the VectorLabelNode
      */
-    constructor( baseVectorModel, modelViewTransformProperty, valuesVisibleProperty, arrowOptions ) {
+    constructor( baseVectorModel, modelViewTransformProperty, valuesVisibleProperty, arrowOptions, labelOptions ) {
 
       // Type check arguments
       assert && assert( baseVectorModel instanceof BaseVectorModel, `invalid baseVectorModel: ${baseVectorModel}` );
@@ -54,16 +55,16 @@ define( require => {
 
       // @public (read-only) {Node} labelNode - Create a label for the vector that is displayed 'next' to the arrow. 
       // The location of this depends on the angle of the vector.
-      this.labelNode = new VectorLabelNode( baseVectorModel, valuesVisibleProperty );
+      this.labelNode = new VectorLabelNode( baseVectorModel, valuesVisibleProperty, labelOptions );
 
       this.setChildren( [ this.arrowNode, this.labelNode ] );
 
       //----------------------------------------------------------------------------------------
-      // update the tail/tip location when the vector's tail/tip position changes
+      // update the tail/tip location when the vector's tail/tip position changes, or when the graph is zoomed
 
       // @public {Multilink} - observe changes to the tail/tip
       this.vectorObserver = new Multilink(
-        [ baseVectorModel.tailPositionProperty, baseVectorModel.tipPositionProperty ],
+        [ baseVectorModel.tailPositionProperty, baseVectorModel.tipPositionProperty, modelViewTransformProperty ],
         () => { this.updateVector( baseVectorModel, modelViewTransformProperty.value ); } );
 
     }
@@ -18,7 +18,7 @@ define( require => {
   // constants
   const RADIO_BUTTON_OPTIONS = _.extend( {
     left: 950,
-    top: 455,
+    top: 420,
     selectedLineWidth: 2,
     cornerRadius: 5,
     orientation: 'vertical'
@@ -41,6 +41,9 @@ define( require => {
       }, {
         value: CoordinateSnapModes.POLAR,
         node: VectorAdditionIconFactory.createPolarIcon()
+      }, {
+        value: CoordinateSnapModes.FREE,
+        node: VectorAdditionIconFactory.createFreeIcon()
       } ];
 
       super( coordinateSnapModeProperty, coordinateSnapModesRadioButtonContent, RADIO_BUTTON_OPTIONS );
@@ -0,0 +1,120 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * View for the cross product of the two selected vectors, shown when the InspectVectorPanel is in the cross product
+ * mode.
+ *
+ * The parallelogram that the vectors span is shaded. Like the parallelogram component style, both vectors start at the
+ * same point, which is the tail of the previously selected vector. Its area is the magnitude of the cross product. A
+ * symbol at its center shows the direction of the cross product: out of the page (a dot in a circle) if the cross
+ * product is positive, into the page (a cross in a circle) if it is negative.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Circle = require( 'SCENERY/nodes/Circle' );
+  const InspectModes = require( 'VECTOR_ADDITION/common/model/InspectModes' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const Shape = require( 'KITE/Shape' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+
+  // constants
+  const PARALLELOGRAM_OPTIONS = {
+    fill: VectorAdditionColors.CROSS_PRODUCT_COLORS.fill,
+    stroke: VectorAdditionColors.CROSS_PRODUCT_COLORS.stroke,
+    lineWidth: 1
+  };
+  const SYMBOL_RADIUS = 8;
+  const SYMBOL_OPTIONS = {
+    stroke: 'black',
+    fill: 'white',
+    lineWidth: 1.5
+  };
+
+  class CrossProductNode extends Node {
+
+    /**
+     * @param {VectorSelection} vectorSelection
+     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty
+     */
+    constructor( vectorSelection, modelViewTransformProperty ) {
+
+      super( { pickable: false } );
+
+      const parallelogramPath = new Path( null, PARALLELOGRAM_OPTIONS );
+
+      // a dot in a circle, like the tip of an arrow that points out of the page
+      const outOfPageSymbol = new Node( {
+        children: [
+          new Circle( SYMBOL_RADIUS, SYMBOL_OPTIONS ),
+          new Circle( SYMBOL_RADIUS / 4, { fill: SYMBOL_OPTIONS.stroke } )
+        ]
+      } );
+
+      // a cross in a circle, like the tail of an arrow that points into the page
+      const crossOffset = SYMBOL_RADIUS * Math.SQRT1_2;
+      const intoPageSymbol = new Node( {
+        children: [
+          new Circle( SYMBOL_RADIUS, SYMBOL_OPTIONS ),
+          new Path( new Shape()
+            .moveTo( -crossOffset, -crossOffset )
+            .lineTo( crossOffset, crossOffset )
+            .moveTo( -crossOffset, crossOffset )
+            .lineTo( crossOffset, -crossOffset ), {
+            stroke: SYMBOL_OPTIONS.stroke,
+            lineWidth: SYMBOL_OPTIONS.lineWidth
+          } )
+        ]
+      } );
+
+      this.setChildren( [ parallelogramPath, outOfPageSymbol, intoPageSymbol ] );
+
+      const update = () => {
+
+        const vector = vectorSelection.vectorProperty.value;
+        const previousVector = vectorSelection.previousVectorProperty.value;
+        const crossProduct = vectorSelection.crossProductProperty.value;
+
+        this.visible = vectorSelection.inspectModeProperty.value === InspectModes.CROSS_PRODUCT &&
+                       crossProduct !== null;
+
+        if ( !this.visible ) {
+          return;
+        }
+
+        const modelViewTransform = modelViewTransformProperty.value;
+
+        // the corners of the parallelogram, in view coordinates
+        const origin = modelViewTransform.modelToViewPosition( previousVector.tail );
+        const previousVectorDelta = modelViewTransform.modelToViewDelta( previousVector.components );
+        const vectorDelta = modelViewTransform.modelToViewDelta( vector.components );
+
+        parallelogramPath.shape = new Shape()
+          .moveToPoint( origin )
+          .lineToPoint( origin.plus( previousVectorDelta ) )
+          .lineToPoint( origin.plus( previousVectorDelta ).plus( vectorDelta ) )
+          .lineToPoint( origin.plus( vectorDelta ) )
+          .close();
+
+        // the vectors are parallel if the cross product is 0, so there is no direction
+        const center = origin.plus( previousVectorDelta.plus( vectorDelta ).timesScalar( 0.5 ) );
+        outOfPageSymbol.visible = crossProduct > 0;
+        outOfPageSymbol.center = center;
+        intoPageSymbol.visible = crossProduct < 0;
+        intoPageSymbol.center = center;
+      };
+
+      // The selection and the graph exist for the lifetime of the sim, so no need to unlink
+      vectorSelection.changedEmitter.addListener( update );
+      vectorSelection.inspectModeProperty.link( update );
+      modelViewTransformProperty.lazyLink( update );
+    }
+  }
+
+  return vectorAddition.register( 'CrossProductNode', CrossProductNode );
+} );
@@ -0,0 +1,82 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * 'Difference' check box, used to control visibility of the difference vector. Below the label, the icons of the 2 sums
+ * show which sums the difference is of, since there may be more groups than the 2 that are subtracted.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const Checkbox = require( 'SUN/Checkbox' );
+  const LayoutBox = require( 'SCENERY/nodes/LayoutBox' );
+  const MathSymbols = require( 'SCENERY_PHET/MathSymbols' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const VectorAdditionIconFactory = require( 'VECTOR_ADDITION/common/view/VectorAdditionIconFactory' );
+  const VectorGroup = require( 'VECTOR_ADDITION/common/model/VectorGroup' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // constants
+  const TEXT_OPTIONS = {
+    font: VectorAdditionConstants.PANEL_FONT
+  };
+  const CHECKBOX_OPTIONS = VectorAdditionConstants.CHECKBOX_OPTIONS;
+  const SUM_ICON_OPTIONS = {
+    arrowSize: 18,
+    headHeight: 8
+  };
+
+  // strings
+  const differenceString = require( 'string!VECTOR_ADDITION/difference' );
+
+  class DifferenceCheckbox extends Checkbox {
+    /**
+     * @constructor
+     * @param {BooleanProperty} differenceVisibleProperty
+     * @param {VectorGroup} minuendGroup - the group whose sum is the minuend
+     * @param {VectorGroup} subtrahendGroup - the group whose sum is the subtrahend
+     */
+    constructor( differenceVisibleProperty, minuendGroup, subtrahendGroup ) {
+
+      // Type check arguments
+      assert && assert( differenceVisibleProperty instanceof BooleanProperty,
+        `invalid differenceVisibleProperty: ${differenceVisibleProperty}` );
+      assert && assert( minuendGroup instanceof VectorGroup, `invalid minuendGroup: ${minuendGroup}` );
+      assert && assert( subtrahendGroup instanceof VectorGroup, `invalid subtrahendGroup: ${subtrahendGroup}` );
+
+      //----------------------------------------------------------------------------------------
+
+      super( new LayoutBox( {
+        orientation: 'vertical',
+        align: 'left',
+        spacing: CHECKBOX_OPTIONS.spacing,
+        children: [
+          new LayoutBox( {
+            orientation: 'horizontal',
+            spacing: CHECKBOX_OPTIONS.spacing,
+            children: [
+              new Text( differenceString, TEXT_OPTIONS ),
+              VectorAdditionIconFactory.createDifferenceIcon()
+            ]
+          } ),
+          new LayoutBox( {
+            orientation: 'horizontal',
+            spacing: CHECKBOX_OPTIONS.spacing,
+            children: [
+              VectorAdditionIconFactory.createSumIcon( minuendGroup, SUM_ICON_OPTIONS ),
+              new Text( MathSymbols.MINUS, TEXT_OPTIONS ),
+              VectorAdditionIconFactory.createSumIcon( subtrahendGroup, SUM_ICON_OPTIONS )
+            ]
+          } )
+        ]
+      } ), differenceVisibleProperty, CHECKBOX_OPTIONS );
+    }
+
+  }
+
+  return vectorAddition.register( 'DifferenceCheckbox', DifferenceCheckbox );
+} );
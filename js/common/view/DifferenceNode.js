@@ -0,0 +1,61 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * View for a vector difference, which is drawn tip-to-tip (see VectorDifference). The difference can't be dragged,
+ * but pressing it shows it in the InspectVectorPanel.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BaseVectorNode = require( 'VECTOR_ADDITION/common/view/BaseVectorNode' );
+  const PressListener = require( 'SCENERY/listeners/PressListener' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const VectorDifference = require( 'VECTOR_ADDITION/common/model/VectorDifference' );
+
+  // constants
+  const ARROW_OPTIONS = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
+    fill: VectorAdditionColors.DIFFERENCE_COLORS.fill,
+    lineWidth: 1,
+    cursor: 'pointer'
+  } );
+  const LABEL_OPTIONS = {
+    fill: VectorAdditionColors.DIFFERENCE_COLORS.labelBackground
+  };
+
+  class DifferenceNode extends BaseVectorNode {
+    /**
+     * @constructor
+     * @param {VectorDifference} vectorDifference
+     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty - property for the coordinate transform
+     * between model coordinates and view coordinates
+     * @param {BooleanProperty} valuesVisibleProperty
+     */
+    constructor( vectorDifference, modelViewTransformProperty, valuesVisibleProperty ) {
+
+      // Type check arguments
+      assert && assert( vectorDifference instanceof VectorDifference,
+        `invalid vectorDifference: ${vectorDifference}` );
+      // The rest are checked in the super class
+
+      super( vectorDifference, modelViewTransformProperty, valuesVisibleProperty, ARROW_OPTIONS, LABEL_OPTIONS );
+
+      // The difference is active while it is pressed, so that it is shown in the InspectVectorPanel. The difference
+      // exists for the lifetime of the sim, so no need to remove the listener.
+      this.addInputListener( new PressListener( {
+        press: () => {
+          vectorDifference.isActiveProperty.value = true;
+        },
+        release: () => {
+          vectorDifference.isActiveProperty.value = false;
+        }
+      } ) );
+    }
+  }
+
+  return vectorAddition.register( 'DifferenceNode', DifferenceNode );
+} );
@@ -0,0 +1,81 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Buttons that download the vectors of a scene as a CSV or LaTeX file (see SceneExporter). SceneNode puts them below
+ * the graph, so that the vectors can be exported without expanding the VectorTable.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Scene = require( 'VECTOR_ADDITION/common/model/Scene' );
+  const SceneExporter = require( 'VECTOR_ADDITION/common/model/SceneExporter' );
+  const TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+
+  // constants
+  const EXPORT_BUTTON_OPTIONS = {
+    font: new PhetFont( 14 ),
+    baseColor: VectorAdditionColors.UNDO_REDO_BUTTON_BASE_COLOR,
+    xMargin: 6,
+    yMargin: 3
+  };
+
+  // strings
+  const exportCSVString = require( 'string!VECTOR_ADDITION/exportCSV' );
+  const exportLaTeXString = require( 'string!VECTOR_ADDITION/exportLaTeX' );
+
+  class ExportButtons extends HBox {
+
+    /**
+     * @param {Scene} scene
+     * @param {Object} [options]
+     */
+    constructor( scene, options ) {
+
+      assert && assert( scene instanceof Scene, `invalid scene: ${scene}` );
+
+      options = _.extend( {
+        spacing: 8
+      }, options );
+
+      options.children = [
+        new TextPushButton( exportCSVString, _.extend( {
+          listener: () => { downloadFile( SceneExporter.toCSV( scene ), 'vectors.csv', 'text/csv' ); }
+        }, EXPORT_BUTTON_OPTIONS ) ),
+        new TextPushButton( exportLaTeXString, _.extend( {
+          listener: () => { downloadFile( SceneExporter.toLaTeX( scene ), 'vectors.tex', 'application/x-tex' ); }
+        }, EXPORT_BUTTON_OPTIONS ) )
+      ];
+
+      super( options );
+    }
+  }
+
+  /**
+   * Downloads a file with the given contents
+   * @param {string} contents
+   * @param {string} fileName
+   * @param {string} mimeType
+   */
+  function downloadFile( contents, fileName, mimeType ) {
+    const url = window.URL.createObjectURL( new window.Blob( [ contents ], { type: mimeType } ) );
+
+    const link = document.createElement( 'a' );
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild( link );
+    link.click();
+    document.body.removeChild( link );
+
+    // Some browsers start the download after the click returns, so keep the URL until then
+    window.setTimeout( () => { window.URL.revokeObjectURL( url ); }, 0 );
+  }
+
+  return vectorAddition.register( 'ExportButtons', ExportButtons );
+} );
@@ -4,6 +4,9 @@
  * Base type for graphs, displays a 2D grid and axes.
  * The node's origin is at model coordinate (0, 0).
  *
+ * The axes and the grid follow the angle of the axes of the graph (see Graph.axesAngleProperty). The axes of a two
+ * dimensional graph are rotated by dragging a handle on the x-axis.
+ *
  * @author Martin Veillette
  */
 define( require => {
@@ -11,21 +14,30 @@ define( require => {
 
   // modules
   const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const Bounds2 = require( 'DOT/Bounds2' );
   const Color = require( 'SCENERY/util/Color' );
   const DragListener = require( 'SCENERY/listeners/DragListener' );
+  const Graph = require( 'VECTOR_ADDITION/common/model/Graph' );
+  const GridStyles = require( 'VECTOR_ADDITION/common/model/GridStyles' );
   const MathSymbolFont = require( 'SCENERY_PHET/MathSymbolFont' );
+  const Matrix3 = require( 'DOT/Matrix3' );
   const Node = require( 'SCENERY/nodes/Node' );
   const Path = require( 'SCENERY/nodes/Path' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
   const Property = require( 'AXON/Property' );
+  const Range = require( 'DOT/Range' );
   const Rectangle = require( 'SCENERY/nodes/Rectangle' );
   const ShadedSphereNode = require( 'SCENERY_PHET/ShadedSphereNode' );
   const Shape = require( 'KITE/Shape' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const Util = require( 'DOT/Util' );
   const Vector2 = require( 'DOT/Vector2' );
   const Vector2Property = require( 'DOT/Vector2Property' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const VectorAdditionDescriber = require( 'VECTOR_ADDITION/common/view/VectorAdditionDescriber' );
+  const VectorAdditionKeyboardUtil = require( 'VECTOR_ADDITION/common/view/VectorAdditionKeyboardUtil' );
   const VectorOrientations = require( 'VECTOR_ADDITION/common/model/VectorOrientations' );
 
   //----------------------------------------------------------------------------------------
@@ -44,7 +56,13 @@ define( require => {
     lineWidth: 1,
     stroke: VectorAdditionColors.GRAPH_MINOR_LINE_COLOR
   };
-  const MAJOR_TICK_SPACING = 5;
+  const MAJOR_TICK_SPACING = 5; // in minor grid lines (see Graph.gridSpacing)
+
+  // polar grid, angles in degrees. Radial lines that aren't major start further from the origin, so that the lines
+  // don't crowd around the origin.
+  const POLAR_GRID_ANGLE_SPACING = 5;
+  const POLAR_GRID_MAJOR_ANGLE_SPACING = 45;
+  const POLAR_GRID_MEDIUM_ANGLE_SPACING = 15; // these lines start at the first circle
 
   // origin circle
   const ORIGIN_CIRCLE_COLOR = Color.toColor( VectorAdditionColors.ORIGIN_DOT_COLOR );
@@ -57,11 +75,32 @@ define( require => {
     highlightColor: Color.WHITE,
     shadowColor: ORIGIN_CIRCLE_COLOR.darkerColor(),
     lineWidth: 1,
-    stroke: ORIGIN_CIRCLE_COLOR.darkerColor()
+    stroke: ORIGIN_CIRCLE_COLOR.darkerColor(),
+
+    // a11y - the origin can be moved with the arrow keys
+    tagName: 'div',
+    focusable: true
   };
-  // in model coordinates
+  // in model coordinates, when the graph isn't zoomed
   const DRAG_PADDING_CONSTRAINT = 5;
 
+  // axes rotation handle, on the positive x-axis
+  const AXES_ROTATION_HANDLE_COLOR = Color.toColor( VectorAdditionColors.AXES_ROTATION_HANDLE_COLOR );
+  const AXES_ROTATION_HANDLE_RADIUS = 10;
+  const AXES_ROTATION_HANDLE_DISTANCE = 100; // from the origin, in view coordinates
+  const AXES_ROTATION_HANDLE_OPTIONS = {
+    cursor: 'pointer',
+    mainColor: AXES_ROTATION_HANDLE_COLOR,
+    highlightColor: Color.WHITE,
+    shadowColor: AXES_ROTATION_HANDLE_COLOR.darkerColor(),
+    lineWidth: 1,
+    stroke: AXES_ROTATION_HANDLE_COLOR.darkerColor(),
+
+    // a11y - the axes can be rotated with the arrow keys
+    tagName: 'div',
+    focusable: true
+  };
+
   // axis
   const HEAD_WIDTH = 10;
   const HEAD_HEIGHT = 10;
@@ -77,7 +116,7 @@ define( require => {
     headHeight: HEAD_HEIGHT,
     stroke: null
   };
-  // tick length in model coordinates
+  // tick length in model coordinates, when the graph isn't zoomed
   const TICK_LENGTH = 1;
   const TICKS_OPTIONS = {
     lineWidth: 1,
@@ -87,12 +126,23 @@ define( require => {
     font: new PhetFont( 16 ),
     maxWidth: 30
   };
+  const TICK_LABEL_OPTIONS = {
+    font: new PhetFont( 12 ),
+    maxWidth: 30
+  };
+  const TICK_LABEL_SPACING = 8; // distance between the axis and its tick labels, in view coordinates
+  const AXIS_LABEL_SPACING = 10; // distance between the tip of the axis and its label, in view coordinates
   const AXIS_LABEL_OPTIONS = {
     font: new MathSymbolFont( 20 ),
     maxWidth: 30
   };
 
   // strings
+  const axesRotationHelpTextString = require( 'string!VECTOR_ADDITION/a11y.axesRotationHelpText' );
+  const axesRotationString = require( 'string!VECTOR_ADDITION/a11y.axesRotation' );
+  const graphString = require( 'string!VECTOR_ADDITION/a11y.graph' );
+  const originHelpTextString = require( 'string!VECTOR_ADDITION/a11y.originHelpText' );
+  const originString = require( 'string!VECTOR_ADDITION/a11y.origin' );
   const xString = require( 'string!VECTOR_ADDITION/x' );
   const yString = require( 'string!VECTOR_ADDITION/y' );
   const number0String = '0';
@@ -103,8 +153,10 @@ define( require => {
      *
      * @param {Graph} graph - the model graph for the node
      * @param {BooleanProperty} gridVisibilityProperty
+     * @param {EnumerationProperty.<GridStyles>} gridStyleProperty
+     * @param {BooleanProperty} tickLabelsVisibleProperty
      */
-    constructor( graph, gridVisibilityProperty ) {
+    constructor( graph, gridVisibilityProperty, gridStyleProperty, tickLabelsVisibleProperty ) {
 
       // Transform the model grid bounds into the view coordinates.
       // This will stay constant as the background rectangle won't move.
@@ -116,11 +168,14 @@ define( require => {
       const xAxisNode = new XAxisNode( graph );
       const yAxisNode = new YAxisNode( graph );
       const originCircle = new OriginCircle( graph );
+      const axesRotationHandle = new AxesRotationHandle( graph );
 
-      const gridLinesNode = new GridLinesNode( graph );
+      const gridLinesNode = new GridLinesNode( graph, gridStyleProperty );
 
       // present for the lifetime of the simulation
       gridVisibilityProperty.linkAttribute( gridLinesNode, 'visible' );
+      tickLabelsVisibleProperty.linkAttribute( xAxisNode.tickLabelsNode, 'visible' );
+      tickLabelsVisibleProperty.linkAttribute( yAxisNode.tickLabelsNode, 'visible' );
 
       super( {
         children: [
@@ -128,32 +183,47 @@ define( require => {
           gridLinesNode,
           xAxisNode,
           yAxisNode,
+          axesRotationHandle,
           originCircle
-        ]
+        ],
+
+        // a11y
+        tagName: 'div',
+        labelTagName: 'h3',
+        labelContent: graphString
       } );
 
+      // a11y - describe the graph, which changes when the origin moves. Present for the lifetime of the simulation.
+      Property.multilink( [ graph.upperLeftPositionProperty, gridVisibilityProperty ],
+        ( upperLeftPosition, gridVisible ) => {
+          this.descriptionContent = VectorAdditionDescriber.getGraphDescription( graph, gridVisible );
+        } );
+
       // @private
       this.originCircle = originCircle;
 
       const vectorOrientation = graph.orientation;
 
-      // toggle visibility based on different vector orientations
+      // toggle visibility based on different vector orientations. Only the axes of two dimensional graphs are rotated.
       switch( vectorOrientation ) {
         case VectorOrientations.HORIZONTAL:
           xAxisNode.visible = true;
           yAxisNode.visible = false;
+          axesRotationHandle.visible = false;
           xAxisNode.setOriginLabelVisibility( true );
           yAxisNode.setOriginLabelVisibility( true );
           break;
         case VectorOrientations.VERTICAL:
           xAxisNode.visible = false;
           yAxisNode.visible = true;
+          axesRotationHandle.visible = false;
           xAxisNode.setOriginLabelVisibility( true );
           yAxisNode.setOriginLabelVisibility( true );
           break;
         case VectorOrientations.TWO_DIMENSIONAL:
           xAxisNode.visible = true;
           yAxisNode.visible = true;
+          axesRotationHandle.visible = true;
           xAxisNode.setOriginLabelVisibility( false );
           yAxisNode.setOriginLabelVisibility( false );
           break;
@@ -173,8 +243,9 @@ define( require => {
     /**
      * @constructor
      * @param {Graph} graph - the model for the graph
+     * @param {EnumerationProperty.<GridStyles>} gridStyleProperty
      */
-    constructor( graph ) {
+    constructor( graph, gridStyleProperty ) {
 
       super();
 
@@ -189,51 +260,98 @@ define( require => {
       // modelViewTransformProperty link.
       this.minorGridLinesPath = new Path( new Shape(), MINOR_GRID_LINES_OPTIONS );
 
-      // Update the grid when the modelViewTransform changes (triggered when the origin is moved)
-      // link present for the lifetime of the simulation
-      graph.modelViewTransformProperty.link( ( modelViewTransform ) => {
-        this.updateGrid( modelViewTransform );
-      } );
+      // Update the grid when the modelViewTransform changes (triggered when the origin is moved or the graph is
+      // zoomed), the axes are rotated or the grid style changes. Multilink present for the lifetime of the simulation
+      Property.multilink( [ graph.modelViewTransformProperty, graph.axesAngleProperty, gridStyleProperty ],
+        ( modelViewTransform, axesAngle, gridStyle ) => {
+          this.updateGrid( modelViewTransform, axesAngle, gridStyle );
+        } );
 
       this.setChildren( [ this.majorGridLinesPath, this.minorGridLinesPath ] );
 
     }
 
     /**
-     * The modelViewTransform is changed when the origin is dragged. This method updates the grid based on a
-     * modelViewTransform and is called when when a new modelViewTransform is created.
+     * The modelViewTransform is changed when the origin is dragged or the graph is zoomed. This method updates the grid
+     * based on a modelViewTransform and is called when when a new modelViewTransform is created. The spacing of the
+     * lines depends on the zoom level (see Graph.gridSpacing).
+     *
+     * The lines are created along the axes, and then rotated with the axes.
      *
      * @param {ModelViewTransform2} modelViewTransform - the coordinate transform
      * between model coordinates and view coordinates
+     * @param {number} axesAngle - the angle of the axes, in radians
+     * @param {GridStyles} gridStyle
      *
      * @private
      */
-    updateGrid( modelViewTransform ) {
-
-      // convenience variables that get the grid bounds that are updated when the origin is dragged in the model
-      const graphMinX = this.graph.graphModelBounds.minX;
-      const graphMaxX = this.graph.graphModelBounds.maxX;
-      const graphMinY = this.graph.graphModelBounds.minY;
-      const graphMaxY = this.graph.graphModelBounds.maxY;
+    updateGrid( modelViewTransform, axesAngle, gridStyle ) {
 
       // Create two shapes for the different grid lines.
       const majorGridLinesShape = new Shape();
       const minorGridLinesShape = new Shape();
 
+      const axesRotation = Matrix3.rotation2( axesAngle );
+
+      switch( gridStyle ) {
+        case GridStyles.CARTESIAN:
+
+          // the lines cover the graph, which is rotated the other way in the coordinates of the axes
+          this.addCartesianGridLines( majorGridLinesShape, minorGridLinesShape,
+            this.graph.graphModelBounds.transformed( axesRotation.inverted() ) );
+
+          // the lines are within the graph, unless they are rotated
+          this.clipArea = axesAngle === 0 ? null :
+                          Shape.bounds( modelViewTransform.modelToViewBounds( this.graph.graphModelBounds ) );
+          break;
+        case GridStyles.POLAR:
+          this.addPolarGridLines( majorGridLinesShape, minorGridLinesShape );
+
+          // the circles and radial lines extend past the graph
+          this.clipArea = Shape.bounds( modelViewTransform.modelToViewBounds( this.graph.graphModelBounds ) );
+          break;
+        default:
+          throw new Error( `gridStyle not handled: ${gridStyle}` );
+      }
+
+      // Update the grid lines path so that it uses the new shape that is rotated with the axes and transformed from
+      // model coordinates to view coordinates.
+      this.majorGridLinesPath.setShape(
+        modelViewTransform.modelToViewShape( majorGridLinesShape.transformed( axesRotation ) ) );
+      this.minorGridLinesPath.setShape(
+        modelViewTransform.modelToViewShape( minorGridLinesShape.transformed( axesRotation ) ) );
+    }
+
+    /**
+     * Adds grid lines that are parallel to the axes to the shapes, in the coordinates of the axes
+     * @private
+     * @param {Shape} majorGridLinesShape
+     * @param {Shape} minorGridLinesShape
+     * @param {Bounds2} gridBounds - the bounds that the lines cover, in the coordinates of the axes
+     */
+    addCartesianGridLines( majorGridLinesShape, minorGridLinesShape, gridBounds ) {
+
+      // convenience variables that get the grid bounds that are updated when the origin is dragged in the model
+      const graphMinX = gridBounds.minX;
+      const graphMaxX = gridBounds.maxX;
+      const graphMinY = gridBounds.minY;
+      const graphMaxY = gridBounds.maxY;
+      const gridSpacing = this.graph.gridSpacing;
+
       // Create the Horizontal Grid Lines
       // Start from the Ceil of the graphMinY to the floor of the graphMaxY because the origin may be dragged so that the
       // minY and maxY are decimal points. With the ceil/floor of this also guarantees that we draw
       // all the lines visible in the window
-      for ( let j = Math.ceil( graphMinY ); j <= Math.floor( graphMaxY ); j++ ) {
+      for ( let j = Math.ceil( graphMinY / gridSpacing ); j <= Math.floor( graphMaxY / gridSpacing ); j++ ) {
 
-        // increment in model coordinates (1 unit)
+        // increment in grid lines (gridSpacing model units)
         const isMajor = j % ( MAJOR_TICK_SPACING ) === 0;
 
         if ( isMajor ) {
-          majorGridLinesShape.moveTo( graphMinX, j ).horizontalLineTo( graphMaxX );
+          majorGridLinesShape.moveTo( graphMinX, j * gridSpacing ).horizontalLineTo( graphMaxX );
         }
         else {
-          minorGridLinesShape.moveTo( graphMinX, j ).horizontalLineTo( graphMaxX );
+          minorGridLinesShape.moveTo( graphMinX, j * gridSpacing ).horizontalLineTo( graphMaxX );
         }
       }
 
@@ -241,22 +359,60 @@ define( require => {
       // Start from the Ceil of the graphMinX to the floor of the graphMaxX because the origin maX be dragged so that the
       // minX and maxX are decimal points. With the ceil/floor of this also guarantees that we draw
       // all the lines visible in the window
-      for ( let i = Math.ceil( graphMinX ); i <= Math.floor( graphMaxX ); i++ ) {
+      for ( let i = Math.ceil( graphMinX / gridSpacing ); i <= Math.floor( graphMaxX / gridSpacing ); i++ ) {
 
-        // increment in model coordinates (1 unit)
+        // increment in grid lines (gridSpacing model units)
         const isMajor = i % ( MAJOR_TICK_SPACING ) === 0;
         if ( isMajor ) {
-          majorGridLinesShape.moveTo( i, graphMinY ).verticalLineTo( graphMaxY );
+          majorGridLinesShape.moveTo( i * gridSpacing, graphMinY ).verticalLineTo( graphMaxY );
         }
         else {
-          minorGridLinesShape.moveTo( i, graphMinY ).verticalLineTo( graphMaxY );
+          minorGridLinesShape.moveTo( i * gridSpacing, graphMinY ).verticalLineTo( graphMaxY );
         }
       }
+    }
 
-      // Update the grid lines path so that it uses the new shape that is transformed from
-      // model coordinates to view coordinates.
-      this.majorGridLinesPath.setShape( modelViewTransform.modelToViewShape( majorGridLinesShape ) );
-      this.minorGridLinesPath.setShape( modelViewTransform.modelToViewShape( minorGridLinesShape ) );
+    /**
+     * Adds circles around the origin and radial lines from the origin to the shapes, in the coordinates of the axes
+     * (the distance to the corners of the graph doesn't depend on the rotation). The circles
+     * are at multiples of the grid spacing, so they are at integer radii. The lines extend to the farthest corner of
+     * the graph, and are clipped to the graph (see updateGrid).
+     * @private
+     * @param {Shape} majorGridLinesShape
+     * @param {Shape} minorGridLinesShape
+     */
+    addPolarGridLines( majorGridLinesShape, minorGridLinesShape ) {
+
+      const graphModelBounds = this.graph.graphModelBounds;
+      const gridSpacing = this.graph.gridSpacing;
+
+      // the distance from the origin to the farthest corner of the graph
+      const maxRadius = Math.sqrt( Math.max( graphModelBounds.minX * graphModelBounds.minX,
+        graphModelBounds.maxX * graphModelBounds.maxX ) + Math.max( graphModelBounds.minY * graphModelBounds.minY,
+        graphModelBounds.maxY * graphModelBounds.maxY ) );
+
+      // Create the circles, increment in grid lines (gridSpacing model units)
+      for ( let j = 1; j <= Math.ceil( maxRadius / gridSpacing ); j++ ) {
+
+        const isMajor = j % ( MAJOR_TICK_SPACING ) === 0;
+
+        ( isMajor ? majorGridLinesShape : minorGridLinesShape ).circle( 0, 0, j * gridSpacing );
+      }
+
+      // Create the radial lines
+      for ( let angle = 0; angle < 360; angle += POLAR_GRID_ANGLE_SPACING ) {
+
+        const direction = Vector2.createPolar( 1, Util.toRadians( angle ) );
+
+        if ( angle % POLAR_GRID_MAJOR_ANGLE_SPACING === 0 ) {
+          majorGridLinesShape.moveTo( 0, 0 ).lineToPoint( direction.timesScalar( maxRadius ) );
+        }
+        else {
+          const minRadius = ( angle % POLAR_GRID_MEDIUM_ANGLE_SPACING === 0 ? 1 : MAJOR_TICK_SPACING ) * gridSpacing;
+          minorGridLinesShape.moveToPoint( direction.timesScalar( minRadius ) )
+            .lineToPoint( direction.timesScalar( maxRadius ) );
+        }
+      }
     }
   }
 
@@ -270,18 +426,19 @@ define( require => {
      */
     constructor( graph ) {
 
-      // convenience variable
-      const modelViewTransform = graph.modelViewTransformProperty.value;
-
       // the origin in terms of the view;
-      const origin = modelViewTransform.modelToViewPosition( Vector2.ZERO );
+      const origin = graph.modelViewTransformProperty.value.modelToViewPosition( Vector2.ZERO );
 
-      super( ORIGIN_CIRCLE_RADIUS, _.extend( { center: origin }, ORIGIN_CIRCLE_OPTIONS ) );
+      super( ORIGIN_CIRCLE_RADIUS, _.extend( {
+        center: origin,
+        ariaLabel: originString,
+        descriptionContent: originHelpTextString
+      }, ORIGIN_CIRCLE_OPTIONS ) );
 
-      // Create a dragBounds to constrain the drag
-      const restrictedGraphViewBounds = modelViewTransform.modelToViewBounds(
-        graph.graphModelBounds.eroded( DRAG_PADDING_CONSTRAINT )
-      );
+      // Create a dragBounds to constrain the drag. The graph has the same bounds in the view at every zoom level.
+      const graphViewBounds = graph.modelViewTransformProperty.value.modelToViewBounds( graph.graphModelBounds );
+      const restrictedGraphViewBounds = graphViewBounds.eroded(
+        DRAG_PADDING_CONSTRAINT * VectorAdditionConstants.MODEL_TO_VIEW_SCALE_FACTOR );
 
       // @private Create a property of to track the view's origin in view coordinates
       this.originLocationProperty = new Vector2Property( origin );
@@ -289,20 +446,64 @@ define( require => {
       this.addInputListener( new DragListener( {
         locationProperty: this.originLocationProperty,
         translateNode: false,
-        dragBoundsProperty: new Property( restrictedGraphViewBounds )
+        dragBoundsProperty: new Property( restrictedGraphViewBounds ),
+        start: () => {
+          graph.isOriginActiveProperty.value = true;
+        },
+        end: () => {
+          graph.isOriginActiveProperty.value = false;
+        }
       } ) );
 
+      // Move the origin one grid line per arrow key press. Each key press is one entry in the scene history.
+      // The origin circle exists for the lifetime of the sim, so no need to remove the listener.
+      this.addInputListener( {
+        keydown: event => {
+          const domEvent = event.domEvent;
+          const keyboardDelta = VectorAdditionKeyboardUtil.getArrowKeyDirection( domEvent.keyCode );
+
+          if ( keyboardDelta ) {
+            graph.isOriginActiveProperty.value = true;
+            this.originLocationProperty.value = restrictedGraphViewBounds.closestPointTo( this.center.plus(
+              graph.modelViewTransformProperty.value.modelToViewDelta( keyboardDelta.timesScalar( graph.gridSpacing ) )
+            ) );
+            graph.isOriginActiveProperty.value = false;
+
+            // don't scroll the page
+            domEvent.preventDefault();
+          }
+        }
+      } );
+
+      // TODO: abstract snap to grid logic in the model
+      // Gets the displacement (model coordinates) of the origin to a location, in steps of the grid spacing so that the
+      // vectors on the graph stay on the grid when the origin moves
+      const getOriginSnapDisplacement = originLocation => {
+        const gridSpacing = graph.gridSpacing;
+        return graph.modelViewTransformProperty.value.viewToModelPosition( originLocation )
+          .dividedScalar( gridSpacing ).roundedSymmetric().timesScalar( gridSpacing );
+      };
+
       // link present for the lifetime of the simulation
       this.originLocationProperty.link( ( originLocation ) => {
 
-        // TODO: abstract snap to grid logic in the model
-        const originSnapLocation = modelViewTransform.viewToModelPosition( originLocation ).roundedSymmetric();
+        const originDisplacement = getOriginSnapDisplacement( originLocation );
+
+        if ( !originDisplacement.equals( Vector2.ZERO ) ) {
+          graph.moveOrigin( originDisplacement );
+        }
+      } );
 
-        // Update the upperLeftPosition model coordinates
-        graph.upperLeftPositionProperty.value = graph.upperLeftPositionProperty.initialValue.minus( originSnapLocation );
+      // Move the origin when the modelViewTransform changes, which may be from the model (e.g. undo or zooming)
+      // link present for the lifetime of the simulation
+      graph.modelViewTransformProperty.link( modelViewTransform => {
 
-        this.center = modelViewTransform.modelToViewPosition( originSnapLocation );
+        this.center = modelViewTransform.modelToViewPosition( Vector2.ZERO );
 
+        // keep the drag location in sync so that the next drag starts at the origin
+        if ( !getOriginSnapDisplacement( this.originLocationProperty.value ).equals( Vector2.ZERO ) ) {
+          this.originLocationProperty.value = this.center;
+        }
       } );
     }
 
@@ -312,18 +513,91 @@ define( require => {
     }
   }
 
+  //----------------------------------------------------------------------------------------
+  class AxesRotationHandle extends ShadedSphereNode {
+    /**
+     * Rotates the axes of the graph about the origin when it is dragged around the origin. The handle is on the
+     * positive x-axis.
+     * @constructor
+     *
+     * @param {Graph} graph - the model for the graph
+     */
+    constructor( graph ) {
+
+      // the first argument is the diameter
+      super( AXES_ROTATION_HANDLE_RADIUS * 2, _.extend( {
+        ariaLabel: axesRotationString,
+        descriptionContent: axesRotationHelpTextString
+      }, AXES_ROTATION_HANDLE_OPTIONS ) );
+
+      // the location of the handle while it is dragged, in view coordinates
+      const handleLocationProperty = new Vector2Property( Vector2.ZERO );
+
+      this.addInputListener( new DragListener( {
+        locationProperty: handleLocationProperty,
+        translateNode: false
+      } ) );
+
+      // Rotate the axes one interval per arrow key press, counterclockwise for the up and right arrow keys.
+      // The handle exists for the lifetime of the sim, so no need to remove the listener.
+      this.addInputListener( {
+        keydown: event => {
+          const domEvent = event.domEvent;
+          const direction = VectorAdditionKeyboardUtil.getArrowKeyDirection( domEvent.keyCode );
+
+          if ( direction ) {
+
+            // +1 for the right and up arrow keys, -1 for the left and down arrow keys
+            const keyboardDelta = direction.x + direction.y;
+            graph.rotateAxes(
+              graph.axesAngleProperty.value + keyboardDelta * Util.toRadians( Graph.AXES_ANGLE_INTERVAL ) );
+
+            // don't scroll the page
+            domEvent.preventDefault();
+          }
+        }
+      } );
+
+      // Point the x-axis at the handle while it is dragged. Link present for the lifetime of the simulation.
+      handleLocationProperty.lazyLink( handleLocation => {
+        const modelViewTransform = graph.modelViewTransformProperty.value;
+        const displacement = handleLocation.minus( modelViewTransform.modelToViewPosition( Vector2.ZERO ) );
+
+        if ( !displacement.equals( Vector2.ZERO ) ) {
+          graph.rotateAxes( modelViewTransform.viewToModelDelta( displacement ).angle );
+        }
+      } );
+
+      // Move the handle with the x-axis. It stays within the graph when the origin is close to the edge.
+      // Multilink present for the lifetime of the simulation
+      Property.multilink( [ graph.modelViewTransformProperty, graph.axesAngleProperty ],
+        ( modelViewTransform, axesAngle ) => {
+
+          const direction = Vector2.createPolar( 1, axesAngle );
+          const viewDistance = Math.min( AXES_ROTATION_HANDLE_DISTANCE,
+            modelViewTransform.modelToViewDeltaX( getAxisRange( graph.graphModelBounds, direction ).max ) -
+            AXES_ROTATION_HANDLE_RADIUS );
+
+          this.center = modelViewTransform.modelToViewPosition( Vector2.ZERO )
+            .plus( modelViewTransform.modelToViewDelta( direction ).normalized().timesScalar( viewDistance ) );
+        } );
+    }
+  }
+
   //----------------------------------------------------------------------------------------
   class AxisNode extends Node {
     /**
      * @abstract
-     * Abstract class that is used as a general axis.
+     * Abstract class that is used as a general axis. The axis goes through the origin along the (possibly rotated)
+     * axes of the graph, and extends past the edges of the graph.
      * This is extended by xAxisNode and yAxisNode which must provide the abstract methods.
      * @constructor
      *
      * @param {Graph} graph - the model for the graph
      * @param {string} axisLabelText - the label for the axis
+     * @param {number} lineExtent - how far the line extends past the grid, in view coordinates
      */
-    constructor( graph, axisLabelText ) {
+    constructor( graph, axisLabelText, lineExtent ) {
 
       super();
 
@@ -331,69 +605,131 @@ define( require => {
       // when the modelViewTransform is updated.
       this.axisArrow = new ArrowNode( 0, 0, 0, 0, ARROW_OPTIONS );
 
-      // @public {Text} axisLabel - Create a label right side of the axis that labels the axis. This will be moved when
-      // the modelViewTransform is updated.
+      // @public {Text} axisLabel - Create a label past the tip of the axis that labels the axis. This will be moved
+      // when the modelViewTransform is updated.
       this.axisLabel = new Text( axisLabelText, AXIS_LABEL_OPTIONS );
 
-      // Create a path that represents the ticks along the axis with an empty shape which will be updated when the 
+      // Create a path that represents the ticks along the axis with an empty shape which will be updated when the
       // modelViewTransform is updated.
       const axisTicksPath = new Path( new Shape(), TICKS_OPTIONS );
 
       // @public {Text} originText - create a label for the origin that will be moved when the modelViewTransform is updated.
       this.originText = new Text( number0String, ORIGIN_TEXT_OPTIONS );
 
-      // Observe changes to the modelViewTransform and update the axis when changed.
-      graph.modelViewTransformProperty.link( ( modelViewTransform ) => {
-
-        // convenience variable for the position of the origin in view coordinates
-        const graphViewOrigin = modelViewTransform.modelToViewPosition( Vector2.ZERO );
-
-        // convenience variables for the grid bounds in view/model coordinates
-        const graphModelBounds = graph.graphModelBounds;
-        const graphViewBounds = modelViewTransform.modelToViewBounds( graphModelBounds );
-
-        // Update the axis double arrow
-        // updateAxisArrow is an ABSTRACT method and MUST be provided
-        this.updateAxisArrow( graphViewBounds, graphViewOrigin );
-
-        // Update the labels of the axis
-        // Also a abstract method
-        this.updateAxisLabels( graphViewOrigin );
-
-        // get the shape of the ticks along the axis (abstract) in view coordinates
-        const newTicksShape = this.getUpdatedTicksShape( graphModelBounds, modelViewTransform );
+      // @public (read-only) {Node} tickLabelsNode - the numeric labels of the major ticks, which are re-created when
+      // the modelViewTransform is updated.
+      this.tickLabelsNode = new Node();
+
+      // Observe changes to the modelViewTransform and the angle of the axes, and update the axis when changed.
+      // Multilink present for the lifetime of the simulation
+      Property.multilink( [ graph.modelViewTransformProperty, graph.axesAngleProperty ],
+        ( modelViewTransform, axesAngle ) => {
+
+          // convenience variable for the position of the origin in view coordinates
+          const graphViewOrigin = modelViewTransform.modelToViewPosition( Vector2.ZERO );
+
+          // convenience variable for the grid bounds in model coordinates
+          const graphModelBounds = graph.graphModelBounds;
+
+          // the direction of the axis (abstract), and the part of the axis that is on the graph
+          const direction = this.getDirection( axesAngle );
+          const axisRange = getAxisRange( graphModelBounds, direction );
+
+          // Update the axis double arrow
+          const viewDirection = modelViewTransform.modelToViewDelta( direction ).normalized();
+          const viewTail = graphViewOrigin.plus( viewDirection.timesScalar(
+            modelViewTransform.modelToViewDeltaX( axisRange.min ) - lineExtent ) );
+          const viewTip = graphViewOrigin.plus( viewDirection.timesScalar(
+            modelViewTransform.modelToViewDeltaX( axisRange.max ) + lineExtent ) );
+          this.axisArrow.setTailAndTip( viewTail.x, viewTail.y, viewTip.x, viewTip.y );
+
+          // Update the labels of the axis
+          // An abstract method
+          this.updateAxisLabels( graphViewOrigin, viewTip, viewDirection );
+
+          // Update the ticks along the axis, in view coordinates. The ticks are on the major grid lines, and have the
+          // same length in the view at every zoom level.
+          const tickSpacing = MAJOR_TICK_SPACING * graph.gridSpacing;
+          axisTicksPath.setShape( getTicksShape( modelViewTransform, direction, axisRange, tickSpacing,
+            TICK_LENGTH / graph.zoomFactor ) );
+
+          this.updateTickLabels( graphModelBounds, modelViewTransform, direction, axisRange, tickSpacing,
+            this.getTickLabelsDirection( axesAngle ) );
+        } );
+
+      this.setChildren( [ this.axisArrow, this.axisLabel, axisTicksPath, this.originText, this.tickLabelsNode ] );
+    }
 
-        // Update the axis path
-        axisTicksPath.setShape( newTicksShape );
+    /**
+     * Re-creates the labels of the major ticks, on one side of the axis (the other side if they would extend past the
+     * edge of the graph). Labels that would overlap the origin circle or extend past the edge of the graph aren't
+     * shown. The origin isn't labeled here, see originText.
+     * @private
+     * @param {Bounds2} graphModelBounds - the bounds of the grid in model coordinates
+     * @param {ModelViewTransform2} modelViewTransform - the new modelViewTransform
+     * @param {Vector2} direction - the unit vector along the axis, in model coordinates
+     * @param {Range} axisRange - the part of the axis that is on the graph, in model units along the axis
+     * @param {number} tickSpacing - the spacing of the major ticks, in model coordinates
+     * @param {Vector2} tickLabelsDirection - the unit vector from the axis to its labels, in model coordinates
+     */
+    updateTickLabels( graphModelBounds, modelViewTransform, direction, axisRange, tickSpacing, tickLabelsDirection ) {
+
+      const graphViewBounds = modelViewTransform.modelToViewBounds( graphModelBounds );
+      const graphViewOrigin = modelViewTransform.modelToViewPosition( Vector2.ZERO );
+      const originCircleBounds = Bounds2.point( graphViewOrigin.x, graphViewOrigin.y ).dilated( ORIGIN_CIRCLE_RADIUS );
+      const viewTickLabelsDirection = modelViewTransform.modelToViewDelta( tickLabelsDirection ).normalized();
+
+      const tickLabels = [];
+      const maxTickIndex = Math.floor( axisRange.max / tickSpacing );
+      for ( let i = Math.ceil( axisRange.min / tickSpacing ); i <= maxTickIndex; i++ ) {
+        if ( i !== 0 ) {
+          const tickLabel = new Text( i * tickSpacing, TICK_LABEL_OPTIONS );
+          const viewTickPosition = modelViewTransform.modelToViewPosition( direction.timesScalar( i * tickSpacing ) );
+          const offset = TICK_LABEL_SPACING + getHalfExtent( tickLabel, viewTickLabelsDirection );
+
+          tickLabel.center = viewTickPosition.plus( viewTickLabelsDirection.timesScalar( offset ) );
+          if ( !graphViewBounds.containsBounds( tickLabel.bounds ) ) {
+            tickLabel.center = viewTickPosition.minus( viewTickLabelsDirection.timesScalar( offset ) );
+          }
+          tickLabels.push( tickLabel );
+        }
+      }
 
+      this.tickLabelsNode.children.forEach( tickLabel => tickLabel.dispose() );
+      this.tickLabelsNode.children = tickLabels.filter( tickLabel => {
+        const isShown = graphViewBounds.containsBounds( tickLabel.bounds )
+                        && !originCircleBounds.intersectsBounds( tickLabel.bounds );
+        if ( !isShown ) {
+          tickLabel.dispose();
+        }
+        return isShown;
       } );
-
-      this.setChildren( [ this.axisArrow, this.axisLabel, axisTicksPath, this.originText ] );
     }
 
     /**
-     * Updates the location of the arrow
+     * Gets the direction of the axis
      * @abstract
-     * @param {Bounds2} graphViewBounds - the bounds of the grid in view coordinates
-     * @param {Vector2} graphViewOrigin - the origin location in view coordinates
+     * @param {number} axesAngle - the angle of the axes, in radians
+     * @returns {Vector2} the unit vector along the axis, in model coordinates
      */
-    updateAxisArrow( graphViewBounds, graphViewOrigin ) {}
+    getDirection( axesAngle ) {}
 
     /**
-     * Updates the location of the labels (origin label and axis label)
+     * Gets the direction from the axis to the labels of its ticks
      * @abstract
-     * @param {Vector2} graphViewOrigin - the origin location in view coordinates
+     * @param {number} axesAngle - the angle of the axes, in radians
+     * @returns {Vector2} a unit vector, in model coordinates
      */
-    updateAxisLabels( graphViewOrigin ) {}
+    getTickLabelsDirection( axesAngle ) {}
 
     /**
-     * Gets a new shape for the updated axis ticks
+     * Updates the location of the labels (origin label and axis label)
      * @abstract
-     * @param {Bounds2} graphModelBounds - the bounds of the grid in model coordinates
-     * @param {ModelViewTransform2} modelViewTransform - the new modelViewTransform
-     * @returns {Shape} the new axis ticks shape in View coordinates
+     * @param {Vector2} graphViewOrigin - the origin location in view coordinates
+     * @param {Vector2} viewTip - the location of the tip of the axis arrow in view coordinates
+     * @param {Vector2} viewDirection - the unit vector along the axis in view coordinates
      */
-    getUpdatedTicksShape( graphModelBounds, modelViewTransform ) {}
+    updateAxisLabels( graphViewOrigin, viewTip, viewDirection ) {}
 
     /**
      * Set the visibility of the origin label
@@ -413,69 +749,46 @@ define( require => {
      * @param {Graph} graph - the model for the graph
      */
     constructor( graph ) {
-      super( graph, xString );
+      super( graph, xString, LINE_EXTENT_X );
     }
 
     /**
-     * Updates the location of the arrow
-     * @abstract
-     * @param {Bounds2} graphViewBounds - the bounds of the grid in view coordinates
-     * @param {Vector2} graphViewOrigin - the origin location in view coordinates
+     * Gets the direction of the axis
+     * @override
+     * @param {number} axesAngle - the angle of the axes, in radians
+     * @returns {Vector2} the unit vector along the axis, in model coordinates
      */
-    updateAxisArrow( graphViewBounds, graphViewOrigin ) {
-      this.axisArrow.setTailAndTip(
-        graphViewBounds.minX - LINE_EXTENT_X,
-        graphViewOrigin.y,
-        graphViewBounds.maxX + LINE_EXTENT_X,
-        graphViewOrigin.y
-      );
+    getDirection( axesAngle ) {
+      return Vector2.createPolar( 1, axesAngle );
+    }
+
+    /**
+     * The tick labels are below the axis, i.e. on the negative side of the y-axis
+     * @override
+     * @param {number} axesAngle - the angle of the axes, in radians
+     * @returns {Vector2} a unit vector, in model coordinates
+     */
+    getTickLabelsDirection( axesAngle ) {
+      const direction = this.getDirection( axesAngle );
+      return new Vector2( direction.y, -direction.x );
     }
 
     /**
      * Updates the location of the labels (origin label and axis label)
-     * @abstract
+     * @override
      * @param {Vector2} graphViewOrigin - the origin location in view coordinates
+     * @param {Vector2} viewTip - the location of the tip of the axis arrow in view coordinates
+     * @param {Vector2} viewDirection - the unit vector along the axis in view coordinates
      */
-    updateAxisLabels( graphViewOrigin ) {
-      // Update the label that is to the left of the axis
-      this.axisLabel.left = this.axisArrow.right + 10;
-      this.axisLabel.centerY = graphViewOrigin.y;
+    updateAxisLabels( graphViewOrigin, viewTip, viewDirection ) {
+      // Update the label that is past the tip of the axis
+      this.axisLabel.center = viewTip.plus( viewDirection.timesScalar(
+        AXIS_LABEL_SPACING + getHalfExtent( this.axisLabel, viewDirection ) ) );
 
       // Update the origin label
       this.originText.centerX = graphViewOrigin.x;
       this.originText.top = graphViewOrigin.y + 20;
     }
-
-    /**
-     * Gets a new shape for the updated axis ticks
-     * @abstract
-     * @param {Bounds2} graphModelBounds - the bounds of the grid in model coordinates
-     * @param {ModelViewTransform2} modelViewTransform - the new modelViewTransform
-     * @returns {Shape} the new axis ticks shape in View coordinates
-     */
-    getUpdatedTicksShape( graphModelBounds, modelViewTransform ) {
-      // create ticks along the axis
-      const xAxisTicksShape = new Shape();
-
-      // x-axis ticks, add them on every major ticks
-      // Start from the Ceil of the graphMinX to the floor of the graphMaxX because the origin maX be dragged so that the
-      // minX and maxX are decimal points. With the ceil/floor of this also guarantees that we draw
-      // all the ticks visible in the window.
-      for ( let i = Math.ceil( graphModelBounds.minX ); i <= Math.floor( graphModelBounds.maxX ); i++ ) {
-        // increment by model coordinates (1 unit)
-        const isMajor = i % ( MAJOR_TICK_SPACING ) === 0;
-
-        // the origin has a longer tick
-        if ( i === 0 ) {
-          xAxisTicksShape.moveTo( i, -TICK_LENGTH ).verticalLineTo( TICK_LENGTH );
-        }
-        else if ( isMajor ) {
-          xAxisTicksShape.moveTo( i, -TICK_LENGTH / 2 ).verticalLineTo( TICK_LENGTH / 2 );
-        }
-      }
-
-      return modelViewTransform.modelToViewShape( xAxisTicksShape );
-    }
   }
 
   //----------------------------------------------------------------------------------------
@@ -486,70 +799,107 @@ define( require => {
      * @param {Graph} graph - the model for the graph
      */
     constructor( graph ) {
-      super( graph, yString );
+      super( graph, yString, LINE_EXTENT_Y );
     }
 
     /**
-     * Updates the location of the arrow
-     * @abstract
-     * @param {Bounds2} graphViewBounds - the bounds of the grid in view coordinates
-     * @param {Vector2} graphViewOrigin - the origin location in view coordinates
+     * Gets the direction of the axis, a quarter turn counterclockwise from the x-axis
+     * @override
+     * @param {number} axesAngle - the angle of the axes, in radians
+     * @returns {Vector2} the unit vector along the axis, in model coordinates
      */
-    updateAxisArrow( graphViewBounds, graphViewOrigin ) {
-      this.axisArrow.setTailAndTip(
-        graphViewOrigin.x,
-        graphViewBounds.minY - LINE_EXTENT_Y,
-        graphViewOrigin.x,
-        graphViewBounds.maxY + LINE_EXTENT_Y
-      );
+    getDirection( axesAngle ) {
+      const xDirection = Vector2.createPolar( 1, axesAngle );
+      return new Vector2( -xDirection.y, xDirection.x );
+    }
+
+    /**
+     * The tick labels are left of the axis, i.e. on the negative side of the x-axis
+     * @override
+     * @param {number} axesAngle - the angle of the axes, in radians
+     * @returns {Vector2} a unit vector, in model coordinates
+     */
+    getTickLabelsDirection( axesAngle ) {
+      return Vector2.createPolar( 1, axesAngle ).negated();
     }
 
     /**
      * Updates the location of the labels (origin label and axis label)
-     * @abstract
+     * @override
      * @param {Vector2} graphViewOrigin - the origin location in view coordinates
+     * @param {Vector2} viewTip - the location of the tip of the axis arrow in view coordinates
+     * @param {Vector2} viewDirection - the unit vector along the axis in view coordinates
      */
-    updateAxisLabels( graphViewOrigin ) {
-      // Update the label that is to the left of the axis
-      this.axisLabel.centerX = graphViewOrigin.x;
-      this.axisLabel.centerY = this.axisArrow.top - 10;
+    updateAxisLabels( graphViewOrigin, viewTip, viewDirection ) {
+      // Update the label that is past the tip of the axis
+      this.axisLabel.center = viewTip.plus( viewDirection.timesScalar( AXIS_LABEL_SPACING ) );
 
       // Update the origin label
       this.originText.centerY = graphViewOrigin.y;
       this.originText.right = graphViewOrigin.x - 20;
     }
+  }
 
-    /**
-     * Gets a new shape for the updated axis ticks
-     * @abstract
-     * @param {Bounds2} graphModelBounds - the bounds of the grid in model coordinates
-     * @param {ModelViewTransform2} modelViewTransform - the new modelViewTransform
-     * @returns {Shape} the new axis ticks shape in View coordinates
-     */
-    getUpdatedTicksShape( graphModelBounds, modelViewTransform ) {
-      // create ticks along the axis
-      const yAxisTicksShape = new Shape();
-
-      // y-axis ticks, add them on every major ticks
-      // Start from the Ceil of the graphMinY to the floor of the graphMaxY because the origin maxY be dragged so that the
-      // minY and maxY are decimal points. With the ceil/floor of this also guarantees that we draw
-      // all the ticks visible in the window.
-      for ( let i = Math.ceil( graphModelBounds.minY ); i <= Math.floor( graphModelBounds.maxY ); i++ ) {
-        // increment by model coordinates (1 unit)
-        const isMajor = i % ( MAJOR_TICK_SPACING ) === 0;
+  /**
+   * Gets the part of an axis through the origin that is within bounds
+   * @param {Bounds2} bounds - contains the origin
+   * @param {Vector2} direction - the unit vector along the axis
+   * @returns {Range} - in units along the axis, from the origin
+   */
+  function getAxisRange( bounds, direction ) {
+    let min = -Infinity;
+    let max = Infinity;
+
+    // the axis leaves the bounds at the closest edge on either side of the origin
+    if ( direction.x !== 0 ) {
+      min = Math.max( min, Math.min( bounds.minX / direction.x, bounds.maxX / direction.x ) );
+      max = Math.min( max, Math.max( bounds.minX / direction.x, bounds.maxX / direction.x ) );
+    }
+    if ( direction.y !== 0 ) {
+      min = Math.max( min, Math.min( bounds.minY / direction.y, bounds.maxY / direction.y ) );
+      max = Math.min( max, Math.max( bounds.minY / direction.y, bounds.maxY / direction.y ) );
+    }
+    return new Range( min, max );
+  }
 
-        // the origin has a longer tick
-        if ( i === 0 ) {
-          yAxisTicksShape.moveTo( -TICK_LENGTH, i ).horizontalLineTo( TICK_LENGTH );
-        }
-        else if ( isMajor ) {
-          yAxisTicksShape.moveTo( -TICK_LENGTH / 2, i ).horizontalLineTo( TICK_LENGTH / 2 );
-        }
-      }
+  /**
+   * Gets the shape of the ticks along an axis, in view coordinates. The origin has a longer tick.
+   * @param {ModelViewTransform2} modelViewTransform
+   * @param {Vector2} direction - the unit vector along the axis, in model coordinates
+   * @param {Range} axisRange - the part of the axis that is on the graph, in model units along the axis
+   * @param {number} tickSpacing - the spacing of the ticks, in model coordinates
+   * @param {number} tickLength - the length of the origin tick, in model coordinates
+   * @returns {Shape}
+   */
+  function getTicksShape( modelViewTransform, direction, axisRange, tickSpacing, tickLength ) {
+    const ticksShape = new Shape();
+
+    // the ticks are perpendicular to the axis
+    const tickDirection = new Vector2( -direction.y, direction.x );
+
+    // Start from the Ceil of the min to the floor of the max because the origin may be dragged so that the ends of the
+    // axis are decimal points. With the ceil/floor of this also guarantees that we draw all the ticks visible in the
+    // window.
+    const maxTickIndex = Math.floor( axisRange.max / tickSpacing );
+    for ( let i = Math.ceil( axisRange.min / tickSpacing ); i <= maxTickIndex; i++ ) {
+      const halfTickLength = i === 0 ? tickLength : tickLength / 2;
+      const tickCenter = direction.timesScalar( i * tickSpacing );
+      ticksShape.moveToPoint( tickCenter.minus( tickDirection.timesScalar( halfTickLength ) ) )
+        .lineToPoint( tickCenter.plus( tickDirection.timesScalar( halfTickLength ) ) );
+    }
 
-      return modelViewTransform.modelToViewShape( yAxisTicksShape );
+    return modelViewTransform.modelToViewShape( ticksShape );
+  }
 
-    }
+  /**
+   * Gets the distance from the center of a node to the edge of its bounds in a direction, so that the node can be
+   * placed next to something in that direction
+   * @param {Node} node
+   * @param {Vector2} direction - a unit vector
+   * @returns {number}
+   */
+  function getHalfExtent( node, direction ) {
+    return ( Math.abs( direction.x ) * node.width + Math.abs( direction.y ) * node.height ) / 2;
   }
 
   return vectorAddition.register( 'GraphNode', GraphNode );
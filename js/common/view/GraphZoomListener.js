@@ -0,0 +1,124 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Zooms the graph with the mouse wheel, and by spreading or pinching two fingers on the graph. It is added to the
+ * graph and to the vectors on it (see SceneNode), so that a wheel or pinch that starts over a vector also zooms.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  // constants
+  const WHEEL_DELTA_PER_ZOOM_LEVEL = 100; // in pixels
+  const WHEEL_DELTA_LINE_HEIGHT = 16; // in pixels, for wheel deltas that are in lines
+  const PINCH_RATIO_PER_ZOOM_LEVEL = 1.5; // how much the fingers are spread (or pinched) to zoom in (or out) a level
+
+  class GraphZoomListener {
+    /**
+     * @constructor
+     *
+     * @param {Graph} graph - the model for the graph
+     */
+    constructor( graph ) {
+
+      // @private {Graph}
+      this.graph = graph;
+
+      // @private {number} - the wheel delta (pixels) that hasn't zoomed the graph yet
+      this.wheelDelta = 0;
+
+      // @private {Array.<Pointer>} - the touch pointers that are down on the graph
+      this.touchPointers = [];
+
+      // @private {number|null} - the distance (view coordinates) between the two fingers when the graph was last
+      // zoomed, or null if there aren't two fingers on the graph
+      this.pinchDistance = null;
+
+      // @private {Object} - listener for the touch pointers that are down on the graph
+      this.touchPointerListener = {
+        move: () => { this.updatePinch(); },
+        up: event => { this.removeTouchPointer( event.pointer ); },
+        cancel: event => { this.removeTouchPointer( event.pointer ); }
+      };
+    }
+
+    /**
+     * Zoom in (scroll up) or out (scroll down) one level per WHEEL_DELTA_PER_ZOOM_LEVEL
+     * @public - scenery input listener
+     * @param {SceneryEvent} event
+     */
+    wheel( event ) {
+      const domEvent = event.domEvent;
+
+      // deltaMode 0 is in pixels and 1 is in lines. Anything else (pages) zooms one level.
+      this.wheelDelta += domEvent.deltaMode === 0 ? domEvent.deltaY :
+                         domEvent.deltaMode === 1 ? domEvent.deltaY * WHEEL_DELTA_LINE_HEIGHT :
+                         Math.sign( domEvent.deltaY ) * WHEEL_DELTA_PER_ZOOM_LEVEL;
+
+      const levels = Math.trunc( this.wheelDelta / WHEEL_DELTA_PER_ZOOM_LEVEL );
+      if ( levels !== 0 ) {
+        this.graph.zoom( -levels );
+        this.wheelDelta -= levels * WHEEL_DELTA_PER_ZOOM_LEVEL;
+      }
+
+      // don't scroll the page
+      domEvent.preventDefault();
+    }
+
+    /**
+     * Start a pinch when a second finger touches the graph
+     * @public - scenery input listener
+     * @param {SceneryEvent} event
+     */
+    down( event ) {
+      const pointer = event.pointer;
+
+      if ( pointer.isTouch && this.touchPointers.indexOf( pointer ) === -1 ) {
+        this.touchPointers.push( pointer );
+        pointer.addInputListener( this.touchPointerListener );
+        this.updatePinch();
+      }
+    }
+
+    /**
+     * @private
+     * @param {Pointer} pointer
+     */
+    removeTouchPointer( pointer ) {
+      pointer.removeInputListener( this.touchPointerListener );
+      this.touchPointers = _.without( this.touchPointers, pointer );
+      this.updatePinch();
+    }
+
+    /**
+     * Zoom a level each time the distance between the first two fingers changes by PINCH_RATIO_PER_ZOOM_LEVEL
+     * @private
+     */
+    updatePinch() {
+      if ( this.touchPointers.length < 2 ) {
+        this.pinchDistance = null;
+        return;
+      }
+
+      const distance = this.touchPointers[ 0 ].point.distance( this.touchPointers[ 1 ].point );
+
+      if ( this.pinchDistance === null ) {
+        this.pinchDistance = distance;
+      }
+      else if ( distance > this.pinchDistance * PINCH_RATIO_PER_ZOOM_LEVEL ) {
+        this.graph.zoom( 1 );
+        this.pinchDistance = distance;
+      }
+      else if ( distance < this.pinchDistance / PINCH_RATIO_PER_ZOOM_LEVEL ) {
+        this.graph.zoom( -1 );
+        this.pinchDistance = distance;
+      }
+    }
+  }
+
+  return vectorAddition.register( 'GraphZoomListener', GraphZoomListener );
+} );
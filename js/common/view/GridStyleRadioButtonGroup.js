@@ -0,0 +1,62 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Radio buttons to choose how the grid of the graph is drawn (see GridStyles). They appear beside the GridCheckbox in
+ * the graph control panels.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const GridStyles = require( 'VECTOR_ADDITION/common/model/GridStyles' );
+  const RadioButtonGroup = require( 'SUN/buttons/RadioButtonGroup' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const VectorAdditionIconFactory = require( 'VECTOR_ADDITION/common/view/VectorAdditionIconFactory' );
+
+  // constants
+  const RADIO_BUTTON_OPTIONS = _.extend( {
+    orientation: 'horizontal',
+    spacing: 6,
+    selectedLineWidth: 2,
+    deselectedLineWidth: 1,
+    deselectedButtonOpacity: 0.4,
+    cornerRadius: VectorAdditionConstants.PANEL_OPTIONS.cornerRadius,
+    buttonContentXMargin: 3,
+    buttonContentYMargin: 3
+  }, VectorAdditionColors.RADIO_BUTTON_COLORS );
+  const ICON_OPTIONS = {
+    gridLineSpacing: 5
+  };
+
+  class GridStyleRadioButtonGroup extends RadioButtonGroup {
+
+    /**
+     * @param {EnumerationProperty.<GridStyles>} gridStyleProperty
+     * @param {Object} [options]
+     * @constructor
+     */
+    constructor( gridStyleProperty, options ) {
+
+      assert && assert( gridStyleProperty instanceof EnumerationProperty
+      && GridStyles.includes( gridStyleProperty.value ),
+        `invalid gridStyleProperty: ${gridStyleProperty}` );
+
+      const gridStylesRadioButtonContent = [ {
+        value: GridStyles.CARTESIAN,
+        node: VectorAdditionIconFactory.createGridIcon( ICON_OPTIONS )
+      }, {
+        value: GridStyles.POLAR,
+        node: VectorAdditionIconFactory.createPolarGridIcon( ICON_OPTIONS )
+      } ];
+
+      super( gridStyleProperty, gridStylesRadioButtonContent, _.extend( {}, RADIO_BUTTON_OPTIONS, options ) );
+    }
+  }
+
+  return vectorAddition.register( 'GridStyleRadioButtonGroup', GridStyleRadioButtonGroup );
+} );
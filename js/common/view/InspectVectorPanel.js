@@ -1,7 +1,20 @@
 // Copyright 2019, University of Colorado Boulder
 
 /**
- * Shows a Scenery Node that display the numerical magnitude, angle and components of a vector
+ * Shows a Scenery Node that display the numerical magnitude, angle and components of the selected vector. The angle
+ * and the components are measured along the axes of the graph, which may be rotated (see Graph.axesAngleProperty).
+ *
+ * The values of a vector with a draggable tip can be edited with spinners. Changing the magnitude keeps the angle,
+ * changing the angle keeps the magnitude, and changing a component keeps the other. The edited vector is then snapped
+ * like a dragged vector (see VectorModel.getSnappedComponents), so the kept value may change slightly in the snap
+ * modes that don't round it. A step that snaps back to the same vector, e.g. a 1 degree step of a short vector in the
+ * CARTESIAN snap mode, continues to the next value that changes the vector. The values of sums and other vectors with a
+ * fixed tip are only displayed.
+ *
+ * In the two-vector modes (see InspectModes), the panel relates the two most recently selected vectors instead: either
+ * their dot product, the angle between them and the scalar projection of the most recently selected vector onto the
+ * other, the z-component of their cross product, or the components of the most recently selected vector that are
+ * parallel and perpendicular to the other (see VectorSelection).
  *
  * @author Martin Veillette
  */
@@ -10,27 +23,42 @@ define( require => {
 
   // modules
   const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
   const ExpandCollapseButton = require( 'SUN/ExpandCollapseButton' );
   const FixedWidthNode = require( 'VECTOR_ADDITION/common/view/FixedWidthNode' );
   const FormulaNode = require( 'SCENERY_PHET/FormulaNode' );
+  const InspectModes = require( 'VECTOR_ADDITION/common/model/InspectModes' );
   const LayoutBox = require( 'SCENERY/nodes/LayoutBox' );
   const MathSymbols = require( 'SCENERY_PHET/MathSymbols' );
   const Node = require( 'SCENERY/nodes/Node' );
   const NumberDisplay = require( 'SCENERY_PHET/NumberDisplay' );
+  const NumberProperty = require( 'AXON/NumberProperty' );
+  const NumberSpinner = require( 'SUN/NumberSpinner' );
   const Panel = require( 'SUN/Panel' );
   const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Property = require( 'AXON/Property' );
   const Range = require( 'DOT/Range' );
+  const RadioButtonGroup = require( 'SUN/buttons/RadioButtonGroup' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
   const RichText = require( 'SCENERY/nodes/RichText' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const Util = require( 'DOT/Util' );
+  const Vector2 = require( 'DOT/Vector2' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionDescriber = require( 'VECTOR_ADDITION/common/view/VectorAdditionDescriber' );
+  const VectorAdditionIconFactory = require( 'VECTOR_ADDITION/common/view/VectorAdditionIconFactory' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorOrientations = require( 'VECTOR_ADDITION/common/model/VectorOrientations' );
+  const VectorSelection = require( 'VECTOR_ADDITION/common/model/VectorSelection' );
 
   // constants
   const VECTOR_PANEL_OPTIONS = {
     expandedProperty: new BooleanProperty( false ), // {Property.<boolean>}
     yMargin: 12,
     cornerRadius: 5,
-    minWidth: 430,
+    minWidth: 570,
     resize: false,
     fill: VectorAdditionColors.INSPECT_VECTOR_BACKGROUND,
     stroke: VectorAdditionColors.PANEL_STROKE_COLOR
@@ -39,23 +67,64 @@ define( require => {
   const EXPAND_COLLAPSE_BUTTON_CENTER_Y = -9;
   const EXPAND_COLLAPSE_BUTTON_LEFT_MARGIN = 5;
   const INSPECT_VECTOR_TEXT_LEFT_MARGIN = 10;
+  const MODE_RADIO_BUTTONS_OPTIONS = _.extend( {
+    orientation: 'horizontal',
+    spacing: 4,
+    selectedLineWidth: 2,
+    deselectedLineWidth: 1,
+    deselectedButtonOpacity: 0.4,
+    cornerRadius: 4,
+    buttonContentXMargin: 2,
+    buttonContentYMargin: 2
+  }, VectorAdditionColors.RADIO_BUTTON_COLORS );
 
   const MAGNITUDE_LENGTH = 20; // length of the text of the magnitude label
   const COMPONENT_LENGTH = 16;
   const ANGLE_LENGTH = 10;
+  const PAIR_FORMULA_LENGTH = 40; // length of the formulas that relate the two vectors
+  const NEGATE_BUTTON_OPTIONS = {
+    baseColor: VectorAdditionColors.UNDO_REDO_BUTTON_BASE_COLOR,
+    xMargin: 4,
+    yMargin: 2
+  };
+
+  // the ranges of the edited values. They are wide enough for the vectors on a zoomed out graph.
+  const MAGNITUDE_RANGE = new Range( 0, 500 );
+  const ANGLE_RANGE = new Range( -180, 180 );
+  const COMPONENT_RANGE = new Range( -500, 500 );
+  const SPINNER_OPTIONS = {
+    arrowsPosition: 'bothRight',
+    font: new PhetFont( 14 ),
+    xMargin: 3,
+    yMargin: 2
+  };
+  const EDIT_EPSILON = 1E-9; // components that are closer are the same snapped components, see editVector
 
   // strings
   const inspectAVectorString = require( 'string!VECTOR_ADDITION/inspectAVector' );
+  const negateVectorPatternString = require( 'string!VECTOR_ADDITION/a11y.negateVectorPattern' );
   const selectAVectorString = require( 'string!VECTOR_ADDITION/selectAVector' );
+  const selectTwoVectorsString = require( 'string!VECTOR_ADDITION/selectTwoVectors' );
   const xString = require( 'string!VECTOR_ADDITION/x' );
   const yString = require( 'string!VECTOR_ADDITION/y' );
 
   class InspectVectorPanel extends Panel {
 
     /**
-     * @param {Array.<VectorSet>} vectorSets
+     * @param {VectorSelection} vectorSelection
+     * @param {Object} [options]
      */
-    constructor( vectorSets ) {
+    constructor( vectorSelection, options ) {
+
+      assert && assert( vectorSelection instanceof VectorSelection, `invalid vectorSelection: ${vectorSelection}` );
+
+      options = _.extend( {
+        isNegationEnabled: false, // {boolean} - is there a button to negate the vector, see VectorModel.negate
+        vectorOrientation: VectorOrientations.TWO_DIMENSIONAL // {VectorOrientations} - the orientation of the graph
+      }, options );
+
+      assert && assert( VectorOrientations.includes( options.vectorOrientation ),
+        `invalid options.vectorOrientation: ${options.vectorOrientation}` );
 
       // node that is passed to the superclass (panel)
       const contentNode = new Node();
@@ -65,10 +134,27 @@ define( require => {
         sideLength: 21
       } );
 
+      // choose between inspecting one vector or relating two vectors
+      const modeRadioButtonGroup = new RadioButtonGroup( vectorSelection.inspectModeProperty, [ {
+        value: InspectModes.ONE_VECTOR,
+        node: VectorAdditionIconFactory.createInspectOneVectorIcon()
+      }, {
+        value: InspectModes.DOT_PRODUCT,
+        node: VectorAdditionIconFactory.createDotProductIcon()
+      }, {
+        value: InspectModes.CROSS_PRODUCT,
+        node: VectorAdditionIconFactory.createCrossProductIcon()
+      }, {
+        value: InspectModes.PROJECTION,
+        node: VectorAdditionIconFactory.createProjectionIcon()
+      } ], MODE_RADIO_BUTTONS_OPTIONS );
+
       const inspectVectorText = new Text( inspectAVectorString, { font: new PhetFont( 16 ) } );
 
       const selectVectorText = new Text( selectAVectorString, { font: new PhetFont( 16 ) } );
 
+      const selectTwoVectorsText = new Text( selectTwoVectorsString, { font: new PhetFont( 16 ) } );
+
       // create a scenery node that contains the nodes that display the vector
       // attributes (i.e. magnitude, angle, x and y components)
       const displayVectorNode = new LayoutBox( {
@@ -80,16 +166,17 @@ define( require => {
       // layout the scenery nodes
       expandCollapseButton.left = EXPAND_COLLAPSE_BUTTON_LEFT_MARGIN;
       expandCollapseButton.centerY = EXPAND_COLLAPSE_BUTTON_CENTER_Y;
+      modeRadioButtonGroup.left = expandCollapseButton.right + INSPECT_VECTOR_TEXT_LEFT_MARGIN;
+      modeRadioButtonGroup.centerY = EXPAND_COLLAPSE_BUTTON_CENTER_Y;
       inspectVectorText.left = expandCollapseButton.right + INSPECT_VECTOR_TEXT_LEFT_MARGIN;
       inspectVectorText.centerY = EXPAND_COLLAPSE_BUTTON_CENTER_Y;
-      selectVectorText.left = inspectVectorText.left;
-      selectVectorText.centerY = EXPAND_COLLAPSE_BUTTON_CENTER_Y;
-      displayVectorNode.left = inspectVectorText.left;
+      displayVectorNode.left = modeRadioButtonGroup.right + INSPECT_VECTOR_TEXT_LEFT_MARGIN;
       displayVectorNode.centerY = EXPAND_COLLAPSE_BUTTON_CENTER_Y;
 
       // set the children of the content node to be passed to the super class
       contentNode.setChildren( [
         expandCollapseButton,
+        modeRadioButtonGroup,
         inspectVectorText,
         displayVectorNode
       ] );
@@ -102,53 +189,173 @@ define( require => {
       // expand/collapse
       const expandedObserver = ( expanded ) => {
         displayVectorNode.visible = expanded;
+        modeRadioButtonGroup.visible = expanded;
         inspectVectorText.visible = !expanded;
-        // TODO: toggle the selectVectorText visibility
       };
 
       VECTOR_PANEL_OPTIONS.expandedProperty.link( expandedObserver );
 
-      const updateInspectVectorPanel = ( activeVector ) => {
+      // {Array.<VectorModel>} - the vectors that are displayed in the panel
+      let inspectedVectors = [];
+
+      // {RectangularPushButton|null} - negates the displayed vector, if options.isNegationEnabled
+      let negateButton = null;
+
+      // {Array.<function>} - disposes the spinners that edit the displayed vector, the displays of the values of the
+      // selection, and their links
+      let displayDisposers = [];
+
+      // the snap resolution determines the decimal places, so rebuild the displays when it changes
+      const snapResolutionListener = () => {
+        updateInspectVectorPanel();
+      };
+
+      // Gets the edited components of a vector from components measured along the axes of the graph. The components
+      // are snapped and kept in the orientation of the graph, like when the tip is dragged (see
+      // VectorNode.tipSnapToGrid).
+      const getEditedComponents = ( vector, axesComponents ) => {
+        const components = vector.getSnappedComponents( axesComponents.rotated( vector.axesAngleProperty.value ) );
+        if ( options.vectorOrientation === VectorOrientations.HORIZONTAL ) {
+          components.setY( 0 );
+        }
+        else if ( options.vectorOrientation === VectorOrientations.VERTICAL ) {
+          components.setX( 0 );
+        }
+        return components;
+      };
+
+      // Edits a vector to the first value, from the spinner value on in the direction of the step, whose snapped
+      // components differ from the components of the vector. The vector isn't changed if there is no such value in the
+      // range. Editing is one entry in the scene history, like releasing a dragged vector (see SceneHistory).
+      // editor: {range: Range, getAxesComponents: function(number):Vector2} - see createValueNode
+      const editVector = ( vector, editor, value, oldValue ) => {
+        const step = value - oldValue;
+        const components = vector.attributesVectorProperty.value;
+
+        for ( let nextValue = value; step !== 0 && editor.range.contains( nextValue ); nextValue += step ) {
+          const editedComponents = getEditedComponents( vector, editor.getAxesComponents( nextValue ) );
+
+          if ( !editedComponents.equalsEpsilon( components, EDIT_EPSILON ) ) {
+            vector.isActiveProperty.value = true;
+            vector.attributesVectorProperty.value = editedComponents;
+            vector.isActiveProperty.value = false;
+            return;
+          }
+        }
+      };
+
+      // Creates a display of a value of a vector, or a spinner that edits the value if there is an editor. The spinner
+      // shows the value of the vector after it is edited (see editVector).
+      // editor: {false|{range: Range, deltaValue: number, getAxesComponents: function(number):Vector2}} - false if the
+      // value can't be edited. getAxesComponents gets the components, along the axes of the graph, for a value.
+      const createValueNode = ( vector, valueProperty, displayRange, decimalPlaces, editor ) => {
+        if ( !editor ) {
+          return new NumberDisplay( valueProperty, displayRange, { decimalPlaces: decimalPlaces } );
+        }
+
+        const range = editor.range;
+        const spinnerProperty = new NumberProperty( valueProperty.value, { range: range } );
+
+        // true while the spinner is updated to the value of the vector
+        let isUpdatingSpinner = false;
+        const updateSpinner = () => {
+          isUpdatingSpinner = true;
+          spinnerProperty.value = range.constrainValue( valueProperty.value );
+          isUpdatingSpinner = false;
+        };
+
+        valueProperty.lazyLink( updateSpinner );
+        spinnerProperty.lazyLink( ( value, oldValue ) => {
+          if ( !isUpdatingSpinner ) {
+            editVector( vector, editor, value, oldValue );
+            updateSpinner();
+          }
+        } );
+
+        const spinner = new NumberSpinner( spinnerProperty, new Property( range ), _.extend( {
+          decimalPlaces: decimalPlaces,
+          deltaValue: editor.deltaValue
+        }, SPINNER_OPTIONS ) );
+
+        // the vector may have been disposed, which removes its listeners
+        displayDisposers.push( () => {
+          if ( valueProperty.hasListener( updateSpinner ) ) {
+            valueProperty.unlink( updateSpinner );
+          }
+          spinner.dispose();
+          spinnerProperty.dispose();
+        } );
+
+        return spinner;
+      };
 
+      // Creates a display of a value of the selection (e.g. the dot product). The selection exists for the lifetime of
+      // the sim, so the display is disposed when the panel is updated.
+      const createSelectionDisplay = ( valueProperty, displayRange, decimalPlaces ) => {
+        const numberDisplay = new NumberDisplay( valueProperty, displayRange, { decimalPlaces: decimalPlaces } );
+        displayDisposers.push( () => { numberDisplay.dispose(); } );
+        return numberDisplay;
+      };
+
+      // Creates the displays of the magnitude, angle and components of a vector
+      const createVectorDisplays = ( activeVector, componentDecimalPlaces, attributeDecimalPlaces ) => {
+
+        // only vectors with a draggable tip can be edited, in the directions that keep the orientation of the graph
+        const isEditable = activeVector.isTipDraggable;
+        const isTwoDimensional = options.vectorOrientation === VectorOrientations.TWO_DIMENSIONAL;
+        const snapResolution = activeVector.snapResolutionProperty.value;
+        const angleInterval = activeVector.coordinateSnapModeProperty.value === CoordinateSnapModes.POLAR ?
+                              VectorModel.ANGLE_INTERVAL : 1;
 
         const magnitudeTextNode = new FormulaNode( `\|\\mathbf{\\vec{${activeVector.label}\}\}|`, {
           maxWidth: MAGNITUDE_LENGTH
         } );
 
-
-        const magnitudeDisplay = new NumberDisplay(
-          activeVector.magnitudeProperty,
-          new Range( 0, 100 ),
-          { decimalPlaces: 1 }
-        );
+        const magnitudeDisplay = createValueNode( activeVector, activeVector.magnitudeProperty, new Range( 0, 100 ),
+          attributeDecimalPlaces, isEditable && {
+            range: MAGNITUDE_RANGE,
+            deltaValue: snapResolution,
+            getAxesComponents: magnitude => {
+              return Vector2.createPolar( magnitude, activeVector.axesComponentsProperty.value.angle );
+            }
+          } );
 
         const angleText = new RichText( MathSymbols.THETA, {
           maxWidth: ANGLE_LENGTH
         } );
 
-        const angleDisplay = new NumberDisplay(
-          activeVector.angleDegreesProperty,
-          new Range( -180, 180 ),
-          { decimalPlaces: 1 }
-        );
+        const angleDisplay = createValueNode( activeVector, activeVector.angleDegreesProperty, new Range( -180, 180 ),
+          attributeDecimalPlaces, isEditable && isTwoDimensional && {
+            range: ANGLE_RANGE,
+            deltaValue: angleInterval,
+            getAxesComponents: angle => {
+              return Vector2.createPolar( activeVector.magnitude, Util.toRadians( angle ) );
+            }
+          } );
 
         const xComponentText = new FixedWidthNode( COMPONENT_LENGTH,
           new RichText( `${activeVector.label}<sub>${xString}</sub>` ) );
-        const xComponentDisplay = new NumberDisplay(
-          activeVector.xComponentProperty,
-          new Range( -60, 60 ),
-          { decimalPlaces: 0 }
-        );
+        const xComponentDisplay = createValueNode( activeVector, activeVector.xComponentProperty, new Range( -60, 60 ),
+          componentDecimalPlaces, isEditable && options.vectorOrientation !== VectorOrientations.VERTICAL && {
+            range: COMPONENT_RANGE,
+            deltaValue: snapResolution,
+            getAxesComponents: xComponent => {
+              return new Vector2( xComponent, activeVector.yComponentProperty.value );
+            }
+          } );
 
         const yComponentText = new FixedWidthNode( COMPONENT_LENGTH,
           new RichText( `${activeVector.label}<sub>${yString}</sub>` ) );
-        const yComponentDisplay = new NumberDisplay(
-          activeVector.yComponentProperty,
-          new Range( -40, 40 ),
-          { decimalPlaces: 0 }
-        );
+        const yComponentDisplay = createValueNode( activeVector, activeVector.yComponentProperty, new Range( -40, 40 ),
+          componentDecimalPlaces, isEditable && options.vectorOrientation !== VectorOrientations.HORIZONTAL && {
+            range: COMPONENT_RANGE,
+            deltaValue: snapResolution,
+            getAxesComponents: yComponent => {
+              return new Vector2( activeVector.xComponentProperty.value, yComponent );
+            }
+          } );
 
-        this.displayVectorNode.setChildren( [
+        const displayVectorChildren = [
           new LayoutBox( {
             orientation: 'horizontal',
             spacing: 8,
@@ -169,43 +376,214 @@ define( require => {
             spacing: 8,
             children: [ yComponentText, yComponentDisplay ]
           } )
-        ] );
+        ];
 
-        this.displayVectorNode.centerY = EXPAND_COLLAPSE_BUTTON_CENTER_Y;
+        if ( options.isNegationEnabled ) {
+          if ( negateButton ) {
+            negateButton.dispose();
+          }
 
+          // Negating is one entry in the scene history, like releasing a dragged vector (see SceneHistory)
+          negateButton = new RectangularPushButton( _.extend( {
+            content: new FormulaNode( `-\\mathbf{\\vec{${activeVector.label}\}\}` ),
+            listener: () => {
+              activeVector.isActiveProperty.value = true;
+              activeVector.negate();
+              activeVector.isActiveProperty.value = false;
+            },
+            enabled: activeVector.isTipDraggable,
+
+            // a11y
+            innerContent: StringUtils.fillIn( negateVectorPatternString, {
+              vector: VectorAdditionDescriber.getVectorName( activeVector )
+            } )
+          }, NEGATE_BUTTON_OPTIONS ) );
+
+          displayVectorChildren.push( negateButton );
+        }
+
+        return displayVectorChildren;
       };
 
-      vectorSets.forEach( ( vectorSet ) => {
+      // Creates the displays of the dot product of the previously selected vector and the vector, and related values
+      const createDotProductDisplays = ( vector, previousVector, decimalPlaces ) => {
 
-        const vectorSumActiveListener = ( isActive ) => {
-          if ( isActive ) {
-            updateInspectVectorPanel( vectorSet.vectorSum );
-          }
-        };
+        const vectorLabel = `\\mathbf{\\vec{${vector.label}\}\}`;
+        const previousVectorLabel = `\\mathbf{\\vec{${previousVector.label}\}\}`;
 
-        vectorSet.vectorSum.isActiveProperty.link( vectorSumActiveListener );
+        const dotProductTextNode = new FormulaNode( `${previousVectorLabel} \\cdot ${vectorLabel}`, {
+          maxWidth: PAIR_FORMULA_LENGTH
+        } );
+        const dotProductDisplay = createSelectionDisplay(
+          vectorSelection.dotProductProperty,
+          new Range( -5000, 5000 ),
+          decimalPlaces
+        );
 
-        vectorSet.vectors.addItemAddedListener( ( addedVector ) => {
+        const angleBetweenText = new RichText( MathSymbols.THETA, {
+          maxWidth: ANGLE_LENGTH
+        } );
+        const angleBetweenDisplay = createSelectionDisplay(
+          vectorSelection.angleBetweenProperty,
+          new Range( 0, 180 ),
+          decimalPlaces
+        );
 
-          const vectorActiveListener = ( isActive ) => {
-            if ( isActive ) {
-              updateInspectVectorPanel( addedVector );
-            }
-          };
+        const scalarProjectionTextNode = new FormulaNode(
+          `\\mathrm{comp}_{${previousVectorLabel}\}${vectorLabel}`, {
+            maxWidth: PAIR_FORMULA_LENGTH
+          } );
+        const scalarProjectionDisplay = createSelectionDisplay(
+          vectorSelection.scalarProjectionProperty,
+          new Range( -100, 100 ),
+          decimalPlaces
+        );
 
-          addedVector.isActiveProperty.link( vectorActiveListener );
+        return [
+          new LayoutBox( {
+            orientation: 'horizontal',
+            spacing: 8,
+            children: [ dotProductTextNode, dotProductDisplay ]
+          } ),
+          new LayoutBox( {
+            orientation: 'horizontal',
+            spacing: 8,
+            children: [ angleBetweenText, angleBetweenDisplay ]
+          } ),
+          new LayoutBox( {
+            orientation: 'horizontal',
+            spacing: 8,
+            children: [ scalarProjectionTextNode, scalarProjectionDisplay ]
+          } )
+        ];
+      };
 
+      // Creates the display of the cross product of the previously selected vector and the vector
+      const createCrossProductDisplays = ( vector, previousVector, decimalPlaces ) => {
 
-          const vectorRemovedListener = function( removedVector ) {
-            if ( removedVector === addedVector ) {
-              removedVector.isActiveProperty.unlink( vectorActiveListener );
-              vectorSet.vectors.removeItemRemovedListener( vectorRemovedListener );
-            }
-          };
+        const vectorLabel = `\\mathbf{\\vec{${vector.label}\}\}`;
+        const previousVectorLabel = `\\mathbf{\\vec{${previousVector.label}\}\}`;
 
-          vectorSet.vectors.addItemRemovedListener( vectorRemovedListener );
+        const crossProductTextNode = new FormulaNode( `(${previousVectorLabel} \\times ${vectorLabel})_z`, {
+          maxWidth: PAIR_FORMULA_LENGTH
         } );
-      } );
+        const crossProductDisplay = createSelectionDisplay(
+          vectorSelection.crossProductProperty,
+          new Range( -5000, 5000 ),
+          decimalPlaces
+        );
+
+        return [
+          new LayoutBox( {
+            orientation: 'horizontal',
+            spacing: 8,
+            children: [ crossProductTextNode, crossProductDisplay ]
+          } )
+        ];
+      };
+
+      // Creates the displays of the components of the vector that are parallel and perpendicular to the previously
+      // selected vector
+      const createProjectionDisplays = ( vector, decimalPlaces ) => {
+
+        const parallelTextNode = new FormulaNode( `\\mathrm{comp}_{\\parallel}\\mathbf{\\vec{${vector.label}\}\}`, {
+          maxWidth: PAIR_FORMULA_LENGTH
+        } );
+        const parallelDisplay = createSelectionDisplay(
+          vectorSelection.scalarProjectionProperty,
+          new Range( -100, 100 ),
+          decimalPlaces
+        );
+
+        const perpendicularTextNode = new FormulaNode( `\\mathrm{comp}_{\\perp}\\mathbf{\\vec{${vector.label}\}\}`, {
+          maxWidth: PAIR_FORMULA_LENGTH
+        } );
+        const perpendicularDisplay = createSelectionDisplay(
+          vectorSelection.perpendicularMagnitudeProperty,
+          new Range( 0, 100 ),
+          decimalPlaces
+        );
+
+        return [
+          new LayoutBox( {
+            orientation: 'horizontal',
+            spacing: 8,
+            children: [ parallelTextNode, parallelDisplay ]
+          } ),
+          new LayoutBox( {
+            orientation: 'horizontal',
+            spacing: 8,
+            children: [ perpendicularTextNode, perpendicularDisplay ]
+          } )
+        ];
+      };
+
+      const updateInspectVectorPanel = () => {
+
+        const vector = vectorSelection.vectorProperty.value;
+        const previousVector = vectorSelection.previousVectorProperty.value;
+        const inspectMode = vectorSelection.inspectModeProperty.value;
+        const isTwoVectorMode = inspectMode !== InspectModes.ONE_VECTOR;
+
+        // the vectors that are displayed
+        const activeVectors = _.uniq( isTwoVectorMode ? [ vector, previousVector ] : [ vector ] )
+          .filter( activeVector => activeVector !== null );
+
+        // the previous vectors may have been disposed, which removes their listeners
+        inspectedVectors.forEach( inspectedVector => {
+          if ( inspectedVector.snapResolutionProperty.hasListener( snapResolutionListener ) ) {
+            inspectedVector.snapResolutionProperty.unlink( snapResolutionListener );
+          }
+        } );
+        activeVectors.forEach( activeVector => {
+          activeVector.snapResolutionProperty.lazyLink( snapResolutionListener );
+        } );
+        inspectedVectors = activeVectors;
+
+        displayDisposers.forEach( disposeDisplay => disposeDisplay() );
+        displayDisposers = [];
+
+        // the magnitude and angle generally aren't multiples of the snap resolution, so show one more decimal place
+        const componentDecimalPlaces = _.max( activeVectors.map( activeVector =>
+          Util.numberOfDecimalPlaces( activeVector.snapResolutionProperty.value ) ) );
+        const attributeDecimalPlaces = componentDecimalPlaces + 1;
+
+        if ( isTwoVectorMode && activeVectors.length < 2 ) {
+          this.displayVectorNode.setChildren( [ selectTwoVectorsText ] );
+        }
+        else if ( !vector ) {
+          this.displayVectorNode.setChildren( [ selectVectorText ] );
+        }
+        else {
+          switch( inspectMode ) {
+            case InspectModes.ONE_VECTOR:
+              this.displayVectorNode.setChildren(
+                createVectorDisplays( vector, componentDecimalPlaces, attributeDecimalPlaces ) );
+              break;
+            case InspectModes.DOT_PRODUCT:
+              this.displayVectorNode.setChildren(
+                createDotProductDisplays( vector, previousVector, attributeDecimalPlaces ) );
+              break;
+            case InspectModes.CROSS_PRODUCT:
+              this.displayVectorNode.setChildren(
+                createCrossProductDisplays( vector, previousVector, attributeDecimalPlaces ) );
+              break;
+            case InspectModes.PROJECTION:
+              this.displayVectorNode.setChildren( createProjectionDisplays( vector, attributeDecimalPlaces ) );
+              break;
+            default:
+              throw new Error( `invalid inspectMode: ${inspectMode}` );
+          }
+        }
+
+        this.displayVectorNode.centerY = EXPAND_COLLAPSE_BUTTON_CENTER_Y;
+
+      };
+
+      // The panel exists for the lifetime of the sim, so no need to unlink
+      vectorSelection.vectorProperty.lazyLink( updateInspectVectorPanel );
+      vectorSelection.previousVectorProperty.lazyLink( updateInspectVectorPanel );
+      vectorSelection.inspectModeProperty.lazyLink( updateInspectVectorPanel );
     }
 
     /**
@@ -9,27 +9,59 @@ define( require => {
   'use strict';
 
   // modules
+  const AngleBetweenNode = require( 'VECTOR_ADDITION/common/view/AngleBetweenNode' );
+  const CrossProductNode = require( 'VECTOR_ADDITION/common/view/CrossProductNode' );
   const EraserButton = require( 'SCENERY_PHET/buttons/EraserButton' );
+  const ExportButtons = require( 'VECTOR_ADDITION/common/view/ExportButtons' );
   const GraphNode = require( 'VECTOR_ADDITION/common/view/GraphNode' );
+  const GraphZoomListener = require( 'VECTOR_ADDITION/common/view/GraphZoomListener' );
+  const InspectModes = require( 'VECTOR_ADDITION/common/model/InspectModes' );
   const InspectVectorPanel = require( 'VECTOR_ADDITION/common/view/InspectVectorPanel' );
   const Node = require( 'SCENERY/nodes/Node' );
+  const Property = require( 'AXON/Property' );
+  const Shape = require( 'KITE/Shape' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  const utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionDescriber = require( 'VECTOR_ADDITION/common/view/VectorAdditionDescriber' );
+  const VectorHighlightNode = require( 'VECTOR_ADDITION/common/view/VectorHighlightNode' );
   const VectorNode = require( 'VECTOR_ADDITION/common/view/VectorNode' );
+  const VectorProjectionNode = require( 'VECTOR_ADDITION/common/view/VectorProjectionNode' );
   const VectorSumNode = require( 'VECTOR_ADDITION/common/view/VectorSumNode' );
+  const VectorTable = require( 'VECTOR_ADDITION/common/view/VectorTable' );
+  const ZoomButton = require( 'SCENERY_PHET/buttons/ZoomButton' );
+
+  // strings
+  const vectorAddedPatternString = require( 'string!VECTOR_ADDITION/a11y.vectorAddedPattern' );
+  const vectorMovedPatternString = require( 'string!VECTOR_ADDITION/a11y.vectorMovedPattern' );
+  const vectorRemovedPatternString = require( 'string!VECTOR_ADDITION/a11y.vectorRemovedPattern' );
+  const vectorsErasedString = require( 'string!VECTOR_ADDITION/a11y.vectorsErased' );
+  const zoomInString = require( 'string!VECTOR_ADDITION/a11y.zoomIn' );
+  const zoomOutString = require( 'string!VECTOR_ADDITION/a11y.zoomOut' );
 
   // constants
   const VECTOR_DISPLAY_PANEL_LOCATION_LEFT = 195;
   const VECTOR_DISPLAY_PANEL_LOCATION_TOP = 12;
+  const VECTOR_TABLE_LOCATION_LEFT = 29;
+  const VECTOR_TABLE_SPACING = 8; // spacing between the InspectVectorPanel and the table of the VectorTable
+  const EXPORT_BUTTONS_SPACING = 4; // spacing between the graph and the export buttons below it
+  const ZOOM_BUTTON_RADIUS = 9;
+  const ZOOM_BUTTONS_SPACING = 8;
 
   class SceneNode extends Node {
     /**
      * @constructor
      * @param {Scene} scene
      * @param {VectorAdditionModel} model
-     * @param {VectorTypes} vectorType
-     * options
+     * @param {Object} [options]
      */
-    constructor( scene, model, vectorType ) {
+    constructor( scene, model, options ) {
+
+      options = _.extend( {
+        isNegationEnabled: false // {boolean} - can the inspected vector be negated with the InspectVectorPanel
+      }, options );
 
       super();
 
@@ -37,25 +69,68 @@ define( require => {
       this.scene = scene;
 
       // @public (read-only) {GraphNode} Create the Graph Node
-      this.graphNode = new GraphNode( scene.graph, model.gridVisibleProperty );
+      this.graphNode = new GraphNode( scene.graph, model.gridVisibleProperty, model.gridStyleProperty,
+        model.tickLabelsVisibleProperty );
 
       // @private {InspectVectorPanel} Create the vector display panel
-      this.inspectVectorPanel = new InspectVectorPanel( scene.vectorSets );
+      this.inspectVectorPanel = new InspectVectorPanel( scene.vectorSelection, {
+        isNegationEnabled: options.isNegationEnabled,
+        vectorOrientation: scene.graph.orientation
+      } );
 
       // set the panel in the correct location
       this.inspectVectorPanel.left = VECTOR_DISPLAY_PANEL_LOCATION_LEFT;
       this.inspectVectorPanel.top = VECTOR_DISPLAY_PANEL_LOCATION_TOP;
 
+      // @private {VectorTable} - lists the vectors of the scene. Its title is beside the InspectVectorPanel, and its
+      // table is below it.
+      this.vectorTable = new VectorTable( scene, {
+        tableTop: this.inspectVectorPanel.height + VECTOR_TABLE_SPACING,
+        left: VECTOR_TABLE_LOCATION_LEFT,
+        top: VECTOR_DISPLAY_PANEL_LOCATION_TOP
+      } );
+
+      // a11y - live announcements. Reusing an utterance replaces its previous alert in the queue, so a burst of
+      // changes (e.g. undo, which re-creates the vectors) is announced once.
+      const vectorsChangedUtterance = new Utterance();
+      const vectorMovedUtterance = new Utterance();
+      const announce = ( utterance, alert ) => {
+        utterance.alert = alert;
+        utteranceQueue.addToBack( utterance );
+      };
+
+      // announce the new position of a vector when it is released after moving it with the pointer or keyboard
+      const announceVectorMoved = vector => {
+        announce( vectorMovedUtterance, StringUtils.fillIn( vectorMovedPatternString, {
+          vector: VectorAdditionDescriber.getVectorName( vector ),
+          description: VectorAdditionDescriber.getVectorDescription( vector )
+        } ) );
+      };
+
       // create the vector layer
       const vectorLayer = new Node();
       // create the vector sum layer
       const vectorSumLayer = new Node();
 
+      // {Shape|null} - the graph in view coordinates, set below with the modelViewTransform. Vectors keep their model
+      // positions when the graph is zoomed in, so they may be outside the graph, and the layers on the graph are
+      // clipped to it.
+      let graphClipArea = null;
+
+      // The vector layer isn't clipped while a removable vector is dragged, so that it can be dragged off the graph to
+      // the creator panel.
+      const updateVectorLayerClipArea = () => {
+        const isRemovableVectorActive = _.some( scene.vectorSets, vectorSet =>
+          vectorSet.vectors.getArray().some( vector => vector.isRemovable && vector.isActiveProperty.value ) );
+        vectorLayer.clipArea = isRemovableVectorActive ? null : graphClipArea;
+      };
+
       scene.vectorSets.forEach( ( vectorSet ) => {
 
         // create a scenery node for the sum vector
         const vectorSumNode = new VectorSumNode(
           vectorSet.vectorSum,
+          vectorSet,
           scene.graph.graphModelBounds,
           model.componentStyleProperty,
           model.angleVisibleProperty,
@@ -69,10 +144,18 @@ define( require => {
 
         vectorSumLayer.addChild( vectorSumNode );
 
-        // on the vector set, add a listener to the vectors attribute to add the vector to the scene
-        vectorSet.vectors.addItemAddedListener( ( addedVector ) => {
+        // The sum exists for the lifetime of the sim, so no need to unlink
+        vectorSet.vectorSum.isActiveProperty.lazyLink( isActive => {
+          if ( !isActive ) {
+            announceVectorMoved( vectorSet.vectorSum );
+          }
+        } );
+
+        // function to add a vector node to the scene for a vector model in the vector set
+        const addVectorNode = ( addedVector ) => {
           const vectorNode = new VectorNode(
             addedVector,
+            vectorSet,
             scene.graph.graphModelBounds,
             model.componentStyleProperty,
             model.angleVisibleProperty,
@@ -83,11 +166,29 @@ define( require => {
 
           vectorLayer.addChild( vectorNode );
 
+          announce( vectorsChangedUtterance, StringUtils.fillIn( vectorAddedPatternString, {
+            vector: VectorAdditionDescriber.getVectorName( addedVector )
+          } ) );
+
+          const vectorActiveListener = isActive => {
+            updateVectorLayerClipArea();
+            if ( !isActive ) {
+              announceVectorMoved( addedVector );
+            }
+          };
+          addedVector.isActiveProperty.lazyLink( vectorActiveListener );
+
           // Add the removal listener in case this vector is removed.
           const removalListener = removedVector => {
             if ( removedVector === addedVector ) {
 
+              removedVector.isActiveProperty.unlink( vectorActiveListener );
               removedVector.isActiveProperty.value = false;
+              updateVectorLayerClipArea();
+
+              announce( vectorsChangedUtterance, StringUtils.fillIn( vectorRemovedPatternString, {
+                vector: VectorAdditionDescriber.getVectorName( removedVector )
+              } ) );
 
               // remove its node from the view
               vectorNode.dispose();
@@ -100,24 +201,135 @@ define( require => {
 
           // link removalListener to the provided ObservableArray
           vectorSet.vectors.addItemRemovedListener( removalListener );
-        } );
+        };
+
+        // create nodes for vectors that were added to the vector set before the scene node was created
+        vectorSet.vectors.forEach( addVectorNode );
+
+        // on the vector set, add a listener to the vectors attribute to add the vector to the scene
+        vectorSet.vectors.addItemAddedListener( addVectorNode );
 
       } );
 
-      const eraserButton = new EraserButton( {
+      // @public (read-only) {EraserButton} - clears the vectors, which is recorded as one entry in the scene history
+      this.eraserButton = new EraserButton( {
         listener: () => {
-          scene.resetVectorSets();
+          scene.history.batch( () => {
+            scene.resetVectorSets();
+          } );
+          announce( vectorsChangedUtterance, vectorsErasedString );
         },
         left: this.graphNode.right,
         bottom: this.graphNode.bottom
       } );
 
+      // zoom the graph in and out, beside the eraser button
+      const zoomInButton = new ZoomButton( {
+        in: true,
+        radius: ZOOM_BUTTON_RADIUS,
+        listener: () => { scene.graph.zoom( 1 ); },
+        innerContent: zoomInString
+      } );
+      const zoomOutButton = new ZoomButton( {
+        in: false,
+        radius: ZOOM_BUTTON_RADIUS,
+        listener: () => { scene.graph.zoom( -1 ); },
+        innerContent: zoomOutString
+      } );
+      const zoomButtons = new VBox( {
+        spacing: ZOOM_BUTTONS_SPACING,
+        children: [ zoomInButton, zoomOutButton ],
+        left: this.eraserButton.right + ZOOM_BUTTONS_SPACING,
+        bottom: this.eraserButton.bottom
+      } );
+
+      // download the vectors, below the graph
+      const exportButtons = new ExportButtons( scene, {
+        left: this.graphNode.left,
+        top: this.graphNode.bottom + EXPORT_BUTTONS_SPACING
+      } );
+
+      // Scene nodes exist for the lifetime of the sim, so no need to unlink
+      scene.graph.zoomLevelProperty.link( zoomLevel => {
+        zoomInButton.enabled = zoomLevel < scene.graph.zoomLevelProperty.range.max;
+        zoomOutButton.enabled = zoomLevel > scene.graph.zoomLevelProperty.range.min;
+      } );
+
+      // @private {Node} - derived vectors are added to the layer of the sums, see addDerivedVectorNode
+      this.vectorSumLayer = vectorSumLayer;
+
+      // the angle between the selected vectors and the parallelogram they span, for the modes of the InspectVectorPanel
+      const angleBetweenNode = new AngleBetweenNode( scene.vectorSelection, scene.graph.modelViewTransformProperty );
+      const crossProductNode = new CrossProductNode( scene.vectorSelection, scene.graph.modelViewTransformProperty );
+
+      // the highlight of the vector whose row is selected in the VectorTable
+      const vectorHighlightNode = new VectorHighlightNode( scene.vectorSelection,
+        scene.graph.modelViewTransformProperty );
+
+      // the projection of the most recently selected vector onto the other one
+      const projectionLayer = new Node();
+
+      // The selection exists for the lifetime of the sim, so no need to unlink
+      scene.vectorSelection.projectionProperty.link( projection => {
+        projectionLayer.children.forEach( projectionNode => projectionNode.dispose() );
+        if ( projection ) {
+          projectionLayer.addChild( new VectorProjectionNode( projection, scene.graph.modelViewTransformProperty,
+            model.valuesVisibleProperty ) );
+        }
+      } );
+      Property.multilink(
+        [ scene.vectorSelection.inspectModeProperty, scene.vectorSelection.projectionDirectionProperty ],
+        ( inspectMode, projectionDirection ) => {
+          projectionLayer.visible = inspectMode === InspectModes.PROJECTION && projectionDirection !== null;
+        } );
+
+      // the layers that are clipped to the graph, except the vector layer (see updateVectorLayerClipArea)
+      const clippedLayers = [
+        crossProductNode, projectionLayer, vectorHighlightNode, vectorSumLayer, angleBetweenNode
+      ];
+
+      // The graph has the same bounds in the view at every zoom level, but its model bounds are updated with the
+      // modelViewTransform. Scene nodes exist for the lifetime of the sim, so no need to unlink.
+      scene.graph.modelViewTransformProperty.link( modelViewTransform => {
+        graphClipArea = Shape.bounds( modelViewTransform.modelToViewBounds( scene.graph.graphModelBounds ) );
+        clippedLayers.forEach( layer => { layer.clipArea = graphClipArea; } );
+        updateVectorLayerClipArea();
+      } );
+
+      // the graph and what is drawn on it. The wheel and pinch zoom the graph wherever they start on it, including over
+      // a vector.
+      const graphArea = new Node( {
+        children: [
+          this.graphNode,
+          crossProductNode,
+          projectionLayer,
+          vectorHighlightNode,
+          vectorLayer,
+          vectorSumLayer,
+          angleBetweenNode
+        ]
+      } );
+
+      // The graph area exists for the lifetime of the sim, so no need to remove the listener
+      graphArea.addInputListener( new GraphZoomListener( scene.graph ) );
+
       this.setChildren( [
-        this.graphNode,
-        vectorLayer,
-        vectorSumLayer,
+        graphArea,
         this.inspectVectorPanel,
-        eraserButton ] );
+        this.vectorTable,
+        this.eraserButton,
+        zoomButtons,
+        exportButtons ] );
+    }
+
+    /**
+     * Add the node of a vector that is derived from the vectors of the scene (e.g. the difference in the Lab screen).
+     * The node is drawn with the sums.
+     * @public
+     * @param {Node} derivedVectorNode
+     */
+    addDerivedVectorNode( derivedVectorNode ) {
+      this.vectorSumLayer.addChild( derivedVectorNode );
     }
 
     /**
@@ -128,6 +340,7 @@ define( require => {
       this.graphNode.reset();
       this.scene.reset();
       this.inspectVectorPanel.reset();
+      this.vectorTable.reset();
     }
   }
 
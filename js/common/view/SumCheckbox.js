@@ -31,7 +31,7 @@ define( require => {
     /**
      * @constructor
      * @param {BooleanProperty} sumVisibleProperty
-     * @param {VectorTypes} vectorType
+     * @param {VectorGroup} vectorType
      */
     constructor( sumVisibleProperty, vectorType ) {
 
@@ -0,0 +1,54 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * 'Tick Labels' check box, used to control visibility of the numeric labels of the major ticks of the graph axes
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const Checkbox = require( 'SUN/Checkbox' );
+  const LayoutBox = require( 'SCENERY/nodes/LayoutBox' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const Text = require( 'SCENERY/nodes/Text' );
+
+  // constants
+  const TEXT_OPTIONS = {
+    font: VectorAdditionConstants.PANEL_FONT
+  };
+  const CHECKBOX_OPTIONS = VectorAdditionConstants.CHECKBOX_OPTIONS;
+
+  // strings
+  const tickLabelsString = require( 'string!VECTOR_ADDITION/tickLabels' );
+
+
+  class TickLabelsCheckbox extends Checkbox {
+    /**
+     * @constructor
+     * @param {BooleanProperty} tickLabelsVisibleProperty
+     */
+    constructor( tickLabelsVisibleProperty ) {
+
+      // Type check arguments
+      assert && assert( tickLabelsVisibleProperty instanceof BooleanProperty,
+        `invalid tickLabelsVisibleProperty: ${tickLabelsVisibleProperty}` );
+
+      //----------------------------------------------------------------------------------------
+
+      super( new LayoutBox( {
+        orientation: 'horizontal',
+        spacing: CHECKBOX_OPTIONS.spacing,
+        children: [
+          new Text( tickLabelsString, TEXT_OPTIONS )
+        ]
+      } ), tickLabelsVisibleProperty, CHECKBOX_OPTIONS );
+    }
+
+  }
+
+  return vectorAddition.register( 'TickLabelsCheckbox', TickLabelsCheckbox );
+} );
\ No newline at end of file
@@ -0,0 +1,135 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Creates the interactive descriptions (for screen readers) of the graph, the vectors and the coordinate snap modes.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Util = require( 'DOT/Util' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionQueryParameters = require( 'VECTOR_ADDITION/common/VectorAdditionQueryParameters' );
+  const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorSum = require( 'VECTOR_ADDITION/common/model/VectorSum' );
+
+  // strings
+  const cartesianSnapModeString = require( 'string!VECTOR_ADDITION/a11y.cartesianSnapMode' );
+  const freeSnapModePatternString = require( 'string!VECTOR_ADDITION/a11y.freeSnapModePattern' );
+  const graphDescriptionPatternString = require( 'string!VECTOR_ADDITION/a11y.graphDescriptionPattern' );
+  const hiddenString = require( 'string!VECTOR_ADDITION/a11y.hidden' );
+  const moveTailHelpTextString = require( 'string!VECTOR_ADDITION/a11y.moveTailHelpText' );
+  const moveTipHelpTextString = require( 'string!VECTOR_ADDITION/a11y.moveTipHelpText' );
+  const polarSnapModePatternString = require( 'string!VECTOR_ADDITION/a11y.polarSnapModePattern' );
+  const removeHelpTextString = require( 'string!VECTOR_ADDITION/a11y.removeHelpText' );
+  const shownString = require( 'string!VECTOR_ADDITION/a11y.shown' );
+  const sumPatternString = require( 'string!VECTOR_ADDITION/a11y.sumPattern' );
+  const vectorDescriptionPatternString = require( 'string!VECTOR_ADDITION/a11y.vectorDescriptionPattern' );
+  const vectorPatternString = require( 'string!VECTOR_ADDITION/a11y.vectorPattern' );
+
+  const VectorAdditionDescriber = {
+
+    /**
+     * Get the name of a vector, for example 'Vector a'
+     * @public
+     * @param {VectorModel} vector
+     * @returns {string}
+     */
+    getVectorName( vector ) {
+      return StringUtils.fillIn( vector instanceof VectorSum ? sumPatternString : vectorPatternString, {
+        label: vector.label
+      } );
+    },
+
+    /**
+     * Describe the magnitude, angle, components and tail position of a vector. Like the InspectVectorPanel, the angle
+     * and the components are measured along the axes of the graph, and values are rounded based on the snap resolution
+     * of the vector.
+     * @public
+     * @param {VectorModel} vector
+     * @returns {string}
+     */
+    getVectorDescription( vector ) {
+
+      const componentDecimalPlaces = Util.numberOfDecimalPlaces( vector.snapResolutionProperty.value );
+      const attributeDecimalPlaces = componentDecimalPlaces + 1;
+
+      return StringUtils.fillIn( vectorDescriptionPatternString, {
+        magnitude: Util.toFixedNumber( vector.magnitude, attributeDecimalPlaces ),
+        angle: Util.toFixedNumber( vector.angleDegreesProperty.value, attributeDecimalPlaces ),
+        xComponent: Util.toFixedNumber( vector.xComponentProperty.value, componentDecimalPlaces ),
+        yComponent: Util.toFixedNumber( vector.yComponentProperty.value, componentDecimalPlaces ),
+        tailX: Util.toFixedNumber( vector.tailX, componentDecimalPlaces ),
+        tailY: Util.toFixedNumber( vector.tailY, componentDecimalPlaces )
+      } );
+    },
+
+    /**
+     * Describe how to move a vector with the keyboard (see VectorNode)
+     * @public
+     * @param {VectorModel} vector
+     * @returns {string}
+     */
+    getVectorHelpText( vector ) {
+      const helpTexts = [ moveTailHelpTextString ];
+
+      if ( vector.isTipDraggable ) {
+        helpTexts.push( moveTipHelpTextString );
+      }
+      if ( vector.isRemovable ) {
+        helpTexts.push( removeHelpTextString );
+      }
+      return helpTexts.join( ' ' );
+    },
+
+    /**
+     * Describe the extent of a graph, which depends on the location of the origin, and the grid
+     * @public
+     * @param {Graph} graph
+     * @param {boolean} gridVisible
+     * @returns {string}
+     */
+    getGraphDescription( graph, gridVisible ) {
+      const graphModelBounds = graph.graphModelBounds;
+
+      return StringUtils.fillIn( graphDescriptionPatternString, {
+        minX: graphModelBounds.minX,
+        maxX: graphModelBounds.maxX,
+        minY: graphModelBounds.minY,
+        maxY: graphModelBounds.maxY,
+        gridState: gridVisible ? shownString : hiddenString
+      } );
+    },
+
+    /**
+     * Describe how vectors are snapped in a coordinate snap mode
+     * @public
+     * @param {CoordinateSnapModes} coordinateSnapMode
+     * @returns {string}
+     */
+    getCoordinateSnapModeDescription( coordinateSnapMode ) {
+      switch( coordinateSnapMode ) {
+        case CoordinateSnapModes.CARTESIAN: {
+          return cartesianSnapModeString;
+        }
+        case CoordinateSnapModes.POLAR: {
+          return StringUtils.fillIn( polarSnapModePatternString, { angleInterval: VectorModel.ANGLE_INTERVAL } );
+        }
+        case CoordinateSnapModes.FREE: {
+          return StringUtils.fillIn( freeSnapModePatternString, {
+            resolution: VectorAdditionQueryParameters.snapResolution
+          } );
+        }
+        default: {
+          throw new Error( `coordinateSnapMode not handled: ${coordinateSnapMode}` );
+        }
+      }
+    }
+  };
+
+  return vectorAddition.register( 'VectorAdditionDescriber', VectorAdditionDescriber );
+} );
@@ -16,6 +16,7 @@ define( function( require ) {
   const Line = require( 'SCENERY/nodes/Line' );
   const Node = require( 'SCENERY/nodes/Node' );
   const Path = require( 'SCENERY/nodes/Path' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
   const Shape = require( 'KITE/Shape' );
   const Util = require( 'DOT/Util' );
   const Vector2 = require( 'DOT/Vector2' );
@@ -53,7 +54,7 @@ define( function( require ) {
     /**
      * Create the Vector Icon that appears on the vector creator panel
      * @param {Vector2} initialVector - in model coordinates
-     * @param {VectorTypes} vectorType
+     * @param {VectorGroup} vectorType
      * @param {Object} [options]
      * @public
      */
@@ -72,8 +73,7 @@ define( function( require ) {
         headHeight: 6,
         cursor: 'pointer',
         arrowSize: 30,
-        fill: vectorType === VectorTypes.ONE ? VectorAdditionColors.VECTOR_GROUP_1_COLORS.fill :
-              VectorAdditionColors.VECTOR_GROUP_2_COLORS.fill
+        fill: vectorType.colors.fill
       }, options );
 
 
@@ -87,7 +87,7 @@ define( function( require ) {
      *---------------------------------------------------------------------------*/
     /**
      * Creates the icon that appears next to the 'Sum' visibility checkbox
-     * @param {VectorTypes} vectorType
+     * @param {VectorGroup} vectorType
      * @param {Object} [options]
      * @returns {Node}
      * @public
@@ -103,8 +103,25 @@ define( function( require ) {
         lineWidth: 1,
         headHeight: 10,
         arrowSize: 24,
-        fill: vectorType === VectorTypes.ONE ? VectorAdditionColors.VECTOR_GROUP_1_COLORS.sum :
-              VectorAdditionColors.VECTOR_GROUP_2_COLORS.sum
+        fill: vectorType.colors.sum
+      }, options );
+
+      return new ArrowNode( 0, 0, options.arrowSize, 0, options );
+    }
+
+    /**
+     * Creates the icon that appears next to the 'Difference' visibility checkbox
+     * @param {Object} [options]
+     * @returns {Node}
+     * @public
+     */
+    static createDifferenceIcon( options ) {
+
+      options = _.extend( {}, ARROW_ICON_OPTIONS, {
+        lineWidth: 1,
+        headHeight: 10,
+        arrowSize: 24,
+        fill: VectorAdditionColors.DIFFERENCE_COLORS.fill
       }, options );
 
       return new ArrowNode( 0, 0, options.arrowSize, 0, options );
@@ -199,6 +216,45 @@ define( function( require ) {
       return new Path( gridShape, options.gridPathOptions );
     }
 
+    /**
+     * Create the polar grid icon, which has circles around its center and lines through its center
+     * @param {Object} [options]
+     * @public
+     */
+    static createPolarGridIcon( options ) {
+
+      options = _.extend( {
+        circles: 2, // {number}
+        lines: 4, // {number} number of lines through the center, evenly spaced in angle
+        gridLineSpacing: 6, // {number} spacing between each circle
+        gridPathOptions: null // {object} defaults bellow
+      }, options );
+
+      options.gridPathOptions = _.extend( {
+        lineWidth: 1, // {number}
+        stroke: VectorAdditionColors.GRID_ICON_COLOR // {string}
+      }, options.gridPathOptions );
+
+      //----------------------------------------------------------------------------------------
+
+      const radius = options.circles * options.gridLineSpacing;
+
+      // Create a shape for the grid, centered at (0, 0)
+      const gridShape = new Shape();
+
+      // Draw each circle
+      for ( let circle = 1; circle <= options.circles; circle++ ) {
+        gridShape.circle( 0, 0, circle * options.gridLineSpacing );
+      }
+      // Draw each line
+      for ( let line = 0; line < options.lines; line++ ) {
+        const lineEnd = Vector2.createPolar( radius, line * Math.PI / options.lines );
+        gridShape.moveToPoint( lineEnd ).lineToPoint( lineEnd.negated() );
+      }
+
+      return new Path( gridShape, options.gridPathOptions );
+    }
+
     /*---------------------------------------------------------------------------*
      * The Following are icons that appear in the Component Style Radio Buttons
      *---------------------------------------------------------------------------*/
@@ -403,6 +459,227 @@ define( function( require ) {
         children: [ arrowVector, arcArrow, line ]
       } );
     }
+
+    /**
+     * Create the Icon for the free coordinate snap mode radio button
+     * @param {Object} [options]
+     * @public
+     */
+    static createFreeIcon( options ) {
+
+      options = _.extend( {}, ARROW_ICON_OPTIONS, {
+        fill: VectorAdditionColors.FREE_ICON_VECTOR_COLOR,
+        lineWidth: 0,
+        pathOptions: null
+      }, options );
+
+      options.pathOptions = _.extend( {
+        stroke: 'black', // {string}
+        lineDash: [ 2, 2 ] // {Array.<number>}
+      }, options.pathOptions );
+
+      // Create an arrow vector
+      const arrowVector = new ArrowNode( 0, 0, RADIO_BUTTON_ICON_SIZE, -RADIO_BUTTON_ICON_SIZE, options );
+
+      // Create a dashed curve that the tip follows, indicating continuous movement
+      const tipPathShape = new Shape()
+        .moveTo( 0, -RADIO_BUTTON_ICON_SIZE / 2 )
+        .quadraticCurveTo( 0, -RADIO_BUTTON_ICON_SIZE, RADIO_BUTTON_ICON_SIZE, -RADIO_BUTTON_ICON_SIZE )
+        .quadraticCurveTo( RADIO_BUTTON_ICON_SIZE, 0, RADIO_BUTTON_ICON_SIZE / 2, 0 );
+
+      const tipPath = new Path( tipPathShape, options.pathOptions );
+
+      return new Node( {
+        children: [ tipPath, arrowVector ]
+      } );
+    }
+
+    /*---------------------------------------------------------------------------*
+     * The Following are icons that appear in the Inspect Vector Panel mode radio buttons
+     *---------------------------------------------------------------------------*/
+    /**
+     * Create the Icon for inspecting one vector
+     * @param {Object} [options]
+     * @returns {Node}
+     * @public
+     */
+    static createInspectOneVectorIcon( options ) {
+
+      options = _.extend( {}, ARROW_ICON_OPTIONS, {
+        arrowSize: 18
+      }, options );
+
+      const vector = Vector2.createPolar( options.arrowSize, Util.toRadians( 45 ) );
+
+      return new ArrowNode( 0, 0, vector.x, -vector.y, options );
+    }
+
+    /**
+     * Create the Icon for the dot product of two vectors, which has two arrows with the angle between them
+     * @param {Object} [options]
+     * @returns {Node}
+     * @public
+     */
+    static createDotProductIcon( options ) {
+
+      options = _.extend( {}, ARROW_ICON_OPTIONS, {
+        arrowSize: 18,
+        arcRadius: 8,
+        arcArrowOptions: null
+      }, options );
+
+      options.arcArrowOptions = _.extend( {
+        arrowheadWidth: 4, // {number}
+        arrowheadHeight: 3 // {number}
+      }, options.arcArrowOptions );
+
+      const angle = 60;
+      const vector = Vector2.createPolar( options.arrowSize, Util.toRadians( angle ) );
+
+      const horizontalArrow = new ArrowNode( 0, 0, options.arrowSize, 0, _.extend( {}, options, {
+        fill: VectorAdditionColors.VECTOR_GROUP_2_COLORS.fill
+      } ) );
+      const angledArrow = new ArrowNode( 0, 0, vector.x, -vector.y, options );
+      const arcArrow = new ArcArrowNode( angle, options.arcRadius, options.arcArrowOptions );
+
+      return new Node( {
+        children: [ arcArrow, horizontalArrow, angledArrow ]
+      } );
+    }
+
+    /**
+     * Create the Icon for the cross product of two vectors, which has two arrows and the parallelogram they span
+     * @param {Object} [options]
+     * @returns {Node}
+     * @public
+     */
+    static createCrossProductIcon( options ) {
+
+      options = _.extend( {}, ARROW_ICON_OPTIONS, {
+        arrowSize: 18,
+        parallelogramOptions: null
+      }, options );
+
+      options.parallelogramOptions = _.extend( {
+        fill: VectorAdditionColors.CROSS_PRODUCT_COLORS.fill, // {string}
+        stroke: VectorAdditionColors.CROSS_PRODUCT_COLORS.stroke, // {string}
+        lineWidth: 0.5 // {number}
+      }, options.parallelogramOptions );
+
+      const vector = Vector2.createPolar( options.arrowSize * 0.7, Util.toRadians( 60 ) );
+
+      const parallelogramShape = new Shape()
+        .moveTo( 0, 0 )
+        .lineTo( options.arrowSize, 0 )
+        .lineTo( options.arrowSize + vector.x, -vector.y )
+        .lineTo( vector.x, -vector.y )
+        .close();
+
+      const horizontalArrow = new ArrowNode( 0, 0, options.arrowSize, 0, _.extend( {}, options, {
+        fill: VectorAdditionColors.VECTOR_GROUP_2_COLORS.fill
+      } ) );
+      const angledArrow = new ArrowNode( 0, 0, vector.x, -vector.y, options );
+
+      return new Node( {
+        children: [ new Path( parallelogramShape, options.parallelogramOptions ), horizontalArrow, angledArrow ]
+      } );
+    }
+
+    /**
+     * Create the Icon for the projection of a vector onto another, which has the parallel component of the angled
+     * arrow along the horizontal arrow and a dashed drop line
+     * @param {Object} [options]
+     * @returns {Node}
+     * @public
+     */
+    static createProjectionIcon( options ) {
+
+      options = _.extend( {}, ARROW_ICON_OPTIONS, {
+        arrowSize: 18,
+        dropLineOptions: null
+      }, options );
+
+      options.dropLineOptions = _.extend( {
+        stroke: 'black', // {string}
+        lineWidth: 0.5, // {number}
+        lineDash: [ 2, 2 ] // {Array.<number>}
+      }, options.dropLineOptions );
+
+      const vector = Vector2.createPolar( options.arrowSize, Util.toRadians( 50 ) );
+
+      const horizontalArrow = new ArrowNode( 0, 0, options.arrowSize, 0, _.extend( {}, options, {
+        fill: VectorAdditionColors.VECTOR_GROUP_2_COLORS.fill
+      } ) );
+      const parallelArrow = new ArrowNode( 0, 0, vector.x, 0, _.extend( {}, options, {
+        fill: VectorAdditionColors.PROJECTION_COLORS.parallel
+      } ) );
+      const angledArrow = new ArrowNode( 0, 0, vector.x, -vector.y, options );
+      const dropLine = new Line( vector.x, -vector.y, vector.x, 0, options.dropLineOptions );
+
+      return new Node( {
+        children: [ horizontalArrow, parallelArrow, dropLine, angledArrow ]
+      } );
+    }
+
+    /*---------------------------------------------------------------------------*
+     * The Following are icons that appear in the undo and redo buttons
+     *---------------------------------------------------------------------------*/
+    /**
+     * Create the Icon for the undo button
+     * @param {Object} [options]
+     * @public
+     */
+    static createUndoIcon( options ) {
+      return new FontAwesomeNode( 'undo', _.extend( {
+        scale: 0.5
+      }, options ) );
+    }
+
+    /**
+     * Create the Icon for the redo button, which is the mirrored undo icon
+     * @param {Object} [options]
+     * @public
+     */
+    static createRedoIcon( options ) {
+      const redoIcon = this.createUndoIcon( options );
+      redoIcon.setScaleMagnitude( -redoIcon.getScaleVector().x, redoIcon.getScaleVector().y );
+      return redoIcon;
+    }
+
+    /*---------------------------------------------------------------------------*
+     * The Following are icons that appear on the vector creator panel
+     *---------------------------------------------------------------------------*/
+    /**
+     * Create the Icon for the button that opens the keypad to enter a vector, which is a grid of keys
+     * @param {Object} [options]
+     * @returns {Node}
+     * @public
+     */
+    static createKeypadIcon( options ) {
+
+      options = _.extend( {
+        keySize: 5, // {number} - the width and height of each key
+        keySpacing: 2, // {number}
+        fill: VectorAdditionColors.GRID_ICON_COLOR
+      }, options );
+
+      // 3 columns and 4 rows of keys, like a keypad
+      const keys = [];
+      for ( let column = 0; column < 3; column++ ) {
+        for ( let row = 0; row < 4; row++ ) {
+          keys.push( new Rectangle(
+            column * ( options.keySize + options.keySpacing ),
+            row * ( options.keySize + options.keySpacing ),
+            options.keySize,
+            options.keySize, {
+              fill: options.fill,
+              cornerRadius: 1
+            } ) );
+        }
+      }
+
+      return new Node( { children: keys } );
+    }
   }
 
   vectorAddition.register( 'VectorAdditionIconFactory', VectorAdditionIconFactory );
@@ -0,0 +1,47 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Keyboard utilities shared by the nodes that are moved with the arrow keys (vectors, the origin and the handle that
+ * rotates the axes).
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const KeyboardUtil = require( 'SCENERY/accessibility/KeyboardUtil' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  const VectorAdditionKeyboardUtil = {
+
+    /**
+     * Get the direction of an arrow key in model coordinates, where up is +y
+     * @public
+     * @param {number} keyCode
+     * @returns {Vector2|null} - a unit vector, or null if the key isn't an arrow key
+     */
+    getArrowKeyDirection( keyCode ) {
+      switch( keyCode ) {
+        case KeyboardUtil.KEY_LEFT_ARROW: {
+          return new Vector2( -1, 0 );
+        }
+        case KeyboardUtil.KEY_RIGHT_ARROW: {
+          return new Vector2( 1, 0 );
+        }
+        case KeyboardUtil.KEY_UP_ARROW: {
+          return new Vector2( 0, 1 );
+        }
+        case KeyboardUtil.KEY_DOWN_ARROW: {
+          return new Vector2( 0, -1 );
+        }
+        default: {
+          return null;
+        }
+      }
+    }
+  };
+
+  return vectorAddition.register( 'VectorAdditionKeyboardUtil', VectorAdditionKeyboardUtil );
+} );
@@ -9,30 +9,62 @@ define( require => {
 
   // modules
   const CoordinateSnapRadioButtonGroup = require( 'VECTOR_ADDITION/common/view/CoordinateSnapRadioButtonGroup' );
+  const Display = require( 'SCENERY/display/Display' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
   const ResetAllButton = require( 'SCENERY_PHET/buttons/ResetAllButton' );
   const SceneNode = require( 'VECTOR_ADDITION/common/view/SceneNode' );
   const ScreenView = require( 'JOIST/ScreenView' );
+  const Utterance = require( 'SCENERY_PHET/accessibility/Utterance' );
+  const utteranceQueue = require( 'SCENERY_PHET/accessibility/utteranceQueue' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionDescriber = require( 'VECTOR_ADDITION/common/view/VectorAdditionDescriber' );
+  const VectorAdditionIconFactory = require( 'VECTOR_ADDITION/common/view/VectorAdditionIconFactory' );
+
+  // constants
+  const UNDO_REDO_BUTTON_OPTIONS = {
+    baseColor: VectorAdditionColors.UNDO_REDO_BUTTON_BASE_COLOR,
+    xMargin: 6,
+    yMargin: 6
+  };
+  const UNDO_REDO_BUTTONS_SPACING = 8;
+  const EDITABLE_TAG_NAMES = [ 'INPUT', 'SELECT', 'TEXTAREA' ];
 
   class VectorAdditionScreenView extends ScreenView {
 
     /**
      * @param {VectorAdditionModel} vectorAdditionModel
      * @param {Tandem} tandem
+     * @param {Object} [options]
      */
-    constructor( vectorAdditionModel, tandem ) {
+    constructor( vectorAdditionModel, tandem, options ) {
+
+      options = _.extend( {
+        sceneNodeOptions: null // {Object|null} - options passed to each SceneNode
+      }, options );
 
       super();
 
       // @public (read-only) {Array.<SceneNode>}
       this.sceneNodes = [];
 
+      // @private {Array.<VectorCreatorPanel>} - see addVectorCreatorPanel
+      this.vectorCreatorPanels = [];
+
       vectorAdditionModel.scenes.forEach( ( scene ) => {
 
         // create a scene node and add it as a child
-        const newSceneNode = new SceneNode( scene, vectorAdditionModel );
+        const newSceneNode = new SceneNode( scene, vectorAdditionModel, options.sceneNodeOptions );
         this.addChild( newSceneNode );
 
+        // add undo and redo buttons above the eraser button. They are children of the scene node, so they are only
+        // visible with their scene.
+        newSceneNode.addChild( this.createUndoRedoButtons( scene.history, {
+          left: newSceneNode.eraserButton.left,
+          bottom: newSceneNode.eraserButton.top - UNDO_REDO_BUTTONS_SPACING
+        } ) );
+
         // add it to the sceneNode array
         this.sceneNodes.push( newSceneNode );
 
@@ -42,6 +74,17 @@ define( require => {
         vectorAdditionModel.coordinateSnapModeProperty );
       this.addChild( coordinateSnapRadioButtonGroup );
 
+      // a11y - announce how the vectors are snapped when the coordinate snap mode changes, which snaps the vectors.
+      // ScreenViews exist for the lifetime of the sim, so no need to unlink.
+      const coordinateSnapModeUtterance = new Utterance();
+      vectorAdditionModel.coordinateSnapModeProperty.lazyLink( coordinateSnapMode => {
+        if ( this.visible ) {
+          coordinateSnapModeUtterance.alert =
+            VectorAdditionDescriber.getCoordinateSnapModeDescription( coordinateSnapMode );
+          utteranceQueue.addToBack( coordinateSnapModeUtterance );
+        }
+      } );
+
       const resetAllButton = new ResetAllButton( {
         listener: () => {
           vectorAdditionModel.reset();
@@ -57,7 +100,92 @@ define( require => {
         tandem: tandem.createTandem( 'resetAllButton' )
       } );
       this.addChild( resetAllButton );
+
+      //----------------------------------------------------------------------------------------
+      // Keyboard shortcuts: ctrl+z to undo and ctrl+y or ctrl+shift+z to redo (cmd on Mac) in the visible scene. The
+      // shortcuts are global, except in text fields where they edit the text. ScreenViews exist for the lifetime of
+      // the sim, so no need to remove the listener.
+      Display.keyStateTracker.keydownEmitter.addListener( domEvent => {
+
+        const visibleSceneNode = _.find( this.sceneNodes, sceneNode => sceneNode.visible );
+
+        // key is undefined for some synthetic and IME events
+        if ( !this.visible || !visibleSceneNode || !( domEvent.ctrlKey || domEvent.metaKey ) ||
+             typeof domEvent.key !== 'string' || isEditable( domEvent.target ) ) {
+          return;
+        }
+
+        const key = domEvent.key.toLowerCase();
+        if ( key === 'z' && !domEvent.shiftKey ) {
+          visibleSceneNode.scene.history.undo();
+          domEvent.preventDefault();
+        }
+        else if ( key === 'y' || ( key === 'z' && domEvent.shiftKey ) ) {
+          visibleSceneNode.scene.history.redo();
+          domEvent.preventDefault();
+        }
+      } );
+    }
+
+    /**
+     * Add a vector creator panel as a child. Sub-classes add their creator panels with this method so that the panels
+     * are stepped.
+     * @protected
+     * @param {VectorCreatorPanel} vectorCreatorPanel
+     */
+    addVectorCreatorPanel( vectorCreatorPanel ) {
+      this.addChild( vectorCreatorPanel );
+      this.vectorCreatorPanels.push( vectorCreatorPanel );
     }
+
+    /**
+     * Step the view
+     * @public
+     * @param {number} dt - time step, in seconds
+     */
+    step( dt ) {
+      this.vectorCreatorPanels.forEach( vectorCreatorPanel => {
+        vectorCreatorPanel.step( dt );
+      } );
+    }
+
+    /**
+     * Create the undo and redo buttons for the history of a scene
+     * @private
+     * @param {SceneHistory} history
+     * @param {Object} [options] - passed to the VBox that contains the buttons
+     * @returns {VBox}
+     */
+    createUndoRedoButtons( history, options ) {
+
+      const undoButton = new RectangularPushButton( _.extend( {
+        content: VectorAdditionIconFactory.createUndoIcon(),
+        listener: () => { history.undo(); }
+      }, UNDO_REDO_BUTTON_OPTIONS ) );
+
+      const redoButton = new RectangularPushButton( _.extend( {
+        content: VectorAdditionIconFactory.createRedoIcon(),
+        listener: () => { history.redo(); }
+      }, UNDO_REDO_BUTTON_OPTIONS ) );
+
+      // Histories and buttons exist for the lifetime of the sim, so no need to unlink
+      history.canUndoProperty.link( canUndo => { undoButton.enabled = canUndo; } );
+      history.canRedoProperty.link( canRedo => { redoButton.enabled = canRedo; } );
+
+      return new VBox( _.extend( {
+        spacing: UNDO_REDO_BUTTONS_SPACING,
+        children: [ undoButton, redoButton ]
+      }, options ) );
+    }
+  }
+
+  /**
+   * Is the target of a keyboard event editable, so that it handles the undo and redo shortcuts itself?
+   * @param {EventTarget|null} target
+   * @returns {boolean}
+   */
+  function isEditable( target ) {
+    return !!target && ( EDITABLE_TAG_NAMES.indexOf( target.tagName ) >= 0 || !!target.isContentEditable );
   }
 
   return vectorAddition.register( 'VectorAdditionScreenView', VectorAdditionScreenView );
@@ -4,7 +4,8 @@
  * View for the angle underneath/above the vector.
  * Constructed based on many individually passed parameters about the vector node.
  * Listens to the common models angleVisibleProperty to determine when to display the angle node.
- * Listens to a model vector's angleDegreesProperty to get the angle.
+ * Listens to a model vector's angleDegreesProperty to get the angle. The angle is measured from the x-axis, so the
+ * node rotates with the axes of the graph.
  *
  * @author Brandon Li
  */
@@ -35,9 +36,9 @@ define( require => {
     /**
      * @param {VectorModel} vectorModel- the vector model
      * @param {BooleanProperty} angleVisibleProperty
-     * @param {ModelViewTransform2} modelViewTransform
+     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty
      */
-    constructor( vectorModel, angleVisibleProperty, modelViewTransform ) {
+    constructor( vectorModel, angleVisibleProperty, modelViewTransformProperty ) {
 
       super();
 
@@ -108,10 +109,12 @@ define( require => {
         updateLabel( angle );
       };
 
-      const updateRadius = ( magnitude ) => {
+      const updateRadius = () => {
+
+        const magnitude = vectorModel.magnitudeProperty.value;
 
         // get magnitude of vector in view coordinates
-        const viewMagnitude = modelViewTransform.modelToViewDeltaX( magnitude );
+        const viewMagnitude = modelViewTransformProperty.value.modelToViewDeltaX( magnitude );
 
         const arcScaleFactor = getArcScaleFactor( viewMagnitude );
 
@@ -131,8 +134,17 @@ define( require => {
 
       vectorModel.angleDegreesProperty.link( updateAngle );
 
-      // update the radius of the arcArrow based on the magnitude of the vector
+      // update the radius of the arcArrow based on the magnitude of the vector in the view, which also changes when the
+      // graph is zoomed
       vectorModel.magnitudeProperty.link( updateRadius );
+      modelViewTransformProperty.lazyLink( updateRadius );
+
+      // the base line is parallel to the x-axis, and the label stays upright
+      const updateRotation = axesAngle => {
+        this.rotation = -axesAngle;
+        labelText.rotation = axesAngle;
+      };
+      vectorModel.axesAngleProperty.link( updateRotation );
 
       // update visibility of this node
       const toggleVisibilityListener = angleVisibleProperty.linkAttribute( this, 'visible' );
@@ -140,6 +152,8 @@ define( require => {
       this.unlinkProperties = () => {
         vectorModel.angleDegreesProperty.unlink( updateAngle );
         vectorModel.magnitudeProperty.unlink( updateRadius );
+        modelViewTransformProperty.unlink( updateRadius );
+        vectorModel.axesAngleProperty.unlink( updateRotation );
         angleVisibleProperty.unlink( toggleVisibilityListener );
       };
     }
@@ -20,21 +20,11 @@ define( require => {
   const Vector2 = require( 'DOT/Vector2' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
-  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
   const VectorComponent = require( 'VECTOR_ADDITION/common/model/VectorComponent' );
-  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
 
 
   // constants
-  const VECTOR_GROUP_1_COMPONENT = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
-    fill: VectorAdditionColors.VECTOR_GROUP_1_COLORS.component,
-    headWidth: 10.5,
-    headHeight: 6,
-    tailWidth: 4,
-    lineWidth: 0
-  } );
-  const VECTOR_GROUP_2_COMPONENT = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
-    fill: VectorAdditionColors.VECTOR_GROUP_2_COLORS.component,
+  const COMPONENT_ARROW_OPTIONS = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
     headWidth: 10.5,
     headHeight: 6,
     tailWidth: 4,
@@ -61,22 +51,11 @@ define( require => {
         `invalid componentStyleProperty: ${componentStyleProperty}` );
 
       //----------------------------------------------------------------------------------------
-      // Get the arrow options for the specific vector type
+      // Get the arrow options for the specific vector type, which has its own colors
 
-      let arrowOptions;
-      switch( vectorComponent.vectorType ) {
-        case VectorTypes.ONE: {
-          arrowOptions = VECTOR_GROUP_1_COMPONENT;
-          break;
-        }
-        case VectorTypes.TWO: {
-          arrowOptions = VECTOR_GROUP_2_COMPONENT;
-          break;
-        }
-        default: {
-          throw new Error( `Vector Type : ${vectorComponent.vectorType} not handled` );
-        }
-      }
+      const arrowOptions = _.extend( {}, COMPONENT_ARROW_OPTIONS, {
+        fill: vectorComponent.vectorType.colors.component
+      } );
       super( vectorComponent, modelViewTransformProperty, valuesVisibleProperty, arrowOptions );
 
       //----------------------------------------------------------------------------------------
@@ -97,7 +76,8 @@ define( require => {
       this.vectorObserver = new Multilink(
         [ vectorComponent.tailPositionProperty,
           vectorComponent.tipPositionProperty,
-          componentStyleProperty ],
+          componentStyleProperty,
+          modelViewTransformProperty ],
         () => {
           this.updateVector( vectorComponent, modelViewTransformProperty.value, componentStyleProperty.value );
         } );
@@ -139,7 +119,7 @@ define( require => {
           // make the on axis dashed lines visible
           this.onAxisLinesPath.visible = true;
 
-          this.onAxisLinesPath.setShape( this.getOnAxisLinesShape( vectorComponent, modelViewTransform ) );
+          this.onAxisLinesPath.setShape( VectorComponentNode.getDropLinesShape( vectorComponent, modelViewTransform ) );
           break;
         }
         default: {
@@ -150,13 +130,15 @@ define( require => {
     }
 
     /**
-     * Create the shape from of lines that go from the components tail/tip to the parents tail/tip
+     * Create the shape from of lines that go from the components tail/tip to the parents tail/tip. The lines are
+     * perpendicular to the component for the ON_AXIS style and for the components of a projection (see
+     * VectorProjectionNode). The shape is relative to the parent's tail.
      * @param {VectorComponent} vectorComponent
      * @param {ModelViewTransform2} modelViewTransform
      * @public
      * @returns {Shape}
      */
-    getOnAxisLinesShape( vectorComponent, modelViewTransform ) {
+    static getDropLinesShape( vectorComponent, modelViewTransform ) {
 
       const tailLocation = modelViewTransform.modelToViewDelta( vectorComponent.tail.minus( vectorComponent.parentVector.tail ) );
       const tipLocation = modelViewTransform.modelToViewDelta( vectorComponent.tip.minus( vectorComponent.parentVector.tail ) );
@@ -15,15 +15,24 @@ define( require => {
   const FixedWidthNode = require( 'VECTOR_ADDITION/common/view/FixedWidthNode' );
   const Node = require( 'SCENERY/nodes/Node' );
   const Panel = require( 'SUN/Panel' );
+  const Property = require( 'AXON/Property' );
+  const RectangularPushButton = require( 'SUN/buttons/RectangularPushButton' );
   const VBox = require( 'SCENERY/nodes/VBox' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const VectorAdditionIconFactory = require( 'VECTOR_ADDITION/common/view/VectorAdditionIconFactory' );
   const VectorCreatorPanelSlot = require( 'VECTOR_ADDITION/common/view/VectorCreatorPanelSlot' );
+  const VectorEntryDialog = require( 'VECTOR_ADDITION/common/view/VectorEntryDialog' );
   const VStrut = require( 'SCENERY/nodes/VStrut' );
 
   // constants
   const PANEL_OPTIONS = VectorAdditionConstants.PANEL_OPTIONS;
   const ALIGN_VALUES = [ 'top', 'bottom', 'center' ];
+  const KEYPAD_BUTTON_SPACING = 8; // spacing between the panel and the keypad button
+
+  // strings
+  const enterVectorString = require( 'string!VECTOR_ADDITION/a11y.enterVector' );
 
   class VectorCreatorPanel extends Node {
     /**
@@ -40,7 +49,8 @@ define( require => {
         fixedHeight: 120, // {number} - the height of the panel,
         slotSpacing: 20, // {number} - the spacing between slots
         right: 940, // {number}
-        top: 320 // {number}
+        top: 320, // {number}
+        isKeypadEnabled: true // {boolean} - whether there is a button below the panel to enter a vector with a keypad
       }, options );
 
       // Type check
@@ -64,6 +74,7 @@ define( require => {
 
       panelSlots.forEach( ( slot ) => {
         vectorRepresentationContainer.addChild( slot.vectorRepresentationNode );
+        vectorRepresentationContainer.addChild( slot.returningArrowsLayer );
       } );
 
       //----------------------------------------------------------------------------------------
@@ -88,11 +99,58 @@ define( require => {
         } );
 
 
+      const panel = new Panel( vectorCreatorPanelSlots, _.omit( options, 'isKeypadEnabled' ) );
+
       super( {
-        children: [
-          new Panel( vectorCreatorPanelSlots, options ),
-          vectorRepresentationContainer
-        ]
+        children: [ panel, vectorRepresentationContainer ]
+      } );
+
+      // @private {Array.<VectorCreatorPanelSlot>}
+      this.panelSlots = panelSlots;
+
+      //----------------------------------------------------------------------------------------
+      // Create a button below the panel that opens a dialog to enter a vector with a keypad
+
+      if ( options.isKeypadEnabled ) {
+
+        // {VectorEntryDialog|null} - created when the button is first pressed
+        let vectorEntryDialog = null;
+
+        const keypadButton = new RectangularPushButton( {
+          content: VectorAdditionIconFactory.createKeypadIcon(),
+          baseColor: VectorAdditionColors.UNDO_REDO_BUTTON_BASE_COLOR,
+          xMargin: 6,
+          yMargin: 6,
+          centerX: panel.centerX,
+          top: panel.bottom + KEYPAD_BUTTON_SPACING,
+          listener: () => {
+            if ( !vectorEntryDialog ) {
+              vectorEntryDialog = new VectorEntryDialog( panelSlots, panelSlots[ 0 ].graph );
+            }
+            vectorEntryDialog.show();
+          },
+
+          // a11y
+          innerContent: enterVectorString
+        } );
+        this.addChild( keypadButton );
+
+        // Only enable the button if a vector can be added from one of the slots. Panels exist for the lifetime of the
+        // sim, so no need to dispose.
+        Property.multilink( panelSlots.map( slot => slot.canAddVectorProperty ), () => {
+          keypadButton.enabled = _.some( panelSlots, slot => slot.canAddVectorProperty.value );
+        } );
+      }
+    }
+
+    /**
+     * Step the slots of the panel
+     * @public
+     * @param {number} dt - time step, in seconds
+     */
+    step( dt ) {
+      this.panelSlots.forEach( slot => {
+        slot.step( dt );
       } );
     }
   }
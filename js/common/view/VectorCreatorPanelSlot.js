@@ -15,43 +15,42 @@ define( require => {
 
   // modules
   const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const Bounds2 = require( 'DOT/Bounds2' );
   const DragListener = require( 'SCENERY/listeners/DragListener' );
   const FormulaNode = require( 'SCENERY_PHET/FormulaNode' );
+  const Graph = require( 'VECTOR_ADDITION/common/model/Graph' );
   const HBox = require( 'SCENERY/nodes/HBox' );
-  const ModelViewTransform2 = require( 'PHETCOMMON/view/ModelViewTransform2' );
-  const Property = require( 'AXON/Property' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const StringUtils = require( 'PHETCOMMON/util/StringUtils' );
+  const Util = require( 'DOT/Util' );
   const Vector2 = require( 'DOT/Vector2' );
   const Vector2Property = require( 'DOT/Vector2Property' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
-  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
   const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
+  const VectorOrientations = require( 'VECTOR_ADDITION/common/model/VectorOrientations' );
   const VectorSet = require( 'VECTOR_ADDITION/common/model/VectorSet' );
-  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
   const VectorAdditionIconFactory = require( 'VECTOR_ADDITION/common/view/VectorAdditionIconFactory' );
 
+  // strings
+  const addVectorPatternString = require( 'string!VECTOR_ADDITION/a11y.addVectorPattern' );
+  const addVectorString = require( 'string!VECTOR_ADDITION/a11y.addVector' );
+
   // constants
   const LABEL_AND_ICON_SPACING = 6;
   const LABEL_RESIZE_SCALE = 0.8;
-
-  const GROUP_ONE_ICON_ARROW_OPTIONS = _.extend( {},
-    VectorAdditionConstants.VECTOR_OPTIONS, {
-      fill: VectorAdditionColors.VECTOR_GROUP_1_COLORS.fill
-    } );
-  const GROUP_TWO_ICON_ARROW_OPTIONS = _.extend( {},
-    VectorAdditionConstants.VECTOR_OPTIONS, {
-      fill: VectorAdditionColors.VECTOR_GROUP_2_COLORS.fill
-    } );
+  const RETURN_ANIMATION_DURATION = 0.4; // in seconds
 
   class VectorCreatorPanelSlot extends HBox {
     /**
      * @constructor
      * @param {Vector2} initialVector - the direction, and length of the modelVector
-     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty
+     * @param {Graph} graph - the graph that the vectors are dropped on
      * @param {VectorSet} vectorSet - the vectorSet that the slot adds vectors to.
      * @param {Object} options
      */
-    constructor( initialVector, modelViewTransformProperty, vectorSet, options ) {
+    constructor( initialVector, graph, vectorSet, options ) {
 
       options = _.extend( {
         label: null, // {string|null} the label for the vector at the slot
@@ -61,9 +60,10 @@ define( require => {
 
       // Type Check
       assert && assert( initialVector instanceof Vector2, `invalid initialVector: ${initialVector}` );
-      assert && assert( modelViewTransformProperty instanceof Property
-      && modelViewTransformProperty.value instanceof ModelViewTransform2,
-        `invalid modelViewTransformProperty: ${modelViewTransformProperty}` );
+      assert && assert( graph instanceof Graph, `invalid graph: ${graph}` );
+      assert && assert( ( graph.orientation !== VectorOrientations.HORIZONTAL || initialVector.y === 0 ) &&
+                        ( graph.orientation !== VectorOrientations.VERTICAL || initialVector.x === 0 ),
+        `initialVector ${initialVector} doesn't match the orientation of the graph: ${graph.orientation}` );
       assert && assert( vectorSet instanceof VectorSet, `invalid vectorSet: ${vectorSet}` );
       assert && assert( !options.label || typeof options.label === 'string',
         `invalid options.label: ${options.label}` );
@@ -81,25 +81,17 @@ define( require => {
 
       const vectorType = vectorSet.vectorType;
 
-      let arrowOptions;
-      switch( vectorType ) {
-        case VectorTypes.ONE:
-          arrowOptions = GROUP_ONE_ICON_ARROW_OPTIONS;
-          break;
-        case VectorTypes.TWO:
-          arrowOptions = GROUP_TWO_ICON_ARROW_OPTIONS;
-          break;
-        default:
-          throw new Error( `Vector type ${vectorType} doesn't exists ` );
-      }
+      const modelViewTransformProperty = graph.modelViewTransformProperty;
+
+      // the arrows have the colors of the vectorSet's group
+      const arrowOptions = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
+        fill: vectorType.colors.fill
+      } );
 
       //----------------------------------------------------------------------------------------
 
       const initialViewVector = modelViewTransformProperty.value.modelToViewDelta( initialVector );
 
-      // @private {Vector2}
-      this.initialVector = initialVector;
-
       // @public (read-only) {Node}
       this.vectorRepresentationNode = new ArrowNode(
         0,
@@ -107,6 +99,12 @@ define( require => {
         initialViewVector.x,
         initialViewVector.y, arrowOptions );
 
+      // @public (read-only) {Node} - layer for the arrows that are animating back to the icon, see animateToIcon
+      this.returningArrowsLayer = new Node( { pickable: false } );
+
+      // @private {Object} - options for the returning arrows
+      this.arrowOptions = arrowOptions;
+
       const iconNode = VectorAdditionIconFactory.createVectorCreatorPanelIcon(
         initialViewVector,
         vectorType );
@@ -116,6 +114,15 @@ define( require => {
       iconNode.mouseArea = iconNode.shape.getOffsetShape( 8 );
       this.addChild( iconNode );
 
+      // a11y - the icon is a button that adds a vector with its tail at the origin
+      iconNode.tagName = 'button';
+      iconNode.innerContent = options.label ?
+                              StringUtils.fillIn( addVectorPatternString, { label: options.label } ) :
+                              addVectorString;
+
+      // @private {Node}
+      this.iconNode = iconNode;
+
 
       if ( options.label ) {
 
@@ -137,11 +144,53 @@ define( require => {
       // @public (read-only) {vectorSet}
       this.vectorSet = vectorSet;
 
+      // @public (read-only) {Graph}
+      this.graph = graph;
+
+      // @public (read-only) {Vector2} - the components of the vectors that are dragged from the slot
+      this.initialVector = initialVector;
+
+      // @private {Array.<{arrowNode: ArrowNode, startCenter: Vector2, elapsedTime: number}>} - see animateToIcon
+      this.returnAnimations = [];
+
+      // @private {boolean} - indicates if the vector representation is being dragged
+      this.isRepresentationDragging = false;
+
+      // @public (read-only) {BooleanProperty} - can a vector be added from this slot, see updateIconVisibility. Slots
+      // exist for the lifetime of the sim, so no need to unlink.
+      this.canAddVectorProperty = new BooleanProperty( true );
+      this.canAddVectorProperty.linkAttribute( iconNode, 'visible' );
+
       //----------------------------------------------------------------------------------------
 
       // Set the representation node to invisible
       this.vectorRepresentationNode.visible = false;
 
+      // The representation has the size of the vector on the graph, which changes when the graph is zoomed.
+      // Slots exist for the lifetime of the sim, so no need to unlink.
+      modelViewTransformProperty.lazyLink( modelViewTransform => {
+        const viewVector = modelViewTransform.modelToViewDelta( initialVector );
+        this.vectorRepresentationNode.setTip( viewVector.x, viewVector.y );
+      } );
+
+      // The icon of a finite slot is hidden while its vector is on the graph, or is on its way to or from the graph.
+      // Slots exist for the lifetime of the sim, so no need to remove the listeners.
+      vectorSet.vectors.addItemAddedListener( () => { this.updateIconVisibility(); } );
+      vectorSet.vectors.addItemRemovedListener( () => { this.updateIconVisibility(); } );
+
+      // Animate vectors that are returned to this slot
+      vectorSet.vectorReturnedEmitter.addListener( returnedVector => {
+        if ( this.isSlotVector( returnedVector ) ) {
+
+          const modelViewTransform = modelViewTransformProperty.value;
+          const tailLocation = modelViewTransform.modelToViewPosition( returnedVector.tail );
+          const tipLocation = modelViewTransform.modelToViewPosition( returnedVector.tip );
+
+          this.animateToIcon( new ArrowNode( tailLocation.x, tailLocation.y, tipLocation.x, tipLocation.y,
+            this.arrowOptions ) );
+        }
+      } );
+
 
       // When the vector icon is clicked, add the vector representation as a decoy vector to drag onto the screen
       iconNode.addInputListener( DragListener.createForwardingListener( ( event ) => {
@@ -159,37 +208,48 @@ define( require => {
             start: () => { this.vectorRepresentationNode.visible = true; },
             end: () => {
 
-              // TODO: what should we do if the user dragged it off the grid
-
               this.vectorRepresentationNode.visible = false;
+              this.isRepresentationDragging = false;
 
               // Get the drag location in model coordinates
-              const vectorRepresentationPosition = modelViewTransformProperty.value.viewToModelPosition(
-                vectorRepresentationLocationProperty.value
-              );
-
-              // Call the abstract method to add the vector to the model. See addVectorToModel for documentation
-              const newVectorModel = this.addVectorToModel( vectorRepresentationPosition );
-
-              // Check that the new vector model was implemented correctly
-              assert && assert( newVectorModel instanceof VectorModel,
-                `this.addVectorToModel should return a VectorModel, not a ${newVectorModel}` );
-
-              // Add a removed listener to the observable array to reset the icon
-              this.vectorSet.vectors.addItemRemovedListener( ( removedVector ) => {
-                if ( removedVector === newVectorModel ) {
-                  iconNode.visible = true;
-                }
-              } );
+              const tailLocation = vectorRepresentationLocationProperty.value;
+              const vectorRepresentationPosition = modelViewTransformProperty.value.viewToModelPosition( tailLocation );
+
+              // the bounds of the arrow, in model coordinates
+              const arrowBounds = Bounds2.point( vectorRepresentationPosition.x, vectorRepresentationPosition.y )
+                .addPoint( vectorRepresentationPosition.plus( this.initialVector ) );
+
+              if ( !graph.graphModelBounds.intersectsBounds( arrowBounds ) ) {
+
+                // Dropped off the graph, so return the vector representation to the icon without adding a vector
+                const tipLocation = tailLocation.plus(
+                  modelViewTransformProperty.value.modelToViewDelta( this.initialVector ) );
+                this.animateToIcon( new ArrowNode( tailLocation.x, tailLocation.y, tipLocation.x, tipLocation.y,
+                  this.arrowOptions ) );
+              }
+              else {
+
+                // Call the abstract method to add the vector to the model, moving the tail so that the whole vector is
+                // on the graph. See addVectorToModel for documentation.
+                const newVectorModel = this.addVectorToModel(
+                  this.getConstrainedTailPosition( vectorRepresentationPosition, graph.graphModelBounds ),
+                  this.initialVector );
+
+                // Check that the new vector model was implemented correctly
+                assert && assert( newVectorModel instanceof VectorModel,
+                  `this.addVectorToModel should return a VectorModel, not a ${newVectorModel}` );
+
+                // Dropping the vector representation ends the drag of the new vector
+                newVectorModel.isActiveProperty.value = false;
+              }
             }
 
           } );
 
           this.vectorRepresentationNode.addInputListener( vectorRepresentationDragListener );
 
-          if ( !options.isInfinite ) {
-            iconNode.visible = false;
-          }
+          this.isRepresentationDragging = true;
+          this.updateIconVisibility();
 
           this.vectorRepresentationNode.center = this.vectorRepresentationNode.globalToParentPoint( event.pointer.point );
 
@@ -197,20 +257,142 @@ define( require => {
         },
         { allowTouchSnag: true } ) );
 
+      // Add a vector when the icon is clicked with the keyboard. The vector is moved so that it is on the graph if the
+      // origin is near the edge of the graph.
+      iconNode.addInputListener( {
+        click: () => {
+          const newVectorModel = this.addVectorToModel(
+            this.getConstrainedTailPosition( Vector2.ZERO, graph.graphModelBounds ), this.initialVector );
+          newVectorModel.isActiveProperty.value = false;
+        }
+      } );
+    }
+
+    /**
+     * Step the arrows that are animating back to the icon
+     * @public
+     * @param {number} dt - time step, in seconds
+     */
+    step( dt ) {
+
+      if ( !this.returnAnimations.length ) {
+        return;
+      }
+
+      // the center of the icon, in the coordinate frame of the returning arrows
+      const iconCenter = this.returningArrowsLayer.globalToLocalPoint(
+        this.iconNode.parentToGlobalPoint( this.iconNode.center ) );
+
+      this.returnAnimations.forEach( returnAnimation => {
+        returnAnimation.elapsedTime = Math.min( returnAnimation.elapsedTime + dt, RETURN_ANIMATION_DURATION );
+
+        // ease in and out of the animation
+        const ratio = returnAnimation.elapsedTime / RETURN_ANIMATION_DURATION;
+        const easedRatio = ( 1 - Math.cos( Math.PI * ratio ) ) / 2;
+
+        returnAnimation.arrowNode.center = returnAnimation.startCenter.blend( iconCenter, easedRatio );
+      } );
+
+      // remove the arrows that made it back to the icon
+      const finishedAnimations = this.returnAnimations.filter( returnAnimation =>
+        Util.equalsEpsilon( returnAnimation.elapsedTime, RETURN_ANIMATION_DURATION, 1E-9 ) );
+
+      if ( finishedAnimations.length ) {
+        finishedAnimations.forEach( returnAnimation => {
+          this.returningArrowsLayer.removeChild( returnAnimation.arrowNode );
+          returnAnimation.arrowNode.dispose();
+        } );
+        this.returnAnimations = _.difference( this.returnAnimations, finishedAnimations );
+        this.updateIconVisibility();
+      }
+    }
+
+    /**
+     * Animate an arrow back to the icon of this slot. The icon of a finite slot is shown once the arrow makes it back.
+     * @private
+     * @param {ArrowNode} arrowNode - in the coordinate frame of the vectorRepresentationNode's parent
+     */
+    animateToIcon( arrowNode ) {
+      this.returningArrowsLayer.addChild( arrowNode );
+      this.returnAnimations.push( {
+        arrowNode: arrowNode,
+        startCenter: arrowNode.center,
+        elapsedTime: 0
+      } );
+      this.updateIconVisibility();
+    }
+
+    /**
+     * Get the position of the tail closest to a tail position, such that the whole vector is on the graph. Vectors on
+     * horizontal and vertical graphs only extend along the graph's orientation (see the constructor), so their tail is
+     * only moved perpendicular to the orientation if the tail itself is off the graph.
+     * @private
+     * @param {Vector2} tailPosition
+     * @param {Bounds2} graphModelBounds
+     * @returns {Vector2}
+     */
+    getConstrainedTailPosition( tailPosition, graphModelBounds ) {
+      return new Vector2(
+        Util.clamp( tailPosition.x,
+          graphModelBounds.minX - Math.min( this.initialVector.x, 0 ),
+          graphModelBounds.maxX - Math.max( this.initialVector.x, 0 ) ),
+        Util.clamp( tailPosition.y,
+          graphModelBounds.minY - Math.min( this.initialVector.y, 0 ),
+          graphModelBounds.maxY - Math.max( this.initialVector.y, 0 ) )
+      );
+    }
+
+    /**
+     * Is the vector from this slot? For slots with a label, this is the vector with the same label.
+     * @private
+     * @param {VectorModel} vector - a vector in the vectorSet of this slot
+     * @returns {boolean}
+     */
+    isSlotVector( vector ) {
+      return !this.label || vector.label === this.label;
+    }
+
+    /**
+     * Infinite slots always show their icon. Finite slots hide their icon while their vector is on the graph, or is
+     * on its way to or from the graph. A vector can be added from the slot while its icon is visible.
+     * @private
+     */
+    updateIconVisibility() {
+      this.canAddVectorProperty.value = this.isInfinite || ( !this.isRepresentationDragging &&
+                                                             !this.returnAnimations.length &&
+                                                             !_.some( this.vectorSet.vectors.getArray(),
+                                                               vector => this.isSlotVector( vector ) ) );
+    }
+
+    /**
+     * Add a vector that was entered with the keypad (see VectorEntryDialog). Like dropping the vector representation,
+     * this ends the 'drag' of the new vector, so it is one entry in the scene history.
+     * @public
+     * @param {Vector2} tailPosition - in model coordinates
+     * @param {Vector2} components - in model coordinates
+     * @returns {VectorModel} - the model added
+     */
+    addEnteredVector( tailPosition, components ) {
+      assert && assert( this.canAddVectorProperty.value, 'the slot can\'t add a vector' );
+
+      const newVectorModel = this.addVectorToModel( tailPosition, components );
+      newVectorModel.isActiveProperty.value = false;
+      return newVectorModel;
     }
 
     /**
      * Called when the vectorRepresentation is dropped. This should add the vector to the model.
      * @private
      * @param {Vector2} droppedPosition (model coordinates)
+     * @param {Vector2} components - the components of the vector (model coordinates)
      * @returns {VectorModel} - the model added
      */
-    addVectorToModel( droppedPosition ) {
+    addVectorToModel( droppedPosition, components ) {
 
 
       const options = ( this.label ) ? { label: this.label } : {};
 
-      return this.vectorSet.addVector( droppedPosition, this.initialVector.x, this.initialVector.y, options );
+      return this.vectorSet.addVector( droppedPosition, components.x, components.y, options );
     }
   }
 
@@ -0,0 +1,469 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Dialog to enter a vector with a keypad, as an alternative to dragging a vector out of a VectorCreatorPanelSlot.
+ *
+ * The components are entered either as x and y components or as a magnitude and an angle (in degrees), along with the
+ * position of the tail, which is the origin by default. Like the values in the InspectVectorPanel, they are measured
+ * along the axes of the graph, which may be rotated (see Graph.axesAngleProperty). The keypad enters into the selected
+ * field, replacing its value when a key is first pressed.
+ *
+ * The vector is added through the selected slot (see VectorCreatorPanelSlot.addEnteredVector) if it can be added to the
+ * graph (see Graph.getVectorEntryError). Otherwise the reason is shown, and the dialog stays open.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const AquaRadioButton = require( 'SUN/AquaRadioButton' );
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const Dialog = require( 'SUN/Dialog' );
+  const FixedWidthNode = require( 'VECTOR_ADDITION/common/view/FixedWidthNode' );
+  const FormulaNode = require( 'SCENERY_PHET/FormulaNode' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const Keypad = require( 'SCENERY_PHET/keypad/Keypad' );
+  const MathSymbols = require( 'SCENERY_PHET/MathSymbols' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Property = require( 'AXON/Property' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const RichText = require( 'SCENERY/nodes/RichText' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const TextPushButton = require( 'SUN/buttons/TextPushButton' );
+  const Util = require( 'DOT/Util' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const VectorAdditionIconFactory = require( 'VECTOR_ADDITION/common/view/VectorAdditionIconFactory' );
+  const VectorCreatorPanelSlot = require( 'VECTOR_ADDITION/common/view/VectorCreatorPanelSlot' );
+  const VectorEntryErrors = require( 'VECTOR_ADDITION/common/model/VectorEntryErrors' );
+
+  // constants
+  const TITLE_FONT = new PhetFont( { size: 18, weight: 'bold' } );
+  const FIELD_FONT = new PhetFont( 16 );
+  const FIELD_WIDTH = 80;
+  const FIELD_HEIGHT = 26;
+  const FIELD_X_MARGIN = 5;
+  const LABEL_WIDTH = 36; // width of the labels of the fields
+  const ROW_SPACING = 8;
+  const ERROR_TEXT_MAX_WIDTH = 300;
+  const SLOT_ICON_ARROW_SIZE = 20;
+  const RADIO_BUTTON_OPTIONS = { radius: 8 };
+  const VALUE_DECIMAL_PLACES = 2; // decimal places of the values that are filled in
+  const EPSILON = 1E-10; // components that are smaller than this are 0, see getPolarComponents
+
+  // strings
+  const addString = require( 'string!VECTOR_ADDITION/add' );
+  const enterAVectorString = require( 'string!VECTOR_ADDITION/enterAVector' );
+  const tailString = require( 'string!VECTOR_ADDITION/tail' );
+  const vectorNotHorizontalString = require( 'string!VECTOR_ADDITION/vectorNotHorizontal' );
+  const vectorNotVerticalString = require( 'string!VECTOR_ADDITION/vectorNotVertical' );
+  const vectorOffGraphString = require( 'string!VECTOR_ADDITION/vectorOffGraph' );
+  const xString = require( 'string!VECTOR_ADDITION/x' );
+  const yString = require( 'string!VECTOR_ADDITION/y' );
+
+  class VectorEntryDialog extends Dialog {
+    /**
+     * @constructor
+     * @param {Array.<VectorCreatorPanelSlot>} panelSlots - the slots that the vector can be added from
+     * @param {Graph} graph - the graph of the slots, which the vector is added to
+     */
+    constructor( panelSlots, graph ) {
+
+      // Type check arguments
+      assert && assert( Array.isArray( panelSlots ) && panelSlots.length > 0 &&
+                        _.every( panelSlots, slot => slot instanceof VectorCreatorPanelSlot && slot.graph === graph ),
+        `invalid panelSlots: ${panelSlots}` );
+
+      //----------------------------------------------------------------------------------------
+
+      // {Property.<VectorCreatorPanelSlot>} - the slot that the vector is added from
+      const selectedSlotProperty = new Property( panelSlots[ 0 ] );
+
+      // {BooleanProperty} - are the components entered as a magnitude and an angle, instead of x and y components?
+      const isPolarProperty = new BooleanProperty( false );
+
+      // {Property.<ValueField|null>} - the field that the keypad enters into
+      const selectedFieldProperty = new Property( null );
+
+      const xComponentField = new ValueField( selectedFieldProperty );
+      const yComponentField = new ValueField( selectedFieldProperty );
+      const magnitudeField = new ValueField( selectedFieldProperty );
+      const angleField = new ValueField( selectedFieldProperty );
+      const tailXField = new ValueField( selectedFieldProperty );
+      const tailYField = new ValueField( selectedFieldProperty );
+
+      const cartesianRows = new VBox( {
+        spacing: ROW_SPACING,
+        children: [
+          createRow( new RichText( xString ), xComponentField ),
+          createRow( new RichText( yString ), yComponentField )
+        ]
+      } );
+
+      const polarRows = new VBox( {
+        spacing: ROW_SPACING,
+        children: [
+          createRow( new FormulaNode( '|\\vec{v}|' ), magnitudeField ),
+          createRow( new RichText( MathSymbols.THETA ), angleField, new Text( '°', { font: FIELD_FONT } ) )
+        ]
+      } );
+
+      // the rows of the components, which are swapped when the components are entered in the other form
+      const componentRowsNode = new Node();
+
+      const fieldsBox = new VBox( {
+        spacing: ROW_SPACING,
+        align: 'left',
+        children: [
+          componentRowsNode,
+          createRow( new RichText( `${tailString}<sub>${xString}</sub>` ), tailXField ),
+          createRow( new RichText( `${tailString}<sub>${yString}</sub>` ), tailYField )
+        ]
+      } );
+
+      // choose between entering x and y components, or a magnitude and an angle
+      const formRadioButtons = new HBox( {
+        spacing: 20,
+        children: [
+          new AquaRadioButton( isPolarProperty, false, VectorAdditionIconFactory.createCartesianIcon(),
+            RADIO_BUTTON_OPTIONS ),
+          new AquaRadioButton( isPolarProperty, true, VectorAdditionIconFactory.createPolarIcon(),
+            RADIO_BUTTON_OPTIONS )
+        ]
+      } );
+
+      const keypad = new Keypad( Keypad.PositiveAndNegativeFloatingPointLayout, {
+        maxDigits: 6
+      } );
+
+      // the reason why the vector can't be added. It always has a text, so that the layout doesn't change when it is
+      // shown.
+      const errorText = new Text( vectorOffGraphString, {
+        font: VectorAdditionConstants.PANEL_FONT,
+        fill: VectorAdditionColors.VECTOR_ENTRY_COLORS.error,
+        maxWidth: ERROR_TEXT_MAX_WIDTH,
+        visible: false
+      } );
+
+      const addButton = new TextPushButton( addString, {
+        font: FIELD_FONT,
+        baseColor: VectorAdditionColors.UNDO_REDO_BUTTON_BASE_COLOR
+      } );
+
+      const contentChildren = [
+        formRadioButtons,
+        new HBox( {
+          spacing: 20,
+          align: 'top',
+          children: [ fieldsBox, keypad ]
+        } ),
+        errorText,
+        addButton
+      ];
+
+      // choose the slot to add the vector from, if there is more than one
+      if ( panelSlots.length > 1 ) {
+        contentChildren.unshift( new HBox( {
+          spacing: 16,
+          children: panelSlots.map( slot => new AquaRadioButton( selectedSlotProperty, slot, createSlotIcon( slot ),
+            RADIO_BUTTON_OPTIONS ) )
+        } ) );
+      }
+
+      super( new VBox( {
+        spacing: 14,
+        children: contentChildren
+      } ), {
+        title: new Text( enterAVectorString, { font: TITLE_FONT } )
+      } );
+
+      //----------------------------------------------------------------------------------------
+
+      // @private
+      this.panelSlots = panelSlots;
+      this.graph = graph;
+      this.selectedSlotProperty = selectedSlotProperty;
+      this.isPolarProperty = isPolarProperty;
+      this.selectedFieldProperty = selectedFieldProperty;
+      this.xComponentField = xComponentField;
+      this.yComponentField = yComponentField;
+      this.magnitudeField = magnitudeField;
+      this.angleField = angleField;
+      this.tailXField = tailXField;
+      this.tailYField = tailYField;
+      this.errorText = errorText;
+
+      //----------------------------------------------------------------------------------------
+      // The dialog exists for the lifetime of the sim, so no need to unlink
+
+      // {boolean} - true while the keypad is cleared because another field is selected
+      let isSelectingField = false;
+
+      // The keypad enters into the selected field
+      keypad.valueStringProperty.lazyLink( valueString => {
+        if ( !isSelectingField && selectedFieldProperty.value ) {
+          selectedFieldProperty.value.stringProperty.value = valueString;
+        }
+      } );
+
+      // Clear the keypad when a field is selected, so that the value of the field is replaced when a key is pressed
+      selectedFieldProperty.lazyLink( () => {
+        isSelectingField = true;
+        keypad.clear();
+        isSelectingField = false;
+      } );
+
+      // Convert the components to the other form if they are numbers, and enter into its first field
+      isPolarProperty.link( isPolar => {
+        if ( isPolar && xComponentField.value !== null && yComponentField.value !== null ) {
+          const components = new Vector2( xComponentField.value, yComponentField.value );
+          magnitudeField.value = components.magnitude;
+          angleField.value = Util.toDegrees( components.angle );
+        }
+        else if ( !isPolar && magnitudeField.value !== null && angleField.value !== null ) {
+          const components = getPolarComponents( magnitudeField.value, angleField.value );
+          xComponentField.value = components.x;
+          yComponentField.value = components.y;
+        }
+        componentRowsNode.children = [ isPolar ? polarRows : cartesianRows ];
+        selectedFieldProperty.value = isPolar ? magnitudeField : xComponentField;
+      } );
+
+      // Hide the error when the values change, and only enable the add button if a vector can be added
+      const valuesChangedListener = () => {
+        errorText.visible = false;
+        addButton.enabled = selectedSlotProperty.value.canAddVectorProperty.value &&
+                            _.every( this.getEnteredFields(), field => field.value !== null );
+      };
+      [ xComponentField, yComponentField, magnitudeField, angleField, tailXField, tailYField ].forEach( field => {
+        field.stringProperty.lazyLink( valuesChangedListener );
+      } );
+      panelSlots.forEach( slot => slot.canAddVectorProperty.lazyLink( valuesChangedListener ) );
+      selectedSlotProperty.lazyLink( valuesChangedListener );
+      isPolarProperty.lazyLink( valuesChangedListener );
+
+      addButton.addListener( () => { this.addVector(); } );
+
+      this.resetValues();
+    }
+
+    /**
+     * Show the dialog with the values of the vector that is dragged from the slot
+     * @public
+     * @override
+     */
+    show() {
+
+      // select a slot that can add a vector, if the selected slot can't
+      if ( !this.selectedSlotProperty.value.canAddVectorProperty.value ) {
+        this.selectedSlotProperty.value = _.find( this.panelSlots, slot => slot.canAddVectorProperty.value ) ||
+                                          this.selectedSlotProperty.value;
+      }
+      this.resetValues();
+
+      super.show();
+    }
+
+    /**
+     * Fill in the components of the vector that is dragged from the selected slot, with its tail at the origin, and
+     * enter into the first field
+     * @private
+     */
+    resetValues() {
+      const initialVector = this.selectedSlotProperty.value.initialVector;
+
+      this.xComponentField.value = initialVector.x;
+      this.yComponentField.value = initialVector.y;
+      this.magnitudeField.value = initialVector.magnitude;
+      this.angleField.value = Util.toDegrees( initialVector.angle );
+      this.tailXField.value = 0;
+      this.tailYField.value = 0;
+
+      this.selectedFieldProperty.value = this.isPolarProperty.value ? this.magnitudeField : this.xComponentField;
+    }
+
+    /**
+     * Gets the fields that the vector is created from, which depend on the form of the components
+     * @private
+     * @returns {Array.<ValueField>}
+     */
+    getEnteredFields() {
+      return this.isPolarProperty.value ?
+             [ this.magnitudeField, this.angleField, this.tailXField, this.tailYField ] :
+             [ this.xComponentField, this.yComponentField, this.tailXField, this.tailYField ];
+    }
+
+    /**
+     * Add the entered vector to the graph and hide the dialog, or show why it can't be added
+     * @private
+     */
+    addVector() {
+
+      // the values are measured along the axes of the graph, so rotate them to model coordinates
+      const axesAngle = this.graph.axesAngleProperty.value;
+      const components = ( this.isPolarProperty.value ?
+                           getPolarComponents( this.magnitudeField.value, this.angleField.value ) :
+                           new Vector2( this.xComponentField.value, this.yComponentField.value ) ).rotated( axesAngle );
+      const tailPosition = new Vector2( this.tailXField.value, this.tailYField.value ).rotated( axesAngle );
+
+      const error = this.graph.getVectorEntryError( tailPosition, components );
+
+      if ( error ) {
+        this.errorText.text = getErrorString( error );
+        this.errorText.visible = true;
+      }
+      else {
+        this.selectedSlotProperty.value.addEnteredVector( tailPosition, components );
+        this.hide();
+      }
+    }
+  }
+
+  //----------------------------------------------------------------------------------------
+  // Value field
+
+  class ValueField extends Node {
+    /**
+     * A field that shows the value that is entered with the keypad. Pressing the field selects it.
+     * @param {Property.<ValueField|null>} selectedFieldProperty
+     */
+    constructor( selectedFieldProperty ) {
+
+      super( {
+        cursor: 'pointer',
+
+        // a11y
+        tagName: 'button'
+      } );
+
+      // @public {Property.<string>} - the value, as it is entered with the keypad
+      this.stringProperty = new Property( '' );
+
+      const background = new Rectangle( 0, 0, FIELD_WIDTH, FIELD_HEIGHT, {
+        cornerRadius: 3,
+        fill: VectorAdditionColors.VECTOR_ENTRY_COLORS.fieldFill
+      } );
+
+      const valueText = new Text( '', {
+        font: FIELD_FONT,
+        maxWidth: FIELD_WIDTH - 2 * FIELD_X_MARGIN
+      } );
+
+      this.setChildren( [ background, valueText ] );
+
+      // Fields exist for the lifetime of the sim, so no need to unlink
+      this.stringProperty.link( string => {
+        valueText.text = string;
+        valueText.right = background.right - FIELD_X_MARGIN;
+        valueText.centerY = background.centerY;
+      } );
+
+      selectedFieldProperty.link( selectedField => {
+        const isSelected = ( selectedField === this );
+        background.stroke = isSelected ? VectorAdditionColors.VECTOR_ENTRY_COLORS.selectedFieldStroke :
+                            VectorAdditionColors.VECTOR_ENTRY_COLORS.fieldStroke;
+        background.lineWidth = isSelected ? 2 : 1;
+      } );
+
+      this.addInputListener( {
+        down: () => { selectedFieldProperty.value = this; },
+        click: () => { selectedFieldProperty.value = this; }
+      } );
+    }
+
+    /**
+     * Gets the value, which is null if it isn't a number (e.g. nothing or only a minus sign is entered)
+     * @public
+     * @returns {number|null}
+     */
+    get value() {
+      const value = Number( this.stringProperty.value );
+      return ( this.stringProperty.value.length > 0 && isFinite( value ) ) ? value : null;
+    }
+
+    /**
+     * Fills in a value
+     * @public
+     * @param {number} value
+     */
+    set value( value ) {
+      assert && assert( typeof value === 'number' && isFinite( value ), `invalid value: ${value}` );
+      this.stringProperty.value = `${Util.toFixedNumber( value, VALUE_DECIMAL_PLACES )}`;
+    }
+  }
+
+  /**
+   * Creates a row with the label of a field, the field and its units
+   * @param {Node} labelNode
+   * @param {ValueField} valueField
+   * @param {Node} [unitsNode]
+   * @returns {HBox}
+   */
+  function createRow( labelNode, valueField, unitsNode ) {
+    return new HBox( {
+      spacing: 6,
+      children: [ new FixedWidthNode( LABEL_WIDTH, labelNode, { align: 'right' } ), valueField ]
+        .concat( unitsNode ? [ unitsNode ] : [] )
+    } );
+  }
+
+  /**
+   * Creates the icon of a slot for its radio button: the arrow and the label of the slot
+   * @param {VectorCreatorPanelSlot} slot
+   * @returns {Node}
+   */
+  function createSlotIcon( slot ) {
+
+    // the y axis of the view is inverted
+    const arrowNode = VectorAdditionIconFactory.createVectorCreatorPanelIcon(
+      new Vector2( slot.initialVector.x, -slot.initialVector.y ), slot.vectorSet.vectorType, {
+        arrowSize: SLOT_ICON_ARROW_SIZE,
+        cursor: null
+      } );
+
+    return new HBox( {
+      spacing: 4,
+      children: slot.label ? [ arrowNode, new FormulaNode( `\\vec{\\mathrm{${slot.label}}}` ) ] : [ arrowNode ]
+    } );
+  }
+
+  /**
+   * Gets the components of a vector from its magnitude and angle. Components that are smaller than EPSILON are 0, so
+   * that vectors along the axes (e.g. with an angle of 180 degrees) are exactly horizontal or vertical.
+   * @param {number} magnitude
+   * @param {number} angle - in degrees
+   * @returns {Vector2}
+   */
+  function getPolarComponents( magnitude, angle ) {
+    const components = Vector2.createPolar( magnitude, Util.toRadians( angle ) );
+    return new Vector2(
+      Math.abs( components.x ) < EPSILON ? 0 : components.x,
+      Math.abs( components.y ) < EPSILON ? 0 : components.y
+    );
+  }
+
+  /**
+   * Gets the message that explains why a vector can't be added
+   * @param {VectorEntryErrors} error
+   * @returns {string}
+   */
+  function getErrorString( error ) {
+    switch( error ) {
+      case VectorEntryErrors.OFF_GRAPH:
+        return vectorOffGraphString;
+      case VectorEntryErrors.NOT_HORIZONTAL:
+        return vectorNotHorizontalString;
+      case VectorEntryErrors.NOT_VERTICAL:
+        return vectorNotVerticalString;
+      default:
+        throw new Error( `invalid error: ${error}` );
+    }
+  }
+
+  return vectorAddition.register( 'VectorEntryDialog', VectorEntryDialog );
+} );
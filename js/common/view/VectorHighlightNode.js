@@ -0,0 +1,71 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * View for the highlight of the highlighted vector (see VectorSelection.highlightedVectorProperty), e.g. when its row
+ * is selected in the VectorTable. The highlight is a halo around the arrow of the vector, so it is drawn below the
+ * vectors.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ArrowNode = require( 'SCENERY_PHET/ArrowNode' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+
+  // constants
+  const HIGHLIGHT_ARROW_OPTIONS = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
+    fill: VectorAdditionColors.VECTOR_HIGHLIGHT_COLOR,
+    stroke: VectorAdditionColors.VECTOR_HIGHLIGHT_COLOR,
+    lineWidth: 8,
+    lineJoin: 'round',
+    cursor: null
+  } );
+
+  class VectorHighlightNode extends Node {
+
+    /**
+     * @param {VectorSelection} vectorSelection
+     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty
+     */
+    constructor( vectorSelection, modelViewTransformProperty ) {
+
+      super( { pickable: false } );
+
+      const arrowNode = new ArrowNode( 0, 0, 0, 0, HIGHLIGHT_ARROW_OPTIONS );
+      this.addChild( arrowNode );
+
+      const update = () => {
+        const vector = vectorSelection.highlightedVectorProperty.value;
+
+        this.visible = vector !== null;
+        if ( vector ) {
+          const modelViewTransform = modelViewTransformProperty.value;
+          const viewTail = modelViewTransform.modelToViewPosition( vector.tail );
+          const viewTip = modelViewTransform.modelToViewPosition( vector.tip );
+          arrowNode.setTailAndTip( viewTail.x, viewTail.y, viewTip.x, viewTip.y );
+        }
+      };
+
+      // Move the update to the highlighted vector. The old vector may already be disposed, which removes its listeners.
+      vectorSelection.highlightedVectorProperty.link( ( vector, oldVector ) => {
+        if ( oldVector && oldVector.tipPositionProperty.hasListener( update ) ) {
+          oldVector.tipPositionProperty.unlink( update );
+        }
+        if ( vector ) {
+          vector.tipPositionProperty.lazyLink( update );
+        }
+        update();
+      } );
+
+      // The selection and the graph exist for the lifetime of the sim, so no need to unlink
+      modelViewTransformProperty.lazyLink( update );
+    }
+  }
+
+  return vectorAddition.register( 'VectorHighlightNode', VectorHighlightNode );
+} );
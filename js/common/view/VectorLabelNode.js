@@ -11,14 +11,13 @@ define( require => {
   // modules
   const BaseVectorModel = require( 'VECTOR_ADDITION/common/model/BaseVectorModel' );
   const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const DerivedProperty = require( 'AXON/DerivedProperty' );
   const FormulaNode = require( 'SCENERY_PHET/FormulaNode' );
   const Multilink = require( 'AXON/Multilink' );
   const Node = require( 'SCENERY/nodes/Node' );
   const Rectangle = require( 'SCENERY/nodes/Rectangle' );
   const Util = require( 'DOT/Util' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
-  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
-  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
 
 
   class VectorLabelNode extends Node {
@@ -31,9 +30,7 @@ define( require => {
     constructor( baseVectorModel, valuesVisibleProperty, options ) {
       
       options = _.extend( {
-        fill: baseVectorModel.vectorType === VectorTypes.ONE ?
-          VectorAdditionColors.VECTOR_GROUP_1_COLORS.labelBackground :
-          VectorAdditionColors.VECTOR_GROUP_2_COLORS.labelBackground,
+        fill: baseVectorModel.vectorType.colors.labelBackground,
         scale: 0.67, // {number} - scale resize of the formula node
         opacity: 0.75, // {number} - opacity of the background,
         cornerRadius: 5, // {number}
@@ -44,6 +41,8 @@ define( require => {
       assert && assert( baseVectorModel instanceof BaseVectorModel, `invalid baseVectorModel: ${baseVectorModel}` );
       assert && assert( valuesVisibleProperty instanceof BooleanProperty,
         `invalid valuesVisibleProperty: ${valuesVisibleProperty}` );
+      assert && assert( baseVectorModel.snapResolutionProperty instanceof DerivedProperty,
+        `invalid snapResolutionProperty: ${baseVectorModel.snapResolutionProperty}` );
 
       //----------------------------------------------------------------------------------------
     
@@ -66,7 +65,8 @@ define( require => {
 
       // @private {Multilink} - observe changes to the model vector to update the label
       this.vectorObserver = new Multilink(
-        [ valuesVisibleProperty, baseVectorModel.attributesVectorProperty, baseVectorModel.tailPositionProperty, baseVectorModel.tipPositionProperty ],
+        [ valuesVisibleProperty, baseVectorModel.attributesVectorProperty, baseVectorModel.tailPositionProperty,
+          baseVectorModel.tipPositionProperty, baseVectorModel.snapResolutionProperty ],
         ( valuesVisible ) => {
           this.updateLabel( baseVectorModel, valuesVisible );
         } );
@@ -89,8 +89,12 @@ define( require => {
 
       this.setRotation( 0 );
 
+      // the magnitude generally isn't a multiple of the snap resolution, so show one more decimal place
+      const magnitude = Util.toFixed( baseVectorModel.magnitude,
+        Util.numberOfDecimalPlaces( baseVectorModel.snapResolutionProperty.value ) + 1 );
+
       if ( !baseVectorModel.label && valuesVisible ){
-        this.label.setFormula( `${Util.toFixed( baseVectorModel.magnitude, 1 )}` );
+        this.label.setFormula( `${magnitude}` );
       }
       if ( baseVectorModel.label && !valuesVisible ) {
         this.label.setFormula( `\\vec{ \\mathrm{ ${baseVectorModel.label} } \}` );
@@ -100,7 +104,7 @@ define( require => {
       }
       else if ( baseVectorModel.label && valuesVisible ) {
         this.setRotation( -baseVectorModel.angle );
-        this.label.setFormula( `\|\\vec{ \\mathrm{ ${baseVectorModel.label} } \}|=\\mathrm{${Util.toFixed( baseVectorModel.magnitude, 1 )}}` );
+        this.label.setFormula( `\|\\vec{ \\mathrm{ ${baseVectorModel.label} } \}|=\\mathrm{${magnitude}}` );
       }
       this.resizeBackground();
     }
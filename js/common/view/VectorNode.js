@@ -13,18 +13,25 @@ define( require => {
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const Bounds2 = require( 'DOT/Bounds2' );
   const Circle = require( 'SCENERY/nodes/Circle' );
+  const CoordinateSnapModes = require( 'VECTOR_ADDITION/common/model/CoordinateSnapModes' );
   const DragListener = require( 'SCENERY/listeners/DragListener' );
   const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const FocusHighlightFromNode = require( 'SCENERY/accessibility/FocusHighlightFromNode' );
+  const KeyboardUtil = require( 'SCENERY/accessibility/KeyboardUtil' );
+  const Multilink = require( 'AXON/Multilink' );
   const Property = require( 'AXON/Property' );
+  const Util = require( 'DOT/Util' );
+  const Vector2 = require( 'DOT/Vector2' );
   const Vector2Property = require( 'DOT/Vector2Property' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const VectorAdditionDescriber = require( 'VECTOR_ADDITION/common/view/VectorAdditionDescriber' );
+  const VectorAdditionKeyboardUtil = require( 'VECTOR_ADDITION/common/view/VectorAdditionKeyboardUtil' );
   const VectorAngleNode = require( 'VECTOR_ADDITION/common/view/VectorAngleNode' );
   const VectorComponentNode = require( 'VECTOR_ADDITION/common/view/VectorComponentNode' );
   const VectorModel = require( 'VECTOR_ADDITION/common/model/VectorModel' );
   const VectorOrientations = require( 'VECTOR_ADDITION/common/model/VectorOrientations' );
-  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
-  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorSet = require( 'VECTOR_ADDITION/common/model/VectorSet' );
 
   // constants
   const TIP_CIRCLE_RADIUS = 10;
@@ -34,17 +41,12 @@ define( require => {
     dilated: 10,
     cursor: 'pointer'
   };
-  const VECTOR_GROUP_1 = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
-    fill: VectorAdditionColors.VECTOR_GROUP_1_COLORS.fill
-  } );
-  const VECTOR_GROUP_2 = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
-    fill: VectorAdditionColors.VECTOR_GROUP_2_COLORS.fill
-  } );
 
   class VectorNode extends BaseVectorNode {
     /**
      * @constructor
      * @param {VectorModel} vectorModel- the vector model
+     * @param {VectorSet} vectorSet - the vectorSet that the vector model belongs to
      * @param {Bounds2} graphModelBounds - the bounds to the graph
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty - property for the different component styles
      * @param {BooleanProperty} angleVisibleProperty - property for when the angle is visible
@@ -54,6 +56,7 @@ define( require => {
      * @param  {Object} [arrowOptions]
      */
     constructor( vectorModel,
+                 vectorSet,
                  graphModelBounds,
                  componentStyleProperty,
                  angleVisibleProperty,
@@ -64,6 +67,7 @@ define( require => {
 
       // Type check arguments
       assert && assert( vectorModel instanceof VectorModel, `invalid vectorModel: ${vectorModel}` );
+      assert && assert( vectorSet instanceof VectorSet, `invalid vectorSet: ${vectorSet}` );
       assert && assert( graphModelBounds instanceof Bounds2, `invalid graphModelBounds ${graphModelBounds}` );
       assert && assert( componentStyleProperty instanceof EnumerationProperty,
         `invalid componentStyleProperty: ${componentStyleProperty}` );
@@ -72,21 +76,11 @@ define( require => {
       // modelViewTransformProperty checked in super class
 
       //----------------------------------------------------------------------------------------
-      // Get the arrow options for the specific vector type
+      // Get the arrow options for the specific vector type, which has its own colors
 
-      switch( vectorModel.vectorType ) {
-        case VectorTypes.ONE: {
-          arrowOptions = _.extend( {}, VECTOR_GROUP_1, arrowOptions );
-          break;
-        }
-        case VectorTypes.TWO: {
-          arrowOptions = _.extend( {}, VECTOR_GROUP_2, arrowOptions );
-          break;
-        }
-        default: {
-          throw new Error( `Vector Type : ${vectorModel.vectorType} not handled` );
-        }
-      }
+      arrowOptions = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
+        fill: vectorModel.vectorType.colors.fill
+      }, arrowOptions );
       super( vectorModel, modelViewTransformProperty, valuesVisibleProperty, arrowOptions );
 
       //----------------------------------------------------------------------------------------
@@ -105,7 +99,7 @@ define( require => {
 
       this.arrowNode.moveToFront();
 
-      this.angleNode = new VectorAngleNode( vectorModel, angleVisibleProperty, modelViewTransformProperty.value );
+      this.angleNode = new VectorAngleNode( vectorModel, angleVisibleProperty, modelViewTransformProperty );
       this.addChild( this.angleNode );
 
       // @public (read-only) {Node} Create a circle at the tip of the vector. This is used to allow the user to only
@@ -124,6 +118,10 @@ define( require => {
       //@private {VectorModel}
       this.vectorModel = vectorModel;
 
+      // @private {Bounds2} - the graph bounds in view coordinates. This doesn't change when the origin moves or the
+      // graph is zoomed, since the model bounds and the modelViewTransform change together.
+      this.graphViewBounds = modelViewTransformProperty.value.modelToViewBounds( graphModelBounds );
+
       //----------------------------------------------------------------------------------------
       // Create Body Drag
 
@@ -131,7 +129,11 @@ define( require => {
       const tailLocationProperty = new Vector2Property(
         modelViewTransformProperty.value.modelToViewPosition( vectorModel.tail ) );
 
-      const tailDragBoundsProperty = new Property( modelViewTransformProperty.value.modelToViewBounds( graphModelBounds ) );
+      const graphViewBounds = this.graphViewBounds;
+
+      // Removable vectors can be dragged off the graph to return them to the creator panel, so only constrain the tail
+      // of vectors that aren't removable
+      const tailDragBoundsProperty = new Property( vectorModel.isRemovable ? null : graphViewBounds );
 
       // drag listener for the dragging of the body
       const bodyDragListener = new DragListener( {
@@ -143,7 +145,18 @@ define( require => {
           this.moveToFront();
         },
         end: () => {
-          vectorModel.isActiveProperty.value = false;
+
+          const tailViewPosition = this.modelViewTransformProperty.value.modelToViewPosition( vectorModel.tail );
+
+          if ( vectorModel.isRemovable && !graphViewBounds.containsPoint( tailViewPosition ) ) {
+
+            // Dropped off the graph (e.g. on the creator panel), so return the vector to the creator panel. This
+            // disposes this node.
+            vectorSet.returnVector( vectorModel );
+          }
+          else {
+            vectorModel.isActiveProperty.value = false;
+          }
         }
       } );
 
@@ -190,13 +203,60 @@ define( require => {
         };
       }
 
-      const updateTip = () => {
-        const tipDeltaLocation = this.modelViewTransformProperty.value.modelToViewDelta( vectorModel.components );
-        this.tipCircle.center = tipDeltaLocation;
-      };
+      // update the position of the this.tipCircle
+      const tipMultilink = new Multilink( [ vectorModel.attributesVectorProperty, modelViewTransformProperty ],
+        () => {
+          this.tipCircle.center = this.modelViewTransformProperty.value.modelToViewDelta( vectorModel.components );
+        } );
+
+      //----------------------------------------------------------------------------------------
+      // Keyboard: the arrow keys move the tail, shift + the arrow keys move the tip and delete (or backspace) returns
+      // the vector to the creator panel.
+
+      this.tagName = 'div';
+      this.focusable = true;
+      this.focusHighlight = new FocusHighlightFromNode( this.arrowNode );
+      this.ariaLabel = VectorAdditionDescriber.getVectorName( vectorModel );
+
+      // a11y - describe the vector and how to move it
+      const helpText = VectorAdditionDescriber.getVectorHelpText( vectorModel );
+      const descriptionMultilink = new Multilink( [
+        vectorModel.tailPositionProperty,
+        vectorModel.axesComponentsProperty,
+        vectorModel.snapResolutionProperty
+      ], () => {
+        this.descriptionContent = `${VectorAdditionDescriber.getVectorDescription( vectorModel )} ${helpText}`;
+      } );
+
+      const keyboardListener = {
+        keydown: event => {
+          const domEvent = event.domEvent;
+          const direction = VectorAdditionKeyboardUtil.getArrowKeyDirection( domEvent.keyCode );
+
+          if ( direction ) {
+
+            // Each key press is one entry in the scene history (see SceneHistory)
+            vectorModel.isActiveProperty.value = true;
+            if ( domEvent.shiftKey && vectorModel.isTipDraggable ) {
+              this.moveTipByKeyboard( direction );
+            }
+            else {
+              this.moveTailByKeyboard( direction );
+            }
+            vectorModel.isActiveProperty.value = false;
+
+            // don't scroll the page
+            domEvent.preventDefault();
+          }
+          else if ( vectorModel.isRemovable && ( domEvent.keyCode === KeyboardUtil.KEY_DELETE ||
+                                                 domEvent.keyCode === KeyboardUtil.KEY_BACKSPACE ) ) {
 
-      // update the position of the  this.tipCircle
-      vectorModel.attributesVectorProperty.link( updateTip );
+            // This disposes this node
+            vectorSet.returnVector( vectorModel );
+          }
+        }
+      };
+      this.addInputListener( keyboardListener );
 
       // Create a method to dispose children
       this.disposeChildren = () => {
@@ -208,9 +268,12 @@ define( require => {
         this.yComponentNode.dispose();
         this.angleNode.dispose();
         tailLocationProperty.unlink( tailListener );
-        vectorModel.attributesVectorProperty.unlink( updateTip );
+        tipMultilink.dispose();
         this.arrowNode.removeInputListener( bodyDragListener );
         this.labelNode.removeInputListener( bodyDragListener );
+        this.removeInputListener( keyboardListener );
+        descriptionMultilink.dispose();
+        this.focusHighlight.dispose();
         this.tipCircle.dispose();
       };
 
@@ -225,39 +288,92 @@ define( require => {
     }
 
     /**
-     * update the model vector to have integer components and correct vector orientation
+     * update the model vector to have snapped components (see CoordinateSnapModes.js) and correct vector orientation
      * (relative to the tail)
      * @param {Vector2} tipLocation
      */
     tipSnapToGrid( tipLocation ) {
-      const tipCoordinates = this.modelViewTransformProperty.value.viewToModelDelta( tipLocation );
+      const tipCoordinates = this.constrainToOrientation(
+        this.modelViewTransformProperty.value.viewToModelDelta( tipLocation ) );
+
+      // Constrain again after snapping since polar snapping may introduce floating point error on the constrained axis
+      this.vectorModel.attributesVectorProperty.value = this.constrainToOrientation(
+        this.vectorModel.getSnappedComponents( tipCoordinates ) );
+    }
 
+    /**
+     * Constrain a components vector to the vector orientation of this node. Mutates the vector.
+     * @param {Vector2} components
+     * @returns {Vector2} - the constrained components
+     * @private
+     */
+    constrainToOrientation( components ) {
       switch( this.vectorOrientation ) {
         case VectorOrientations.HORIZONTAL: {
-          tipCoordinates.setY( 0 );
-          break;
+          return components.setY( 0 );
         }
         case VectorOrientations.VERTICAL: {
-          tipCoordinates.setX( 0 );
-          break;
+          return components.setX( 0 );
         }
         case VectorOrientations.TWO_DIMENSIONAL: {
-          break;
+          return components;
         }
         default: {
           throw new Error( `vectorOrientation not handled: ${this.vectorOrientation}` );
         }
       }
-      this.vectorModel.attributesVectorProperty.value = tipCoordinates.roundedSymmetric();
     }
 
     /**
-     * update the model vector to have integer components and return the location associated with the tail
+     * update the model vector to have a snapped tail (see CoordinateSnapModes.js)
      * @param {Vector2} tailLocation
      */
     tailSnapToGrid( tailLocation ) {
       const tailPosition = this.modelViewTransformProperty.value.viewToModelPosition( tailLocation );
-      this.vectorModel.tail = tailPosition.roundedSymmetric();
+      this.vectorModel.tail = this.vectorModel.getSnappedTailPosition( tailPosition );
+    }
+
+    /**
+     * Move the tail one snap interval (see VectorModel.snapResolutionProperty) in a direction. The tail isn't moved
+     * off the graph.
+     * @private
+     * @param {Vector2} direction - unit vector in model coordinates
+     */
+    moveTailByKeyboard( direction ) {
+      const tailPosition = this.vectorModel.getSnappedTailPosition(
+        this.vectorModel.tail.plus( direction.timesScalar( this.vectorModel.snapResolutionProperty.value ) ) );
+
+      const tailLocation = this.modelViewTransformProperty.value.modelToViewPosition( tailPosition );
+
+      if ( this.graphViewBounds.containsPoint( tailLocation ) ) {
+        this.vectorModel.tail = tailPosition;
+      }
+    }
+
+    /**
+     * Move the tip one snap interval in a direction, keeping the tail in place. In polar mode on a two dimensional
+     * graph, left and right rotate the vector by VectorModel.ANGLE_INTERVAL and up and down change its magnitude.
+     * @private
+     * @param {Vector2} direction - unit vector in model coordinates
+     */
+    moveTipByKeyboard( direction ) {
+      const components = this.vectorModel.components;
+      let tipCoordinates;
+
+      if ( this.vectorModel.coordinateSnapModeProperty.value === CoordinateSnapModes.POLAR &&
+           this.vectorOrientation === VectorOrientations.TWO_DIMENSIONAL ) {
+
+        // left rotates counterclockwise, right rotates clockwise
+        const angle = components.angle - direction.x * Util.toRadians( VectorModel.ANGLE_INTERVAL );
+        tipCoordinates = Vector2.createPolar( Math.max( components.magnitude + direction.y, 0 ), angle );
+      }
+      else {
+        tipCoordinates = components.plus( direction.timesScalar( this.vectorModel.snapResolutionProperty.value ) );
+      }
+
+      // see tipSnapToGrid
+      this.vectorModel.attributesVectorProperty.value = this.constrainToOrientation(
+        this.vectorModel.getSnappedComponents( this.constrainToOrientation( tipCoordinates ) ) );
     }
 
   }
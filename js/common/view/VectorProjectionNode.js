@@ -0,0 +1,109 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * View for a VectorProjection: the components of a vector that are parallel and perpendicular to a direction, with
+ * dashed lines that drop from the tip of the vector to the tips of the components.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BaseVectorNode = require( 'VECTOR_ADDITION/common/view/BaseVectorNode' );
+  const Multilink = require( 'AXON/Multilink' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Path = require( 'SCENERY/nodes/Path' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+  const VectorComponentNode = require( 'VECTOR_ADDITION/common/view/VectorComponentNode' );
+  const VectorProjection = require( 'VECTOR_ADDITION/common/model/VectorProjection' );
+
+  // constants
+  const COMPONENT_ARROW_OPTIONS = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
+    headWidth: 10.5,
+    headHeight: 6,
+    tailWidth: 4,
+    lineWidth: 0
+  } );
+  const PARALLEL_ARROW_OPTIONS = _.extend( {}, COMPONENT_ARROW_OPTIONS, {
+    fill: VectorAdditionColors.PROJECTION_COLORS.parallel
+  } );
+  const PERPENDICULAR_ARROW_OPTIONS = _.extend( {}, COMPONENT_ARROW_OPTIONS, {
+    fill: VectorAdditionColors.PROJECTION_COLORS.perpendicular
+  } );
+  const DROP_LINES_LINE_DASH = [ 3, 10 ];
+
+  class VectorProjectionNode extends Node {
+
+    /**
+     * @param {VectorProjection} vectorProjection
+     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty
+     * @param {BooleanProperty} valuesVisibleProperty
+     */
+    constructor( vectorProjection, modelViewTransformProperty, valuesVisibleProperty ) {
+
+      assert && assert( vectorProjection instanceof VectorProjection, `invalid vectorProjection: ${vectorProjection}` );
+      // The rest are checked in BaseVectorNode
+
+      super( { pickable: false } );
+
+      const parallelComponentNode = new BaseVectorNode( vectorProjection.parallelComponent,
+        modelViewTransformProperty, valuesVisibleProperty, PARALLEL_ARROW_OPTIONS );
+
+      const perpendicularComponentNode = new BaseVectorNode( vectorProjection.perpendicularComponent,
+        modelViewTransformProperty, valuesVisibleProperty, PERPENDICULAR_ARROW_OPTIONS );
+
+      // the drop lines of each component, which are relative to the tail of the vector (also the tail of the
+      // components)
+      const dropLinesOptions = {
+        stroke: 'black',
+        lineDash: DROP_LINES_LINE_DASH
+      };
+      const parallelDropLinesPath = new Path( null, dropLinesOptions );
+      const perpendicularDropLinesPath = new Path( null, dropLinesOptions );
+
+      this.setChildren( [
+        parallelDropLinesPath,
+        perpendicularDropLinesPath,
+        parallelComponentNode,
+        perpendicularComponentNode
+      ] );
+
+      // @private {Multilink} - update the drop lines when the vector or the components change
+      this.dropLinesMultilink = new Multilink( [
+        vectorProjection.vector.tailPositionProperty,
+        vectorProjection.parallelComponent.tipPositionProperty,
+        vectorProjection.perpendicularComponent.tipPositionProperty,
+        modelViewTransformProperty
+      ], ( tailPosition, parallelTipPosition, perpendicularTipPosition, modelViewTransform ) => {
+        const viewTailPosition = modelViewTransform.modelToViewPosition( tailPosition );
+
+        parallelDropLinesPath.translation = viewTailPosition;
+        parallelDropLinesPath.shape = VectorComponentNode.getDropLinesShape( vectorProjection.parallelComponent,
+          modelViewTransform );
+
+        perpendicularDropLinesPath.translation = viewTailPosition;
+        perpendicularDropLinesPath.shape = VectorComponentNode.getDropLinesShape(
+          vectorProjection.perpendicularComponent, modelViewTransform );
+      } );
+
+      // @private {Array.<BaseVectorNode>}
+      this.componentNodes = [ parallelComponentNode, perpendicularComponentNode ];
+    }
+
+    /**
+     * Dispose the nodes of the components. Called before the projection is disposed.
+     * @public
+     * @override
+     */
+    dispose() {
+      this.dropLinesMultilink.dispose();
+      this.componentNodes.forEach( componentNode => componentNode.dispose() );
+      super.dispose();
+    }
+  }
+
+  return vectorAddition.register( 'VectorProjectionNode', VectorProjectionNode );
+} );
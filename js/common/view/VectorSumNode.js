@@ -12,16 +12,9 @@ define( require => {
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
   const VectorNode = require( 'VECTOR_ADDITION/common/view/VectorNode' );
-  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
-  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
 
   // constants
-  const VECTOR_GROUP_1_SUM = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
-    fill: VectorAdditionColors.VECTOR_GROUP_1_COLORS.sum,
-    lineWidth: 1
-  } );
-  const VECTOR_GROUP_2_SUM = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
-    fill: VectorAdditionColors.VECTOR_GROUP_2_COLORS.sum,
+  const SUM_ARROW_OPTIONS = _.extend( {}, VectorAdditionConstants.VECTOR_OPTIONS, {
     lineWidth: 1
   } );
 
@@ -29,6 +22,7 @@ define( require => {
     /**
      * @constructor
      * @param {VectorModel} vectorModel- the vector model
+     * @param {VectorSet} vectorSet - the vectorSet of the vector sum
      * @param {Bounds2} graphModelBounds - the bounds to the graph
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty - property for the different component styles
      * @param {BooleanProperty} angleVisibleProperty - property for when the angle is visible
@@ -37,6 +31,7 @@ define( require => {
      * between model coordinates and view coordinates
      */
     constructor( vectorModel,
+                 vectorSet,
                  graphModelBounds,
                  componentStyleProperty,
                  angleVisibleProperty,
@@ -45,21 +40,11 @@ define( require => {
                  valuesVisibleProperty
     ) {
 
-      let arrowOptions;
-      switch( vectorModel.vectorType ) {
-        case VectorTypes.ONE: {
-          arrowOptions = VECTOR_GROUP_1_SUM;
-          break;
-        }
-        case VectorTypes.TWO: {
-          arrowOptions = VECTOR_GROUP_2_SUM;
-          break;
-        }
-        default: {
-          throw new Error( `Vector Type : ${vectorModel.vectorType} not handled` );
-        }
-      }
+      const arrowOptions = _.extend( {}, SUM_ARROW_OPTIONS, {
+        fill: vectorModel.vectorType.colors.sum
+      } );
       super( vectorModel,
+        vectorSet,
         graphModelBounds,
         componentStyleProperty,
         angleVisibleProperty,
@@ -0,0 +1,345 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * An expandable table that lists every vector of a scene, the sum of each vectorSet and the differences of the scene
+ * (e.g. the difference of the Lab screen), with their magnitude, angle, components and tail position. Like the
+ * InspectVectorPanel, the angle, the components and the tail position are measured along the axes of the graph, which
+ * may be rotated (see Graph.axesAngleProperty).
+ *
+ * At most MAX_VISIBLE_ROWS rows are shown. The other rows are scrolled into view with the arrow buttons beside the
+ * rows, or with the mouse wheel over them. The rows are updated while the vectors are dragged. Pressing a row
+ * highlights its vector on the graph (see VectorSelection.highlight), and pressing it again clears the highlight.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const ArrowButton = require( 'SUN/buttons/ArrowButton' );
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const ExpandCollapseButton = require( 'SUN/ExpandCollapseButton' );
+  const FormulaNode = require( 'SCENERY_PHET/FormulaNode' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const Line = require( 'SCENERY/nodes/Line' );
+  const MathSymbols = require( 'SCENERY_PHET/MathSymbols' );
+  const Node = require( 'SCENERY/nodes/Node' );
+  const Panel = require( 'SUN/Panel' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Rectangle = require( 'SCENERY/nodes/Rectangle' );
+  const RichText = require( 'SCENERY/nodes/RichText' );
+  const Scene = require( 'VECTOR_ADDITION/common/model/Scene' );
+  const Shape = require( 'KITE/Shape' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const Util = require( 'DOT/Util' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionDescriber = require( 'VECTOR_ADDITION/common/view/VectorAdditionDescriber' );
+  const VectorDifference = require( 'VECTOR_ADDITION/common/model/VectorDifference' );
+  const VectorSum = require( 'VECTOR_ADDITION/common/model/VectorSum' );
+
+  // constants
+  const TABLE_PANEL_OPTIONS = {
+    xMargin: 8,
+    yMargin: 6,
+    cornerRadius: 5,
+    fill: VectorAdditionColors.INSPECT_VECTOR_BACKGROUND,
+    stroke: VectorAdditionColors.PANEL_STROKE_COLOR
+  };
+  const TITLE_FONT = new PhetFont( 16 );
+  const CELL_FONT = new PhetFont( 14 );
+
+  // the widths of the columns: label, magnitude, angle, x component, y component and tail position
+  const COLUMN_WIDTHS = [ 40, 56, 56, 56, 56, 96 ];
+  const COLUMN_SPACING = 8;
+  const ROW_WIDTH = _.sum( COLUMN_WIDTHS ) + COLUMN_SPACING * ( COLUMN_WIDTHS.length - 1 );
+  const ROW_HEIGHT = 22;
+  const MAX_VISIBLE_ROWS = 8; // the other rows are scrolled into view
+  const SCROLL_BUTTON_OPTIONS = {
+    arrowWidth: 10,
+    arrowHeight: 8
+  };
+  const SWATCH_SIZE = 10; // size of the swatch of the color of the vector, in the label column
+
+  // the right side of each column, where its values are aligned
+  const COLUMN_RIGHTS = COLUMN_WIDTHS.map( ( width, index ) =>
+    _.sum( COLUMN_WIDTHS.slice( 0, index + 1 ) ) + COLUMN_SPACING * index );
+
+  // strings
+  const tailString = require( 'string!VECTOR_ADDITION/tail' );
+  const vectorsString = require( 'string!VECTOR_ADDITION/vectors' );
+  const xString = require( 'string!VECTOR_ADDITION/x' );
+  const yString = require( 'string!VECTOR_ADDITION/y' );
+
+  class VectorTable extends Node {
+
+    /**
+     * @param {Scene} scene
+     * @param {Object} [options]
+     */
+    constructor( scene, options ) {
+
+      assert && assert( scene instanceof Scene, `invalid scene: ${scene}` );
+
+      options = _.extend( {
+        tableTop: 40 // {number} - the top of the table, relative to the top of the title, e.g. to be below other panels
+      }, options );
+
+      super();
+
+      // @private {BooleanProperty} - is the table shown?
+      this.expandedProperty = new BooleanProperty( false );
+
+      const expandCollapseButton = new ExpandCollapseButton( this.expandedProperty, {
+        sideLength: 21
+      } );
+
+      const titleNode = new HBox( {
+        spacing: 10,
+        children: [ expandCollapseButton, new Text( vectorsString, { font: TITLE_FONT } ) ]
+      } );
+
+      // the header of the table, with the names of the columns of the values
+      const headerCells = [
+        new FormulaNode( '|\\vec{v}|' ),
+        new RichText( MathSymbols.THETA, { font: CELL_FONT } ),
+        new RichText( `v<sub>${xString}</sub>`, { font: CELL_FONT } ),
+        new RichText( `v<sub>${yString}</sub>`, { font: CELL_FONT } ),
+        new Text( tailString, { font: CELL_FONT } )
+      ];
+      alignValueCells( headerCells );
+      const headerNode = new Node( { children: headerCells } );
+
+      const headerLine = new Line( 0, 0, ROW_WIDTH, 0, {
+        stroke: VectorAdditionColors.VECTOR_TABLE_COLORS.headerStroke
+      } );
+
+      // the rows of the vectors, which are re-created when vectors are added or removed
+      const rowsBox = new VBox( { align: 'left' } );
+
+      // shows MAX_VISIBLE_ROWS rows, starting at firstVisibleRow
+      const rowsViewport = new Node( {
+        children: [ rowsBox ],
+        clipArea: Shape.rect( 0, 0, ROW_WIDTH, MAX_VISIBLE_ROWS * ROW_HEIGHT )
+      } );
+      let firstVisibleRow = 0;
+
+      const scrollUpButton = new ArrowButton( 'up', () => { scrollToRow( firstVisibleRow - 1 ); },
+        SCROLL_BUTTON_OPTIONS );
+      const scrollDownButton = new ArrowButton( 'down', () => { scrollToRow( firstVisibleRow + 1 ); },
+        SCROLL_BUTTON_OPTIONS );
+
+      // Scrolls the rows so that the given row is the first visible row, as far as there are rows to show
+      const scrollToRow = row => {
+        const maxFirstVisibleRow = Math.max( 0, rowsBox.children.length - MAX_VISIBLE_ROWS );
+        firstVisibleRow = Util.clamp( row, 0, maxFirstVisibleRow );
+        rowsBox.y = -firstVisibleRow * ROW_HEIGHT;
+        scrollUpButton.enabled = firstVisibleRow > 0;
+        scrollDownButton.enabled = firstVisibleRow < maxFirstVisibleRow;
+      };
+
+      // the wheel scrolls a row per ROW_HEIGHT of delta (pixels), or per line or page
+      let wheelDelta = 0;
+      rowsViewport.addInputListener( {
+        wheel: event => {
+          const domEvent = event.domEvent;
+          wheelDelta += domEvent.deltaMode === 0 ? domEvent.deltaY : Math.sign( domEvent.deltaY ) * ROW_HEIGHT;
+
+          const rows = Math.trunc( wheelDelta / ROW_HEIGHT );
+          if ( rows !== 0 ) {
+            scrollToRow( firstVisibleRow + rows );
+            wheelDelta -= rows * ROW_HEIGHT;
+          }
+
+          // don't scroll the page
+          domEvent.preventDefault();
+        }
+      } );
+
+      const rowsNode = new HBox( {
+        spacing: 4,
+        align: 'top',
+        children: [ rowsViewport, new VBox( { spacing: 4, children: [ scrollUpButton, scrollDownButton ] } ) ]
+      } );
+
+      const tablePanel = new Panel( new VBox( {
+        spacing: 4,
+        align: 'left',
+        children: [ headerNode, headerLine, rowsNode ]
+      } ), _.extend( {
+        top: titleNode.top + options.tableTop
+      }, TABLE_PANEL_OPTIONS ) );
+
+      this.setChildren( [ titleNode, tablePanel ] );
+
+      //----------------------------------------------------------------------------------------
+
+      // Lists the vectors of each vectorSet followed by its sum, and then the differences. The rows stay scrolled to
+      // the same position, as far as there are rows to show.
+      const updateRows = () => {
+        rowsBox.children.forEach( rowNode => rowNode.dispose() );
+        rowsBox.children = _.flatten( scene.vectorSets.map( vectorSet =>
+          vectorSet.vectors.getArray().concat( [ vectorSet.vectorSum ] ) ) )
+          .concat( scene.vectorDifferences )
+          .map( vector => new VectorTableRow( vector, scene.vectorSelection ) );
+        scrollToRow( firstVisibleRow );
+      };
+
+      // The table only observes the vectors when it is shown. Tables exist for the lifetime of the sim, so no need to
+      // unlink.
+      scene.vectorSets.forEach( vectorSet => {
+        const vectorsChangedListener = () => {
+          if ( this.expandedProperty.value ) {
+            updateRows();
+          }
+        };
+        vectorSet.vectors.addItemAddedListener( vectorsChangedListener );
+        vectorSet.vectors.addItemRemovedListener( vectorsChangedListener );
+      } );
+
+      this.expandedProperty.link( expanded => {
+        tablePanel.visible = expanded;
+        if ( expanded ) {
+          updateRows();
+        }
+        else {
+          rowsBox.children.forEach( rowNode => rowNode.dispose() );
+          rowsBox.removeAllChildren();
+          scrollToRow( 0 );
+        }
+      } );
+
+      this.mutate( _.omit( options, 'tableTop' ) );
+    }
+
+    /**
+     * Reset the table
+     * @public
+     */
+    reset() {
+      this.expandedProperty.reset();
+    }
+  }
+
+  //----------------------------------------------------------------------------------------
+  // Vector table row
+
+  class VectorTableRow extends Node {
+
+    /**
+     * A row of the table, for a vector. Pressing the row highlights the vector.
+     * @param {VectorModel} vector
+     * @param {VectorSelection} vectorSelection
+     */
+    constructor( vector, vectorSelection ) {
+
+      super( {
+        cursor: 'pointer',
+
+        // a11y
+        tagName: 'button',
+        innerContent: VectorAdditionDescriber.getVectorName( vector )
+      } );
+
+      const background = new Rectangle( 0, 0, ROW_WIDTH, ROW_HEIGHT, { cornerRadius: 3 } );
+
+      // the sums are drawn with the color of the sum of their group, and the differences with the difference color
+      const swatch = new Rectangle( 0, 0, SWATCH_SIZE, SWATCH_SIZE, {
+        fill: vector instanceof VectorSum ? vector.vectorType.colors.sum :
+              vector instanceof VectorDifference ? VectorAdditionColors.DIFFERENCE_COLORS.fill :
+              vector.vectorType.colors.fill
+      } );
+
+      const labelNode = new HBox( {
+        spacing: 4,
+        children: [ swatch, new FormulaNode( `\\mathbf{\\vec{${vector.label}\}\}` ) ]
+      } );
+
+      const magnitudeText = new Text( '', { font: CELL_FONT } );
+      const angleText = new Text( '', { font: CELL_FONT } );
+      const xComponentText = new Text( '', { font: CELL_FONT } );
+      const yComponentText = new Text( '', { font: CELL_FONT } );
+      const tailText = new Text( '', { font: CELL_FONT } );
+      const valueTexts = [ magnitudeText, angleText, xComponentText, yComponentText, tailText ];
+
+      this.setChildren( [ background, labelNode ].concat( valueTexts ) );
+      labelNode.centerY = background.centerY;
+
+      const updateValues = () => {
+
+        // the magnitude and angle generally aren't multiples of the snap resolution, so show one more decimal place
+        const componentDecimalPlaces = Util.numberOfDecimalPlaces( vector.snapResolutionProperty.value );
+        const attributeDecimalPlaces = componentDecimalPlaces + 1;
+        const axesTail = vector.tail.rotated( -vector.axesAngleProperty.value );
+
+        magnitudeText.text = Util.toFixed( vector.magnitudeProperty.value, attributeDecimalPlaces );
+        angleText.text = `${Util.toFixed( vector.angleDegreesProperty.value, attributeDecimalPlaces )}\u00B0`;
+        xComponentText.text = Util.toFixed( vector.xComponentProperty.value, componentDecimalPlaces );
+        yComponentText.text = Util.toFixed( vector.yComponentProperty.value, componentDecimalPlaces );
+        tailText.text = `(${Util.toFixed( axesTail.x, componentDecimalPlaces )}, ` +
+                        `${Util.toFixed( axesTail.y, componentDecimalPlaces )})`;
+
+        alignValueCells( valueTexts );
+      };
+      updateValues();
+
+      const highlightListener = highlightedVector => {
+        background.fill = highlightedVector === vector ?
+                          VectorAdditionColors.VECTOR_TABLE_COLORS.highlightedRowFill : null;
+      };
+      vectorSelection.highlightedVectorProperty.link( highlightListener );
+
+      // the properties that the values depend on
+      const observedProperties = [
+        vector.axesComponentsProperty,
+        vector.tailPositionProperty,
+        vector.axesAngleProperty,
+        vector.snapResolutionProperty
+      ];
+      observedProperties.forEach( property => property.lazyLink( updateValues ) );
+
+      const pressListener = () => {
+        vectorSelection.highlight( vectorSelection.highlightedVectorProperty.value === vector ? null : vector );
+      };
+      this.addInputListener( {
+        down: pressListener,
+        click: pressListener
+      } );
+
+      // @private {function}
+      this.disposeVectorTableRow = () => {
+
+        // the vector may already be disposed, which removes its listeners
+        observedProperties.forEach( property => {
+          if ( property.hasListener( updateValues ) ) {
+            property.unlink( updateValues );
+          }
+        } );
+        vectorSelection.highlightedVectorProperty.unlink( highlightListener );
+      };
+    }
+
+    /**
+     * @public
+     * @override
+     */
+    dispose() {
+      this.disposeVectorTableRow();
+      super.dispose();
+    }
+  }
+
+  /**
+   * Aligns the cells of the values of a row with the right side of their columns, which follow the label column
+   * @param {Array.<Node>} cells
+   */
+  function alignValueCells( cells ) {
+    cells.forEach( ( cell, index ) => {
+      cell.right = COLUMN_RIGHTS[ index + 1 ];
+      cell.centerY = ROW_HEIGHT / 2;
+    } );
+  }
+
+  return vectorAddition.register( 'VectorTable', VectorTable );
+} );
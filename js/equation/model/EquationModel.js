@@ -1,40 +1,82 @@
 // Copyright 2019, University of Colorado Boulder
 
 /**
+ * Model for the Equation screen
+ *
  * @author Martin Veillette
  */
 define( require => {
   'use strict';
 
   // modules
-  const Bounds2 = require( 'DOT/Bounds2' );
-  const Property = require( 'AXON/Property' );
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const EquationScene = require( 'VECTOR_ADDITION/equation/model/EquationScene' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
-  const VectorOrientations = require( 'VECTOR_ADDITION/common/model/VectorOrientations' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
   const VectorAdditionModel = require( 'VECTOR_ADDITION/common/model/VectorAdditionModel' );
 
-  /**
-   * @constructor
-   */
-  class EquationModel extends VectorAdditionModel {
+  // constants
+  const GRAPH_DIMENSION = VectorAdditionConstants.GRAPH_DIMENSION;
+  const GRAPH_UPPER_LEFT_COORDINATE = VectorAdditionConstants.GRAPH_UPPER_LEFT_COORDINATE;
+  const VECTOR_TYPE = VectorAdditionConstants.VECTOR_TYPE;
 
+  class EquationModel extends VectorAdditionModel {
     /**
+     * @constructor
      * @param {Tandem} tandem
      */
     constructor( tandem ) {
 
-      super();
-      this.gridModelBounds = new Bounds2( -5, -5, 35, 35 );
-      this.vectorOrientationProperty = new Property( VectorOrientations.TWO_DIMENSIONAL );
+      super( tandem );
+
+      // @public (read-only) {VectorGroup} vectorType - the vector type used on the equation screen
+      this.vectorType = VECTOR_TYPE;
+    }
+
+    /**
+     * @override
+     * @private
+     * Create the Sum Visibility properties. Equation only has one sum visible property for the resultant, which is
+     * visible by default.
+     */
+    createSumVisibilityProperties() {
+
+      // @public (read-only) {BooleanProperty} sumVisibleProperty
+      this.sumVisibleProperty = new BooleanProperty( true, {
+        tandem: this.tandem.createTandem( 'sumVisibleProperty' )
+      } );
     }
 
-    // @public resets the model
-    reset() {
-      super.reset();
-      this.vectorOrientationProperty.reset();
+    /**
+     * @override
+     * @private
+     * Reset the Sum Visibility properties. Equation only has one sum visible property
+     */
+    resetSumVisibilityProperties() {
+      this.sumVisibleProperty.reset();
+    }
+
+    /**
+     * @override
+     * Create the scenes for Equation
+     * Equation has one scene
+     */
+    createScenes() {
+
+      // @public (read-only) {EquationScene} - the equation scene
+      this.scene = new EquationScene(
+        GRAPH_DIMENSION,
+        GRAPH_UPPER_LEFT_COORDINATE,
+        this.componentStyleProperty,
+        this.coordinateSnapModeProperty,
+        this.sumVisibleProperty,
+        VECTOR_TYPE,
+        this.tandem.createTandem( 'scene' ) );
+
+      this.scenes.push( this.scene );
     }
 
   }
 
   return vectorAddition.register( 'EquationModel', EquationModel );
-} );
\ No newline at end of file
+} );
@@ -0,0 +1,271 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Model for the scene on the 'Equation' screen. This scene only has one vectorSet.
+ *
+ * The vectorSet contains a term for each base vector (a⃗ and b⃗). The components of each term are the base vector
+ * scaled by its coefficient and signed based on the equation type, so the vector sum of the vectorSet is the
+ * resultant c⃗ of the equation. The tips of the terms aren't draggable since their components are determined by the
+ * equation, however the terms can still be translated on the graph. The terms can't be removed from the graph.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const BooleanProperty = require( 'AXON/BooleanProperty' );
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const EquationTypes = require( 'VECTOR_ADDITION/equation/model/EquationTypes' );
+  const NumberProperty = require( 'AXON/NumberProperty' );
+  const Property = require( 'AXON/Property' );
+  const Range = require( 'DOT/Range' );
+  const Scene = require( 'VECTOR_ADDITION/common/model/Scene' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorSet = require( 'VECTOR_ADDITION/common/model/VectorSet' );
+
+  // constants
+  const COEFFICIENT_RANGE = new Range( -5, 5 );
+  const DEFAULT_COEFFICIENT = 1;
+  const DEFAULT_EQUATION_TYPE = EquationTypes.ADDITION;
+
+  // base vectors (model coordinates), and the initial tail positions of their terms
+  const BASE_VECTOR_A = new Vector2( 3, 1 );
+  const BASE_VECTOR_B = new Vector2( -1, 4 );
+  const TERM_A_TAIL_POSITION = new Vector2( 5, 10 );
+  const TERM_B_TAIL_POSITION = new Vector2( 25, 10 );
+
+  // labels
+  const TERM_A_LABEL = 'a';
+  const TERM_B_LABEL = 'b';
+  const RESULTANT_LABEL = 'c';
+
+  class EquationScene extends Scene {
+    /**
+     * @constructor
+     * @param {Dimension2} graphDimension - the dimensions (width and height) of the graph
+     * @param {Vector2} graphUpperLeftPosition - the model coordinates of the top left corner of the graph
+     * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
+     * @param {BooleanProperty} sumVisibleProperty - visibility of the resultant vector
+     * @param {VectorGroup} vectorType - the vectorType for the equation screen
+     * @param {Tandem} tandem
+     */
+    constructor(
+      graphDimension,
+      graphUpperLeftPosition,
+      componentStyleProperty,
+      coordinateSnapModeProperty,
+      sumVisibleProperty,
+      vectorType,
+      tandem ) {
+
+      // Type check arguments
+      assert && assert( sumVisibleProperty instanceof BooleanProperty,
+        `invalid sumVisibleProperty: ${sumVisibleProperty}` );
+      // The rest are checked in super-classes
+
+      //----------------------------------------------------------------------------------------
+
+      super( graphDimension, graphUpperLeftPosition, componentStyleProperty, coordinateSnapModeProperty, tandem );
+
+      // @private {BooleanProperty} this scene shares one property for the sum visibility
+      this.sumVisibleProperty = sumVisibleProperty;
+
+      // @public (read-only) {VectorSet} - the vector set for this scene. The sum of the set is the resultant.
+      this.vectorSet = new VectorSet(
+        this.graph.modelViewTransformProperty,
+        this.graph.graphModelBounds,
+        this.graph.axesAngleProperty,
+        componentStyleProperty,
+        coordinateSnapModeProperty,
+        this.sumVisibleProperty,
+        vectorType, {
+          sumOptions: { label: RESULTANT_LABEL },
+          tandem: tandem.createTandem( 'vectorSet' )
+        }
+      );
+
+      this.addVectorSet( this.vectorSet );
+
+      //----------------------------------------------------------------------------------------
+
+      // @public {EnumerationProperty.<EquationTypes>} - the type of equation
+      this.equationTypeProperty = new EnumerationProperty( EquationTypes, DEFAULT_EQUATION_TYPE, {
+        tandem: tandem.createTandem( 'equationTypeProperty' )
+      } );
+
+      // @public {NumberProperty} - the integer coefficient of the base vector a⃗
+      this.coefficientAProperty = new NumberProperty( DEFAULT_COEFFICIENT, {
+        numberType: 'Integer',
+        range: COEFFICIENT_RANGE,
+        tandem: tandem.createTandem( 'coefficientAProperty' )
+      } );
+
+      // @public {NumberProperty} - the integer coefficient of the base vector b⃗
+      this.coefficientBProperty = new NumberProperty( DEFAULT_COEFFICIENT, {
+        numberType: 'Integer',
+        range: COEFFICIENT_RANGE,
+        tandem: tandem.createTandem( 'coefficientBProperty' )
+      } );
+
+      // @public (read-only) {Vector2} - the base vectors
+      this.baseVectorA = BASE_VECTOR_A;
+      this.baseVectorB = BASE_VECTOR_B;
+
+      // @public (read-only) {string} - labels of the terms and the resultant
+      this.termALabel = TERM_A_LABEL;
+      this.termBLabel = TERM_B_LABEL;
+      this.resultantLabel = RESULTANT_LABEL;
+
+      //----------------------------------------------------------------------------------------
+
+      // @private {VectorModel} - the terms of the equation, set in createTerms
+      this.termA = null;
+      this.termB = null;
+
+      this.createTerms();
+
+      // Update the terms when the equation changes. Scenes exist for the lifetime of the sim, so no need to dispose.
+      Property.multilink( [ this.equationTypeProperty, this.coefficientAProperty, this.coefficientBProperty ],
+        () => { this.updateTerms(); } );
+
+      // The terms are part of the initial scene, so they can't be undone
+      this.history.reset();
+    }
+
+    /**
+     * @public
+     * @override
+     * Reset the scene
+     */
+    reset() {
+      this.equationTypeProperty.reset();
+      this.coefficientAProperty.reset();
+      this.coefficientBProperty.reset();
+      super.reset();
+    }
+
+    /**
+     * @public
+     * @override
+     * Reset the vectorSets. The terms of the equation are always on the graph, so they are recreated.
+     */
+    resetVectorSets() {
+      super.resetVectorSets();
+      this.createTerms();
+      this.updateTerms();
+    }
+
+    /**
+     * @public
+     * @override
+     * Serialize the scene to a plain object
+     * @returns {Object}
+     */
+    toJSON() {
+      return _.extend( super.toJSON(), {
+        equationType: EquationTypes.KEYS[ EquationTypes.VALUES.indexOf( this.equationTypeProperty.value ) ],
+        coefficientA: this.coefficientAProperty.value,
+        coefficientB: this.coefficientBProperty.value
+      } );
+    }
+
+    /**
+     * @public
+     * @override
+     * Restore the scene from an object created by toJSON
+     * @param {Object} stateObject
+     */
+    fromJSON( stateObject ) {
+      assert && assert( EquationTypes.KEYS.includes( stateObject.equationType ),
+        `invalid equationType: ${stateObject.equationType}` );
+
+      super.fromJSON( stateObject );
+
+      // The terms were re-created by the vector set, so find them again
+      this.termA = this.findTerm( TERM_A_LABEL );
+      this.termB = this.findTerm( TERM_B_LABEL );
+
+      this.equationTypeProperty.value = EquationTypes[ stateObject.equationType ];
+      this.coefficientAProperty.value = stateObject.coefficientA;
+      this.coefficientBProperty.value = stateObject.coefficientB;
+
+      // The terms are determined by the equation, even if the equation didn't change
+      this.updateTerms();
+    }
+
+    /**
+     * Find the term of the equation with a label in the vector set.
+     * @private
+     * @param {string} label
+     * @returns {VectorModel}
+     */
+    findTerm( label ) {
+      const term = _.find( this.vectorSet.vectors.getArray(),
+        vector => ( vector.label === label && !vector.isTipDraggable ) );
+      assert && assert( term, `missing term: ${label}` );
+      return term;
+    }
+
+    /**
+     * Add the terms of the equation to the vector set.
+     * @private
+     */
+    createTerms() {
+      this.termA = this.vectorSet.addVector( TERM_A_TAIL_POSITION, 0, 0, {
+        label: TERM_A_LABEL,
+        isTipDraggable: false,
+        isRemovable: false
+      } );
+      this.termA.isActiveProperty.value = false;
+
+      this.termB = this.vectorSet.addVector( TERM_B_TAIL_POSITION, 0, 0, {
+        label: TERM_B_LABEL,
+        isTipDraggable: false,
+        isRemovable: false
+      } );
+      this.termB.isActiveProperty.value = false;
+    }
+
+    /**
+     * Update the components of the terms based on the coefficients and the equation type.
+     * @private
+     */
+    updateTerms() {
+
+      const equationType = this.equationTypeProperty.value;
+
+      let signA;
+      let signB;
+      switch( equationType ) {
+        case EquationTypes.ADDITION: {
+          signA = 1;
+          signB = 1;
+          break;
+        }
+        case EquationTypes.SUBTRACTION: {
+          signA = 1;
+          signB = -1;
+          break;
+        }
+        case EquationTypes.NEGATION: {
+          signA = -1;
+          signB = -1;
+          break;
+        }
+        default: {
+          throw new Error( `equationType not handled: ${equationType}` );
+        }
+      }
+
+      this.termA.attributesVectorProperty.value =
+        this.baseVectorA.timesScalar( signA * this.coefficientAProperty.value );
+      this.termB.attributesVectorProperty.value =
+        this.baseVectorB.timesScalar( signB * this.coefficientBProperty.value );
+    }
+  }
+
+  return vectorAddition.register( 'EquationScene', EquationScene );
+} );
@@ -0,0 +1,24 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Possible types of equations on the 'Equation' screen
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const Enumeration = require( 'PHET_CORE/Enumeration' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+
+  /**
+   * There are 3 types of equations:
+   * 'ADDITION' - a a⃗ + b b⃗ = c⃗
+   * 'SUBTRACTION' - a a⃗ - b b⃗ = c⃗
+   * 'NEGATION' - -( a a⃗ + b b⃗ ) = c⃗
+   */
+  const EquationTypes = new Enumeration( [ 'ADDITION', 'SUBTRACTION', 'NEGATION' ] );
+
+  return vectorAddition.register( 'EquationTypes', EquationTypes );
+} );
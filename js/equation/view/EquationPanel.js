@@ -0,0 +1,147 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * View for the Panel that displays the equation on the 'Equation' screen. Contains radio buttons to select the
+ * equation type, and the equation itself, with number spinners for the coefficients of the base vectors.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
+  const EquationTypes = require( 'VECTOR_ADDITION/equation/model/EquationTypes' );
+  const FormulaNode = require( 'SCENERY_PHET/FormulaNode' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
+  const MathSymbols = require( 'SCENERY_PHET/MathSymbols' );
+  const NumberProperty = require( 'AXON/NumberProperty' );
+  const NumberSpinner = require( 'SUN/NumberSpinner' );
+  const Panel = require( 'SUN/Panel' );
+  const PhetFont = require( 'SCENERY_PHET/PhetFont' );
+  const Property = require( 'AXON/Property' );
+  const RadioButtonGroup = require( 'SUN/buttons/RadioButtonGroup' );
+  const Text = require( 'SCENERY/nodes/Text' );
+  const VBox = require( 'SCENERY/nodes/VBox' );
+  const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
+
+  // constants
+  const EQUATION_FONT = new PhetFont( 18 );
+  const SPINNER_OPTIONS = {
+    arrowsPosition: 'bothBottom',
+    font: EQUATION_FONT,
+    xMargin: 4,
+    yMargin: 2
+  };
+  const RADIO_BUTTON_OPTIONS = _.extend( {
+    orientation: 'horizontal',
+    spacing: 8,
+    selectedLineWidth: 2,
+    cornerRadius: 5
+  }, VectorAdditionColors.RADIO_BUTTON_COLORS );
+  const LABEL_RESIZE_SCALE = 0.8;
+
+  class EquationPanel extends Panel {
+    /**
+     * @constructor
+     * @param {EnumerationProperty.<EquationTypes>} equationTypeProperty
+     * @param {NumberProperty} coefficientAProperty
+     * @param {NumberProperty} coefficientBProperty
+     * @param {Object} labels - { termA: {string}, termB: {string}, resultant: {string} }
+     * @param {Object} [options]
+     */
+    constructor( equationTypeProperty, coefficientAProperty, coefficientBProperty, labels, options ) {
+
+      // Type check arguments
+      assert && assert( equationTypeProperty instanceof EnumerationProperty
+      && EquationTypes.includes( equationTypeProperty.value ),
+        `invalid equationTypeProperty: ${equationTypeProperty}` );
+      assert && assert( coefficientAProperty instanceof NumberProperty,
+        `invalid coefficientAProperty: ${coefficientAProperty}` );
+      assert && assert( coefficientBProperty instanceof NumberProperty,
+        `invalid coefficientBProperty: ${coefficientBProperty}` );
+      assert && assert( typeof labels.termA === 'string' && typeof labels.termB === 'string'
+      && typeof labels.resultant === 'string', `invalid labels: ${labels}` );
+
+      //----------------------------------------------------------------------------------------
+
+      options = _.extend( {}, VectorAdditionConstants.PANEL_OPTIONS, options );
+
+      // convenience function to create the label for a vector
+      const createVectorLabel = ( label ) => {
+        const vectorLabel = new FormulaNode( `\\vec{\\mathrm{${label}}}` );
+        vectorLabel.scale( LABEL_RESIZE_SCALE );
+        return vectorLabel;
+      };
+
+      // convenience function to create a text node for the symbols of the equation
+      const createSymbol = ( symbol ) => new Text( symbol, { font: EQUATION_FONT } );
+
+      //----------------------------------------------------------------------------------------
+      // Radio buttons for the equation types
+
+      const equationTypeRadioButtonContent = [ {
+        value: EquationTypes.ADDITION,
+        node: createSymbol( MathSymbols.PLUS )
+      }, {
+        value: EquationTypes.SUBTRACTION,
+        node: createSymbol( MathSymbols.MINUS )
+      }, {
+        value: EquationTypes.NEGATION,
+        node: createSymbol( `${MathSymbols.UNARY_MINUS}( )` )
+      } ];
+
+      const equationTypeRadioButtonGroup = new RadioButtonGroup( equationTypeProperty,
+        equationTypeRadioButtonContent, RADIO_BUTTON_OPTIONS );
+
+      //----------------------------------------------------------------------------------------
+      // The equation
+
+      // The nodes of the equation that don't depend on the equation type
+      const coefficientASpinner = new NumberSpinner( coefficientAProperty,
+        new Property( coefficientAProperty.range ), SPINNER_OPTIONS );
+      const coefficientBSpinner = new NumberSpinner( coefficientBProperty,
+        new Property( coefficientBProperty.range ), SPINNER_OPTIONS );
+      const termANode = createVectorLabel( labels.termA );
+      const termBNode = createVectorLabel( labels.termB );
+      const resultantNode = createVectorLabel( labels.resultant );
+
+      // The nodes of the equation that depend on the equation type
+      const operatorText = createSymbol( MathSymbols.PLUS );
+      const negationOpenText = createSymbol( `${MathSymbols.UNARY_MINUS}(` );
+      const negationCloseText = createSymbol( ')' );
+
+      const equationNode = new HBox( {
+        spacing: 5,
+        children: [
+          negationOpenText,
+          coefficientASpinner,
+          termANode,
+          operatorText,
+          coefficientBSpinner,
+          termBNode,
+          negationCloseText,
+          createSymbol( MathSymbols.EQUAL_TO ),
+          resultantNode
+        ]
+      } );
+
+      // Update the equation when the equation type changes. Present for the lifetime of the simulation.
+      equationTypeProperty.link( ( equationType ) => {
+        operatorText.text = equationType === EquationTypes.SUBTRACTION ? MathSymbols.MINUS : MathSymbols.PLUS;
+        negationOpenText.visible = equationType === EquationTypes.NEGATION;
+        negationCloseText.visible = equationType === EquationTypes.NEGATION;
+      } );
+
+      super( new VBox( {
+        spacing: 10,
+        align: 'center',
+        children: [ equationTypeRadioButtonGroup, equationNode ]
+      } ), options );
+    }
+  }
+
+  return vectorAddition.register( 'EquationPanel', EquationPanel );
+} );
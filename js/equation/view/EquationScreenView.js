@@ -7,8 +7,11 @@ define( function( require ) {
   'use strict';
 
   // modules
+  const EquationPanel = require( 'VECTOR_ADDITION/equation/view/EquationPanel' );
+  const Explore2DGraphControlPanel = require( 'VECTOR_ADDITION/explore2D/view/Explore2DGraphControlPanel' );
   const VectorAdditionScreenView = require( 'VECTOR_ADDITION/common/view/VectorAdditionScreenView' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
 
   class EquationScreenView extends VectorAdditionScreenView {
 
@@ -20,6 +23,39 @@ define( function( require ) {
 
       super( equationModel, tandem );
 
+      // The Equation screen has the same graph controls as the Explore2D screen
+      const graphControlPanel = new Explore2DGraphControlPanel(
+        equationModel.sumVisibleProperty,
+        equationModel.valuesVisibleProperty,
+        equationModel.angleVisibleProperty,
+        equationModel.gridVisibleProperty,
+        equationModel.gridStyleProperty,
+        equationModel.tickLabelsVisibleProperty,
+        equationModel.componentStyleProperty,
+        equationModel.vectorType, {
+          right: this.layoutBounds.right - VectorAdditionConstants.SCREEN_VIEW_X_MARGIN,
+          top: this.layoutBounds.top + VectorAdditionConstants.SCREEN_VIEW_Y_MARGIN
+        } );
+
+      this.addChild( graphControlPanel );
+
+      const scene = equationModel.scene;
+
+      const equationPanel = new EquationPanel(
+        scene.equationTypeProperty,
+        scene.coefficientAProperty,
+        scene.coefficientBProperty, {
+          termA: scene.termALabel,
+          termB: scene.termBLabel,
+          resultant: scene.resultantLabel
+        }, {
+          maxWidth: this.layoutBounds.right - scene.graph.modelViewTransformProperty.value.modelToViewX(
+            scene.graph.graphModelBounds.maxX ) - 2 * VectorAdditionConstants.SCREEN_VIEW_X_MARGIN,
+          right: graphControlPanel.right,
+          top: graphControlPanel.bottom + 10
+        } );
+
+      this.addChild( equationPanel );
     }
 
   }
@@ -10,7 +10,6 @@ define( require => {
 
   // modules
   const BooleanProperty = require( 'AXON/BooleanProperty' );
-  const EnumerationProperty = require( 'AXON/EnumerationProperty' );
   const Explore1DScene = require( 'VECTOR_ADDITION/explore1D/model/Explore1DScene' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
@@ -31,12 +30,11 @@ define( require => {
      */
     constructor( tandem ) {
 
-      super( tandem );
+      super( tandem, {
+        vectorOrientation: DEFAULT_VECTOR_ORIENTATION
+      } );
 
-      // @public {EnumerationProperty.<VectorOrientations>} - controls the orientation of the vectors
-      this.vectorOrientationProperty = new EnumerationProperty( VectorOrientations, DEFAULT_VECTOR_ORIENTATION );
-
-      // @public (read-only) {VectorTypes} vectorType - the vector type used on the explore1D screen
+      // @public (read-only) {VectorGroup} vectorType - the vector type used on the explore1D screen
       this.vectorType = VECTOR_TYPE;
 
     }
@@ -49,7 +47,9 @@ define( require => {
     createSumVisibilityProperties() {
 
       // @public (read-only) {BooleanProperty} sumVisibleProperty
-      this.sumVisibleProperty = new BooleanProperty( false );
+      this.sumVisibleProperty = new BooleanProperty( false, {
+        tandem: this.tandem.createTandem( 'sumVisibleProperty' )
+      } );
     }
 
     /**
@@ -73,18 +73,22 @@ define( require => {
         GRAPH_DIMENSION,
         GRAPH_UPPER_LEFT_COORDINATE,
         this.componentStyleProperty,
+        this.coordinateSnapModeProperty,
         this.sumVisibleProperty,
         VectorOrientations.HORIZONTAL,
-        VECTOR_TYPE );
+        VECTOR_TYPE,
+        this.tandem.createTandem( 'horizontalScene' ) );
 
       // @public (read-only) {Explore1DScene} - the vertical scene
       this.verticalScene = new Explore1DScene(
         GRAPH_DIMENSION,
         GRAPH_UPPER_LEFT_COORDINATE,
         this.componentStyleProperty,
+        this.coordinateSnapModeProperty,
         this.sumVisibleProperty,
         VectorOrientations.VERTICAL,
-        VECTOR_TYPE );
+        VECTOR_TYPE,
+        this.tandem.createTandem( 'verticalScene' ) );
 
       this.scenes.push( this.horizontalScene, this.verticalScene );
     }
@@ -21,17 +21,21 @@ define( require => {
      * @param {Dimension2} graphDimension - the dimensions (width and height) of the graph
      * @param {Vector2} graphUpperLeftPosition - the model coordinates of the top left corner of the graph
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
      * @param {BooleanProperty} sumVisibleProperty - explore1D only has one shared sumVisibleProperty
      * @param {VectorOrientations} vectorOrientation - the orientation for this scene
-     * @param {VectorTypes} vectorType - the vectorType for explore1D
+     * @param {VectorGroup} vectorType - the vectorType for explore1D
+     * @param {Tandem} tandem
      */
     constructor(
       graphDimension,
       graphUpperLeftPosition,
       componentStyleProperty,
+      coordinateSnapModeProperty,
       sumVisibleProperty,
       vectorOrientation,
-      vectorType ) {
+      vectorType,
+      tandem ) {
 
       // Type check arguments
       assert && assert( sumVisibleProperty instanceof BooleanProperty,
@@ -41,7 +45,7 @@ define( require => {
 
       //----------------------------------------------------------------------------------------
 
-      super( graphDimension, graphUpperLeftPosition, componentStyleProperty );
+      super( graphDimension, graphUpperLeftPosition, componentStyleProperty, coordinateSnapModeProperty, tandem );
 
       // Set the graph's orientation to horizontal
       this.graph.orientation = vectorOrientation;
@@ -53,12 +57,16 @@ define( require => {
       this.vectorSet = new VectorSet(
         this.graph.modelViewTransformProperty,
         this.graph.graphModelBounds,
+        this.graph.axesAngleProperty,
         componentStyleProperty,
+        coordinateSnapModeProperty,
         this.sumVisibleProperty,
-        vectorType
+        vectorType, {
+          tandem: tandem.createTandem( 'vectorSet' )
+        }
       );
 
-      this.vectorSets.push( this.vectorSet );
+      this.addVectorSet( this.vectorSet );
     }
 
   }
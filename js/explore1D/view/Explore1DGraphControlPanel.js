@@ -13,6 +13,7 @@ define( require => {
   const GridCheckbox = require( 'VECTOR_ADDITION/common/view/GridCheckbox' );
   const VBox = require( 'SCENERY/nodes/VBox' );
   const SumCheckbox = require( 'VECTOR_ADDITION/common/view/SumCheckbox' );
+  const TickLabelsCheckbox = require( 'VECTOR_ADDITION/common/view/TickLabelsCheckbox' );
   const ValuesCheckbox = require( 'VECTOR_ADDITION/common/view/ValuesCheckbox' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
@@ -29,10 +30,17 @@ define( require => {
      * @param {BooleanProperty} sumVisibleProperty
      * @param {BooleanProperty} valuesVisibleProperty
      * @param {BooleanProperty} gridVisibleProperty
-     * @param {VectorTypes} vectorType
+     * @param {BooleanProperty} tickLabelsVisibleProperty
+     * @param {VectorGroup} vectorType
      * @param {Object} [options]
      */
-    constructor( sumVisibleProperty, valuesVisibleProperty, gridVisibleProperty, vectorType, options ) {
+    constructor(
+      sumVisibleProperty,
+      valuesVisibleProperty,
+      gridVisibleProperty,
+      tickLabelsVisibleProperty,
+      vectorType,
+      options ) {
 
       // Type check arguments
       assert && assert( sumVisibleProperty instanceof BooleanProperty,
@@ -41,6 +49,8 @@ define( require => {
         `invalid valuesVisibleProperty: ${valuesVisibleProperty}` );
       assert && assert( gridVisibleProperty instanceof BooleanProperty,
         `invalid gridVisibleProperty: ${gridVisibleProperty}` );
+      assert && assert( tickLabelsVisibleProperty instanceof BooleanProperty,
+        `invalid tickLabelsVisibleProperty: ${tickLabelsVisibleProperty}` );
       assert && assert( VectorTypes.includes( vectorType ), `invalid vectorType: ${vectorType}` );
 
       //----------------------------------------------------------------------------------------
@@ -54,7 +64,8 @@ define( require => {
         children: [
           new SumCheckbox( sumVisibleProperty, vectorType ),
           new ValuesCheckbox( valuesVisibleProperty ),
-          new GridCheckbox( gridVisibleProperty )
+          new GridCheckbox( gridVisibleProperty ),
+          new TickLabelsCheckbox( tickLabelsVisibleProperty )
         ]
       } ) );
 
@@ -48,9 +48,9 @@ define( require => {
       // create the creator panel for each scene
       const explore1DVectorCreatorPanels = new Explore1DVectorCreatorPanels(
         horizontalScene.vectorSet, //TODO: find a better way than index 0, we can index 0 right now since there is only 1 vector set per scene for 1d
-        horizontalScene.graph.modelViewTransformProperty,
+        horizontalScene.graph,
         verticalScene.vectorSet,
-        verticalScene.graph.modelViewTransformProperty );
+        verticalScene.graph );
 
       // create the vector panels
       const horizontalVectorCreatorPanel = explore1DVectorCreatorPanels.horizontalVectorCreatorPanel;
@@ -83,6 +83,7 @@ define( require => {
         explore1DModel.sumVisibleProperty,
         explore1DModel.valuesVisibleProperty,
         explore1DModel.gridVisibleProperty,
+        explore1DModel.tickLabelsVisibleProperty,
         explore1DModel.vectorType, {
           right: this.layoutBounds.right - VectorAdditionConstants.SCREEN_VIEW_X_MARGIN,
           top: this.layoutBounds.top + VectorAdditionConstants.SCREEN_VIEW_Y_MARGIN
@@ -107,8 +108,8 @@ define( require => {
         orientation: 'horizontal'
       } );
 
-      this.addChild( horizontalVectorCreatorPanel );
-      this.addChild( verticalVectorCreatorPanel );
+      this.addVectorCreatorPanel( horizontalVectorCreatorPanel );
+      this.addVectorCreatorPanel( verticalVectorCreatorPanel );
       this.addChild( explore1DGraphControlPanel );
       this.addChild( sceneRadioButtonGroup );
 
@@ -28,20 +28,20 @@ define( require => {
     /**
      * @constructor
      * @param {VectorSet} horizontalVectorSet
-     * @param {Property.<ModelViewTransform2>} horizontalModelViewTransformProperty - the property of the model - view coordinate transformation
+     * @param {Graph} horizontalGraph - the graph that the horizontal vectors are dropped on
      * @param {VectorSet} verticalVectorSet -
-     * @param {Property.<ModelViewTransform2>} verticalModelViewTransformProperty - the property of the model - view coordinate transformation
+     * @param {Graph} verticalGraph - the graph that the vertical vectors are dropped on
      */
     constructor( horizontalVectorSet,
-                 horizontalModelViewTransformProperty,
+                 horizontalGraph,
                  verticalVectorSet,
-                 verticalModelViewTransformProperty ) {
+                 verticalGraph ) {
 
       this.horizontalVectorCreatorPanel = new HorizontalVectorCreatorPanel(
-        horizontalModelViewTransformProperty, horizontalVectorSet );
+        horizontalGraph, horizontalVectorSet );
 
       this.verticalVectorCreatorPanel = new VerticalVectorCreatorPanel(
-        verticalModelViewTransformProperty, verticalVectorSet );
+        verticalGraph, verticalVectorSet );
     }
   }
 
@@ -52,10 +52,10 @@ define( require => {
     /**
      * @abstract
      * @constructor
-     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty - the property of the modelViewTransform
+     * @param {Graph} graph - the graph that the vectors are dropped on
      * @param {VectorSet} vectorSet - the observable array to add the vector's to.
      */
-    constructor( modelViewTransformProperty, vectorSet ) {
+    constructor( graph, vectorSet ) {
 
       // create labels for each vector slot
       const labels = [ 'a', 'b', 'c' ];
@@ -66,7 +66,7 @@ define( require => {
       const initialVector = new Vector2( INITIAL_ARROW_SIDE_LENGTH, 0 );
 
       labels.forEach( ( label ) => {
-        panelSlots.push( new VectorCreatorPanelSlot( initialVector, modelViewTransformProperty, vectorSet,
+        panelSlots.push( new VectorCreatorPanelSlot( initialVector, graph, vectorSet,
           { label: label } ) );
       } );
 
@@ -80,10 +80,10 @@ define( require => {
     /**
      * @abstract
      * @constructor
-     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty - the property of the model - view coordinate transformation
+     * @param {Graph} graph - the graph that the vectors are dropped on
      * @param {VectorSet} vectorSet
      */
-    constructor( modelViewTransformProperty, vectorSet ) {
+    constructor( graph, vectorSet ) {
 
       // create labels for each vector slot
       const labels = [ 'd', 'e', 'f' ];
@@ -94,7 +94,7 @@ define( require => {
       const initialVerticalVector = new Vector2( 0, INITIAL_ARROW_SIDE_LENGTH );
 
       labels.forEach( ( label ) => {
-        panelSlots.push( new VectorCreatorPanelSlot( initialVerticalVector, modelViewTransformProperty, vectorSet,
+        panelSlots.push( new VectorCreatorPanelSlot( initialVerticalVector, graph, vectorSet,
           { label: label } ) );
       } );
 
@@ -29,7 +29,7 @@ define( require => {
 
       super( tandem );
 
-      // @public (read-only) {VectorTypes} vectorType - the vector type used on the explore1D screen
+      // @public (read-only) {VectorGroup} vectorType - the vector type used on the explore1D screen
       this.vectorType = VECTOR_TYPE;
     }
 
@@ -41,7 +41,9 @@ define( require => {
     createSumVisibilityProperties() {
 
       // @public (read-only) {BooleanProperty} sumVisibleProperty
-      this.sumVisibleProperty = new BooleanProperty( false );
+      this.sumVisibleProperty = new BooleanProperty( false, {
+        tandem: this.tandem.createTandem( 'sumVisibleProperty' )
+      } );
     }
 
     /**
@@ -65,8 +67,10 @@ define( require => {
         GRAPH_DIMENSION,
         GRAPH_UPPER_LEFT_COORDINATE,
         this.componentStyleProperty,
+        this.coordinateSnapModeProperty,
         this.sumVisibleProperty,
-        VECTOR_TYPE );
+        VECTOR_TYPE,
+        this.tandem.createTandem( 'scene' ) );
 
       this.scenes.push( this.scene );
     }
@@ -20,15 +20,19 @@ define( require => {
      * @param {Dimension2} graphDimension - the dimensions (width and height) of the graph
      * @param {Vector2} graphUpperLeftPosition - the model coordinates of the top left corner of the graph
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
      * @param {BooleanProperty} sumVisibleProperty - explore2D only has one shared sumVisibleProperty
-     * @param {VectorTypes} vectorType - the vectorType for explore2D
+     * @param {VectorGroup} vectorType - the vectorType for explore2D
+     * @param {Tandem} tandem
      */
     constructor(
       graphDimension,
       graphUpperLeftPosition,
       componentStyleProperty,
+      coordinateSnapModeProperty,
       sumVisibleProperty,
-      vectorType ) {
+      vectorType,
+      tandem ) {
 
       // Type check arguments
       assert && assert( sumVisibleProperty instanceof BooleanProperty,
@@ -37,7 +41,7 @@ define( require => {
 
       //----------------------------------------------------------------------------------------
 
-      super( graphDimension, graphUpperLeftPosition, componentStyleProperty );
+      super( graphDimension, graphUpperLeftPosition, componentStyleProperty, coordinateSnapModeProperty, tandem );
 
       // @private {Boolean Property} this scene shares one property for the sum visibility
       this.sumVisibleProperty = sumVisibleProperty;
@@ -46,12 +50,16 @@ define( require => {
       this.vectorSet = new VectorSet(
         this.graph.modelViewTransformProperty,
         this.graph.graphModelBounds,
+        this.graph.axesAngleProperty,
         componentStyleProperty,
+        coordinateSnapModeProperty,
         this.sumVisibleProperty,
-        vectorType
+        vectorType, {
+          tandem: tandem.createTandem( 'vectorSet' )
+        }
       );
 
-      this.vectorSets.push( this.vectorSet );
+      this.addVectorSet( this.vectorSet );
     }
 
   }
@@ -15,10 +15,14 @@ define( require => {
   const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
   const EnumerationProperty = require( 'AXON/EnumerationProperty' );
   const GridCheckbox = require( 'VECTOR_ADDITION/common/view/GridCheckbox' );
+  const GridStyleRadioButtonGroup = require( 'VECTOR_ADDITION/common/view/GridStyleRadioButtonGroup' );
+  const GridStyles = require( 'VECTOR_ADDITION/common/model/GridStyles' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
   const VBox = require( 'SCENERY/nodes/VBox' );
   const Line = require( 'SCENERY/nodes/Line' );
   const SumCheckbox = require( 'VECTOR_ADDITION/common/view/SumCheckbox' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const TickLabelsCheckbox = require( 'VECTOR_ADDITION/common/view/TickLabelsCheckbox' );
   const ValuesCheckbox = require( 'VECTOR_ADDITION/common/view/ValuesCheckbox' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
@@ -28,6 +32,7 @@ define( require => {
   const Panel = require( 'SUN/Panel' );
 
   // constants
+  const GRID_CONTROLS_SPACING = 10;
   const PANEL_WIDTH = VectorAdditionConstants.PANEL_WIDTH;
   const componentsString = require( 'string!VECTOR_ADDITION/components' );
 
@@ -38,8 +43,10 @@ define( require => {
      * @param {BooleanProperty} valuesVisibleProperty
      * @param {BooleanProperty} angleVisibleProperty
      * @param {BooleanProperty} gridVisibleProperty
+     * @param {EnumerationProperty.<GridStyles>} gridStyleProperty
+     * @param {BooleanProperty} tickLabelsVisibleProperty
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
-     * @param {VectorTypes} vectorType
+     * @param {VectorGroup} vectorType
      * @param {Object} [options]
      */
     constructor(
@@ -47,6 +54,8 @@ define( require => {
       valuesVisibleProperty,
       angleVisibleProperty,
       gridVisibleProperty,
+      gridStyleProperty,
+      tickLabelsVisibleProperty,
       componentStyleProperty,
       vectorType,
       options ) {
@@ -60,6 +69,11 @@ define( require => {
         `invalid angleVisibleProperty: ${angleVisibleProperty}` );
       assert && assert( gridVisibleProperty instanceof BooleanProperty,
         `invalid gridVisibleProperty: ${gridVisibleProperty}` );
+      assert && assert( gridStyleProperty instanceof EnumerationProperty
+      && GridStyles.includes( gridStyleProperty.value ),
+        `invalid gridStyleProperty: ${gridStyleProperty}` );
+      assert && assert( tickLabelsVisibleProperty instanceof BooleanProperty,
+        `invalid tickLabelsVisibleProperty: ${tickLabelsVisibleProperty}` );
       assert && assert( componentStyleProperty instanceof EnumerationProperty
       && ComponentStyles.includes( componentStyleProperty.value ),
         `invalid componentStyleProperty: ${componentStyleProperty}` );
@@ -76,7 +90,11 @@ define( require => {
           new SumCheckbox( sumVisibleProperty, vectorType ),
           new ValuesCheckbox( valuesVisibleProperty ),
           new AngleCheckbox( angleVisibleProperty ),
-          new GridCheckbox( gridVisibleProperty ),
+          new HBox( {
+            spacing: GRID_CONTROLS_SPACING,
+            children: [ new GridCheckbox( gridVisibleProperty ), new GridStyleRadioButtonGroup( gridStyleProperty ) ]
+          } ),
+          new TickLabelsCheckbox( tickLabelsVisibleProperty ),
           new Line( 0, 0, VectorAdditionConstants.PANEL_WIDTH, 0, {
             stroke: VectorAdditionColors.GRAPH_CONTROL_PANEL_LINE_COLOR
           } ),
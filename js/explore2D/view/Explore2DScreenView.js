@@ -29,6 +29,8 @@ define( function( require ) {
         explore2DModel.valuesVisibleProperty,
         explore2DModel.angleVisibleProperty,
         explore2DModel.gridVisibleProperty,
+        explore2DModel.gridStyleProperty,
+        explore2DModel.tickLabelsVisibleProperty,
         explore2DModel.componentStyleProperty,
         explore2DModel.vectorType, {
           right: this.layoutBounds.right - VectorAdditionConstants.SCREEN_VIEW_X_MARGIN,
@@ -38,10 +40,10 @@ define( function( require ) {
       this.addChild( graphControlPanel );
 
       const vectorCreatorPanel = new Explore2DVectorCreatorPanel(
-        explore2DModel.scene.graph.modelViewTransformProperty,
+        explore2DModel.scene.graph,
         explore2DModel.scene.vectorSet );
 
-      this.addChild( vectorCreatorPanel );
+      this.addVectorCreatorPanel( vectorCreatorPanel );
     }
 
   }
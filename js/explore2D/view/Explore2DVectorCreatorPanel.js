@@ -28,10 +28,10 @@ define( require => {
     /**
      * @abstract
      * @constructor
-     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty - the property of the model - view coordinate transformation
+     * @param {Graph} graph - the graph that the vectors are dropped on
      * @param {VectorSet} vectorSet
      */
-    constructor( modelViewTransformProperty, vectorSet ) {
+    constructor( graph, vectorSet ) {
 
       // create labels for each vector slot
       const labels = [ 'a', 'b', 'c' ];
@@ -43,7 +43,7 @@ define( require => {
 
       labels.forEach( ( label ) => {
 
-        panelSlots.push( new VectorCreatorPanelSlot( initialVector, modelViewTransformProperty, vectorSet,
+        panelSlots.push( new VectorCreatorPanelSlot( initialVector, graph, vectorSet,
           { label: label } ) );
       } );
 
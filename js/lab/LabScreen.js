@@ -12,6 +12,7 @@ define( require => {
   const Property = require( 'AXON/Property' );
   const Screen = require( 'JOIST/Screen' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorAdditionQueryParameters = require( 'VECTOR_ADDITION/common/VectorAdditionQueryParameters' );
 
   // strings
   const screenLabString = require( 'string!VECTOR_ADDITION/screen.lab' );
@@ -30,7 +31,9 @@ define( require => {
       };
 
       super(
-        () => new LabModel( tandem.createTandem( 'labModel' ) ),
+        () => new LabModel( tandem.createTandem( 'labModel' ), {
+          vectorGroups: LabModel.createVectorGroups( VectorAdditionQueryParameters.labGroups )
+        } ),
         ( labModel ) => new LabScreenView( labModel, tandem.createTandem( 'labView' ) ),
         options
       );
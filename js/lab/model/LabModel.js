@@ -1,7 +1,8 @@
 // Copyright 2019, University of Colorado Boulder
 
 /**
- * Model for the Lab screen
+ * Model for the Lab screen. The Lab screen has a group of vectors for each VectorGroup in options.vectorGroups, each
+ * with its own sum visibility property, so that more than 2 sets of vectors can be compared (see createVectorGroups).
  *
  * @author Martin Veillette
  */
@@ -11,36 +12,98 @@ define( require => {
   // modules
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const LabScene = require( 'VECTOR_ADDITION/lab/model/LabScene' );
+  const Range = require( 'DOT/Range' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
   const VectorAdditionModel = require( 'VECTOR_ADDITION/common/model/VectorAdditionModel' );
+  const VectorGroup = require( 'VECTOR_ADDITION/common/model/VectorGroup' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
 
   // constants
   const GRAPH_DIMENSION = VectorAdditionConstants.GRAPH_DIMENSION;
   const GRAPH_UPPER_LEFT_COORDINATE = VectorAdditionConstants.GRAPH_UPPER_LEFT_COORDINATE;
 
+  // the hues (in degrees) of the groups after the first 2 groups are evenly spaced between the red of group TWO and the
+  // blue of group ONE, through yellow and green, so that they differ from the purple of the difference
+  const GENERATED_GROUP_HUE_RANGE = new Range( 5, 197 );
+
 
   class LabModel extends VectorAdditionModel {
     /**
      * @constructor
      * @param {Tandem} tandem
+     * @param {Object} [options]
      */
-    constructor( tandem ) {
+    constructor( tandem, options ) {
+
+      options = _.extend( {
+        vectorGroups: [ VectorTypes.ONE, VectorTypes.TWO ] // {Array.<VectorGroup>} - a VectorSet is created for each
+      }, options );
+
+      // Type check arguments. The difference needs at least 2 groups.
+      assert && assert( Array.isArray( options.vectorGroups ) && options.vectorGroups.length >= 2 &&
+                        _.every( options.vectorGroups, vectorGroup => vectorGroup instanceof VectorGroup ),
+        `invalid options.vectorGroups: ${options.vectorGroups}` );
+      assert && assert( _.uniq( options.vectorGroups ).length === options.vectorGroups.length,
+        `duplicate options.vectorGroups: ${options.vectorGroups}` );
+
+      super( tandem, options );
 
-      super( tandem );
+      // @public (read-only) {Array.<VectorGroup>} - the groups of vectors, in the order of scene.groupVectorSets
+      this.vectorGroups = options.vectorGroups;
+
+      // @public {BooleanProperty} - controls the visibility of the difference of the sums (see LabScene)
+      this.differenceVisibleProperty = new BooleanProperty( false, {
+        tandem: tandem.createTandem( 'differenceVisibleProperty' )
+      } );
+    }
+
+    /**
+     * @public
+     * @override
+     * Reset the LabModel
+     */
+    reset() {
+      this.differenceVisibleProperty.reset();
+      super.reset();
+    }
+
+    /**
+     * @public
+     * @override
+     * Serialize the model to a plain object
+     * @returns {Object}
+     */
+    toJSON() {
+      return _.extend( super.toJSON(), {
+        differenceVisible: this.differenceVisibleProperty.value
+      } );
+    }
+
+    /**
+     * @public
+     * @override
+     * Restore the model from an object created by toJSON
+     * @param {Object} stateObject
+     */
+    fromJSON( stateObject ) {
+      this.differenceVisibleProperty.value = stateObject.differenceVisible;
+      super.fromJSON( stateObject );
     }
 
     /**
      * @override
      * @private
-     * Create the Sum Visibility properties. Lab has 2 sum visible properties
+     * Create the Sum Visibility properties. Lab has a sum visible property for each group of vectors
+     * @param {Object} options - see constructor
      */
-    createSumVisibilityProperties() {
+    createSumVisibilityProperties( options ) {
 
-      // @public {BooleanProperty}
-      this.sumGroup1VisibleProperty = new BooleanProperty( false );
-      // @public {BooleanProperty}
-      this.sumGroup2VisibleProperty = new BooleanProperty( false );
+      // @public {Array.<BooleanProperty>} - the visibility of the sum of each group, in the order of the groups
+      this.sumVisibleProperties = options.vectorGroups.map( ( vectorGroup, index ) =>
+        new BooleanProperty( false, {
+          tandem: this.tandem.createTandem( `sumGroup${index + 1}VisibleProperty` )
+        } ) );
     }
 
     /**
@@ -49,27 +112,47 @@ define( require => {
      * Reset the Sum Visibility properties.
      */
     resetSumVisibilityProperties() {
-      this.sumGroup1VisibleProperty.reset();
-      this.sumGroup2VisibleProperty.reset();
+      this.sumVisibleProperties.forEach( sumVisibleProperty => sumVisibleProperty.reset() );
     }
 
     /**
      * @override
      * Create the scenes for Lab
      * Lab has one scene
+     * @param {Object} options - see constructor
      */
-    createScenes() {
+    createScenes( options ) {
       // @public (read-only) {Explore2DScene} - the horizontal scene
       this.scene = new LabScene(
         GRAPH_DIMENSION,
         GRAPH_UPPER_LEFT_COORDINATE,
         this.componentStyleProperty,
-        this.sumGroup1VisibleProperty,
-        this.sumGroup2VisibleProperty );
+        this.coordinateSnapModeProperty,
+        options.vectorGroups,
+        this.sumVisibleProperties,
+        this.tandem.createTandem( 'scene' ) );
 
       this.scenes.push( this.scene );
     }
 
+    /**
+     * Create the groups of vectors of a Lab screen. The first 2 groups are ONE and TWO, and the colors of the other
+     * groups are generated from hues that are evenly spaced in GENERATED_GROUP_HUE_RANGE.
+     * @public
+     * @param {number} count - the number of groups, at least 2
+     * @returns {Array.<VectorGroup>}
+     */
+    static createVectorGroups( count ) {
+      assert && assert( Number.isInteger( count ) && count >= 2, `invalid count: ${count}` );
+
+      const generatedCount = count - 2;
+      const hueSpacing = GENERATED_GROUP_HUE_RANGE.getLength() / ( generatedCount + 1 );
+
+      return [ VectorTypes.ONE, VectorTypes.TWO ].concat( _.range( generatedCount ).map( index => new VectorGroup( {
+        name: `GROUP_${index + 3}`,
+        hue: GENERATED_GROUP_HUE_RANGE.min + ( index + 1 ) * hueSpacing
+      } ) ) );
+    }
   }
 
   return vectorAddition.register( 'LabModel', LabModel );
@@ -1,7 +1,8 @@
 // Copyright 2019, University of Colorado Boulder
 
 /**
- * Model for the scene on the lab scene. This scene only has 2 vectorSets.
+ * Model for the scene on the lab scene. This scene has a vectorSet for each group of vectors (see VectorGroup), and the
+ * difference of the sums of the first 2 groups, which joins the tips of the 2 sums.
  *
  * @author Brandon Li
  */
@@ -12,8 +13,9 @@ define( require => {
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const Scene = require( 'VECTOR_ADDITION/common/model/Scene' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
+  const VectorDifference = require( 'VECTOR_ADDITION/common/model/VectorDifference' );
+  const VectorGroup = require( 'VECTOR_ADDITION/common/model/VectorGroup' );
   const VectorSet = require( 'VECTOR_ADDITION/common/model/VectorSet' );
-  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
 
   class LabScene extends Scene {
     /**
@@ -21,63 +23,77 @@ define( require => {
      * @param {Dimension2} graphDimension - the dimensions (width and height) of the graph
      * @param {Vector2} graphUpperLeftPosition - the model coordinates of the top left corner of the graph
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
-     * @param {BooleanProperty} sum1VisibleProperty - visibility of sum for group 1 vector set
-     * @param {BooleanProperty} sum2VisibleProperty - visibility of sum for group 2 vector set
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
+     * @param {Array.<VectorGroup>} vectorGroups - a vectorSet is created for each group, at least 2
+     * @param {Array.<BooleanProperty>} sumVisibleProperties - visibility of the sum of each group's vector set
+     * @param {Tandem} tandem
      */
     constructor(
       graphDimension,
       graphUpperLeftPosition,
       componentStyleProperty,
-      sum1VisibleProperty,
-      sum2VisibleProperty ) {
+      coordinateSnapModeProperty,
+      vectorGroups,
+      sumVisibleProperties,
+      tandem ) {
 
       //----------------------------------------------------------------------------------------
       // Type check arguments
-      assert && assert( sum1VisibleProperty instanceof BooleanProperty,
-        `invalid sum1VisibleProperty: ${sum1VisibleProperty}` );
-      assert && assert( sum2VisibleProperty instanceof BooleanProperty,
-        `invalid sum2VisibleProperty: ${sum2VisibleProperty}` );
+      assert && assert( Array.isArray( vectorGroups ) && vectorGroups.length >= 2 &&
+                        _.every( vectorGroups, vectorGroup => vectorGroup instanceof VectorGroup ),
+        `invalid vectorGroups: ${vectorGroups}` );
+      assert && assert( Array.isArray( sumVisibleProperties ) && sumVisibleProperties.length === vectorGroups.length &&
+                        _.every( sumVisibleProperties, property => property instanceof BooleanProperty ),
+        `invalid sumVisibleProperties: ${sumVisibleProperties}` );
       // The rest are checked in super-classes
 
       //-------------------------------------------
-      super( graphDimension, graphUpperLeftPosition, componentStyleProperty );
+      super( graphDimension, graphUpperLeftPosition, componentStyleProperty, coordinateSnapModeProperty, tandem );
 
+      // @private {Array.<VectorGroup>}
+      this.vectorGroups = vectorGroups;
 
-      // @private {Boolean Property} this scene shares one property for the sum visibility
-      this.sumGroup1VisibleProperty = sum1VisibleProperty;
-      // @private {Boolean Property} this scene shares one property for the sum visibility
-      this.sumGroup2VisibleProperty = sum2VisibleProperty;
+      // @private {Array.<BooleanProperty>} this scene shares one property for the sum visibility of each group
+      this.sumVisibleProperties = sumVisibleProperties;
 
+      this.createVectorSets( componentStyleProperty, coordinateSnapModeProperty );
 
-      this.createVectorSets( componentStyleProperty );
+      // @public (read-only) {VectorDifference} - from the tip of the sum of group 2 to the tip of the sum of group 1
+      this.vectorDifference = new VectorDifference(
+        this.groupVectorSets[ 0 ].vectorSum,
+        this.groupVectorSets[ 1 ].vectorSum,
+        this.graph.modelViewTransformProperty,
+        this.graph.axesAngleProperty,
+        componentStyleProperty,
+        coordinateSnapModeProperty, {
+          tandem: tandem.createTandem( 'vectorDifference' )
+        } );
+      this.addVectorDifference( this.vectorDifference );
     }
 
     /**
      * @public
      * Create the vector sets
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
+     * @param {EnumerationProperty.<CoordinateSnapModes>} coordinateSnapModeProperty
      */
-    createVectorSets( componentStyleProperty ) {
-
-      // @public (read-only) {VectorSet} - the group one vector set
-      this.groupOneVectorSet = new VectorSet(
-        this.graph.modelViewTransformProperty,
-        this.graph.graphModelBounds,
-        componentStyleProperty,
-        this.sumGroup1VisibleProperty,
-        VectorTypes.ONE );
-
+    createVectorSets( componentStyleProperty, coordinateSnapModeProperty ) {
 
-      // @public (read-only) {VectorSet} - the group two vector set
-      this.groupTwoVectorSet = new VectorSet(
+      // @public (read-only) {Array.<VectorSet>} - a vector set for each group, in the order of the groups
+      this.groupVectorSets = this.vectorGroups.map( ( vectorGroup, index ) => new VectorSet(
         this.graph.modelViewTransformProperty,
         this.graph.graphModelBounds,
+        this.graph.axesAngleProperty,
         componentStyleProperty,
-        this.sumGroup2VisibleProperty,
-        VectorTypes.TWO );
+        coordinateSnapModeProperty,
+        this.sumVisibleProperties[ index ],
+        vectorGroup, {
 
-      this.vectorSets.push( this.groupOneVectorSet, this.groupTwoVectorSet );
+          // e.g. 'groupOneVectorSet'
+          tandem: this.tandem.createTandem( `group${_.capitalize( vectorGroup.name )}VectorSet` )
+        } ) );
 
+      this.groupVectorSets.forEach( vectorSet => this.addVectorSet( vectorSet ) );
     }
   }
 
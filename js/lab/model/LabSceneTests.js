@@ -0,0 +1,72 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * LabScene and VectorGroup tests. The scene is tested with more than 2 groups of vectors.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  const LabModel = require( 'VECTOR_ADDITION/lab/model/LabModel' );
+  const SceneTestUtils = require( 'VECTOR_ADDITION/common/model/SceneTestUtils' );
+  const Vector2 = require( 'DOT/Vector2' );
+  const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
+  const VectorGroup = require( 'VECTOR_ADDITION/common/model/VectorGroup' );
+  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+
+  QUnit.module( 'LabScene' );
+
+  QUnit.test( 'vector groups', assert => {
+    assert.equal( VectorTypes.ONE.colors, VectorAdditionColors.VECTOR_GROUP_1_COLORS, 'group one keeps its colors' );
+
+    const vectorGroup = new VectorGroup( { name: 'FIVE', hue: 300 } );
+    assert.ok( VectorTypes.includes( vectorGroup ), 'any group is a vector type' );
+    assert.deepEqual( vectorGroup.colors, VectorAdditionColors.createVectorGroupColors( 300 ),
+      'the colors are generated from the hue' );
+    assert.notEqual( vectorGroup.colors.fill, VectorAdditionColors.createVectorGroupColors( 140 ).fill,
+      'groups with different hues differ' );
+  } );
+
+  QUnit.test( 'createVectorGroups', assert => {
+    assert.deepEqual( LabModel.createVectorGroups( 2 ), [ VectorTypes.ONE, VectorTypes.TWO ],
+      'the first 2 groups are ONE and TWO' );
+
+    const vectorGroups = LabModel.createVectorGroups( 6 );
+    assert.equal( vectorGroups.length, 6, 'the number of groups is not capped' );
+    assert.equal( vectorGroups[ 2 ].name, 'GROUP_3', 'the generated groups are numbered' );
+    assert.ok( vectorGroups.every( vectorGroup => VectorTypes.includes( vectorGroup ) ),
+      'the groups are vector types' );
+    assert.equal( _.uniq( vectorGroups.map( vectorGroup => vectorGroup.colors.fill ) ).length, 6,
+      'the groups have different colors' );
+  } );
+
+  QUnit.test( 'a vectorSet for each group', assert => {
+    const vectorGroups = LabModel.createVectorGroups( 4 );
+    const scene = SceneTestUtils.createLabScene( vectorGroups );
+
+    assert.equal( scene.groupVectorSets.length, 4, 'a vectorSet for each group' );
+    assert.deepEqual( scene.vectorSets, scene.groupVectorSets, 'the vectorSets are added to the scene' );
+    assert.deepEqual( scene.vectorDifferences, [ scene.vectorDifference ], 'the difference is added to the scene' );
+    scene.groupVectorSets.forEach( ( vectorSet, index ) => {
+      assert.equal( vectorSet.vectorType, vectorGroups[ index ], `vectorSet ${index} has the group's type` );
+      assert.equal( vectorSet.vectorSum.vectorType, vectorGroups[ index ], `sum ${index} has the group's type` );
+    } );
+
+    SceneTestUtils.addVector( scene.groupVectorSets[ 2 ], 3, 4 );
+    assert.ok( scene.groupVectorSets[ 2 ].vectorSum.components.equals( new Vector2( 3, 4 ) ),
+      'each group has its own sum' );
+    assert.ok( scene.groupVectorSets[ 0 ].vectorSum.components.equals( Vector2.ZERO ), 'the other sums are zero' );
+    assert.equal( scene.toJSON().vectorSets[ 2 ].vectors[ 0 ].vectorType, 'GROUP_3', 'the group is serialized' );
+
+    SceneTestUtils.addVector( scene.groupVectorSets[ 1 ], 1, 2 );
+    assert.ok( scene.vectorDifference.components.equals( new Vector2( -1, -2 ) ),
+      'the difference is of the sums of the first 2 groups' );
+
+    scene.groupVectorSets[ 0 ].vectorSum.tail = new Vector2( 2, 3 );
+    assert.ok( scene.vectorDifference.tip.equals( scene.groupVectorSets[ 0 ].vectorSum.tip ) &&
+               scene.vectorDifference.tail.equals( scene.groupVectorSets[ 1 ].vectorSum.tip ),
+      'the difference joins the tips of the sums' );
+  } );
+} );
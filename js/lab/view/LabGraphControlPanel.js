@@ -13,21 +13,27 @@ define( require => {
   const BooleanProperty = require( 'AXON/BooleanProperty' );
   const ComponentStyleRadioButtonGroup = require( 'VECTOR_ADDITION/common/view/ComponentStyleRadioButtonGroup' );
   const ComponentStyles = require( 'VECTOR_ADDITION/common/model/ComponentStyles' );
+  const DifferenceCheckbox = require( 'VECTOR_ADDITION/common/view/DifferenceCheckbox' );
   const EnumerationProperty = require( 'AXON/EnumerationProperty' );
   const GridCheckbox = require( 'VECTOR_ADDITION/common/view/GridCheckbox' );
+  const GridStyleRadioButtonGroup = require( 'VECTOR_ADDITION/common/view/GridStyleRadioButtonGroup' );
+  const GridStyles = require( 'VECTOR_ADDITION/common/model/GridStyles' );
+  const HBox = require( 'SCENERY/nodes/HBox' );
   const VBox = require( 'SCENERY/nodes/VBox' );
   const Line = require( 'SCENERY/nodes/Line' );
   const SumCheckbox = require( 'VECTOR_ADDITION/common/view/SumCheckbox' );
   const Text = require( 'SCENERY/nodes/Text' );
+  const TickLabelsCheckbox = require( 'VECTOR_ADDITION/common/view/TickLabelsCheckbox' );
   const ValuesCheckbox = require( 'VECTOR_ADDITION/common/view/ValuesCheckbox' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionColors = require( 'VECTOR_ADDITION/common/VectorAdditionColors' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
-  const VectorTypes = require( 'VECTOR_ADDITION/common/model/VectorTypes' );
+  const VectorGroup = require( 'VECTOR_ADDITION/common/model/VectorGroup' );
   const FixedWidthNode = require( 'VECTOR_ADDITION/common/view/FixedWidthNode' );
   const Panel = require( 'SUN/Panel' );
 
   // constants
+  const GRID_CONTROLS_SPACING = 10;
   const PANEL_WIDTH = VectorAdditionConstants.PANEL_WIDTH;
 
   // strings
@@ -36,50 +42,73 @@ define( require => {
   class LabGraphControlPanel extends Panel {
     /**
      * @constructor
-     * @param {BooleanProperty} sum1VisibleProperty - visibility of sum for group 1 vector set
-     * @param {BooleanProperty} sum2VisibleProperty - visibility of sum for group 2 vector set
+     * @param {Array.<BooleanProperty>} sumVisibleProperties - visibility of the sum of each group's vector set
+     * @param {Array.<VectorGroup>} vectorGroups - the groups of vectors, in the order of sumVisibleProperties
+     * @param {BooleanProperty} differenceVisibleProperty - visibility of the difference of the sums
      * @param {BooleanProperty} valuesVisibleProperty
      * @param {BooleanProperty} angleVisibleProperty
      * @param {BooleanProperty} gridVisibleProperty
+     * @param {EnumerationProperty.<GridStyles>} gridStyleProperty
+     * @param {BooleanProperty} tickLabelsVisibleProperty
      * @param {EnumerationProperty.<ComponentStyles>} componentStyleProperty
      * @param {Object} [options]
      */
     constructor(
-      sum1VisibleProperty,
-      sum2VisibleProperty,
+      sumVisibleProperties,
+      vectorGroups,
+      differenceVisibleProperty,
       valuesVisibleProperty,
       angleVisibleProperty,
       gridVisibleProperty,
+      gridStyleProperty,
+      tickLabelsVisibleProperty,
       componentStyleProperty,
       options ) {
 
       // Type check arguments
-      // assert && assert( sumVisibleProperty instanceof BooleanProperty,
-      //   `invalid sumVisibleProperty: ${sumVisibleProperty}` );
+      assert && assert( Array.isArray( vectorGroups ) &&
+                        _.every( vectorGroups, vectorGroup => vectorGroup instanceof VectorGroup ),
+        `invalid vectorGroups: ${vectorGroups}` );
+      assert && assert( Array.isArray( sumVisibleProperties ) && sumVisibleProperties.length === vectorGroups.length,
+        `invalid sumVisibleProperties: ${sumVisibleProperties}` );
+      // each sumVisibleProperty is checked in SumCheckbox
+      assert && assert( differenceVisibleProperty instanceof BooleanProperty,
+        `invalid differenceVisibleProperty: ${differenceVisibleProperty}` );
       assert && assert( valuesVisibleProperty instanceof BooleanProperty,
         `invalid valuesVisibleProperty: ${valuesVisibleProperty}` );
       assert && assert( angleVisibleProperty instanceof BooleanProperty,
         `invalid angleVisibleProperty: ${angleVisibleProperty}` );
       assert && assert( gridVisibleProperty instanceof BooleanProperty,
         `invalid gridVisibleProperty: ${gridVisibleProperty}` );
+      assert && assert( gridStyleProperty instanceof EnumerationProperty
+      && GridStyles.includes( gridStyleProperty.value ),
+        `invalid gridStyleProperty: ${gridStyleProperty}` );
+      assert && assert( tickLabelsVisibleProperty instanceof BooleanProperty,
+        `invalid tickLabelsVisibleProperty: ${tickLabelsVisibleProperty}` );
       assert && assert( componentStyleProperty instanceof EnumerationProperty
       && ComponentStyles.includes( componentStyleProperty.value ),
         `invalid componentStyleProperty: ${componentStyleProperty}` );
-      // assert && assert( VectorTypes.includes( vectorType ), `invalid vectorType: ${vectorType}` );
 
       //----------------------------------------------------------------------------------------
 
       options = _.extend( VectorAdditionConstants.PANEL_OPTIONS, options );
 
+      // a sum checkbox for each group
+      const sumCheckboxes = vectorGroups.map( ( vectorGroup, index ) =>
+        new SumCheckbox( sumVisibleProperties[ index ], vectorGroup ) );
+
       const content = new FixedWidthNode( PANEL_WIDTH, new VBox( {
         spacing: 10,
         align: 'left',
-        children: [
-          new SumCheckbox( sum1VisibleProperty, VectorTypes.ONE ),
-          new SumCheckbox( sum2VisibleProperty, VectorTypes.TWO ),
+        children: sumCheckboxes.concat( [
+          new DifferenceCheckbox( differenceVisibleProperty, vectorGroups[ 0 ], vectorGroups[ 1 ] ),
           new ValuesCheckbox( valuesVisibleProperty ),
           new AngleCheckbox( angleVisibleProperty ),
-          new GridCheckbox( gridVisibleProperty ),
+          new HBox( {
+            spacing: GRID_CONTROLS_SPACING,
+            children: [ new GridCheckbox( gridVisibleProperty ), new GridStyleRadioButtonGroup( gridStyleProperty ) ]
+          } ),
+          new TickLabelsCheckbox( tickLabelsVisibleProperty ),
           new Line( 0, 0, VectorAdditionConstants.PANEL_WIDTH, 0, {
             stroke: VectorAdditionColors.GRAPH_CONTROL_PANEL_LINE_COLOR
           } ),
@@ -87,7 +116,7 @@ define( require => {
             font: VectorAdditionConstants.PANEL_FONT
           } ),
           new ComponentStyleRadioButtonGroup( componentStyleProperty )
-        ]
+        ] )
       } ) );
 
       super( content, options );
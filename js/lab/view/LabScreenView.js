@@ -7,12 +7,15 @@ define( function( require ) {
   'use strict';
 
   // modules
+  const DifferenceNode = require( 'VECTOR_ADDITION/common/view/DifferenceNode' );
   const VectorAdditionScreenView = require( 'VECTOR_ADDITION/common/view/VectorAdditionScreenView' );
   const LabGraphControlPanel = require( 'VECTOR_ADDITION/lab/view/LabGraphControlPanel' );
   const LabVectorCreatorPanel = require( 'VECTOR_ADDITION/lab/view/LabVectorCreatorPanel' );
   const vectorAddition = require( 'VECTOR_ADDITION/vectorAddition' );
   const VectorAdditionConstants = require( 'VECTOR_ADDITION/common/VectorAdditionConstants' );
 
+  // constants
+  const CREATOR_PANEL_SPACING = 10; // vertical space between the graph control panel and the vector creator panel
 
   class LabScreenView extends VectorAdditionScreenView {
 
@@ -22,14 +25,21 @@ define( function( require ) {
      */
     constructor( labModel, tandem ) {
 
-      super( labModel, tandem );
+      super( labModel, tandem, {
+        sceneNodeOptions: {
+          isNegationEnabled: true
+        }
+      } );
 
       const graphControlPanel = new LabGraphControlPanel(
-        labModel.sumGroup1VisibleProperty,
-        labModel.sumGroup2VisibleProperty,
+        labModel.sumVisibleProperties,
+        labModel.vectorGroups,
+        labModel.differenceVisibleProperty,
         labModel.valuesVisibleProperty,
         labModel.angleVisibleProperty,
         labModel.gridVisibleProperty,
+        labModel.gridStyleProperty,
+        labModel.tickLabelsVisibleProperty,
         labModel.componentStyleProperty,
         {
           right: this.layoutBounds.right - VectorAdditionConstants.SCREEN_VIEW_X_MARGIN,
@@ -38,12 +48,24 @@ define( function( require ) {
 
       this.addChild( graphControlPanel );
 
+      // The graph control panel grows with the number of groups, so the creator panel is laid out below it
       const vectorCreatorPanel = new LabVectorCreatorPanel(
-        labModel.scene.groupOneVectorSet,
-        labModel.scene.groupTwoVectorSet,
-        labModel.scene.graph.modelViewTransformProperty );
+        labModel.scene.groupVectorSets,
+        labModel.scene.graph, {
+          top: graphControlPanel.bottom + CREATOR_PANEL_SPACING
+        } );
+
+      this.addVectorCreatorPanel( vectorCreatorPanel );
+
+      const differenceNode = new DifferenceNode(
+        labModel.scene.vectorDifference,
+        labModel.scene.graph.modelViewTransformProperty,
+        labModel.valuesVisibleProperty );
+
+      // The difference exists for the lifetime of the sim, so no need to unlink
+      labModel.differenceVisibleProperty.linkAttribute( differenceNode, 'visible' );
 
-      this.addChild( vectorCreatorPanel );
+      this.sceneNodes[ 0 ].addDerivedVectorNode( differenceNode );
     }
 
   }
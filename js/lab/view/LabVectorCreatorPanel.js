@@ -2,6 +2,7 @@
 
 /**
  * View for the panel with vectors to drag into the screen. This class extends the common abstract vectorCreator panel.
+ * There is a slot for each group of vectors.
  *
  * @author Brandon Li
  */
@@ -22,48 +23,39 @@ define( require => {
     xMargin: 5,
     yMargin: 18,
     slotSpacing: 18,
-    fixedWidth: 70,
-    fixedHeight: 110
+    fixedWidth: 70
   } );
 
+  // the height of each slot, so that the panel grows with the number of slots
+  const SLOT_HEIGHT = 28;
+
   class LabVectorCreatorPanel extends VectorCreatorPanel {
     /**
      * @abstract
      * @constructor
-     * @param {VectorSet} vectorSetGroupOne - the observable array to add the vector's to.
-     * @param {VectorSet} vectorSetGroupTwo - the observable array to add the vector's to.
-     * @param {Property.<ModelViewTransform2>} modelViewTransformProperty - the property of the model - view coordinate transformation
+     * @param {Array.<VectorSet>} vectorSets - the vector sets to add the vectors to, one slot each
+     * @param {Graph} graph - the graph that the vectors are dropped on
+     * @param {Object} [options] - passed to the super class
      */
-    constructor( vectorSetGroupOne, vectorSetGroupTwo, modelViewTransformProperty ) {
-
+    constructor( vectorSets, graph, options ) {
 
       // create a 45 degree vector2 representing the vector that will be dropped onto the graph
       const initialVector = new Vector2( INITIAL_ARROW_SIDE_LENGTH, INITIAL_ARROW_SIDE_LENGTH );
 
-      const vectorGroupOneSlot = new VectorCreatorPanelSlot(
-        initialVector,
-        modelViewTransformProperty,
-        vectorSetGroupOne, {
-          isInfinite: true
-        } );
-
-      const vectorGroupTwoSlot = new VectorCreatorPanelSlot(
+      const panelSlots = vectorSets.map( vectorSet => new VectorCreatorPanelSlot(
         initialVector,
-        modelViewTransformProperty,
-        vectorSetGroupTwo, {
+        graph,
+        vectorSet, {
           isInfinite: true
-        } );
+        } ) );
 
-      const panelSlots = [ vectorGroupOneSlot, vectorGroupTwoSlot ];
-
-
-      super( panelSlots, CREATOR_PANEL_OPTIONS );
+      super( panelSlots, _.extend( {}, CREATOR_PANEL_OPTIONS, {
+        fixedHeight: 2 * CREATOR_PANEL_OPTIONS.yMargin + panelSlots.length * SLOT_HEIGHT +
+                     ( panelSlots.length - 1 ) * CREATOR_PANEL_OPTIONS.slotSpacing
+      }, options ) );
     }
 
   }
 
   return vectorAddition.register( 'LabVectorCreatorPanel', LabVectorCreatorPanel );
 } );
-
-
-
@@ -0,0 +1,4 @@
+// Copyright 2019, University of Colorado Boulder
+
+/* eslint-disable */
+window.phet.phetio.phetioElementsOverrides = {};
@@ -0,0 +1,27 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Unit tests for vector-addition. The tests only use the model, so they run in Node (npm test) or in a browser, see
+ * "Unit tests" in doc/implementation-notes.md.
+ *
+ * @author Brandon Li
+ */
+define( require => {
+  'use strict';
+
+  // modules
+  require( 'VECTOR_ADDITION/common/model/BaseVectorModelTests' );
+  require( 'VECTOR_ADDITION/common/model/GraphTests' );
+  require( 'VECTOR_ADDITION/common/model/SceneExporterTests' );
+  require( 'VECTOR_ADDITION/common/model/SceneTests' );
+  require( 'VECTOR_ADDITION/common/model/VectorComponentTests' );
+  require( 'VECTOR_ADDITION/common/model/VectorDifferenceTests' );
+  require( 'VECTOR_ADDITION/common/model/VectorModelTests' );
+  require( 'VECTOR_ADDITION/common/model/VectorProjectionTests' );
+  require( 'VECTOR_ADDITION/common/model/VectorSelectionTests' );
+  require( 'VECTOR_ADDITION/common/model/VectorSumTests' );
+  require( 'VECTOR_ADDITION/lab/model/LabSceneTests' );
+
+  // Since our tests are loaded asynchronously, we must direct QUnit to begin the tests
+  QUnit.start();
+} );
@@ -0,0 +1,94 @@
+// Copyright 2019, University of Colorado Boulder
+
+/**
+ * Runs the unit tests of vector-addition in Node, without a browser (see "Unit tests" in doc/implementation-notes.md).
+ * Like vector-addition-tests.html, it loads the preloads that the model needs and then the tests with requirejs, using
+ * the paths of js/vector-addition-test-config.js, so it needs the sibling repos of a PhET checkout. Assertions are
+ * enabled, as with ?ea.
+ *
+ * Usage: npm test
+ *
+ * @author Brandon Li
+ */
+/* eslint-env node */
+'use strict';
+
+// modules
+const fs = require( 'fs' );
+const path = require( 'path' );
+const QUnit = require( 'qunit' );
+const requirejs = require( 'requirejs' );
+const vm = require( 'vm' );
+
+// constants
+const JS_DIRECTORY = path.join( __dirname, 'js' );
+
+// The preloads of vector-addition-tests.html that the model uses. The others (jQuery, FileSaver, etc.) are only used
+// by the view.
+const PRELOADS = [
+  '../sherpa/lib/lodash-4.17.4.js',
+  '../assert/js/assert.js',
+  '../query-string-machine/js/QueryStringMachine.js',
+  '../chipper/js/initialize-globals.js',
+  '../phet-core/js/copyWithSortedKeys.js',
+  '../sherpa/lib/seedrandom-2.4.2.js',
+  '../tandem/js/PhetioIDUtils.js'
+];
+
+// The preloads are browser scripts that define their globals on window and read the query parameters from its URL.
+global.window = global;
+window.location = {
+  href: 'file://' + path.join( __dirname, 'vector-addition-tests.html?ea' ),
+  search: '?ea'
+};
+window.navigator = window.navigator || { userAgent: 'node' };
+
+PRELOADS.forEach( preload => {
+  const filename = path.join( __dirname, preload );
+  vm.runInThisContext( fs.readFileSync( filename, 'utf8' ), { filename: filename } );
+} );
+
+// The tests are loaded asynchronously, so QUnit is started in vector-addition-tests.js
+global.QUnit = QUnit;
+QUnit.config.autostart = false;
+
+QUnit.log( details => {
+  if ( !details.result ) {
+    console.log( `  failed: ${details.message || ''}` );
+    if ( details.hasOwnProperty( 'expected' ) ) {
+      console.log( `    expected: ${QUnit.dump.parse( details.expected )}` );
+      console.log( `    actual: ${QUnit.dump.parse( details.actual )}` );
+    }
+    if ( details.source ) {
+      console.log( `    ${details.source}` );
+    }
+  }
+} );
+
+QUnit.testDone( details => {
+  console.log( `${details.failed ? 'not ok' : 'ok'} - ${details.module}: ${details.name}` );
+} );
+
+QUnit.done( details => {
+  console.log( `\n${details.passed}/${details.total} assertions passed, ${details.failed} failed ` +
+               `(${details.runtime}ms)` );
+  process.exitCode = details.failed > 0 ? 1 : 0;
+} );
+
+// Get the requirejs configuration of the browser tests, whose paths are relative to the js directory.
+let testConfig = null;
+vm.runInNewContext( fs.readFileSync( path.join( JS_DIRECTORY, 'vector-addition-test-config.js' ), 'utf8' ), {
+  phet: window.phet,
+  require: { config: config => { testConfig = config; } }
+} );
+
+requirejs.config( {
+  baseUrl: JS_DIRECTORY,
+  paths: testConfig.paths,
+  nodeRequire: require
+} );
+
+requirejs( [ 'vector-addition-tests' ], () => {}, error => {
+  console.error( error );
+  process.exitCode = 1;
+} );